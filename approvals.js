@@ -0,0 +1,359 @@
+const pool = require("./db");
+const { REGISTERS } = require("./registers");
+const { parseNumberValue } = require("./importer");
+
+/**
+ * Maker-checker approval of register records
+ * Approval rules pick out the records that need a second pair of eyes: a value (the register's amountColumns)
+ * over a threshold, a column with a non-zero amount (e.g. project_more_2cr) or a column with a given value
+ * (e.g. rev_cap = C). A record a rule matches is "pending" after it is created or edited until a user with
+ * approve_records, other than whoever submitted it, approves or rejects it with comments. Records no rule
+ * matches have no approval status. Every step is kept in approval_history.
+ */
+
+const RULE_KINDS = {
+    amount_over: "Value over",
+    column_nonzero: "Has an amount in",
+    column_equals: "Column equals",
+};
+
+/**
+ * Adds approval_status to every register table and creates the approval_rules and approval_history tables
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeApprovals() {
+    for (const register of Object.values(REGISTERS)) {
+        try {
+            await pool.query(`ALTER TABLE ${register.table} ADD COLUMN approval_status VARCHAR(20) NULL`);
+        } catch (error) {
+            // Column already exists
+            if (error.code !== "ER_DUP_FIELDNAME") {
+                console.error(`Error adding approval status column to ${register.table}:`, error);
+            }
+        }
+    }
+
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS approval_rules (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                register_type VARCHAR(30) NOT NULL,
+                kind VARCHAR(20) NOT NULL,
+                column_name VARCHAR(64) NULL,
+                value VARCHAR(255) NULL,
+                created_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS approval_history (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                table_name VARCHAR(64) NOT NULL,
+                record_id INT NOT NULL,
+                action VARCHAR(20) NOT NULL,
+                comments TEXT,
+                username VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_approval_record (table_name, record_id)
+            )
+        `);
+        console.log("Approval tables initialized");
+    } catch (error) {
+        console.error("Error initializing approval tables:", error);
+    }
+}
+
+/**
+ * Validates an approval rule sent by the client
+ * @param {Object} body - { register_type, kind, column_name, value }
+ * @returns {Object} - { rule } or { error }
+ * Used by: server.js approval rule endpoint
+ */
+function parseRuleInput(body = {}) {
+    const register = REGISTERS[body.register_type];
+    if (!register) {
+        return { error: "Unknown register type" };
+    }
+    if (!RULE_KINDS[body.kind]) {
+        return { error: `kind must be one of ${Object.keys(RULE_KINDS).join(", ")}` };
+    }
+    const rule = { register_type: body.register_type, kind: body.kind, column_name: null, value: null };
+
+    if (body.kind === "amount_over") {
+        const amount = parseNumberValue(body.value);
+        if (amount.error || amount.value < 0) {
+            return { error: "The threshold must be a number of zero or more" };
+        }
+        rule.value = String(amount.value);
+        return { rule };
+    }
+
+    const column = register.columns.find((entry) => entry.name === body.column_name);
+    if (!column) {
+        return { error: `${register.label} have no column "${body.column_name}"` };
+    }
+    rule.column_name = column.name;
+    if (body.kind === "column_nonzero") {
+        if (column.type !== "decimal" && column.type !== "int") {
+            return { error: `${column.name} is not an amount column` };
+        }
+        return { rule };
+    }
+    const value = body.value === undefined || body.value === null ? "" : String(body.value).trim();
+    if (!value) {
+        return { error: "A value is required" };
+    }
+    if (column.values && !column.values.includes(value)) {
+        return { error: `${column.name} must be one of ${column.values.join(", ")}` };
+    }
+    rule.value = value;
+    return { rule };
+}
+
+/**
+ * Lists the approval rules, of one register or all
+ * @param {string|null} type - Register type
+ * @returns {Array} - Rule rows
+ * Dependencies: db.js (pool)
+ */
+async function getApprovalRules(type = null) {
+    const [rows] = await pool.query(
+        `SELECT id, register_type, kind, column_name, value, created_by, created_at FROM approval_rules
+         ${type ? "WHERE register_type = ?" : ""} ORDER BY register_type, id`,
+        type ? [type] : []
+    );
+    return rows;
+}
+
+/**
+ * Adds an approval rule
+ * @param {Object} rule - parseRuleInput() result
+ * @param {string} username - Session username
+ * @returns {number} - Rule id
+ * Dependencies: db.js (pool)
+ */
+async function addApprovalRule(rule, username) {
+    const [result] = await pool.query(
+        "INSERT INTO approval_rules (register_type, kind, column_name, value, created_by) VALUES (?, ?, ?, ?, ?)",
+        [rule.register_type, rule.kind, rule.column_name, rule.value, username || null]
+    );
+    return result.insertId;
+}
+
+/**
+ * Deletes an approval rule; records already pending stay pending
+ * @returns {boolean} - False if the rule does not exist
+ * Dependencies: db.js (pool)
+ */
+async function deleteApprovalRule(id) {
+    const [result] = await pool.query("DELETE FROM approval_rules WHERE id = ?", [id]);
+    return result.affectedRows > 0;
+}
+
+function recordValue(register, row) {
+    return (register.amountColumns || []).reduce((total, column) => total + Number(row[column] || 0), 0);
+}
+
+/**
+ * Explains why a record needs approval
+ * @param {Object} register - Entry of REGISTERS
+ * @param {Object} row - Record values
+ * @param {Array} rules - The register's approval rules
+ * @returns {Array} - One reason per matching rule, empty when the record needs no approval
+ */
+function matchApprovalRules(register, row, rules) {
+    const reasons = [];
+    for (const rule of rules) {
+        if (rule.kind === "amount_over") {
+            const value = recordValue(register, row);
+            if (value > Number(rule.value)) {
+                reasons.push(`Value ${value.toLocaleString("en-IN")} is over ${Number(rule.value).toLocaleString("en-IN")}`);
+            }
+        } else if (rule.kind === "column_nonzero") {
+            if (Number(row[rule.column_name] || 0) !== 0) {
+                reasons.push(`Has an amount in ${rule.column_name}`);
+            }
+        } else if (rule.kind === "column_equals") {
+            if (String(row[rule.column_name] ?? "") === rule.value) {
+                reasons.push(`${rule.column_name} is ${rule.value}`);
+            }
+        }
+    }
+    return reasons;
+}
+
+async function recordApprovalStep(connection, tableName, recordId, action, comments, username) {
+    await connection.query(
+        "INSERT INTO approval_history (table_name, record_id, action, comments, username) VALUES (?, ?, ?, ?, ?)",
+        [tableName, recordId, action, comments || null, username || null]
+    );
+}
+
+/**
+ * Puts written records that match an approval rule into "pending", and takes records that stopped matching out of it
+ * A restored record keeps an earlier approval; any other write of a matching record needs a fresh one.
+ * Writes pass the connection of their transaction, so a record never commits without the approval status it needs.
+ * @param {string} type - Register type
+ * @param {Array} changes - [{ after, before }] of the written records (after needs an id, or before does)
+ * @param {string} username - Who wrote them
+ * @param {Object} connection - Connection to write through (defaults to the pool)
+ * @returns {Array} - Ids of the records now pending
+ * Used by: server.js register, import, recycle bin and backup restore endpoints, financial-years.js rolloverFinancialYear()
+ * Dependencies: db.js (pool)
+ */
+async function submitForApproval(type, changes, username, connection = pool) {
+    const register = REGISTERS[type];
+    const rules = await getApprovalRules(type);
+    const pending = [];
+    for (const { after, before } of changes) {
+        const id = (after && after.id) || (before && before.id);
+        if (!after || !id) continue;
+        const reasons = rules.length > 0 ? matchApprovalRules(register, after, rules) : [];
+
+        if (reasons.length > 0) {
+            if (!before && after.approval_status === "approved") continue;
+            await connection.query(
+                `UPDATE ${register.table} SET approval_status = 'pending' WHERE id = ?`,
+                [id]
+            );
+            await recordApprovalStep(connection, register.table, id, before ? "resubmitted" : "submitted", reasons.join("; "), username);
+            pending.push(id);
+        } else if (before && ["pending", "rejected"].includes(before.approval_status)) {
+            await connection.query(`UPDATE ${register.table} SET approval_status = NULL WHERE id = ?`, [id]);
+            await recordApprovalStep(connection, register.table, id, "withdrawn", "No approval rule applies any more", username);
+        }
+    }
+    return pending;
+}
+
+/**
+ * Approves or rejects a pending record
+ * The checker cannot be the maker: whoever last submitted the record cannot decide on it.
+ * @param {string} type - Register type
+ * @param {number|string} id - Record id
+ * @param {string} decision - "approved" or "rejected"
+ * @param {string} comments - Required for a rejection
+ * @param {string} username - Session username
+ * @returns {Object} - { record } or { error, status }
+ * Used by: server.js approval decision endpoints
+ * Dependencies: db.js (pool)
+ */
+async function decideApproval(type, id, decision, comments, username) {
+    const register = REGISTERS[type];
+    const note = comments ? String(comments).trim() : "";
+    if (decision === "rejected" && !note) {
+        return { error: "Comments are required to reject a record", status: 400 };
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [rows] = await connection.query(
+            `SELECT id, financial_year, approval_status FROM ${register.table} WHERE id = ? AND deleted_at IS NULL FOR UPDATE`,
+            [id]
+        );
+        if (!rows[0]) {
+            await connection.rollback();
+            return { error: "Record not found", status: 404 };
+        }
+        if (rows[0].approval_status !== "pending") {
+            await connection.rollback();
+            return { error: "This record is not pending approval", status: 409 };
+        }
+        const [submissions] = await connection.query(
+            `SELECT username FROM approval_history WHERE table_name = ? AND record_id = ? AND action IN ('submitted', 'resubmitted')
+             ORDER BY id DESC LIMIT 1`,
+            [register.table, id]
+        );
+        if (submissions[0] && submissions[0].username === username) {
+            await connection.rollback();
+            return { error: "You submitted this record; another approver has to decide on it", status: 403 };
+        }
+
+        await connection.query(
+            `UPDATE ${register.table} SET approval_status = ?, version = version + 1 WHERE id = ?`,
+            [decision, id]
+        );
+        await recordApprovalStep(connection, register.table, id, decision, note, username);
+        await connection.commit();
+        return { record: { id: rows[0].id, financial_year: rows[0].financial_year, approval_status: decision } };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Lists the records waiting for approval across the registers, oldest submission first
+ * @param {string|null} type - Only this register
+ * @returns {Array} - [{ register_type, register_label, id, financial_year, serial_no, summary, value, submitted_by, submitted_at, reasons }]
+ * Used by: server.js approvals queue endpoint
+ * Dependencies: db.js (pool)
+ */
+async function getApprovalQueue(type = null) {
+    const queue = [];
+    for (const [registerType, register] of Object.entries(REGISTERS)) {
+        if (type && registerType !== type) continue;
+        const summaryColumns = register.naturalKey;
+        const [rows] = await pool.query(
+            `SELECT r.id, r.financial_year, r.serial_no, ${[...summaryColumns, ...(register.amountColumns || [])].map((column) => `r.${column}`).join(", ")},
+                    h.username as submitted_by, h.created_at as submitted_at, h.comments as reasons
+             FROM ${register.table} r
+             LEFT JOIN approval_history h ON h.id = (
+                 SELECT MAX(id) FROM approval_history
+                 WHERE table_name = ? AND record_id = r.id AND action IN ('submitted', 'resubmitted')
+             )
+             WHERE r.approval_status = 'pending' AND r.deleted_at IS NULL`,
+            [register.table]
+        );
+        rows.forEach((row) => queue.push({
+            register_type: registerType,
+            register_label: register.label,
+            id: row.id,
+            financial_year: row.financial_year,
+            serial_no: row.serial_no,
+            summary: summaryColumns.map((column) => row[column]).filter(Boolean).join(" / "),
+            value: recordValue(register, row),
+            submitted_by: row.submitted_by,
+            submitted_at: row.submitted_at,
+            reasons: row.reasons,
+        }));
+    }
+    return queue.sort((a, b) => new Date(a.submitted_at || 0) - new Date(b.submitted_at || 0));
+}
+
+/**
+ * Approval history of one record, oldest first
+ * @param {string} type - Register type
+ * @param {number|string} id - Record id
+ * @returns {Object} - { approval_status, history: [{ action, comments, username, created_at }] }
+ * Used by: server.js approval history endpoint
+ * Dependencies: db.js (pool)
+ */
+async function getApprovalHistory(type, id) {
+    const register = REGISTERS[type];
+    const [records] = await pool.query(`SELECT approval_status FROM ${register.table} WHERE id = ?`, [id]);
+    const [history] = await pool.query(
+        `SELECT action, comments, username, created_at FROM approval_history
+         WHERE table_name = ? AND record_id = ? ORDER BY id`,
+        [register.table, id]
+    );
+    return { approval_status: records[0] ? records[0].approval_status : null, history };
+}
+
+module.exports = {
+    RULE_KINDS,
+    initializeApprovals,
+    parseRuleInput,
+    getApprovalRules,
+    addApprovalRule,
+    deleteApprovalRule,
+    matchApprovalRules,
+    submitForApproval,
+    decideApproval,
+    getApprovalQueue,
+    getApprovalHistory,
+};
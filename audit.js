@@ -0,0 +1,163 @@
+const pool = require("./db");
+
+// Register tables whose mutations are recorded in the audit log
+const AUDITED_TABLES = [
+    "supply_orders",
+    "demand_orders",
+    "bill_orders",
+    "sanction_gen_project",
+    "sanction_misc",
+    "sanction_training",
+];
+
+// Bookkeeping columns that change on every write and carry no business meaning
+const IGNORED_COLUMNS = ["id", "created_at", "updated_at", "version"];
+
+/**
+ * Initializes the audit trail by creating the audit_log table
+ * Each row records one mutation of one register record: who did it, what action, and the per-column diff
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeAuditTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS audit_log (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                table_name VARCHAR(64) NOT NULL,
+                record_id INT NOT NULL,
+                action VARCHAR(20) NOT NULL,
+                username VARCHAR(50),
+                changes JSON,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                INDEX idx_audit_record (table_name, record_id),
+                INDEX idx_audit_created_at (created_at)
+            )
+        `);
+        console.log("Audit log table initialized");
+    } catch (error) {
+        console.error("Error initializing audit table:", error);
+    }
+}
+
+/**
+ * Normalizes a column value so that before/after snapshots compare reliably
+ * Dates become YYYY-MM-DD strings, empty values become null, everything else becomes a string
+ * @param {*} value - Raw value from a mysql2 row
+ * @returns {string|null} - Comparable representation of the value
+ * Used by: diffRows()
+ */
+function normalizeAuditValue(value) {
+    if (value === null || value === undefined || value === "") {
+        return null;
+    }
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        // mysql2 parses DATE columns as local midnight, so format with local date parts
+        const month = String(value.getMonth() + 1).padStart(2, "0");
+        const day = String(value.getDate()).padStart(2, "0");
+        return `${value.getFullYear()}-${month}-${day}`;
+    }
+    return String(value);
+}
+
+/**
+ * Computes the per-column difference between two snapshots of a register row
+ * @param {Object|null} before - Row as it was before the mutation (null for inserts)
+ * @param {Object|null} after - Row as it is after the mutation (null for deletes)
+ * @returns {Object} - Map of column name to { from, to } for every column whose value changed
+ * Used by: recordAudit()
+ */
+function diffRows(before, after) {
+    const changes = {};
+    const columns = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+    for (const column of columns) {
+        if (IGNORED_COLUMNS.includes(column)) continue;
+
+        const from = normalizeAuditValue(before ? before[column] : null);
+        const to = normalizeAuditValue(after ? after[column] : null);
+        if (from !== to) {
+            changes[column] = { from, to };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Writes one audit entry for a register mutation
+ * Updates that change nothing (empty diff) are not recorded
+ * @param {Object} entry - { tableName, recordId, action, before, after, username }
+ * @param {Object} connection - Optional connection to write through (defaults to the pool)
+ * Used by: server.js create/update/delete/move/import endpoints for all registers
+ * Dependencies: db.js (pool)
+ */
+async function recordAudit({ tableName, recordId, action, before, after, username }, connection = pool) {
+    try {
+        const changes = diffRows(before, after);
+        if (action === "update" && Object.keys(changes).length === 0) {
+            return;
+        }
+
+        await connection.query(
+            "INSERT INTO audit_log (table_name, record_id, action, username, changes) VALUES (?, ?, ?, ?, ?)",
+            [tableName, recordId, action, username || null, JSON.stringify(changes)]
+        );
+    } catch (error) {
+        // Auditing must never break the mutation that triggered it
+        console.error(`Error recording audit for ${tableName} #${recordId}:`, error);
+    }
+}
+
+/**
+ * Fetches a single register row by id, used to snapshot state around a mutation
+ * @param {string} tableName - One of AUDITED_TABLES
+ * @param {number|string} id - Record id
+ * @param {Object} connection - Optional connection to read through (defaults to the pool)
+ * @returns {Object|null} - The row, or null if it does not exist
+ * Used by: server.js mutation endpoints before and after writing
+ * Dependencies: db.js (pool)
+ */
+async function fetchAuditSnapshot(tableName, id, connection = pool) {
+    if (!AUDITED_TABLES.includes(tableName)) {
+        throw new Error(`Table ${tableName} is not audited`);
+    }
+    const [rows] = await connection.query(`SELECT * FROM ${tableName} WHERE id = ?`, [id]);
+    return rows[0] || null;
+}
+
+/**
+ * Retrieves the audit history of a record, newest first
+ * @param {string} tableName - One of AUDITED_TABLES
+ * @param {number|string} recordId - Record id
+ * @param {string} column - Optional column name; only entries that changed this column are returned
+ * @returns {Array} - Audit entries with parsed changes
+ * Used by: server.js audit endpoint (/api/audit)
+ * Dependencies: db.js (pool)
+ */
+async function getAuditTrail(tableName, recordId, column = null) {
+    const [rows] = await pool.query(
+        `SELECT id, table_name, record_id, action, username, changes, created_at
+         FROM audit_log WHERE table_name = ? AND record_id = ? ORDER BY created_at DESC, id DESC`,
+        [tableName, recordId]
+    );
+
+    const entries = rows.map((row) => ({
+        ...row,
+        // MariaDB stores JSON as LONGTEXT, so the driver may hand back a string
+        changes: typeof row.changes === "string" ? JSON.parse(row.changes || "{}") : row.changes || {},
+    }));
+
+    return column ? entries.filter((entry) => column in entry.changes) : entries;
+}
+
+module.exports = {
+    AUDITED_TABLES,
+    IGNORED_COLUMNS,
+    initializeAuditTables,
+    normalizeAuditValue,
+    diffRows,
+    recordAudit,
+    fetchAuditSnapshot,
+    getAuditTrail,
+};
@@ -272,6 +272,7 @@ async function initializeDefaultPermissions() {
             
             // Analytics and reporting (read-only)
             'view_analytics',
+            'view_budget',
             'view_homepage_analytics',
             'export_excel',
             'print_reports',
@@ -319,7 +320,10 @@ async function initializeDefaultPermissions() {
             'bulk_export',
             'data_export_all',
             'export_multiple_formats',
-            'print_advanced'
+            'print_advanced',
+
+            // Audit trail (read-only)
+            'view_audit_trail'
         ],
         admin: [
             // All viewer permissions
@@ -335,6 +339,7 @@ async function initializeDefaultPermissions() {
             'advanced_search',
             'custom_filters',
             'view_analytics',
+            'view_budget',
             'view_homepage_analytics',
             'export_excel',
             'print_reports',
@@ -377,14 +382,28 @@ async function initializeDefaultPermissions() {
             'data_export_all',
             'export_multiple_formats',
             'print_advanced',
+            'view_audit_trail',
             
             // Admin-only CRUD operations
             'add_records',
             'edit_records',
             'delete_records',
             'move_records',
+            'renumber_records',
+            'manage_budget',
+            'manage_ld_rules',
+            'manage_alerts',
+            'approve_records',
+            'manage_approval_rules',
+            'manage_firms',
+            'manage_items',
+            'manage_financial_years',
+            'edit_closed_year',
+            'manage_report_templates',
             'import_excel',
             'data_import_all',
+            'manage_recycle_bin',
+            'restore_backups',
             
             // Admin-only system management
             'session_management',
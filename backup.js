@@ -0,0 +1,319 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const XLSX = require("xlsx");
+const pool = require("./db");
+const { scheduleDaily, getScheduledJob } = require("./scheduler");
+const { REGISTERS } = require("./registers");
+
+// Registers keyed by backup type (their backupKey, e.g. "supply" or "sanction-misc")
+const backupRegisters = Object.fromEntries(
+    Object.values(REGISTERS).map((register) => [register.backupKey, register])
+);
+
+// Backup directories, keyed by backup type
+const backupDirs = Object.fromEntries(
+    Object.keys(backupRegisters).map((type) => [type, path.join(__dirname, "backups", type)])
+);
+
+const BACKUP_FILE_REGEX = /^backup_(\d{4}-\d{2}-\d{2})\.(xlsx|sql|jsonl|manifest\.json)$/;
+const STATUS_FILE = path.join(__dirname, "backups", "backup-status.json");
+
+/**
+ * Backup configuration, read from the environment (.env)
+ * BACKUP_TIME            - time of day to run, "HH:MM" server local time (default 00:00)
+ * BACKUP_EXTRA_FORMAT    - "sql" or "jsonl" to write a second format alongside XLSX (default none)
+ * BACKUP_KEEP_DAILY      - number of most recent daily backups to keep (default 20)
+ * BACKUP_KEEP_WEEKLY     - number of weeks for which the newest backup is kept (default 4)
+ * BACKUP_KEEP_MONTHLY    - number of months for which the newest backup is kept (default 6)
+ */
+const backupConfig = {
+    time: process.env.BACKUP_TIME || "00:00",
+    extraFormat: ["sql", "jsonl"].includes(process.env.BACKUP_EXTRA_FORMAT)
+        ? process.env.BACKUP_EXTRA_FORMAT
+        : null,
+    retention: {
+        daily: parseInt(process.env.BACKUP_KEEP_DAILY || "20", 10),
+        weekly: parseInt(process.env.BACKUP_KEEP_WEEKLY || "4", 10),
+        monthly: parseInt(process.env.BACKUP_KEEP_MONTHLY || "6", 10),
+    },
+};
+
+// Last run outcome per backup type; persisted so it survives restarts
+let backupStatus = {};
+
+/**
+ * Formats a Date as YYYY-MM-DD using local date parts (mysql2 returns DATE columns as local midnight)
+ * @param {Date} value - Date to format
+ * @returns {string} - Formatted date, or "" for empty values
+ */
+function formatLocalDate(value) {
+    if (!(value instanceof Date) || isNaN(value.getTime())) return "";
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${value.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Writes the XLSX backup (the format restore.js reads back)
+ * @returns {Buffer} - Workbook contents
+ */
+function buildXlsxBackup(type, rows) {
+    // DATE columns are written as YYYY-MM-DD text so the spreadsheet stays readable
+    const register = backupRegisters[type];
+    const dateColumns = register.columns.filter((column) => column.type === "date").map((column) => column.name);
+    const formattedRows = rows.map((row) => {
+        const formatted = { ...row };
+        for (const column of dateColumns) {
+            formatted[column] = formatLocalDate(row[column]);
+        }
+        return formatted;
+    });
+
+    const worksheet = XLSX.utils.json_to_sheet(formattedRows);
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, worksheet, register.label);
+    return XLSX.write(workbook, { bookType: "xlsx", type: "buffer" });
+}
+
+/**
+ * Writes a SQL dump: one INSERT per row, loadable with the mysql client
+ * @returns {Buffer} - Dump contents
+ */
+function buildSqlBackup(type, rows) {
+    const tableName = backupRegisters[type].table;
+    const lines = [
+        `-- Backup of ${tableName} taken ${new Date().toISOString()}`,
+        `-- ${rows.length} rows`,
+        "",
+    ];
+    for (const row of rows) {
+        lines.push(pool.format("INSERT INTO ?? (??) VALUES (?);", [tableName, Object.keys(row), Object.values(row)]));
+    }
+    return Buffer.from(lines.join("\n") + "\n");
+}
+
+/**
+ * Writes a JSON-lines backup: one JSON object per row
+ * @returns {Buffer} - File contents
+ */
+function buildJsonlBackup(type, rows) {
+    return Buffer.from(rows.map((row) => JSON.stringify(row)).join("\n") + (rows.length ? "\n" : ""));
+}
+
+async function loadBackupStatus() {
+    try {
+        backupStatus = JSON.parse(await fs.readFile(STATUS_FILE, "utf8"));
+    } catch (error) {
+        backupStatus = {};
+    }
+}
+
+async function saveBackupStatus() {
+    try {
+        await fs.writeFile(STATUS_FILE, JSON.stringify(backupStatus, null, 2));
+    } catch (error) {
+        console.error("Error saving backup status:", error);
+    }
+}
+
+/**
+ * Groups backup files by their date
+ * @param {string} type - Backup type
+ * @returns {Map} - Date (YYYY-MM-DD) -> array of file names for that date
+ */
+async function listBackupSets(type) {
+    const sets = new Map();
+    for (const file of await fs.readdir(backupDirs[type])) {
+        const match = BACKUP_FILE_REGEX.exec(file);
+        if (!match) continue;
+        if (!sets.has(match[1])) sets.set(match[1], []);
+        sets.get(match[1]).push(file);
+    }
+    return sets;
+}
+
+/**
+ * Returns the ISO week of a YYYY-MM-DD date as "YYYY-Www"
+ */
+function getIsoWeek(dateString) {
+    const date = new Date(`${dateString}T00:00:00Z`);
+    const dayOfWeek = date.getUTCDay() || 7;
+    date.setUTCDate(date.getUTCDate() + 4 - dayOfWeek);
+    const yearStart = new Date(Date.UTC(date.getUTCFullYear(), 0, 1));
+    const week = Math.ceil(((date - yearStart) / 86400000 + 1) / 7);
+    return `${date.getUTCFullYear()}-W${String(week).padStart(2, "0")}`;
+}
+
+/**
+ * Decides which backup dates survive the retention policy
+ * Keeps the newest `daily` dates, plus the newest backup of each of the last `weekly` weeks
+ * and of each of the last `monthly` months
+ * @param {Array} dates - Backup dates (YYYY-MM-DD)
+ * @param {Object} retention - { daily, weekly, monthly }
+ * @returns {Set} - Dates to keep
+ * Used by: applyRetention()
+ */
+function selectRetainedDates(dates, retention) {
+    const sorted = [...dates].sort().reverse();
+    const keep = new Set(sorted.slice(0, retention.daily));
+
+    const keepNewestPerPeriod = (periodOf, limit) => {
+        const seen = new Set();
+        for (const date of sorted) {
+            const period = periodOf(date);
+            if (seen.has(period)) continue;
+            if (seen.size >= limit) break;
+            seen.add(period);
+            keep.add(date);
+        }
+    };
+    keepNewestPerPeriod(getIsoWeek, retention.weekly);
+    keepNewestPerPeriod((date) => date.slice(0, 7), retention.monthly);
+
+    return keep;
+}
+
+/**
+ * Deletes backup sets (all formats plus manifest) that fall outside the retention policy
+ * @param {string} type - Backup type
+ * Used by: createBackup()
+ */
+async function applyRetention(type) {
+    const sets = await listBackupSets(type);
+    const keep = selectRetainedDates([...sets.keys()], backupConfig.retention);
+
+    for (const [date, files] of sets) {
+        if (keep.has(date)) continue;
+        for (const file of files) {
+            await fs.unlink(path.join(backupDirs[type], file));
+        }
+    }
+}
+
+/**
+ * Creates today's backup for one register: XLSX, the optional SQL/JSONL dump, and a checksum manifest
+ * Trashed (soft deleted) rows are not backed up
+ * @param {string} type - Backup type (key of backupDirs)
+ * Used by: runAllBackups(), server.js startup
+ * Dependencies: db.js (pool), xlsx
+ */
+async function createBackup(type) {
+    const date = formatLocalDate(new Date());
+    const startedAt = new Date().toISOString();
+    try {
+        const [rows] = await pool.query(`SELECT * FROM ${backupRegisters[type].table} WHERE deleted_at IS NULL`);
+
+        const outputs = [{ file: `backup_${date}.xlsx`, content: buildXlsxBackup(type, rows) }];
+        if (backupConfig.extraFormat === "sql") {
+            outputs.push({ file: `backup_${date}.sql`, content: buildSqlBackup(type, rows) });
+        } else if (backupConfig.extraFormat === "jsonl") {
+            outputs.push({ file: `backup_${date}.jsonl`, content: buildJsonlBackup(type, rows) });
+        }
+
+        for (const output of outputs) {
+            await fs.writeFile(path.join(backupDirs[type], output.file), output.content);
+        }
+
+        const manifest = {
+            type,
+            table: backupRegisters[type].table,
+            date,
+            createdAt: new Date().toISOString(),
+            rowCount: rows.length,
+            files: outputs.map((output) => ({
+                name: output.file,
+                bytes: output.content.length,
+                sha256: crypto.createHash("sha256").update(output.content).digest("hex"),
+            })),
+        };
+        await fs.writeFile(
+            path.join(backupDirs[type], `backup_${date}.manifest.json`),
+            JSON.stringify(manifest, null, 2),
+        );
+
+        await applyRetention(type);
+
+        backupStatus[type] = {
+            ...backupStatus[type],
+            lastRunAt: startedAt,
+            lastResult: "success",
+            lastSuccessAt: manifest.createdAt,
+            lastSuccessFiles: manifest.files,
+            lastRowCount: rows.length,
+        };
+    } catch (error) {
+        console.error(`Error creating ${type} backup:`, error);
+        backupStatus[type] = {
+            ...backupStatus[type],
+            lastRunAt: startedAt,
+            lastResult: "failure",
+            lastFailureAt: new Date().toISOString(),
+            lastError: error.message,
+        };
+    }
+    await saveBackupStatus();
+}
+
+/**
+ * Backs up every register, one after another
+ * Used by: the daily schedule, startBackupScheduler()
+ */
+async function runAllBackups() {
+    for (const type of Object.keys(backupDirs)) {
+        await createBackup(type);
+    }
+}
+
+/**
+ * Creates the backup directories, takes a backup now if today's is missing,
+ * and schedules the daily backup at the configured time of day
+ * Used by: server.js on startup
+ */
+async function startBackupScheduler() {
+    await Promise.all(Object.values(backupDirs).map((dir) => fs.mkdir(dir, { recursive: true })));
+    await loadBackupStatus();
+
+    const today = formatLocalDate(new Date());
+    for (const type of Object.keys(backupDirs)) {
+        const sets = await listBackupSets(type);
+        if (!sets.has(today)) {
+            await createBackup(type);
+        }
+    }
+
+    scheduleDaily("backups", backupConfig.time, runAllBackups);
+    const job = getScheduledJob("backups");
+    console.log(`Backups scheduled daily at ${backupConfig.time}, next run ${job.nextRunAt.toLocaleString()}`);
+}
+
+/**
+ * Reports the schedule, retention policy and last outcome per register
+ * @returns {Object} - { schedule, registers }
+ * Used by: server.js backup status endpoint (/api/backups/status)
+ */
+function getBackupStatus() {
+    const job = getScheduledJob("backups");
+    const registers = {};
+    for (const type of Object.keys(backupDirs)) {
+        registers[type] = backupStatus[type] || { lastResult: null };
+    }
+    return {
+        schedule: {
+            time: backupConfig.time,
+            nextRunAt: job ? job.nextRunAt : null,
+            formats: ["xlsx", ...(backupConfig.extraFormat ? [backupConfig.extraFormat] : [])],
+            retention: backupConfig.retention,
+        },
+        registers,
+    };
+}
+
+module.exports = {
+    backupDirs,
+    createBackup,
+    runAllBackups,
+    startBackupScheduler,
+    getBackupStatus,
+    selectRetainedDates,
+};
@@ -0,0 +1,340 @@
+const pool = require("./db");
+const { parseNumberValue } = require("./importer");
+const { liveCondition } = require("./register-engine");
+
+/**
+ * Budget allotments per financial year, code head, expenditure head and Revenue/Capital, compared with
+ * what supply orders commit and bills spend.
+ * Supply orders carry the expenditure head and R/C; their code head comes from the demand they were placed
+ * against (imms_demand_no). Bills take the heads of their supply order and their own R/C.
+ * Spend is matched to an allotment on all three exactly (blank heads match blank heads).
+ */
+
+const REV_CAP_VALUES = ["R", "C"];
+
+// Money columns of an order, summed into its value
+const SUPPLY_AMOUNT_SQL = "COALESCE(s.build_up, 0) + COALESCE(s.maint, 0) + COALESCE(s.misc, 0) + COALESCE(s.project_less_2cr, 0) + COALESCE(s.project_more_2cr, 0)";
+const BILL_AMOUNT_SQL = "COALESCE(b.build_up, 0) + COALESCE(b.maintenance, 0) + COALESCE(b.project_less_2cr, 0) + COALESCE(b.project_more_2cr, 0)";
+
+// Code head of each demand number (a demand repeated across years keeps one code head)
+const DEMAND_CODE_HEADS_SQL = `SELECT imms_demand_no, MAX(code_head) as code_head FROM demand_orders
+    WHERE deleted_at IS NULL AND ${liveCondition()} AND imms_demand_no IS NOT NULL GROUP BY imms_demand_no`;
+
+/**
+ * Creates the budget_allotments table
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeBudgetTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS budget_allotments (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                financial_year VARCHAR(20) NOT NULL,
+                code_head VARCHAR(255) NOT NULL DEFAULT '',
+                expenditure_head VARCHAR(255) NOT NULL DEFAULT '',
+                rev_cap CHAR(1) NOT NULL,
+                amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+                remarks TEXT,
+                updated_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_budget_allotment (financial_year, code_head, expenditure_head, rev_cap),
+                INDEX idx_budget_allotments_year (financial_year)
+            )
+        `);
+        console.log("Budget allotments table initialized");
+    } catch (error) {
+        console.error("Error initializing budget allotments table:", error);
+    }
+}
+
+function normalizeHead(value) {
+    return value === null || value === undefined ? "" : String(value).trim();
+}
+
+function budgetKey({ code_head, expenditure_head, rev_cap }) {
+    return `${normalizeHead(code_head)}|${normalizeHead(expenditure_head)}|${rev_cap || ""}`;
+}
+
+function roundMoney(value) {
+    return Math.round(Number(value || 0) * 100) / 100;
+}
+
+/**
+ * Validates an allotment sent by the client
+ * @param {Object} body - { financial_year, code_head, expenditure_head, rev_cap, amount, remarks }
+ * @returns {Object} - { allotment } or { error }
+ * Used by: server.js budget allotment endpoints
+ */
+function parseAllotmentInput(body = {}) {
+    const financialYear = normalizeHead(body.financial_year);
+    const codeHead = normalizeHead(body.code_head);
+    const expenditureHead = normalizeHead(body.expenditure_head);
+    if (!financialYear) return { error: "Financial year is required" };
+    if (!codeHead && !expenditureHead) return { error: "A code head or an expenditure head is required" };
+    if (codeHead.length > 255 || expenditureHead.length > 255) return { error: "Heads can be at most 255 characters" };
+    if (!REV_CAP_VALUES.includes(body.rev_cap)) return { error: "rev_cap must be R or C" };
+
+    const amount = body.amount === undefined || body.amount === null || body.amount === ""
+        ? { error: "is required" }
+        : parseNumberValue(body.amount);
+    if (amount.error || amount.value < 0) return { error: "amount must be a number of zero or more" };
+
+    return {
+        allotment: {
+            financial_year: financialYear,
+            code_head: codeHead,
+            expenditure_head: expenditureHead,
+            rev_cap: body.rev_cap,
+            amount: amount.value,
+            remarks: body.remarks ? String(body.remarks) : null,
+        },
+    };
+}
+
+/**
+ * Lists the allotments of a financial year
+ * @param {string} financialYear - Financial year
+ * @returns {Array} - Allotment rows, by head
+ * Used by: server.js budget endpoints, getBudgetReport()
+ * Dependencies: db.js (pool)
+ */
+async function getAllotments(financialYear) {
+    const [rows] = await pool.query(
+        `SELECT id, financial_year, code_head, expenditure_head, rev_cap, amount, remarks, updated_by, updated_at
+         FROM budget_allotments WHERE financial_year = ? ORDER BY code_head, expenditure_head, rev_cap`,
+        [financialYear]
+    );
+    return rows.map((row) => ({ ...row, amount: roundMoney(row.amount) }));
+}
+
+/**
+ * Saves an allotment; an allotment for the same year and heads is replaced
+ * @param {Object} allotment - parseAllotmentInput() result
+ * @param {string} username - Session username
+ * @returns {Object} - The saved allotment
+ * Dependencies: db.js (pool)
+ */
+async function saveAllotment(allotment, username) {
+    await pool.query(
+        `INSERT INTO budget_allotments (financial_year, code_head, expenditure_head, rev_cap, amount, remarks, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE amount = VALUES(amount), remarks = VALUES(remarks), updated_by = VALUES(updated_by)`,
+        [allotment.financial_year, allotment.code_head, allotment.expenditure_head, allotment.rev_cap, allotment.amount, allotment.remarks, username || null]
+    );
+    const [rows] = await pool.query(
+        `SELECT * FROM budget_allotments
+         WHERE financial_year = ? AND code_head = ? AND expenditure_head = ? AND rev_cap = ?`,
+        [allotment.financial_year, allotment.code_head, allotment.expenditure_head, allotment.rev_cap]
+    );
+    return rows[0] ? { ...rows[0], amount: roundMoney(rows[0].amount) } : null;
+}
+
+/**
+ * Changes an existing allotment
+ * @param {number|string} id - Allotment id
+ * @param {Object} allotment - parseAllotmentInput() result
+ * @param {string} username - Session username
+ * @returns {boolean} - False if there is no such allotment
+ * Dependencies: db.js (pool)
+ */
+async function updateAllotment(id, allotment, username) {
+    const [result] = await pool.query(
+        `UPDATE budget_allotments
+         SET financial_year = ?, code_head = ?, expenditure_head = ?, rev_cap = ?, amount = ?, remarks = ?, updated_by = ?
+         WHERE id = ?`,
+        [allotment.financial_year, allotment.code_head, allotment.expenditure_head, allotment.rev_cap, allotment.amount, allotment.remarks, username || null, id]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Deletes an allotment
+ * @param {number|string} id - Allotment id
+ * @returns {boolean} - False if there is no such allotment
+ * Dependencies: db.js (pool)
+ */
+async function deleteAllotment(id) {
+    const [result] = await pool.query("DELETE FROM budget_allotments WHERE id = ?", [id]);
+    return result.affectedRows > 0;
+}
+
+/**
+ * Sums supply order values (committed) and bill values (actual) of a financial year per code head,
+ * expenditure head and R/C
+ * An order carried into a later year commits there only, and bills take their heads from its latest copy.
+ * @param {string} financialYear - Financial year
+ * @returns {Object} - { committed: Map, actual: Map } of budgetKey() -> { code_head, expenditure_head, rev_cap, amount }
+ * Dependencies: db.js (pool)
+ */
+async function getSpendByHead(financialYear) {
+    const [committedRows] = await pool.query(
+        `SELECT COALESCE(TRIM(d.code_head), '') as code_head, COALESCE(TRIM(s.expenditure_head), '') as expenditure_head,
+                s.rev_cap, SUM(${SUPPLY_AMOUNT_SQL}) as amount
+         FROM supply_orders s
+         LEFT JOIN (${DEMAND_CODE_HEADS_SQL}) d ON d.imms_demand_no = s.imms_demand_no
+         WHERE s.financial_year = ? AND s.deleted_at IS NULL AND ${liveCondition("s.")}
+           AND NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = s.id AND c.deleted_at IS NULL)
+         GROUP BY 1, 2, 3`,
+        [financialYear]
+    );
+    const [actualRows] = await pool.query(
+        `SELECT COALESCE(TRIM(d.code_head), '') as code_head, COALESCE(TRIM(s.expenditure_head), '') as expenditure_head,
+                b.rev_cap, SUM(${BILL_AMOUNT_SQL}) as amount
+         FROM bill_orders b
+         LEFT JOIN (
+             SELECT supply_order_no, MAX(expenditure_head) as expenditure_head, MAX(imms_demand_no) as imms_demand_no
+             FROM supply_orders WHERE deleted_at IS NULL AND ${liveCondition()}
+               AND NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = supply_orders.id AND c.deleted_at IS NULL)
+             GROUP BY supply_order_no
+         ) s ON s.supply_order_no = b.supply_order_no
+         LEFT JOIN (${DEMAND_CODE_HEADS_SQL}) d ON d.imms_demand_no = s.imms_demand_no
+         WHERE b.financial_year = ? AND b.deleted_at IS NULL AND ${liveCondition("b.")}
+         GROUP BY 1, 2, 3`,
+        [financialYear]
+    );
+    const toMap = (rows) => new Map(rows.map((row) => [budgetKey(row), { ...row, amount: roundMoney(row.amount) }]));
+    return { committed: toMap(committedRows), actual: toMap(actualRows) };
+}
+
+function addToTotals(totals, line) {
+    for (const field of ["allotted", "committed", "actual"]) {
+        totals[field] = roundMoney(totals[field] + line[field]);
+    }
+    totals.available = roundMoney(totals.allotted - totals.committed);
+}
+
+/**
+ * Budget against commitment and expenditure for a financial year
+ * @param {string} financialYear - Financial year
+ * @returns {Object} - { financialYear, lines, unallotted, totals: { R, C, all } }; each line has allotted, committed,
+ *                     actual, available (allotted - committed), utilisation (% of allotted spent) and overCommitted
+ * Used by: server.js budget report endpoint, getBudgetWarnings()
+ * Dependencies: db.js (pool)
+ */
+async function getBudgetReport(financialYear) {
+    const [allotments, spend] = await Promise.all([getAllotments(financialYear), getSpendByHead(financialYear)]);
+    const emptyTotals = () => ({ allotted: 0, committed: 0, actual: 0, available: 0 });
+    const totals = { R: emptyTotals(), C: emptyTotals(), all: emptyTotals() };
+
+    const allottedKeys = new Set();
+    const lines = allotments.map((allotment) => {
+        const key = budgetKey(allotment);
+        allottedKeys.add(key);
+        const committed = (spend.committed.get(key) || {}).amount || 0;
+        const actual = (spend.actual.get(key) || {}).amount || 0;
+        const line = {
+            id: allotment.id,
+            code_head: allotment.code_head,
+            expenditure_head: allotment.expenditure_head,
+            rev_cap: allotment.rev_cap,
+            allotted: allotment.amount,
+            committed,
+            actual,
+            available: roundMoney(allotment.amount - committed),
+            utilisation: allotment.amount > 0 ? roundMoney((actual / allotment.amount) * 100) : null,
+            overCommitted: committed > allotment.amount,
+            remarks: allotment.remarks,
+        };
+        addToTotals(totals[line.rev_cap], line);
+        addToTotals(totals.all, line);
+        return line;
+    });
+
+    // Spend under heads nobody allotted budget to
+    const unallotted = new Map();
+    for (const [field, amounts] of [["committed", spend.committed], ["actual", spend.actual]]) {
+        for (const [key, entry] of amounts) {
+            if (allottedKeys.has(key)) continue;
+            if (!unallotted.has(key)) {
+                unallotted.set(key, { code_head: entry.code_head, expenditure_head: entry.expenditure_head, rev_cap: entry.rev_cap, committed: 0, actual: 0 });
+            }
+            unallotted.get(key)[field] = entry.amount;
+        }
+    }
+
+    return { financialYear, lines, unallotted: Array.from(unallotted.values()), totals };
+}
+
+/**
+ * Heads a supply order or bill is booked under
+ * @param {string} type - "supply" or "bill"
+ * @param {Object} values - Record values
+ * @returns {Object|null} - { code_head, expenditure_head, rev_cap }, or null for other registers
+ */
+async function getRecordHeads(type, values) {
+    if (type === "supply") {
+        let codeHead = "";
+        if (values.imms_demand_no) {
+            const [rows] = await pool.query(`SELECT code_head FROM (${DEMAND_CODE_HEADS_SQL}) d WHERE d.imms_demand_no = ?`, [values.imms_demand_no]);
+            codeHead = rows[0] ? rows[0].code_head : "";
+        }
+        return { code_head: codeHead, expenditure_head: values.expenditure_head, rev_cap: values.rev_cap };
+    }
+    if (type === "bill") {
+        const [rows] = await pool.query(
+            `SELECT s.expenditure_head, d.code_head
+             FROM supply_orders s LEFT JOIN (${DEMAND_CODE_HEADS_SQL}) d ON d.imms_demand_no = s.imms_demand_no
+             WHERE s.supply_order_no = ? AND s.deleted_at IS NULL LIMIT 1`,
+            [values.supply_order_no]
+        );
+        return { code_head: rows[0] ? rows[0].code_head : "", expenditure_head: rows[0] ? rows[0].expenditure_head : "", rev_cap: values.rev_cap };
+    }
+    return null;
+}
+
+function describeHeads(line) {
+    return [line.code_head, line.expenditure_head].filter(Boolean).join(" / ") + ` (${line.rev_cap})`;
+}
+
+/**
+ * Warnings for a saved supply order, bill or allotment whose budget line is over-committed or overspent
+ * Saves are not refused; the warnings are returned to the client to show.
+ * @param {string} type - "supply", "bill" or "allotment"
+ * @param {Object} values - Saved record values (an allotment for "allotment")
+ * @param {string} financialYear - Financial year
+ * @returns {Array} - Warning messages
+ * Used by: server.js register create/update and budget allotment endpoints
+ * Dependencies: db.js (pool)
+ */
+async function getBudgetWarnings(type, values, financialYear) {
+    try {
+        const heads = type === "allotment" ? values : await getRecordHeads(type, values);
+        if (!heads || !heads.rev_cap) return [];
+
+        const report = await getBudgetReport(financialYear);
+        // Years without allotments do not use the budget register
+        if (report.lines.length === 0) return [];
+
+        const key = budgetKey(heads);
+        const line = report.lines.find((entry) => budgetKey(entry) === key);
+        if (!line) {
+            return type === "allotment" ? [] : [`No budget is allotted to ${describeHeads(heads)} for ${financialYear}`];
+        }
+
+        const warnings = [];
+        if (line.overCommitted) {
+            warnings.push(`Supply orders commit ${line.committed} against ${describeHeads(line)}, over its allotment of ${line.allotted} by ${roundMoney(line.committed - line.allotted)}`);
+        }
+        if (line.actual > line.allotted) {
+            warnings.push(`Bills of ${line.actual} against ${describeHeads(line)} exceed its allotment of ${line.allotted}`);
+        }
+        return warnings;
+    } catch (error) {
+        // A failed budget check must never fail the save it follows
+        console.error("Error checking budget:", error);
+        return [];
+    }
+}
+
+module.exports = {
+    initializeBudgetTables,
+    parseAllotmentInput,
+    getAllotments,
+    saveAllotment,
+    updateAllotment,
+    deleteAllotment,
+    getBudgetReport,
+    getBudgetWarnings,
+};
@@ -0,0 +1,373 @@
+const pool = require("./db");
+const { scheduleDaily, getScheduledJob } = require("./scheduler");
+const { DELIVERED_VALUES, getDueDate } = require("./lifecycle");
+
+/**
+ * Delivery alerts on supply orders
+ * An undelivered supply order (no actual delivery date and delivery_done not Yes/Completed) raises a "due_soon"
+ * alert when its latest delivery date (original or revised) is within DELIVERY_ALERT_DAYS, and an "overdue" alert
+ * once that date has passed. Alerts are stored per supply order, type and due date, so a revised date raises a
+ * fresh alert while an acknowledgement sticks to the date it was given for. Alerts whose order is delivered,
+ * deleted or re-dated are resolved. Evaluation runs on startup, after supply order writes and daily at
+ * DELIVERY_ALERT_TIME, which also sends the digest of open alerts through the configured transport.
+ */
+
+/**
+ * Alert configuration, read from the environment (.env)
+ * DELIVERY_ALERT_DAYS    - days before the due date an order is "due soon" (default 5)
+ * DELIVERY_ALERT_TIME    - time of day of the daily evaluation and digest, "HH:MM" server local time (default 07:00)
+ * DIGEST_TRANSPORT       - "smtp", "log" or "none" (default smtp when SMTP_HOST is set, otherwise log)
+ * DIGEST_FROM, DIGEST_TO - sender and comma separated recipients of the digest (smtp without recipients falls back to log)
+ * SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS - SMTP server (a local mail catcher listens on port 1025)
+ */
+const alertConfig = {
+    dueWithinDays: parseInt(process.env.DELIVERY_ALERT_DAYS || "5", 10),
+    time: process.env.DELIVERY_ALERT_TIME || "07:00",
+    transport: process.env.DIGEST_TRANSPORT || (process.env.SMTP_HOST ? "smtp" : "log"),
+    from: process.env.DIGEST_FROM || "register@localhost",
+    to: (process.env.DIGEST_TO || "").split(",").map((address) => address.trim()).filter(Boolean),
+    smtp: {
+        host: process.env.SMTP_HOST || "localhost",
+        port: parseInt(process.env.SMTP_PORT || "1025", 10),
+        secure: process.env.SMTP_SECURE === "true",
+        user: process.env.SMTP_USER || null,
+        pass: process.env.SMTP_PASS || null,
+    },
+};
+
+// Digest transports by name: factory(config) => { send({ from, to, subject, text, html }) }
+const digestTransports = {
+    smtp: (config) => {
+        const nodemailer = require("nodemailer");
+        const transporter = nodemailer.createTransport({
+            host: config.smtp.host,
+            port: config.smtp.port,
+            secure: config.smtp.secure,
+            auth: config.smtp.user ? { user: config.smtp.user, pass: config.smtp.pass } : undefined,
+        });
+        return { send: (message) => transporter.sendMail(message) };
+    },
+    log: () => ({
+        send: async (message) => console.log(`Delivery digest (not mailed): ${message.subject}\n${message.text}`),
+    }),
+    none: () => ({ send: async () => {} }),
+};
+
+let digestTransport = null;
+let lastEvaluation = null;
+let lastDigest = null;
+
+// Evaluations run one after another, so a supply order write and the schedule cannot raise the same alert twice
+let evaluationQueue = Promise.resolve();
+
+/**
+ * Creates the delivery_alerts table
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeDeliveryAlerts() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS delivery_alerts (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                supply_order_id INT NOT NULL,
+                financial_year VARCHAR(20) NOT NULL,
+                supply_order_no VARCHAR(255),
+                firm_name VARCHAR(255),
+                alert_type ENUM('due_soon', 'overdue') NOT NULL,
+                due_date DATE NOT NULL,
+                raised_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                acknowledged_by VARCHAR(50) NULL,
+                acknowledged_at TIMESTAMP NULL,
+                acknowledge_note TEXT NULL,
+                resolved_at TIMESTAMP NULL,
+                UNIQUE KEY uniq_delivery_alert (supply_order_id, alert_type, due_date),
+                INDEX idx_delivery_alert_open (resolved_at, financial_year)
+            )
+        `);
+        console.log("Delivery alerts table initialized");
+    } catch (error) {
+        console.error("Error initializing delivery alerts table:", error);
+    }
+}
+
+/**
+ * Adds or replaces a digest transport
+ * @param {string} name - Name DIGEST_TRANSPORT selects it by
+ * @param {Function} factory - (alertConfig) => { send(message) }
+ */
+function registerDigestTransport(name, factory) {
+    digestTransports[name] = factory;
+    if (name === alertConfig.transport) {
+        digestTransport = null;
+    }
+}
+
+function getDigestTransport() {
+    if (!digestTransport) {
+        const factory = digestTransports[alertConfig.transport];
+        if (!factory) {
+            throw new Error(`Unknown digest transport "${alertConfig.transport}"`);
+        }
+        digestTransport = factory(alertConfig);
+    }
+    return digestTransport;
+}
+
+function formatLocalDate(date) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to) - Date.parse(from)) / (24 * 60 * 60 * 1000));
+}
+
+/**
+ * Works out which alert each undelivered supply order should have today
+ * @param {Array} orders - Undelivered supply orders with dates as YYYY-MM-DD
+ * @param {string} today - YYYY-MM-DD
+ * @returns {Array} - [{ supply_order_id, financial_year, supply_order_no, firm_name, alert_type, due_date, days_remaining }]
+ */
+function computeAlerts(orders, today) {
+    const alerts = [];
+    for (const order of orders) {
+        const dueDate = getDueDate(order);
+        if (!dueDate) continue;
+        const daysRemaining = daysBetween(today, dueDate);
+        if (daysRemaining > alertConfig.dueWithinDays) continue;
+        alerts.push({
+            supply_order_id: order.id,
+            financial_year: order.financial_year,
+            supply_order_no: order.supply_order_no,
+            firm_name: order.firm_name,
+            alert_type: daysRemaining < 0 ? "overdue" : "due_soon",
+            due_date: dueDate,
+            days_remaining: daysRemaining,
+        });
+    }
+    return alerts;
+}
+
+const alertKey = (alert) => `${alert.supply_order_id}|${alert.alert_type}|${alert.due_date}`;
+
+// An order carried forward into a new financial year is followed through its copy; the original raises no alerts
+async function runEvaluation() {
+    const [orders] = await pool.query(
+        `SELECT id, financial_year, supply_order_no, firm_name,
+                DATE_FORMAT(original_date, '%Y-%m-%d') as original_date, DATE_FORMAT(revised_date1, '%Y-%m-%d') as revised_date1,
+                DATE_FORMAT(revised_date2, '%Y-%m-%d') as revised_date2, DATE_FORMAT(revised_date3, '%Y-%m-%d') as revised_date3
+         FROM supply_orders
+         WHERE deleted_at IS NULL AND actual_delivery_date IS NULL
+           AND (delivery_done IS NULL OR delivery_done NOT IN (?))
+           AND NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = supply_orders.id AND c.deleted_at IS NULL)`,
+        [DELIVERED_VALUES]
+    );
+    const current = computeAlerts(orders, formatLocalDate(new Date()));
+
+    const [open] = await pool.query(
+        `SELECT id, supply_order_id, alert_type, DATE_FORMAT(due_date, '%Y-%m-%d') as due_date
+         FROM delivery_alerts WHERE resolved_at IS NULL`
+    );
+    const openKeys = new Set(open.map(alertKey));
+    const currentKeys = new Set(current.map(alertKey));
+
+    if (current.length > 0) {
+        // A resolved alert that applies again (e.g. a delivery was undone) is reopened with its acknowledgement
+        await pool.query(
+            `INSERT INTO delivery_alerts (supply_order_id, financial_year, supply_order_no, firm_name, alert_type, due_date)
+             VALUES ?
+             ON DUPLICATE KEY UPDATE resolved_at = NULL, financial_year = VALUES(financial_year),
+                 supply_order_no = VALUES(supply_order_no), firm_name = VALUES(firm_name)`,
+            [current.map((alert) => [
+                alert.supply_order_id, alert.financial_year, alert.supply_order_no, alert.firm_name, alert.alert_type, alert.due_date,
+            ])]
+        );
+    }
+    const resolvedIds = open.filter((alert) => !currentKeys.has(alertKey(alert))).map((alert) => alert.id);
+    if (resolvedIds.length > 0) {
+        await pool.query("UPDATE delivery_alerts SET resolved_at = NOW() WHERE id IN (?)", [resolvedIds]);
+    }
+
+    const raised = current.filter((alert) => !openKeys.has(alertKey(alert)));
+    lastEvaluation = { at: new Date().toISOString(), open: current.length, raised: raised.length, resolved: resolvedIds.length };
+    return { raised, resolved: resolvedIds.length, open: current.length };
+}
+
+/**
+ * Raises, reopens and resolves delivery alerts from the supply orders as they are now
+ * @returns {Object} - { raised: [new alerts], resolved: count, open: count }
+ * Used by: server.js (startup, supply order writes, manual run), the daily schedule
+ * Dependencies: db.js (pool)
+ */
+function evaluateDeliveryAlerts() {
+    const evaluation = evaluationQueue.then(runEvaluation);
+    evaluationQueue = evaluation.catch(() => {});
+    return evaluation;
+}
+
+/**
+ * Lists delivery alerts, overdue first, then by due date
+ * @param {Object} filters - { year, status } - status "open" (default), "unacknowledged" or "all"
+ * @returns {Array} - Alert rows with days_remaining
+ * Used by: server.js delivery alert endpoints, sendDeliveryDigest()
+ * Dependencies: db.js (pool)
+ */
+async function listDeliveryAlerts({ year = null, status = "open" } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status === "open" || status === "unacknowledged") {
+        conditions.push("resolved_at IS NULL");
+    }
+    if (status === "unacknowledged") {
+        conditions.push("acknowledged_at IS NULL");
+    }
+    if (year) {
+        conditions.push("financial_year = ?");
+        params.push(year);
+    }
+    const [rows] = await pool.query(
+        `SELECT id, supply_order_id, financial_year, supply_order_no, firm_name, alert_type,
+                DATE_FORMAT(due_date, '%Y-%m-%d') as due_date, raised_at, acknowledged_by, acknowledged_at,
+                acknowledge_note, resolved_at
+         FROM delivery_alerts
+         ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+         ORDER BY resolved_at IS NULL DESC, alert_type = 'overdue' DESC, due_date, id
+         LIMIT 500`,
+        params
+    );
+    const today = formatLocalDate(new Date());
+    return rows.map((row) => ({ ...row, days_remaining: daysBetween(today, row.due_date) }));
+}
+
+/**
+ * Acknowledges an open alert
+ * @param {number|string} id - Alert id
+ * @param {string} username - Session username
+ * @param {string} note - Optional note, e.g. what was done about it
+ * @returns {boolean} - False if the alert does not exist, is resolved or is already acknowledged
+ * Used by: server.js delivery alert acknowledge endpoint
+ * Dependencies: db.js (pool)
+ */
+async function acknowledgeDeliveryAlert(id, username, note) {
+    const [result] = await pool.query(
+        `UPDATE delivery_alerts SET acknowledged_by = ?, acknowledged_at = NOW(), acknowledge_note = ?
+         WHERE id = ? AND resolved_at IS NULL AND acknowledged_at IS NULL`,
+        [username, note ? String(note).trim() : null, id]
+    );
+    return result.affectedRows > 0;
+}
+
+function describeAlert(alert) {
+    const when = alert.days_remaining < 0
+        ? `${-alert.days_remaining} day(s) overdue`
+        : alert.days_remaining === 0 ? "due today" : `due in ${alert.days_remaining} day(s)`;
+    return `${alert.supply_order_no || "(no S.O. number)"} - ${alert.firm_name || "firm not recorded"} (${alert.financial_year}): ${when}, due ${alert.due_date}`;
+}
+
+function escapeHtml(value) {
+    return String(value ?? "").replace(/[&<>"']/g, (char) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[char]);
+}
+
+/**
+ * Builds the digest of open alerts
+ * @param {Array} alerts - listDeliveryAlerts() rows
+ * @returns {Object} - { subject, text, html }
+ */
+function buildDigest(alerts) {
+    const today = formatLocalDate(new Date());
+    const overdue = alerts.filter((alert) => alert.alert_type === "overdue");
+    const dueSoon = alerts.filter((alert) => alert.alert_type === "due_soon");
+    const section = (title, entries) => ({
+        text: entries.length
+            ? `${title}\n${entries.map((alert) => `  - ${describeAlert(alert)}${alert.acknowledged_by ? ` [acknowledged by ${alert.acknowledged_by}]` : ""}`).join("\n")}`
+            : "",
+        html: entries.length
+            ? `<h3>${title}</h3><ul>${entries.map((alert) => `<li>${escapeHtml(describeAlert(alert))}${alert.acknowledged_by ? ` <em>acknowledged by ${escapeHtml(alert.acknowledged_by)}</em>` : ""}</li>`).join("")}</ul>`
+            : "",
+    });
+    const sections = [section("Overdue", overdue), section(`Due within ${alertConfig.dueWithinDays} days`, dueSoon)];
+    return {
+        subject: `Delivery alerts ${today}: ${overdue.length} overdue, ${dueSoon.length} due soon`,
+        text: sections.map((entry) => entry.text).filter(Boolean).join("\n\n"),
+        html: sections.map((entry) => entry.html).join(""),
+    };
+}
+
+/**
+ * Sends the digest of open alerts through the configured transport; nothing is sent when there are none
+ * @returns {Object} - { sent, count }
+ * Used by: the daily schedule, server.js manual digest endpoint
+ */
+async function sendDeliveryDigest() {
+    const alerts = await listDeliveryAlerts({ status: "open" });
+    if (alerts.length === 0) {
+        lastDigest = { at: new Date().toISOString(), sent: false, count: 0 };
+        return { sent: false, count: 0 };
+    }
+    try {
+        await getDigestTransport().send({ from: alertConfig.from, to: alertConfig.to.join(", "), ...buildDigest(alerts) });
+        lastDigest = { at: new Date().toISOString(), sent: true, count: alerts.length };
+        return { sent: true, count: alerts.length };
+    } catch (error) {
+        lastDigest = { at: new Date().toISOString(), sent: false, count: alerts.length, error: error.message };
+        throw error;
+    }
+}
+
+/**
+ * Evaluates the alerts now and schedules the daily evaluation and digest
+ * A digest mailed to nobody would fail every day, so smtp without DIGEST_TO logs the digest instead.
+ * @param {Function} onEvaluated - Called with every evaluateDeliveryAlerts() result, e.g. to push new alerts
+ * Used by: server.js on startup
+ */
+async function startDeliveryAlertScheduler(onEvaluated) {
+    if (alertConfig.transport === "smtp" && alertConfig.to.length === 0) {
+        console.warn("WARNING: DIGEST_TO is not set; the delivery digest is logged instead of mailed");
+        alertConfig.transport = "log";
+        digestTransport = null;
+    }
+    const evaluate = async () => onEvaluated(await evaluateDeliveryAlerts());
+    try {
+        await evaluate();
+    } catch (error) {
+        console.error("Error evaluating delivery alerts:", error);
+    }
+
+    scheduleDaily("delivery-alerts", alertConfig.time, async () => {
+        await evaluate();
+        await sendDeliveryDigest();
+    });
+    const job = getScheduledJob("delivery-alerts");
+    console.log(`Delivery alerts scheduled daily at ${alertConfig.time}, next run ${job.nextRunAt.toLocaleString()}`);
+}
+
+/**
+ * Reports the schedule, transport and last runs
+ * @returns {Object} - { schedule, dueWithinDays, transport, recipients, lastEvaluation, lastDigest }
+ * Used by: server.js delivery alert status endpoint
+ */
+function getDeliveryAlertStatus() {
+    const job = getScheduledJob("delivery-alerts");
+    return {
+        schedule: { time: alertConfig.time, nextRunAt: job ? job.nextRunAt : null },
+        dueWithinDays: alertConfig.dueWithinDays,
+        transport: alertConfig.transport,
+        recipients: alertConfig.to,
+        lastEvaluation,
+        lastDigest,
+    };
+}
+
+module.exports = {
+    initializeDeliveryAlerts,
+    registerDigestTransport,
+    computeAlerts,
+    evaluateDeliveryAlerts,
+    listDeliveryAlerts,
+    acknowledgeDeliveryAlert,
+    buildDigest,
+    sendDeliveryDigest,
+    startDeliveryAlertScheduler,
+    getDeliveryAlertStatus,
+};
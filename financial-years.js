@@ -0,0 +1,376 @@
+const pool = require("./db");
+const { REGISTERS, REGISTER_TABLES } = require("./registers");
+const { DELIVERED_VALUES } = require("./lifecycle");
+const { lockSerials } = require("./serials");
+const { recordAudit } = require("./audit");
+const { scheduleDaily, getScheduledJob } = require("./scheduler");
+const { liveCondition } = require("./register-engine");
+const { submitForApproval } = require("./approvals");
+
+/**
+ * Financial years (April to March, written "2025-2026"): which years exist, whether they are open or closed,
+ * and the year-end rollover. Rows still carry financial_year as a string; the financial_years table only adds
+ * a status per year. A year that is not in the table yet is open.
+ * Rollover copies the supply orders a year leaves unfinished into the next year - orders not yet delivered,
+ * and delivered orders that have no bill - each copy pointing back at its original through carried_from_id.
+ * Environment:
+ * FINANCIAL_YEAR_JOB_TIME - "HH:MM" of the daily job that adds the current year to the table (default 00:15)
+ * FINANCIAL_YEAR_AUTO_ROLLOVER - "true" to have that job roll the previous year over once the new year starts
+ */
+
+const yearConfig = {
+    time: process.env.FINANCIAL_YEAR_JOB_TIME || "00:15",
+    autoRollover: process.env.FINANCIAL_YEAR_AUTO_ROLLOVER === "true",
+};
+
+const YEAR_PATTERN = /^(\d{4})-(\d{4})$/;
+
+// Columns a carried forward supply order copies from its original besides the register columns; only approved
+// and unflagged orders are carried, so a copy never sits in "pending" without an approval request
+const CARRIED_COLUMNS = ["approval_status"];
+
+let lastRollover = null;
+
+/**
+ * Creates the financial_years table and the carried_from_id column of supply orders, and records every year
+ * the registers already use plus the current year
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeFinancialYears() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS financial_years (
+                year VARCHAR(20) PRIMARY KEY,
+                start_date DATE NOT NULL,
+                end_date DATE NOT NULL,
+                status ENUM('open', 'closed') NOT NULL DEFAULT 'open',
+                closed_by VARCHAR(50),
+                closed_at TIMESTAMP NULL,
+                rolled_over_to VARCHAR(20),
+                rolled_over_by VARCHAR(50),
+                rolled_over_at TIMESTAMP NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+        try {
+            await pool.query(
+                "ALTER TABLE supply_orders ADD COLUMN carried_from_id INT NULL, ADD INDEX idx_supply_orders_carried_from (carried_from_id)"
+            );
+        } catch (error) {
+            if (error.code !== "ER_DUP_FIELDNAME") throw error;
+        }
+        await ensureFinancialYears([...(await getDataYears()), currentFinancialYear()]);
+        console.log("Financial years table initialized");
+    } catch (error) {
+        console.error("Error initializing financial years table:", error);
+    }
+}
+
+/**
+ * Checks a financial year is written as two consecutive years, e.g. "2025-2026"
+ * @param {string} year - Financial year
+ * @returns {boolean}
+ */
+function isValidFinancialYear(year) {
+    const match = YEAR_PATTERN.exec(String(year || ""));
+    return Boolean(match) && Number(match[2]) === Number(match[1]) + 1;
+}
+
+/**
+ * Financial year a date falls in; April starts a new year
+ * @param {Date} date - Defaults to now
+ * @returns {string} - e.g. "2025-2026"
+ */
+function currentFinancialYear(date = new Date()) {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${startYear + 1}`;
+}
+
+/**
+ * Financial year that follows or precedes another by a number of years
+ * @param {string} year - Valid financial year
+ * @param {number} offset - 1 for the next year, -1 for the previous one
+ * @returns {string}
+ */
+function shiftFinancialYear(year, offset) {
+    const startYear = Number(YEAR_PATTERN.exec(year)[1]) + offset;
+    return `${startYear}-${startYear + 1}`;
+}
+
+// Distinct financial years of the live rows of every register
+async function getDataYears() {
+    const [rows] = await pool.query(
+        Object.values(REGISTER_TABLES)
+            .map((table) => `SELECT DISTINCT financial_year FROM ${table} WHERE financial_year IS NOT NULL AND deleted_at IS NULL`)
+            .join(" UNION ")
+    );
+    return rows.map((row) => row.financial_year);
+}
+
+/**
+ * Adds years that are not in the financial_years table yet, as open years
+ * Strings that are not valid financial years are left out
+ * @param {Array} years - Financial years
+ * Dependencies: db.js (pool)
+ */
+async function ensureFinancialYears(years) {
+    const valid = [...new Set(years)].filter(isValidFinancialYear);
+    if (valid.length === 0) return;
+    await pool.query(
+        "INSERT IGNORE INTO financial_years (year, start_date, end_date) VALUES ?",
+        [valid.map((year) => [year, `${year.slice(0, 4)}-04-01`, `${year.slice(5)}-03-31`])]
+    );
+}
+
+/**
+ * Lists the financial years, newest first, with their status and how many live records each register has
+ * Years the registers use that are not in the table are listed as open
+ * @returns {Array} - [{ year, status, closed_by, closed_at, rolled_over_to, rolled_over_by, rolled_over_at, current, records: { type: count } }]
+ * Used by: server.js financial year endpoints
+ * Dependencies: db.js (pool)
+ */
+async function listFinancialYears() {
+    const [years] = await pool.query(
+        `SELECT year, DATE_FORMAT(start_date, '%Y-%m-%d') as start_date, DATE_FORMAT(end_date, '%Y-%m-%d') as end_date,
+                status, closed_by, closed_at, rolled_over_to, rolled_over_by, rolled_over_at
+         FROM financial_years`
+    );
+    const [counts] = await pool.query(
+        Object.entries(REGISTER_TABLES)
+            .map(([type, table]) => `SELECT '${type}' as type, financial_year, COUNT(*) as records FROM ${table} WHERE deleted_at IS NULL GROUP BY financial_year`)
+            .join(" UNION ALL ")
+    );
+
+    const byYear = new Map(years.map((row) => [row.year, { ...row, records: {} }]));
+    counts.forEach((row) => {
+        if (!row.financial_year) return;
+        if (!byYear.has(row.financial_year)) {
+            byYear.set(row.financial_year, {
+                year: row.financial_year, start_date: null, end_date: null, status: "open",
+                closed_by: null, closed_at: null, rolled_over_to: null, rolled_over_by: null, rolled_over_at: null, records: {},
+            });
+        }
+        byYear.get(row.financial_year).records[row.type] = Number(row.records);
+    });
+
+    const current = currentFinancialYear();
+    return [...byYear.values()]
+        .map((year) => ({ ...year, current: year.year === current }))
+        .sort((a, b) => b.year.localeCompare(a.year));
+}
+
+/**
+ * Returns the years of a list that are closed
+ * @param {Array} years - Financial years; blanks are ignored
+ * @returns {Array} - The closed ones
+ * Used by: server.js checkClosedYears()
+ * Dependencies: db.js (pool)
+ */
+async function getClosedYears(years) {
+    const wanted = [...new Set(years.filter(Boolean))];
+    if (wanted.length === 0) return [];
+    const [rows] = await pool.query(
+        "SELECT year FROM financial_years WHERE status = 'closed' AND year IN (?)",
+        [wanted]
+    );
+    return rows.map((row) => row.year);
+}
+
+/**
+ * Closes or reopens a financial year
+ * Rows of a closed year are read-only except for users with the edit_closed_year permission
+ * @param {string} year - Financial year
+ * @param {string} status - "open" or "closed"
+ * @param {string} username - Who changed it
+ * @returns {Object} - { year, status } or { error, status }
+ * Used by: server.js financial year close and reopen endpoints
+ * Dependencies: db.js (pool)
+ */
+async function setFinancialYearStatus(year, status, username) {
+    if (!isValidFinancialYear(year)) {
+        return { error: "Financial year must be written as e.g. 2025-2026", status: 400 };
+    }
+    await ensureFinancialYears([year]);
+    const [result] = await pool.query(
+        status === "closed"
+            ? "UPDATE financial_years SET status = 'closed', closed_by = ?, closed_at = NOW() WHERE year = ? AND status = 'open'"
+            : "UPDATE financial_years SET status = 'open', closed_by = NULL, closed_at = NULL WHERE year = ? AND status = 'closed'",
+        status === "closed" ? [username, year] : [year]
+    );
+    if (result.affectedRows === 0) {
+        return { error: `Financial year ${year} is already ${status}`, status: 409 };
+    }
+    return { year, status };
+}
+
+/**
+ * Supply orders of a year that are unfinished and not carried forward yet
+ * Undelivered: no actual delivery date and not marked delivered. Unbilled: delivered, with a supply order
+ * number that no live bill refers to. Pending and rejected orders wait until they are approved.
+ */
+async function getCarryForwardCandidates(connection, year) {
+    const register = REGISTERS.supply;
+    const columns = register.columns.map((column) =>
+        column.type === "date" ? `DATE_FORMAT(s.${column.name}, '%Y-%m-%d') as ${column.name}` : `s.${column.name}`
+    );
+    const [rows] = await connection.query(
+        `SELECT s.id, ${columns.join(", ")}, ${CARRIED_COLUMNS.map((column) => `s.${column}`).join(", ")},
+                (s.actual_delivery_date IS NULL AND (s.delivery_done IS NULL OR s.delivery_done NOT IN (?))) as undelivered
+         FROM supply_orders s
+         WHERE s.financial_year = ? AND s.deleted_at IS NULL AND ${liveCondition("s.")}
+           AND NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = s.id AND c.deleted_at IS NULL)
+           AND (
+               (s.actual_delivery_date IS NULL AND (s.delivery_done IS NULL OR s.delivery_done NOT IN (?)))
+               OR (s.supply_order_no IS NOT NULL AND s.supply_order_no <> ''
+                   AND NOT EXISTS (SELECT 1 FROM bill_orders b WHERE b.supply_order_no = s.supply_order_no AND b.deleted_at IS NULL))
+           )
+         ORDER BY s.serial_no`,
+        [DELIVERED_VALUES, year, DELIVERED_VALUES]
+    );
+    return rows;
+}
+
+/**
+ * Carries the unfinished supply orders of a year forward into the next year, in one transaction
+ * Each copy gets the next serial number of the new year and carried_from_id pointing at its original; the
+ * original stays as it was. An unflagged copy that an approval rule now matches is submitted in the same transaction. Orders that already have a live copy are skipped, so a rollover can be run again
+ * after more orders were added to the old year.
+ * @param {string} fromYear - Year to roll over
+ * @param {string|null} toYear - Year to carry into; defaults to the year after fromYear
+ * @param {string} username - Who ran the rollover
+ * @returns {Object} - { from_year, to_year, carried: [{ id, carried_from_id, serial_no, reason, values }], undelivered, unbilled }
+ *                     or { error, status }
+ * Used by: server.js rollover endpoint, startFinancialYearScheduler()
+ * Dependencies: db.js (pool), serials.js (lockSerials), audit.js (recordAudit), approvals.js (submitForApproval)
+ */
+async function rolloverFinancialYear(fromYear, toYear, username) {
+    if (!isValidFinancialYear(fromYear)) {
+        return { error: "Financial year must be written as e.g. 2025-2026", status: 400 };
+    }
+    const targetYear = toYear || shiftFinancialYear(fromYear, 1);
+    if (!isValidFinancialYear(targetYear) || targetYear <= fromYear) {
+        return { error: "The year to carry into must be a later financial year", status: 400 };
+    }
+    await ensureFinancialYears([fromYear, targetYear]);
+    if ((await getClosedYears([targetYear])).length > 0) {
+        return { error: `Financial year ${targetYear} is closed; reopen it before carrying orders into it`, status: 409 };
+    }
+
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const candidates = await getCarryForwardCandidates(connection, fromYear);
+        let serialNo = await lockSerials(connection, "supply_orders", targetYear);
+
+        const carried = [];
+        for (const original of candidates) {
+            const { id: originalId, undelivered, ...copied } = original;
+            const values = { ...copied, serial_no: ++serialNo, financial_year: targetYear, carried_from_id: originalId };
+            const columns = Object.keys(values);
+            const [result] = await connection.query(
+                `INSERT INTO supply_orders (${columns.join(", ")}) VALUES (?)`,
+                [columns.map((column) => values[column])]
+            );
+            await recordAudit({
+                tableName: "supply_orders",
+                recordId: result.insertId,
+                action: "create",
+                before: null,
+                after: { id: result.insertId, ...values },
+                username,
+            }, connection);
+            carried.push({
+                id: result.insertId,
+                carried_from_id: originalId,
+                serial_no: values.serial_no,
+                reason: undelivered ? "undelivered" : "unbilled",
+                values,
+            });
+        }
+
+        await submitForApproval("supply", carried.map((entry) => ({ after: { ...entry.values, id: entry.id }, before: null })), username, connection);
+
+        await connection.query(
+            "UPDATE financial_years SET rolled_over_to = ?, rolled_over_by = ?, rolled_over_at = NOW() WHERE year = ?",
+            [targetYear, username, fromYear]
+        );
+        await connection.commit();
+
+        const summary = {
+            from_year: fromYear,
+            to_year: targetYear,
+            carried,
+            undelivered: carried.filter((entry) => entry.reason === "undelivered").length,
+            unbilled: carried.filter((entry) => entry.reason === "unbilled").length,
+        };
+        lastRollover = { at: new Date().toISOString(), from_year: fromYear, to_year: targetYear, carried: carried.length, username };
+        return summary;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Adds the current year to the table now and daily; with FINANCIAL_YEAR_AUTO_ROLLOVER the daily job also
+ * rolls the previous year over once, the first time it runs in the new year
+ * @param {Function} onRolledOver - Called with every rolloverFinancialYear() summary, e.g. to run write hooks
+ * Used by: server.js on startup
+ */
+async function startFinancialYearScheduler(onRolledOver) {
+    const run = async () => {
+        const current = currentFinancialYear();
+        const previous = shiftFinancialYear(current, -1);
+        await ensureFinancialYears([previous, current]);
+        if (!yearConfig.autoRollover) return;
+
+        const [rows] = await pool.query("SELECT rolled_over_at FROM financial_years WHERE year = ?", [previous]);
+        if (rows.length > 0 && !rows[0].rolled_over_at) {
+            const summary = await rolloverFinancialYear(previous, current, "system");
+            if (!summary.error) {
+                console.log(`Financial year ${previous} rolled over: ${summary.carried.length} supply orders carried into ${current}`);
+                await onRolledOver(summary);
+            }
+        }
+    };
+    try {
+        await run();
+    } catch (error) {
+        console.error("Error running the financial year job:", error);
+    }
+
+    scheduleDaily("financial-years", yearConfig.time, run);
+    const job = getScheduledJob("financial-years");
+    console.log(`Financial year job scheduled daily at ${yearConfig.time}, next run ${job.nextRunAt.toLocaleString()}`);
+}
+
+/**
+ * Reports the schedule and the last rollover since startup
+ * @returns {Object} - { schedule, autoRollover, currentYear, lastRollover }
+ * Used by: server.js financial year endpoints
+ */
+function getFinancialYearStatus() {
+    return {
+        schedule: getScheduledJob("financial-years"),
+        autoRollover: yearConfig.autoRollover,
+        currentYear: currentFinancialYear(),
+        lastRollover,
+    };
+}
+
+module.exports = {
+    initializeFinancialYears,
+    isValidFinancialYear,
+    currentFinancialYear,
+    shiftFinancialYear,
+    ensureFinancialYears,
+    listFinancialYears,
+    getClosedYears,
+    setFinancialYearStatus,
+    rolloverFinancialYear,
+    startFinancialYearScheduler,
+    getFinancialYearStatus,
+};
@@ -0,0 +1,585 @@
+const pool = require("./db");
+const { DELIVERED_VALUES, getDueDate } = require("./lifecycle");
+const { liveCondition } = require("./register-engine");
+
+/**
+ * Firms master: one record per vendor with its GSTIN, PAN, address and contact details, and the spellings
+ * (aliases) its name is typed under in the registers.
+ * supply_orders and bill_orders keep firm_name as it was typed; firm_id links a row to the firm whose name or alias
+ * normalizes to the same key (see normalizeFirmName), so "Tech Corp" and "Tech Corp." count as one firm.
+ * Links are refreshed after register writes and whenever firms, aliases or merges change what a key points at.
+ */
+
+// Registers that carry a firm_name, and their tables
+const FIRM_TABLES = { supply: "supply_orders", bill: "bill_orders" };
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const PAN_PATTERN = /^[A-Z]{5}\d{4}[A-Z]$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Words that do not tell two firms apart, and spellings of the same word
+const NOISE_WORDS = new Set(["the", "and", "pvt", "private", "ltd", "limited", "co", "company"]);
+const WORD_SPELLINGS = { corporation: "corp", incorporated: "inc", enterprises: "enterprise", industries: "industry", traders: "trader" };
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates the firms and firm_aliases tables and the firm_id link column of supply and bill orders
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeFirms() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS firms (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                gstin VARCHAR(15) NULL,
+                pan VARCHAR(10) NULL,
+                address TEXT,
+                contact_person VARCHAR(255),
+                phone VARCHAR(50),
+                email VARCHAR(255),
+                updated_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_firm_name (name),
+                UNIQUE KEY uniq_firm_gstin (gstin)
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS firm_aliases (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                firm_id INT NOT NULL,
+                alias VARCHAR(255) NOT NULL,
+                alias_key VARCHAR(255) NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_firm_alias_key (alias_key),
+                INDEX idx_firm_aliases_firm (firm_id),
+                FOREIGN KEY (firm_id) REFERENCES firms(id) ON DELETE CASCADE
+            )
+        `);
+        for (const table of Object.values(FIRM_TABLES)) {
+            try {
+                await pool.query(`ALTER TABLE ${table} ADD COLUMN firm_id INT NULL, ADD INDEX idx_${table}_firm (firm_id)`);
+            } catch (error) {
+                if (error.code !== "ER_DUP_FIELDNAME") throw error;
+            }
+        }
+        console.log("Firm tables initialized");
+    } catch (error) {
+        console.error("Error initializing firm tables:", error);
+    }
+}
+
+/**
+ * Key two spellings of the same firm share: lower case, punctuation and M/s dropped, "Pvt. Ltd." and similar
+ * words ignored, so "M/s Tech Corp Pvt. Ltd." and "TECH CORP" both give "tech corp"
+ * @param {string} name - Firm name as typed
+ * @returns {string} - Key, or "" for a blank name
+ */
+function normalizeFirmName(name) {
+    const text = String(name || "")
+        .toLowerCase()
+        .replace(/&/g, " and ")
+        .replace(/^\s*(m\s*\/\s*s|messrs)\.?\s+/, "")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim();
+    const words = text.split(" ").filter(Boolean).map((word) => WORD_SPELLINGS[word] || word);
+    const significant = words.filter((word) => !NOISE_WORDS.has(word));
+    return (significant.length > 0 ? significant : words).join(" ");
+}
+
+function optionalText(value, maxLength, label) {
+    const text = value === undefined || value === null ? "" : String(value).trim();
+    if (text.length > maxLength) return { error: `${label} can be at most ${maxLength} characters` };
+    return { value: text || null };
+}
+
+/**
+ * Validates a firm sent by the client
+ * @param {Object} body - { name, gstin, pan, address, contact_person, phone, email }
+ * @returns {Object} - { firm } or { error }
+ * Used by: server.js firm endpoints
+ */
+function parseFirmInput(body = {}) {
+    const name = String(body.name || "").replace(/\s+/g, " ").trim();
+    if (!name) return { error: "Firm name is required" };
+    if (name.length > 255) return { error: "Firm name can be at most 255 characters" };
+
+    const gstin = String(body.gstin || "").replace(/\s+/g, "").toUpperCase() || null;
+    if (gstin && !GSTIN_PATTERN.test(gstin)) return { error: "GSTIN must be 15 characters, e.g. 07AABCT1234C1Z5" };
+    const pan = String(body.pan || "").replace(/\s+/g, "").toUpperCase() || null;
+    if (pan && !PAN_PATTERN.test(pan)) return { error: "PAN must be 10 characters, e.g. AABCT1234C" };
+    if (gstin && pan && gstin.slice(2, 12) !== pan) return { error: "The PAN does not match the one in the GSTIN" };
+
+    const firm = { name, gstin, pan: pan || (gstin ? gstin.slice(2, 12) : null) };
+    for (const [field, maxLength, label] of [
+        ["address", 2000, "Address"],
+        ["contact_person", 255, "Contact person"],
+        ["phone", 50, "Phone"],
+        ["email", 255, "Email"],
+    ]) {
+        const parsed = optionalText(body[field], maxLength, label);
+        if (parsed.error) return parsed;
+        firm[field] = parsed.value;
+    }
+    if (firm.email && !EMAIL_PATTERN.test(firm.email)) return { error: "Email is not a valid address" };
+    return { firm };
+}
+
+/**
+ * Lists the firms with their aliases and how many live orders and bills are linked to them
+ * @returns {Array} - [{ id, name, gstin, pan, address, contact_person, phone, email, aliases: [{ id, alias }], orders, bills }]
+ * Used by: server.js firm endpoints, the firm pickers of the registers
+ * Dependencies: db.js (pool)
+ */
+async function listFirms() {
+    const [firms] = await pool.query(
+        `SELECT f.id, f.name, f.gstin, f.pan, f.address, f.contact_person, f.phone, f.email, f.updated_by, f.updated_at,
+                (SELECT COUNT(*) FROM supply_orders s WHERE s.firm_id = f.id AND s.deleted_at IS NULL) as orders,
+                (SELECT COUNT(*) FROM bill_orders b WHERE b.firm_id = f.id AND b.deleted_at IS NULL) as bills
+         FROM firms f ORDER BY f.name`
+    );
+    const [aliases] = await pool.query("SELECT id, firm_id, alias FROM firm_aliases ORDER BY alias");
+    return firms.map((firm) => ({
+        ...firm,
+        aliases: aliases.filter((alias) => alias.firm_id === firm.id && alias.alias !== firm.name).map(({ id, alias }) => ({ id, alias })),
+    }));
+}
+
+async function findFirmByKey(key, connection = pool) {
+    const [rows] = await connection.query(
+        "SELECT f.id, f.name FROM firm_aliases a JOIN firms f ON f.id = a.firm_id WHERE a.alias_key = ?",
+        [key]
+    );
+    return rows[0] || null;
+}
+
+// Adds an alias unless its key is already taken; an alias of another firm is an error, one of the same firm is a no-op
+async function insertAlias(connection, firmId, alias) {
+    const key = normalizeFirmName(alias);
+    if (!key) return { error: "The alias is blank" };
+    const owner = await findFirmByKey(key, connection);
+    if (owner && owner.id !== Number(firmId)) {
+        return { error: `"${alias}" is already a spelling of ${owner.name}`, status: 409 };
+    }
+    if (!owner) {
+        await connection.query("INSERT INTO firm_aliases (firm_id, alias, alias_key) VALUES (?, ?, ?)", [firmId, alias, key]);
+    }
+    return { key };
+}
+
+/**
+ * Adds a firm; its name becomes its first alias
+ * @param {Object} firm - parseFirmInput() result
+ * @param {string} username - Session username
+ * @param {Object} options - { syncLinks: false } leaves linking the registers to the caller
+ * @returns {Object} - { id } or { error, status }
+ * Dependencies: db.js (pool)
+ */
+async function createFirm(firm, username, { syncLinks = true } = {}) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const owner = await findFirmByKey(normalizeFirmName(firm.name), connection);
+        if (owner) {
+            await connection.rollback();
+            return { error: `"${firm.name}" is already a spelling of ${owner.name}`, status: 409 };
+        }
+        const [result] = await connection.query(
+            `INSERT INTO firms (name, gstin, pan, address, contact_person, phone, email, updated_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+            [firm.name, firm.gstin, firm.pan, firm.address, firm.contact_person, firm.phone, firm.email, username || null]
+        );
+        await insertAlias(connection, result.insertId, firm.name);
+        await connection.commit();
+        if (syncLinks) await syncFirmLinks([normalizeFirmName(firm.name)]);
+        return { id: result.insertId };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Changes a firm's details; a new name is added as an alias and the old one stays, since registers typed it
+ * @param {number|string} id - Firm id
+ * @param {Object} firm - parseFirmInput() result
+ * @param {string} username - Session username
+ * @returns {Object} - {} or { error, status }
+ * Dependencies: db.js (pool)
+ */
+async function updateFirm(id, firm, username) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [existing] = await connection.query("SELECT id FROM firms WHERE id = ? FOR UPDATE", [id]);
+        if (!existing[0]) {
+            await connection.rollback();
+            return { error: "Firm not found", status: 404 };
+        }
+        const alias = await insertAlias(connection, id, firm.name);
+        if (alias.error) {
+            await connection.rollback();
+            return alias;
+        }
+        await connection.query(
+            `UPDATE firms SET name = ?, gstin = ?, pan = ?, address = ?, contact_person = ?, phone = ?, email = ?, updated_by = ?
+             WHERE id = ?`,
+            [firm.name, firm.gstin, firm.pan, firm.address, firm.contact_person, firm.phone, firm.email, username || null, id]
+        );
+        await connection.commit();
+        await syncFirmLinks([alias.key]);
+        return {};
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Deletes a firm that no order or bill is linked to; linked firms are merged into another instead
+ * @returns {Object} - {} or { error, status }
+ * Dependencies: db.js (pool)
+ */
+async function deleteFirm(id) {
+    const [[linked]] = await pool.query(
+        `SELECT (SELECT COUNT(*) FROM supply_orders WHERE firm_id = ?) + (SELECT COUNT(*) FROM bill_orders WHERE firm_id = ?) as records`,
+        [id, id]
+    );
+    if (Number(linked.records) > 0) {
+        return { error: "Orders or bills are linked to this firm; merge it into another firm instead", status: 409 };
+    }
+    const [result] = await pool.query("DELETE FROM firms WHERE id = ?", [id]);
+    return result.affectedRows > 0 ? {} : { error: "Firm not found", status: 404 };
+}
+
+/**
+ * Adds a spelling of a firm's name and links the orders and bills typed with it
+ * @param {Object} options - { syncLinks: false } leaves linking the registers to the caller
+ * @returns {Object} - { key } or { error, status }
+ * Dependencies: db.js (pool)
+ */
+async function addFirmAlias(firmId, alias, { syncLinks = true } = {}) {
+    const text = String(alias || "").replace(/\s+/g, " ").trim();
+    if (!text || text.length > 255) return { error: "The alias must be 1 to 255 characters" };
+    const [firms] = await pool.query("SELECT id FROM firms WHERE id = ?", [firmId]);
+    if (!firms[0]) return { error: "Firm not found", status: 404 };
+    const result = await insertAlias(pool, firmId, text);
+    if (result.error) return result;
+    if (syncLinks) await syncFirmLinks([result.key]);
+    return result;
+}
+
+/**
+ * Removes a spelling from a firm; the firm's own name cannot be removed. Orders typed with it are unlinked.
+ * @returns {Object} - {} or { error, status }
+ * Dependencies: db.js (pool)
+ */
+async function deleteFirmAlias(firmId, aliasId) {
+    const [rows] = await pool.query(
+        `SELECT a.alias_key, f.name FROM firm_aliases a JOIN firms f ON f.id = a.firm_id WHERE a.id = ? AND a.firm_id = ?`,
+        [aliasId, firmId]
+    );
+    if (!rows[0]) return { error: "Alias not found", status: 404 };
+    if (rows[0].alias_key === normalizeFirmName(rows[0].name)) {
+        return { error: "The firm's own name cannot be removed; rename the firm instead", status: 400 };
+    }
+    await pool.query("DELETE FROM firm_aliases WHERE id = ?", [aliasId]);
+    await syncFirmLinks([rows[0].alias_key]);
+    return {};
+}
+
+/**
+ * Merges one firm into another: its aliases, name and linked orders and bills move over, details the target
+ * lacks are taken from it, and it is deleted
+ * @param {number|string} targetId - Firm that stays
+ * @param {number|string} sourceId - Firm merged away
+ * @param {string} username - Session username
+ * @returns {Object} - {} or { error, status }
+ * Dependencies: db.js (pool)
+ */
+async function mergeFirms(targetId, sourceId, username) {
+    if (String(targetId) === String(sourceId)) return { error: "A firm cannot be merged into itself", status: 400 };
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [firms] = await connection.query("SELECT * FROM firms WHERE id IN (?, ?) FOR UPDATE", [targetId, sourceId]);
+        const target = firms.find((firm) => String(firm.id) === String(targetId));
+        const source = firms.find((firm) => String(firm.id) === String(sourceId));
+        if (!target || !source) {
+            await connection.rollback();
+            return { error: "Firm not found", status: 404 };
+        }
+        if (target.gstin && source.gstin && target.gstin !== source.gstin) {
+            await connection.rollback();
+            return { error: `${source.name} and ${target.name} have different GSTINs`, status: 409 };
+        }
+        await connection.query("UPDATE firm_aliases SET firm_id = ? WHERE firm_id = ?", [targetId, sourceId]);
+        for (const table of Object.values(FIRM_TABLES)) {
+            await connection.query(`UPDATE ${table} SET firm_id = ? WHERE firm_id = ?`, [targetId, sourceId]);
+        }
+        // The source's GSTIN is unique, so it is released before the target takes it over
+        await connection.query("DELETE FROM firms WHERE id = ?", [sourceId]);
+        await connection.query(
+            `UPDATE firms SET gstin = COALESCE(gstin, ?), pan = COALESCE(pan, ?), address = COALESCE(address, ?),
+                    contact_person = COALESCE(contact_person, ?), phone = COALESCE(phone, ?), email = COALESCE(email, ?), updated_by = ?
+             WHERE id = ?`,
+            [source.gstin, source.pan, source.address, source.contact_person, source.phone, source.email, username || null, targetId]
+        );
+        await connection.commit();
+        return {};
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Points firm_id of supply and bill orders at the firm their firm_name's key is an alias of (or NULL)
+ * @param {Array|null} keys - Normalized names whose links may have changed; null re-checks every name
+ * Used by: firm, alias and cluster changes here
+ * Dependencies: db.js (pool)
+ */
+async function syncFirmLinks(keys = null) {
+    const scope = keys ? new Set(keys.filter(Boolean)) : null;
+    if (scope && scope.size === 0) return;
+    const [aliases] = await pool.query("SELECT alias_key, firm_id FROM firm_aliases");
+    const firmOfKey = new Map(aliases.map((alias) => [alias.alias_key, alias.firm_id]));
+
+    for (const table of Object.values(FIRM_TABLES)) {
+        const [names] = await pool.query(`SELECT DISTINCT firm_name, firm_id FROM ${table} WHERE firm_name IS NOT NULL`);
+        const relink = new Map();
+        names.forEach(({ firm_name: firmName, firm_id: firmId }) => {
+            const key = normalizeFirmName(firmName);
+            if (scope && !scope.has(key)) return;
+            const expected = firmOfKey.get(key) || null;
+            if (expected === firmId) return;
+            relink.set(expected, [...(relink.get(expected) || []), firmName]);
+        });
+        for (const [firmId, firmNames] of relink) {
+            await pool.query(`UPDATE ${table} SET firm_id = ? WHERE firm_name IN (?)`, [firmId, firmNames]);
+        }
+    }
+}
+
+/**
+ * Links the written supply or bill orders to their firms
+ * The firm names are read back from the table, so an edit or a merge import that leaves the firm name out of its
+ * values still links the name the row holds
+ * @param {string} type - Register type
+ * @param {Array} changes - [{ after, before }] of the written records
+ * Used by: server.js REGISTER_WRITE_HOOKS
+ * Dependencies: db.js (pool)
+ */
+async function linkRegisterFirms(type, changes) {
+    const table = FIRM_TABLES[type];
+    const ids = [...new Set(changes.map((change) => change.after).filter((row) => row && row.id).map((row) => Number(row.id)))];
+    if (!table || ids.length === 0) return;
+    const [written] = await pool.query(`SELECT id, firm_name FROM ${table} WHERE id IN (?)`, [ids]);
+    const keys = [...new Set(written.map((row) => normalizeFirmName(row.firm_name)).filter(Boolean))];
+    const [aliases] = keys.length > 0
+        ? await pool.query("SELECT alias_key, firm_id FROM firm_aliases WHERE alias_key IN (?)", [keys])
+        : [[]];
+    const firmOfKey = new Map(aliases.map((alias) => [alias.alias_key, alias.firm_id]));
+
+    const idsByFirm = new Map();
+    written.forEach((row) => {
+        const firmId = firmOfKey.get(normalizeFirmName(row.firm_name)) || null;
+        idsByFirm.set(firmId, [...(idsByFirm.get(firmId) || []), row.id]);
+    });
+    for (const [firmId, ids] of idsByFirm) {
+        await pool.query(`UPDATE ${table} SET firm_id = ? WHERE id IN (?)`, [firmId, ids]);
+    }
+}
+
+/**
+ * Groups the firm names typed in the live orders and bills by normalized key, for cleaning up the registers
+ * @returns {Array} - [{ key, suggested_name, firm: { id, name } | null, records, spellings: [{ name, orders, bills }] }],
+ *                    clusters no firm covers first, then by how often they are used
+ * Used by: server.js firm migration endpoint
+ * Dependencies: db.js (pool)
+ */
+async function getFirmClusters() {
+    const [names] = await pool.query(
+        `SELECT firm_name, SUM(orders) as orders, SUM(bills) as bills FROM (
+             SELECT firm_name, COUNT(*) as orders, 0 as bills FROM supply_orders
+             WHERE deleted_at IS NULL AND firm_name IS NOT NULL AND firm_name <> '' GROUP BY firm_name
+             UNION ALL
+             SELECT firm_name, 0 as orders, COUNT(*) as bills FROM bill_orders
+             WHERE deleted_at IS NULL AND firm_name IS NOT NULL AND firm_name <> '' GROUP BY firm_name
+         ) typed GROUP BY firm_name`
+    );
+    const [aliases] = await pool.query("SELECT a.alias_key, f.id, f.name FROM firm_aliases a JOIN firms f ON f.id = a.firm_id");
+    const firmOfKey = new Map(aliases.map((alias) => [alias.alias_key, { id: alias.id, name: alias.name }]));
+
+    const clusters = new Map();
+    names.forEach((row) => {
+        const key = normalizeFirmName(row.firm_name);
+        if (!key) return;
+        if (!clusters.has(key)) clusters.set(key, { key, firm: firmOfKey.get(key) || null, records: 0, spellings: [] });
+        const cluster = clusters.get(key);
+        cluster.spellings.push({ name: row.firm_name, orders: Number(row.orders), bills: Number(row.bills) });
+        cluster.records += Number(row.orders) + Number(row.bills);
+    });
+    return [...clusters.values()]
+        .map((cluster) => {
+            cluster.spellings.sort((a, b) => b.orders + b.bills - (a.orders + a.bills) || a.name.localeCompare(b.name));
+            return { ...cluster, suggested_name: cluster.firm ? cluster.firm.name : cluster.spellings[0].name };
+        })
+        .sort((a, b) => Number(Boolean(a.firm)) - Number(Boolean(b.firm)) || b.records - a.records);
+}
+
+/**
+ * Turns clusters of spellings into firms: each cluster becomes a new firm named `name`, or is added to `firm_id`,
+ * with every spelling as an alias
+ * @param {Array} clusters - [{ name, firm_id, spellings: [string] }]
+ * @param {string} username - Session username
+ * @returns {Object} - { created, aliased, skipped: [{ name, reason }] }
+ * Used by: server.js firm migration endpoint
+ * Dependencies: db.js (pool)
+ */
+async function applyFirmClusters(clusters, username) {
+    const summary = { created: 0, aliased: 0, skipped: [] };
+    const keys = [];
+    for (const cluster of Array.isArray(clusters) ? clusters : []) {
+        const spellings = (Array.isArray(cluster.spellings) ? cluster.spellings : [])
+            .map((spelling) => String(spelling || "").replace(/\s+/g, " ").trim())
+            .filter(Boolean);
+        let firmId = cluster.firm_id ? Number(cluster.firm_id) : null;
+        if (!firmId) {
+            const { firm, error } = parseFirmInput({ name: cluster.name || spellings[0] });
+            if (error) {
+                summary.skipped.push({ name: cluster.name || "", reason: error });
+                continue;
+            }
+            const created = await createFirm(firm, username, { syncLinks: false });
+            if (created.error) {
+                summary.skipped.push({ name: firm.name, reason: created.error });
+                continue;
+            }
+            firmId = created.id;
+            keys.push(normalizeFirmName(firm.name));
+            summary.created++;
+        }
+        for (const spelling of spellings) {
+            const result = await addFirmAlias(firmId, spelling, { syncLinks: false });
+            if (result.error) {
+                summary.skipped.push({ name: spelling, reason: result.error });
+            } else {
+                keys.push(result.key);
+                summary.aliased++;
+            }
+        }
+    }
+    await syncFirmLinks(keys);
+    return summary;
+}
+
+/**
+ * Scorecard of each firm: orders placed and their value, delivery record and liquidated damages levied on its bills
+ * Only live records count, and an order carried into a later year counts once, as its latest copy
+ * @param {Object} options - { financialYear, firmId } to narrow to one year or firm
+ * @returns {Array} - [{ firm_id, name, orders, value, delivered, on_time, late, on_time_percent, avg_delay_days,
+ *                      overdue, bills, billed, ld_levied }], by order count
+ * Used by: server.js firm scorecard endpoints, the supplier reliability chart
+ * Dependencies: db.js (pool)
+ */
+async function getFirmScorecards({ financialYear = null, firmId = null } = {}) {
+    const filters = ["deleted_at IS NULL", "firm_id IS NOT NULL", liveCondition()];
+    const params = [];
+    if (financialYear) {
+        filters.push("financial_year = ?");
+        params.push(financialYear);
+    }
+    if (firmId) {
+        filters.push("firm_id = ?");
+        params.push(firmId);
+    }
+    const [firms] = await pool.query(
+        `SELECT id, name FROM firms ${firmId ? "WHERE id = ?" : ""} ORDER BY name`,
+        firmId ? [firmId] : []
+    );
+    const [orders] = await pool.query(
+        `SELECT firm_id, COALESCE(build_up, 0) + COALESCE(maint, 0) + COALESCE(misc, 0) + COALESCE(project_less_2cr, 0) + COALESCE(project_more_2cr, 0) as value,
+                DATE_FORMAT(original_date, '%Y-%m-%d') as original_date, DATE_FORMAT(revised_date1, '%Y-%m-%d') as revised_date1,
+                DATE_FORMAT(revised_date2, '%Y-%m-%d') as revised_date2, DATE_FORMAT(revised_date3, '%Y-%m-%d') as revised_date3,
+                DATE_FORMAT(actual_delivery_date, '%Y-%m-%d') as actual_delivery_date, delivery_done
+         FROM supply_orders WHERE ${filters.join(" AND ")}
+           AND NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = supply_orders.id AND c.deleted_at IS NULL)`,
+        params
+    );
+    const [bills] = await pool.query(
+        `SELECT firm_id, COUNT(*) as bills,
+                SUM(COALESCE(build_up, 0) + COALESCE(maintenance, 0) + COALESCE(project_less_2cr, 0) + COALESCE(project_more_2cr, 0)) as billed,
+                SUM(COALESCE(ld_amount, 0)) as ld_levied
+         FROM bill_orders WHERE ${filters.join(" AND ")} GROUP BY firm_id`,
+        params
+    );
+
+    const today = new Date().toISOString().slice(0, 10);
+    const cards = new Map(firms.map((firm) => [firm.id, {
+        firm_id: firm.id, name: firm.name, orders: 0, value: 0, delivered: 0, on_time: 0, late: 0, delay_days: 0, overdue: 0,
+        bills: 0, billed: 0, ld_levied: 0,
+    }]));
+    orders.forEach((order) => {
+        const card = cards.get(order.firm_id);
+        if (!card) return;
+        card.orders++;
+        card.value += Number(order.value);
+        const dueDate = getDueDate(order);
+        if (order.actual_delivery_date) {
+            card.delivered++;
+            if (!dueDate || order.actual_delivery_date <= dueDate) {
+                card.on_time++;
+            } else {
+                card.late++;
+                card.delay_days += Math.round((new Date(order.actual_delivery_date) - new Date(dueDate)) / MS_PER_DAY);
+            }
+        } else if (!DELIVERED_VALUES.includes(order.delivery_done) && dueDate && dueDate < today) {
+            card.overdue++;
+        }
+    });
+    bills.forEach((row) => {
+        const card = cards.get(row.firm_id);
+        if (!card) return;
+        card.bills = Number(row.bills);
+        card.billed = Math.round(Number(row.billed) * 100) / 100;
+        card.ld_levied = Math.round(Number(row.ld_levied) * 100) / 100;
+    });
+
+    return [...cards.values()]
+        .map(({ delay_days: delayDays, ...card }) => ({
+            ...card,
+            value: Math.round(card.value * 100) / 100,
+            on_time_percent: card.delivered > 0 ? Math.round((card.on_time / card.delivered) * 1000) / 10 : null,
+            avg_delay_days: card.late > 0 ? Math.round((delayDays / card.late) * 10) / 10 : 0,
+        }))
+        .sort((a, b) => b.orders - a.orders || a.name.localeCompare(b.name));
+}
+
+module.exports = {
+    FIRM_TABLES,
+    initializeFirms,
+    normalizeFirmName,
+    parseFirmInput,
+    listFirms,
+    createFirm,
+    updateFirm,
+    deleteFirm,
+    addFirmAlias,
+    deleteFirmAlias,
+    mergeFirms,
+    syncFirmLinks,
+    linkRegisterFirms,
+    getFirmClusters,
+    applyFirmClusters,
+    getFirmScorecards,
+};
@@ -0,0 +1,238 @@
+const pool = require("./db");
+const { REGISTERS } = require("./registers");
+
+// Suggestions scoring below this are left unmapped for the user to pick
+const MIN_SUGGESTION_SCORE = 0.6;
+
+/**
+ * Creates the import_mapping_profiles table
+ * A profile remembers how one department's spreadsheet maps onto a register:
+ * the sheet, the header row and header text -> register column
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeImportMappingTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS import_mapping_profiles (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                register_type VARCHAR(32) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                sheet_name VARCHAR(100),
+                header_row INT NOT NULL DEFAULT 1,
+                mapping JSON NOT NULL,
+                created_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_import_mapping_profile (register_type, name)
+            )
+        `);
+        console.log("Import mapping profiles table initialized");
+    } catch (error) {
+        console.error("Error initializing import mapping profiles table:", error);
+    }
+}
+
+/**
+ * Reduces a header to lowercase words: units in brackets are dropped, "S.O." becomes "so", "<"/">" become less/more
+ * @param {string} text - Header text or column name
+ * @returns {Array} - Words
+ */
+function tokenizeHeader(text) {
+    return String(text || "")
+        .toLowerCase()
+        .replace(/\([^)]*\)|\[[^\]]*\]/g, " ")
+        .replace(/\b([a-z])\.(?=[a-z]\b|[a-z]\.)/g, "$1")
+        .replace(/&/g, " and ")
+        .replace(/</g, " less ")
+        .replace(/>/g, " more ")
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()
+        .split(" ")
+        .filter(Boolean);
+}
+
+function levenshteinDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Scores how well a header matches one candidate name of a column, from 0 to 1
+ * Takes the better of the edit-distance similarity of the squashed strings and the word overlap
+ * @param {Array} headerWords - tokenizeHeader() of the header
+ * @param {Array} candidateWords - tokenizeHeader() of the column name or alias
+ * @returns {number} - Score
+ */
+function scoreCandidate(headerWords, candidateWords) {
+    const header = headerWords.join("");
+    const candidate = candidateWords.join("");
+    if (!header || !candidate) return 0;
+    if (header === candidate) return 1;
+
+    const editScore = 1 - levenshteinDistance(header, candidate) / Math.max(header.length, candidate.length);
+    const shared = headerWords.filter((word) => candidateWords.includes(word)).length;
+    const overlapScore = (2 * shared) / (headerWords.length + candidateWords.length);
+    return Math.max(editScore, overlapScore);
+}
+
+/**
+ * Suggests which register column each spreadsheet header maps to
+ * A profile's saved mapping wins for the headers it knows; the rest are matched fuzzily against
+ * column names and their aliases. Each column is suggested for at most one header, best score first.
+ * @param {string} type - Register type (key of REGISTERS)
+ * @param {Array} headers - Header texts, in sheet order
+ * @param {Object} profileMapping - Optional saved mapping (header text -> column name)
+ * @returns {Array} - [{ header, column, score, source }] in header order; column is null when nothing matched
+ * Used by: server.js import mapping suggest endpoints
+ * Dependencies: registers.js
+ */
+function suggestColumnMapping(type, headers, profileMapping = null) {
+    const register = REGISTERS[type];
+    const columnNames = new Set(register.columns.map((column) => column.name));
+    const suggestions = headers.map((header) => ({ header, column: null, score: 0, source: null }));
+    const usedColumns = new Set();
+
+    if (profileMapping) {
+        for (const suggestion of suggestions) {
+            const column = profileMapping[suggestion.header];
+            if (columnNames.has(column) && !usedColumns.has(column)) {
+                Object.assign(suggestion, { column, score: 1, source: "profile" });
+                usedColumns.add(column);
+            }
+        }
+    }
+
+    const candidates = [];
+    suggestions.forEach((suggestion, index) => {
+        if (suggestion.column) return;
+        const headerWords = tokenizeHeader(suggestion.header);
+        for (const column of register.columns) {
+            if (usedColumns.has(column.name)) continue;
+            const names = [column.name.replace(/_/g, " "), ...(column.aliases || [])];
+            const score = Math.max(...names.map((name) => scoreCandidate(headerWords, tokenizeHeader(name))));
+            if (score >= MIN_SUGGESTION_SCORE) {
+                candidates.push({ index, column: column.name, score });
+            }
+        }
+    });
+
+    candidates.sort((a, b) => b.score - a.score);
+    for (const candidate of candidates) {
+        const suggestion = suggestions[candidate.index];
+        if (suggestion.column || usedColumns.has(candidate.column)) continue;
+        Object.assign(suggestion, {
+            column: candidate.column,
+            score: Math.round(candidate.score * 100) / 100,
+            source: candidate.score === 1 ? "exact" : "fuzzy",
+        });
+        usedColumns.add(candidate.column);
+    }
+
+    return suggestions;
+}
+
+function toProfile(row) {
+    return {
+        id: row.id,
+        registerType: row.register_type,
+        name: row.name,
+        sheetName: row.sheet_name,
+        headerRow: row.header_row,
+        mapping: typeof row.mapping === "string" ? JSON.parse(row.mapping || "{}") : row.mapping || {},
+        createdBy: row.created_by,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * Lists the saved mapping profiles of a register, by name
+ * @param {string} type - Register type
+ * @returns {Array} - Profiles
+ * Used by: server.js import mapping profile endpoints
+ * Dependencies: db.js (pool)
+ */
+async function getMappingProfiles(type) {
+    const [rows] = await pool.query(
+        "SELECT * FROM import_mapping_profiles WHERE register_type = ? ORDER BY name",
+        [type]
+    );
+    return rows.map(toProfile);
+}
+
+/**
+ * Loads one mapping profile
+ * @param {string} type - Register type
+ * @param {number|string} id - Profile id
+ * @returns {Object|null} - Profile, or null if the register has no such profile
+ */
+async function getMappingProfile(type, id) {
+    const [rows] = await pool.query(
+        "SELECT * FROM import_mapping_profiles WHERE register_type = ? AND id = ?",
+        [type, id]
+    );
+    return rows[0] ? toProfile(rows[0]) : null;
+}
+
+/**
+ * Saves a mapping profile; saving under an existing name replaces that profile
+ * Mappings to columns the register does not have are dropped
+ * @param {string} type - Register type
+ * @param {Object} profile - { name, sheetName, headerRow, mapping }
+ * @param {string} username - Session username
+ * @returns {Object} - The saved profile
+ * Used by: server.js import mapping profile endpoints
+ * Dependencies: db.js (pool), registers.js
+ */
+async function saveMappingProfile(type, { name, sheetName, headerRow, mapping }, username) {
+    const columnNames = new Set(REGISTERS[type].columns.map((column) => column.name));
+    const cleanMapping = Object.fromEntries(
+        Object.entries(mapping || {}).filter(([, column]) => columnNames.has(column))
+    );
+
+    await pool.query(
+        `INSERT INTO import_mapping_profiles (register_type, name, sheet_name, header_row, mapping, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE sheet_name = VALUES(sheet_name), header_row = VALUES(header_row), mapping = VALUES(mapping)`,
+        [type, name, sheetName || null, headerRow || 1, JSON.stringify(cleanMapping), username || null]
+    );
+    const [rows] = await pool.query(
+        "SELECT * FROM import_mapping_profiles WHERE register_type = ? AND name = ?",
+        [type, name]
+    );
+    return toProfile(rows[0]);
+}
+
+/**
+ * Deletes a mapping profile
+ * @param {string} type - Register type
+ * @param {number|string} id - Profile id
+ * @returns {boolean} - True if a profile was deleted
+ */
+async function deleteMappingProfile(type, id) {
+    const [result] = await pool.query(
+        "DELETE FROM import_mapping_profiles WHERE register_type = ? AND id = ?",
+        [type, id]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    initializeImportMappingTables,
+    suggestColumnMapping,
+    getMappingProfiles,
+    getMappingProfile,
+    saveMappingProfile,
+    deleteMappingProfile,
+};
@@ -0,0 +1,476 @@
+const pool = require("./db");
+const { REGISTERS } = require("./registers");
+const { diffRows, normalizeAuditValue, recordAudit } = require("./audit");
+const { lockSerials } = require("./serials");
+
+function isEmptyValue(value) {
+    return value === null || value === undefined || (typeof value === "string" && value.trim() === "");
+}
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+
+// Largest Excel date serial (9999-12-31)
+const MAX_EXCEL_SERIAL = 2958465;
+
+function formatDateParts(year, month, day) {
+    return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+}
+
+/**
+ * Parses a date cell into YYYY-MM-DD
+ * Accepts YYYY-MM-DD, Indian day-first dates (15/04/2024, 15-04-2024, 15.04.2024, 15-Apr-2024)
+ * and Excel date serials, which is how unformatted date cells arrive from the sheet
+ * @param {*} value - Cell value from the client-parsed sheet
+ * @returns {Object} - { value } or { error }
+ * Used by: validateRow(), register-engine.js (list filters)
+ */
+function parseDateValue(value) {
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return { error: "is not a valid date" };
+        return { value: formatDateParts(value.getFullYear(), value.getMonth() + 1, value.getDate()) };
+    }
+
+    if (typeof value === "number") {
+        if (!Number.isFinite(value) || value < 1 || value > MAX_EXCEL_SERIAL) {
+            return { error: `${value} is not an Excel date` };
+        }
+        // Excel counts days from 1899-12-30 (this absorbs its fictitious 1900-02-29)
+        const date = new Date(1899, 11, 30 + Math.floor(value));
+        return { value: formatDateParts(date.getFullYear(), date.getMonth() + 1, date.getDate()) };
+    }
+
+    const text = String(value).trim();
+    let year;
+    let month;
+    let day;
+    let match;
+    if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text))) {
+        [year, month, day] = [match[1], match[2], match[3]].map(Number);
+    } else if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/.exec(text))) {
+        [day, month, year] = [match[1], match[2], match[3]].map(Number);
+    } else if ((match = /^(\d{1,2})[\s-]([a-z]{3})[a-z]*[\s,-]+(\d{4})$/i.exec(text))) {
+        day = Number(match[1]);
+        month = MONTH_NAMES.indexOf(match[2].toLowerCase()) + 1;
+        year = Number(match[3]);
+    } else {
+        return { error: `"${text}" is not a date (expected DD/MM/YYYY or YYYY-MM-DD)` };
+    }
+
+    const date = new Date(year, month - 1, day);
+    if (month < 1 || date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return { error: `"${text}" is not a valid calendar date` };
+    }
+    return { value: formatDateParts(year, month, day) };
+}
+
+/**
+ * Parses a numeric cell, accepting thousands separators and a leading rupee sign
+ * @param {*} value - Cell value
+ * @param {boolean} integer - Whether only whole numbers are allowed
+ * @returns {Object} - { value } or { error }
+ * Used by: validateRow(), register-engine.js (list filters)
+ */
+function parseNumberValue(value, integer) {
+    const number = typeof value === "number"
+        ? value
+        : Number(String(value).replace(/[₹,\s]/g, ""));
+
+    if (!Number.isFinite(number)) {
+        return { error: `"${value}" is not a number` };
+    }
+    if (integer && !Number.isInteger(number)) {
+        return { error: `"${value}" is not a whole number` };
+    }
+    return { value: number };
+}
+
+/**
+ * Validates one spreadsheet row against a register's column definitions
+ * @param {Object} register - Entry of REGISTERS
+ * @param {Object} raw - Row as parsed on the client (column name -> cell value)
+ * @returns {Object} - { values, errors, warnings }
+ * Used by: validateImport(), register-engine.js (form input)
+ */
+function validateRow(register, raw) {
+    const values = {};
+    const errors = [];
+    const warnings = [];
+
+    for (const column of register.columns) {
+        const rawValue = raw[column.name];
+        if (isEmptyValue(rawValue)) {
+            values[column.name] = column.default !== undefined ? column.default : null;
+            continue;
+        }
+
+        let parsed;
+        if (column.type === "date") {
+            parsed = parseDateValue(rawValue);
+        } else if (column.type === "int" || column.type === "decimal") {
+            parsed = parseNumberValue(rawValue, column.type === "int");
+        } else if (column.type === "enum") {
+            const text = String(rawValue).trim();
+            const match = column.values.find((allowed) => allowed.toLowerCase() === text.toLowerCase());
+            if (!match) {
+                parsed = { error: `"${text}" is not allowed (expected ${column.values.join(", ")})` };
+            } else {
+                if (match !== text) {
+                    warnings.push(`${column.name}: "${text}" will be saved as "${match}"`);
+                }
+                parsed = { value: match };
+            }
+        } else {
+            const text = String(rawValue).trim();
+            parsed = column.maxLength && text.length > column.maxLength
+                ? { error: `is longer than ${column.maxLength} characters` }
+                : { value: text };
+        }
+
+        if (parsed.error) {
+            errors.push(`${column.name}: ${parsed.error}`);
+            values[column.name] = null;
+        } else {
+            values[column.name] = parsed.value;
+        }
+    }
+
+    if (values.serial_no === null) {
+        warnings.push("serial_no is empty and will be numbered automatically");
+    }
+
+    return { values, errors, warnings };
+}
+
+/**
+ * Builds the natural-key string of a row, or null if any key column is empty
+ * @param {Object} register - Entry of REGISTERS
+ * @param {Object} values - Column values (parsed import values or a database row)
+ * @returns {string|null} - Key used to match file rows with existing rows
+ */
+function getNaturalKey(register, values) {
+    const parts = register.naturalKey.map((column) => normalizeAuditValue(values[column]));
+    return parts.some((part) => part === null) ? null : parts.join(" / ");
+}
+
+/**
+ * Validates an import without writing anything: per-row errors and warnings plus a preview of the values
+ * Columns marked unique (supply_order_no) are checked for duplicates within the file and against the live register,
+ * and serial numbers within the file and against the other live rows of the financial year
+ *
+ * In "merge" mode every row is matched on the register's natural key against the live rows of the financial year:
+ * matched rows become updates of the columns present in the file (or "unchanged"), unmatched rows become inserts.
+ * With reportMissing, live rows whose key does not appear in the file are listed in `missing` (they are not deleted).
+ * @param {string} type - Register type (key of REGISTERS)
+ * @param {Array} rows - Rows parsed from the spreadsheet on the client
+ * @param {string} financialYear - Financial year the rows are imported into
+ * @param {Object} options - { mode: "insert" | "merge", reportMissing, headerRow (sheet row of the headers, default 1) }
+ * @param {Object} connection - Optional connection to read through (defaults to the pool)
+ * @returns {Object} - { type, financialYear, mode, summary, ignoredColumns, rows, missing }
+ * Used by: server.js import validate endpoints, commitImport()
+ * Dependencies: db.js (pool), registers.js
+ */
+async function validateImport(type, rows, financialYear, { mode = "insert", reportMissing = false, headerRow = 1 } = {}, connection = pool) {
+    const register = REGISTERS[type];
+    const merge = mode === "merge";
+    const knownColumns = new Set([...register.columns.map((column) => column.name), "id", "financial_year"]);
+    const ignoredColumns = new Set();
+    const presentColumns = new Set();
+
+    const entries = [];
+    let emptyRows = 0;
+    rows.forEach((raw, index) => {
+        if (!raw || !Object.values(raw).some((value) => !isEmptyValue(value))) {
+            emptyRows++;
+            return;
+        }
+        Object.keys(raw).forEach((key) => {
+            if (knownColumns.has(key)) {
+                presentColumns.add(key);
+            } else {
+                ignoredColumns.add(key);
+            }
+        });
+
+        // Report sheet row numbers: data starts on the row after the header
+        entries.push({ rowNumber: headerRow + index + 1, action: "insert", ...validateRow(register, raw) });
+    });
+
+    let missing = [];
+    if (merge) {
+        const [liveRows] = await connection.query(
+            `SELECT * FROM ${register.table} WHERE financial_year = ? AND deleted_at IS NULL`,
+            [financialYear]
+        );
+        const liveByKey = new Map();
+        for (const row of liveRows) {
+            const key = getNaturalKey(register, row);
+            if (key === null) continue;
+            if (!liveByKey.has(key)) liveByKey.set(key, []);
+            liveByKey.get(key).push(row);
+        }
+
+        // Only columns that appear in the file are compared, so a sheet with fewer columns never blanks the others;
+        // columns another endpoint owns (updateExcludes, e.g. a bill's LD) are never overwritten by a merge
+        const comparedColumns = register.columns
+            .map((column) => column.name)
+            .filter((column) => presentColumns.has(column) && !(register.updateExcludes || []).includes(column));
+
+        const numericColumns = new Set(
+            register.columns.filter((column) => column.type === "int" || column.type === "decimal").map((column) => column.name)
+        );
+
+        const fileKeys = new Map();
+        for (const entry of entries) {
+            const key = getNaturalKey(register, entry.values);
+            if (key === null) {
+                entry.errors.push(`${register.naturalKey.join(" + ")} is required to merge`);
+                continue;
+            }
+            if (fileKeys.has(key)) {
+                entry.errors.push(`"${key}" is repeated (first on row ${fileKeys.get(key)})`);
+                continue;
+            }
+            fileKeys.set(key, entry.rowNumber);
+
+            const matches = liveByKey.get(key) || [];
+            if (matches.length > 1) {
+                entry.errors.push(`"${key}" matches ${matches.length} existing rows; resolve the duplicates first`);
+                continue;
+            }
+            if (matches.length === 1) {
+                const existing = matches[0];
+                const columns = comparedColumns.filter(
+                    (column) => !(column === "serial_no" && entry.values.serial_no === null)
+                );
+                const before = {};
+                const after = {};
+                columns.forEach((column) => {
+                    // DECIMAL columns come back as strings ("1500.00"); compare them as numbers
+                    before[column] = numericColumns.has(column) && existing[column] !== null
+                        ? Number(existing[column])
+                        : existing[column];
+                    after[column] = entry.values[column];
+                });
+                entry.existing = existing;
+                entry.changes = diffRows(before, after);
+                entry.action = Object.keys(entry.changes).length > 0 ? "update" : "unchanged";
+                entry.warnings = entry.warnings.filter((warning) => !warning.startsWith("serial_no is empty"));
+            }
+        }
+
+        if (reportMissing) {
+            missing = liveRows
+                .filter((row) => {
+                    const key = getNaturalKey(register, row);
+                    return key === null || !fileKeys.has(key);
+                })
+                .map((row) => ({ id: row.id, serial_no: row.serial_no, key: getNaturalKey(register, row) }));
+        }
+    }
+
+    for (const column of register.columns.filter((c) => c.unique)) {
+        const firstSeen = new Map();
+        for (const entry of entries) {
+            const key = entry.values[column.name];
+            if (key === null) continue;
+            if (firstSeen.has(key)) {
+                if (!merge) {
+                    entry.errors.push(`${column.name}: "${key}" is repeated (first on row ${firstSeen.get(key)})`);
+                }
+            } else {
+                firstSeen.set(key, entry.rowNumber);
+            }
+        }
+
+        if (firstSeen.size > 0) {
+            const [existing] = await connection.query(
+                `SELECT id, ${column.name} AS value, financial_year FROM ${register.table}
+                 WHERE ${column.name} IN (?) AND deleted_at IS NULL`,
+                [[...firstSeen.keys()]]
+            );
+            for (const entry of entries) {
+                const key = entry.values[column.name];
+                if (key === null) continue;
+                // In merge mode the row this entry updates is not a duplicate of itself
+                const clash = existing.find(
+                    (row) => String(row.value) === String(key) && !(entry.existing && entry.existing.id === row.id)
+                );
+                if (clash) {
+                    entry.errors.push(`${column.name}: "${key}" already exists in the register (FY ${clash.financial_year})`);
+                }
+            }
+        }
+    }
+
+    // A serial number may not be repeated in the file or taken by another live row of the year
+    const serialsSeen = new Map();
+    for (const entry of entries) {
+        const serialNo = entry.values.serial_no;
+        if (serialNo === null) continue;
+        if (serialsSeen.has(serialNo)) {
+            entry.errors.push(`serial_no: ${serialNo} is repeated (first on row ${serialsSeen.get(serialNo)})`);
+        } else {
+            serialsSeen.set(serialNo, entry.rowNumber);
+        }
+    }
+    if (serialsSeen.size > 0) {
+        const [taken] = await connection.query(
+            `SELECT id, serial_no FROM ${register.table}
+             WHERE financial_year = ? AND serial_no IN (?) AND deleted_at IS NULL`,
+            [financialYear, [...serialsSeen.keys()]]
+        );
+        for (const entry of entries) {
+            const serialNo = entry.values.serial_no;
+            if (serialNo === null) continue;
+            const clash = taken.find(
+                (row) => Number(row.serial_no) === serialNo && !(entry.existing && entry.existing.id === row.id)
+            );
+            if (clash) {
+                entry.errors.push(`serial_no: ${serialNo} is already used in FY ${financialYear}`);
+            }
+        }
+    }
+
+    entries.forEach((entry) => {
+        entry.status = entry.errors.length > 0 ? "invalid" : "valid";
+    });
+    const validEntries = entries.filter((entry) => entry.status === "valid");
+
+    return {
+        type,
+        financialYear,
+        mode: merge ? "merge" : "insert",
+        summary: {
+            total: entries.length,
+            valid: validEntries.length,
+            invalid: entries.length - validEntries.length,
+            withWarnings: entries.filter((entry) => entry.warnings.length > 0).length,
+            emptyRows,
+            inserts: validEntries.filter((entry) => entry.action === "insert").length,
+            updates: validEntries.filter((entry) => entry.action === "update").length,
+            unchanged: validEntries.filter((entry) => entry.action === "unchanged").length,
+            missing: missing.length,
+        },
+        ignoredColumns: [...ignoredColumns],
+        rows: entries,
+        missing,
+    };
+}
+
+/**
+ * Removes the live-row snapshots that validateImport() attaches to merge matches before sending a report
+ * @param {Object} report - Result of validateImport()
+ * @returns {Object} - Report safe to serialise
+ * Used by: server.js import endpoints
+ */
+function toClientReport(report) {
+    return {
+        ...report,
+        rows: report.rows.map(({ existing, ...entry }) => ({ ...entry, id: existing ? existing.id : entry.id })),
+    };
+}
+
+/**
+ * Imports rows in a single transaction after re-validating them
+ * With skipInvalid the valid rows are imported and the invalid ones reported; without it any invalid row aborts the import
+ * Rows without a serial number are numbered after the current maximum for the financial year and the file's own
+ * serial numbers; the year's serial lock is taken before validating, so the serial checks still hold at the insert
+ * In merge mode matched rows are updated (only the changed columns) instead of inserted
+ * beforeCommit gets the transaction's connection and the written rows as [{ after, before }]; if it throws, nothing is imported
+ * @param {string} type - Register type (key of REGISTERS)
+ * @param {Array} rows - Rows parsed from the spreadsheet on the client
+ * @param {string} financialYear - Financial year the rows are imported into
+ * @param {Object} options - { mode, reportMissing, headerRow, skipInvalid, username, beforeCommit }
+ * @returns {Object} - { committed, inserted, updated, skipped, report }
+ * Used by: server.js import endpoints
+ * Dependencies: db.js (pool), audit.js (recordAudit), serials.js (lockSerials)
+ */
+async function commitImport(type, rows, financialYear, { mode = "insert", reportMissing = false, headerRow = 1, skipInvalid = false, username = null, beforeCommit = null } = {}) {
+    const register = REGISTERS[type];
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        // Held until commit, so inserts into the register year cannot take the numbers checked or handed out here
+        const maxSerial = await lockSerials(connection, register.table, financialYear);
+
+        const report = await validateImport(type, rows, financialYear, { mode, reportMissing, headerRow }, connection);
+        if (report.summary.invalid > 0 && !skipInvalid) {
+            await connection.rollback();
+            return { committed: false, inserted: 0, updated: 0, skipped: 0, report };
+        }
+
+        const validRows = report.rows.filter((row) => row.status === "valid");
+        let nextSerial = validRows.reduce((max, row) => Math.max(max, row.values.serial_no || 0), maxSerial) + 1;
+
+        const columns = [...register.columns.map((column) => column.name), "financial_year"];
+        let inserted = 0;
+        let updated = 0;
+        const written = [];
+        for (const entry of validRows) {
+            try {
+                if (entry.action === "update") {
+                    const changedColumns = Object.keys(entry.changes);
+                    await connection.query(
+                        `UPDATE ${register.table} SET ${changedColumns.map((column) => `${column} = ?`).join(", ")}, version = version + 1 WHERE id = ?`,
+                        [...changedColumns.map((column) => entry.values[column]), entry.existing.id]
+                    );
+                    const after = { ...entry.existing, ...Object.fromEntries(changedColumns.map((column) => [column, entry.values[column]])) };
+                    await recordAudit({
+                        tableName: register.table,
+                        recordId: entry.existing.id,
+                        action: "import_update",
+                        before: entry.existing,
+                        after,
+                        username,
+                    }, connection);
+                    written.push({ after, before: entry.existing });
+                    updated++;
+                } else if (entry.action === "insert") {
+                    const values = { ...entry.values, financial_year: financialYear };
+                    if (values.serial_no === null) {
+                        values.serial_no = nextSerial++;
+                    }
+                    const [result] = await connection.query(
+                        `INSERT INTO ${register.table} (${columns.join(", ")}) VALUES (?)`,
+                        [columns.map((column) => values[column])]
+                    );
+                    entry.id = result.insertId;
+                    await recordAudit({
+                        tableName: register.table,
+                        recordId: result.insertId,
+                        action: "import",
+                        before: null,
+                        after: values,
+                        username,
+                    }, connection);
+                    written.push({ after: { ...values, id: result.insertId }, before: null });
+                    inserted++;
+                }
+            } catch (error) {
+                error.importRow = entry.rowNumber;
+                throw error;
+            }
+        }
+        if (beforeCommit && written.length > 0) {
+            await beforeCommit(connection, written);
+        }
+
+        await connection.commit();
+        return { committed: true, inserted, updated, skipped: report.summary.invalid, report };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+module.exports = {
+    parseDateValue,
+    parseNumberValue,
+    validateRow,
+    validateImport,
+    commitImport,
+    toClientReport,
+};
@@ -0,0 +1,389 @@
+const pool = require("./db");
+const { liveCondition } = require("./register-engine");
+
+/**
+ * Item catalogue: one record per item with its unit of measure and category.
+ * demand_orders and supply_orders keep nomenclature and quantity as typed; item_id links a row to the item whose
+ * name normalizes to the same key as its nomenclature, and quantity_value holds the number the quantity text
+ * starts with ("10 Units" -> 10). Supply orders of an item give its price history: order value / quantity.
+ */
+
+// Registers that carry a nomenclature and quantity, and their tables
+const ITEM_TABLES = { demand: "demand_orders", supply: "supply_orders" };
+
+// Units offered when adding an item; any other unit can be typed
+const COMMON_UNITS = ["Nos", "Set", "Pair", "Box", "Lot", "Kg", "Litre", "Metre", "Sq Metre", "Roll", "Packet"];
+
+const SUPPLY_VALUE_SQL = "COALESCE(s.build_up, 0) + COALESCE(s.maint, 0) + COALESCE(s.misc, 0) + COALESCE(s.project_less_2cr, 0) + COALESCE(s.project_more_2cr, 0)";
+
+/**
+ * Creates the items table and the item_id and quantity_value columns of demand and supply orders
+ * When quantity_value is first added it is filled in from the existing quantities
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeItems() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS items (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                name_key VARCHAR(255) NOT NULL,
+                unit VARCHAR(30) NOT NULL,
+                category VARCHAR(100),
+                description TEXT,
+                updated_by VARCHAR(50),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_item_name_key (name_key),
+                INDEX idx_items_category (category)
+            )
+        `);
+        for (const table of Object.values(ITEM_TABLES)) {
+            try {
+                await pool.query(
+                    `ALTER TABLE ${table} ADD COLUMN item_id INT NULL, ADD COLUMN quantity_value DECIMAL(15,3) NULL,
+                     ADD INDEX idx_${table}_item (item_id)`
+                );
+                await backfillQuantityValues(table);
+            } catch (error) {
+                if (error.code !== "ER_DUP_FIELDNAME") throw error;
+            }
+        }
+        console.log("Item catalogue table initialized");
+    } catch (error) {
+        console.error("Error initializing item catalogue table:", error);
+    }
+}
+
+async function backfillQuantityValues(table) {
+    const [rows] = await pool.query(`SELECT id, quantity FROM ${table} WHERE quantity IS NOT NULL AND quantity <> ''`);
+    const idsByValue = new Map();
+    rows.forEach((row) => {
+        const value = parseQuantityValue(row.quantity);
+        if (value !== null) idsByValue.set(value, [...(idsByValue.get(value) || []), row.id]);
+    });
+    for (const [value, ids] of idsByValue) {
+        await pool.query(`UPDATE ${table} SET quantity_value = ? WHERE id IN (?)`, [value, ids]);
+    }
+}
+
+/**
+ * Key a nomenclature and an item name share when they name the same item: lower case, punctuation and
+ * repeated spaces dropped
+ * @param {string} name - Item name or nomenclature as typed
+ * @returns {string} - Key, or "" for a blank name
+ */
+function normalizeItemName(name) {
+    return String(name || "")
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, " ")
+        .trim()
+        .slice(0, 255);
+}
+
+/**
+ * Number a quantity is typed with: "10 Units" -> 10, "1,500 Nos" -> 1500, "2.5 Kg" -> 2.5
+ * @param {string} quantity - Quantity as typed
+ * @returns {number|null} - The number, or null when the text does not start with one (or it is zero)
+ */
+function parseQuantityValue(quantity) {
+    const match = /^\s*(\d[\d,]*(?:\.\d+)?)/.exec(String(quantity || ""));
+    if (!match) return null;
+    const value = Number(match[1].replace(/,/g, ""));
+    return Number.isFinite(value) && value > 0 ? value : null;
+}
+
+/**
+ * Validates an item sent by the client
+ * @param {Object} body - { name, unit, category, description }
+ * @returns {Object} - { item } or { error }
+ * Used by: server.js item endpoints
+ */
+function parseItemInput(body = {}) {
+    const name = String(body.name || "").replace(/\s+/g, " ").trim();
+    if (!name || !normalizeItemName(name)) return { error: "Item name is required" };
+    if (name.length > 255) return { error: "Item name can be at most 255 characters" };
+    const unit = String(body.unit || "").trim();
+    if (!unit) return { error: "A unit of measure is required" };
+    if (unit.length > 30) return { error: "The unit can be at most 30 characters" };
+    const category = String(body.category || "").trim();
+    if (category.length > 100) return { error: "The category can be at most 100 characters" };
+    return {
+        item: {
+            name,
+            name_key: normalizeItemName(name),
+            unit,
+            category: category || null,
+            description: body.description ? String(body.description) : null,
+        },
+    };
+}
+
+/**
+ * Lists the catalogue with how many live demands and supply orders are linked to each item
+ * @param {Object} filters - { q: text in the name, category }
+ * @returns {Array} - [{ id, name, unit, category, description, demands, orders }]
+ * Used by: server.js item endpoints, the nomenclature pickers of the registers
+ * Dependencies: db.js (pool)
+ */
+async function listItems({ q = "", category = "" } = {}) {
+    const filters = [];
+    const params = [];
+    if (q) {
+        filters.push("i.name LIKE ?");
+        params.push(`%${q}%`);
+    }
+    if (category) {
+        filters.push("i.category = ?");
+        params.push(category);
+    }
+    const [items] = await pool.query(
+        `SELECT i.id, i.name, i.unit, i.category, i.description, i.updated_by, i.updated_at,
+                (SELECT COUNT(*) FROM demand_orders d WHERE d.item_id = i.id AND d.deleted_at IS NULL) as demands,
+                (SELECT COUNT(*) FROM supply_orders s WHERE s.item_id = i.id AND s.deleted_at IS NULL) as orders
+         FROM items i ${filters.length ? `WHERE ${filters.join(" AND ")}` : ""}
+         ORDER BY i.category, i.name`,
+        params
+    );
+    return items;
+}
+
+/**
+ * Adds an item and links the demands and supply orders whose nomenclature names it
+ * @param {Object} item - parseItemInput() result
+ * @param {string} username - Session username
+ * @returns {number} - Item id
+ * Dependencies: db.js (pool)
+ */
+async function createItem(item, username) {
+    const [result] = await pool.query(
+        "INSERT INTO items (name, name_key, unit, category, description, updated_by) VALUES (?, ?, ?, ?, ?, ?)",
+        [item.name, item.name_key, item.unit, item.category, item.description, username || null]
+    );
+    await syncItemLinks([item.name_key]);
+    return result.insertId;
+}
+
+/**
+ * Changes an item; a renamed item is linked to the rows its new name matches instead
+ * @returns {boolean} - False if there is no such item
+ * Dependencies: db.js (pool)
+ */
+async function updateItem(id, item, username) {
+    const [existing] = await pool.query("SELECT name_key FROM items WHERE id = ?", [id]);
+    if (!existing[0]) return false;
+    await pool.query(
+        "UPDATE items SET name = ?, name_key = ?, unit = ?, category = ?, description = ?, updated_by = ? WHERE id = ?",
+        [item.name, item.name_key, item.unit, item.category, item.description, username || null, id]
+    );
+    await syncItemLinks([existing[0].name_key, item.name_key]);
+    return true;
+}
+
+/**
+ * Deletes an item; its demands and supply orders keep their nomenclature and are unlinked
+ * @returns {boolean} - False if there is no such item
+ * Dependencies: db.js (pool)
+ */
+async function deleteItem(id) {
+    const [result] = await pool.query("DELETE FROM items WHERE id = ?", [id]);
+    if (result.affectedRows === 0) return false;
+    for (const table of Object.values(ITEM_TABLES)) {
+        await pool.query(`UPDATE ${table} SET item_id = NULL WHERE item_id = ?`, [id]);
+    }
+    return true;
+}
+
+/**
+ * Points item_id of demands and supply orders at the item their nomenclature names (or NULL)
+ * @param {Array} keys - Normalized names whose item may have changed
+ * Dependencies: db.js (pool)
+ */
+async function syncItemLinks(keys) {
+    const scope = new Set(keys.filter(Boolean));
+    if (scope.size === 0) return;
+    const [items] = await pool.query("SELECT id, name_key FROM items WHERE name_key IN (?)", [[...scope]]);
+    const itemOfKey = new Map(items.map((item) => [item.name_key, item.id]));
+
+    for (const table of Object.values(ITEM_TABLES)) {
+        const [names] = await pool.query(`SELECT DISTINCT nomenclature, item_id FROM ${table} WHERE nomenclature IS NOT NULL`);
+        const relink = new Map();
+        names.forEach(({ nomenclature, item_id: itemId }) => {
+            const key = normalizeItemName(nomenclature);
+            if (!scope.has(key)) return;
+            const expected = itemOfKey.get(key) || null;
+            if (expected === itemId) return;
+            relink.set(expected, [...(relink.get(expected) || []), nomenclature]);
+        });
+        for (const [itemId, nomenclatures] of relink) {
+            await pool.query(`UPDATE ${table} SET item_id = ? WHERE nomenclature IN (?)`, [itemId, nomenclatures]);
+        }
+    }
+}
+
+/**
+ * Links written demands or supply orders to their items and stores their numeric quantity
+ * Nomenclature and quantity are read back from the table, so every write recomputes item_id and quantity_value
+ * from what the row now holds, including edits and merge imports that leave either column out of their values
+ * @param {string} type - Register type
+ * @param {Array} changes - [{ after, before }] of the written records
+ * Used by: server.js REGISTER_WRITE_HOOKS
+ * Dependencies: db.js (pool)
+ */
+async function linkRegisterItems(type, changes) {
+    const table = ITEM_TABLES[type];
+    const ids = [...new Set(changes.map((change) => change.after).filter((row) => row && row.id).map((row) => Number(row.id)))];
+    if (!table || ids.length === 0) return;
+    const [written] = await pool.query(`SELECT id, nomenclature, quantity FROM ${table} WHERE id IN (?)`, [ids]);
+    const keys = [...new Set(written.map((row) => normalizeItemName(row.nomenclature)).filter(Boolean))];
+    const [items] = keys.length > 0
+        ? await pool.query("SELECT id, name_key FROM items WHERE name_key IN (?)", [keys])
+        : [[]];
+    const itemOfKey = new Map(items.map((item) => [item.name_key, item.id]));
+
+    const idsByLink = new Map();
+    written.forEach((row) => {
+        const itemId = itemOfKey.get(normalizeItemName(row.nomenclature)) || null;
+        const link = JSON.stringify([itemId, parseQuantityValue(row.quantity)]);
+        idsByLink.set(link, [...(idsByLink.get(link) || []), row.id]);
+    });
+    for (const [link, ids] of idsByLink) {
+        const [itemId, quantityValue] = JSON.parse(link);
+        await pool.query(`UPDATE ${table} SET item_id = ?, quantity_value = ? WHERE id IN (?)`, [itemId, quantityValue, ids]);
+    }
+}
+
+/**
+ * Nomenclatures typed most often in live demands and supply orders that no item names yet, for adding to the catalogue
+ * @returns {Array} - [{ nomenclature, records }], up to 100
+ * Used by: server.js item endpoints
+ * Dependencies: db.js (pool)
+ */
+async function getUncataloguedNomenclatures() {
+    const [rows] = await pool.query(
+        `SELECT nomenclature, SUM(records) as records FROM (
+             SELECT nomenclature, COUNT(*) as records FROM demand_orders
+             WHERE deleted_at IS NULL AND item_id IS NULL AND nomenclature IS NOT NULL AND nomenclature <> '' GROUP BY nomenclature
+             UNION ALL
+             SELECT nomenclature, COUNT(*) as records FROM supply_orders
+             WHERE deleted_at IS NULL AND item_id IS NULL AND nomenclature IS NOT NULL AND nomenclature <> '' GROUP BY nomenclature
+         ) typed GROUP BY nomenclature ORDER BY records DESC, nomenclature LIMIT 100`
+    );
+    return rows.map((row) => ({ nomenclature: row.nomenclature, records: Number(row.records) }));
+}
+
+function quartile(sorted, fraction) {
+    const position = (sorted.length - 1) * fraction;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+}
+
+const roundRate = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Unit rates an item was bought at: each live supply order of the item with a value and a numeric quantity, an order
+ * carried into a later year counted once, as its latest copy.
+ * Rates outside 1.5 interquartile ranges of the middle half are flagged as outliers (with four or more purchases).
+ * @param {number|string} itemId - Item id
+ * @returns {Object|null} - { item, purchases: [{ id, financial_year, supply_order_no, so_date, firm_name, quantity,
+ *                          value, unit_rate, outlier }], stats: { count, last, min, max, median, low, high } },
+ *                          newest first, or null if there is no such item
+ * Used by: server.js item price endpoints, getPriceHint()
+ * Dependencies: db.js (pool)
+ */
+async function getItemPriceHistory(itemId) {
+    const [items] = await pool.query("SELECT id, name, unit, category FROM items WHERE id = ?", [itemId]);
+    if (!items[0]) return null;
+    const [rows] = await pool.query(
+        `SELECT s.id, s.financial_year, s.supply_order_no, DATE_FORMAT(s.so_date, '%Y-%m-%d') as so_date,
+                COALESCE(f.name, s.firm_name) as firm_name, s.quantity, s.quantity_value, ${SUPPLY_VALUE_SQL} as value
+         FROM supply_orders s
+         LEFT JOIN firms f ON f.id = s.firm_id
+         WHERE s.item_id = ? AND s.deleted_at IS NULL AND s.quantity_value > 0 AND ${liveCondition("s.")}
+           AND NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = s.id AND c.deleted_at IS NULL)
+         ORDER BY s.so_date DESC, s.id DESC`,
+        [itemId]
+    );
+    const purchases = rows
+        .filter((row) => Number(row.value) > 0)
+        .map((row) => ({
+            id: row.id,
+            financial_year: row.financial_year,
+            supply_order_no: row.supply_order_no,
+            so_date: row.so_date,
+            firm_name: row.firm_name,
+            quantity: row.quantity,
+            value: roundRate(Number(row.value)),
+            unit_rate: roundRate(Number(row.value) / Number(row.quantity_value)),
+        }));
+
+    const rates = purchases.map((purchase) => purchase.unit_rate).sort((a, b) => a - b);
+    let stats = { count: 0, last: null, min: null, max: null, median: null, low: null, high: null };
+    if (rates.length > 0) {
+        const q1 = quartile(rates, 0.25);
+        const q3 = quartile(rates, 0.75);
+        const flagOutliers = rates.length >= 4;
+        stats = {
+            count: rates.length,
+            last: purchases[0],
+            min: rates[0],
+            max: rates[rates.length - 1],
+            median: roundRate(quartile(rates, 0.5)),
+            low: flagOutliers ? roundRate(q1 - 1.5 * (q3 - q1)) : null,
+            high: flagOutliers ? roundRate(q3 + 1.5 * (q3 - q1)) : null,
+        };
+    }
+    purchases.forEach((purchase) => {
+        purchase.outlier = stats.low !== null && (purchase.unit_rate < stats.low || purchase.unit_rate > stats.high);
+    });
+    return { item: items[0], purchases, stats };
+}
+
+/**
+ * Last purchase price hint for a new demand: the item its nomenclature names, the last rate it was bought at,
+ * and that rate times the quantity as a suggested estimate
+ * @param {string} nomenclature - Nomenclature as typed
+ * @param {string} quantity - Quantity as typed
+ * @returns {Object|null} - { item, quantity_value, last, median, low, high, suggested_cost }; { item, last: null } when
+ *                          the item has never been bought, null when the nomenclature names no item
+ * Used by: server.js price hint endpoint
+ * Dependencies: db.js (pool)
+ */
+async function getPriceHint(nomenclature, quantity) {
+    const key = normalizeItemName(nomenclature);
+    if (!key) return null;
+    const [items] = await pool.query("SELECT id FROM items WHERE name_key = ?", [key]);
+    if (!items[0]) return null;
+    const history = await getItemPriceHistory(items[0].id);
+    if (!history || history.stats.count === 0) return { item: history && history.item, last: null };
+    const quantityValue = parseQuantityValue(quantity);
+    return {
+        item: history.item,
+        quantity_value: quantityValue,
+        last: history.stats.last,
+        median: history.stats.median,
+        low: history.stats.low,
+        high: history.stats.high,
+        suggested_cost: quantityValue === null ? null : roundRate(history.stats.last.unit_rate * quantityValue),
+    };
+}
+
+module.exports = {
+    ITEM_TABLES,
+    COMMON_UNITS,
+    initializeItems,
+    normalizeItemName,
+    parseQuantityValue,
+    parseItemInput,
+    listItems,
+    createItem,
+    updateItem,
+    deleteItem,
+    syncItemLinks,
+    linkRegisterItems,
+    getUncataloguedNomenclatures,
+    getItemPriceHistory,
+    getPriceHint,
+};
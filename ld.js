@@ -0,0 +1,327 @@
+const pool = require("./db");
+const { parseNumberValue } = require("./importer");
+
+/**
+ * Liquidated damages (LD) on late deliveries
+ * A bill's suggested LD comes from its supply order: the delay of actual_delivery_date past the due date, in weeks
+ * or part thereof, times the rule's percent per week (up to the cap), applied to the bill's value. The due date is
+ * the latest revised delivery date when revisions waive LD (the extension was granted without LD), otherwise the
+ * original delivery date. The LD actually recovered stays in bill_orders.ld_amount; setting it to anything other
+ * than the suggestion needs a reason, which is kept with the bill.
+ */
+
+const DEFAULT_RULES = {
+    percent_per_week: 0.5,
+    max_percent: 10,
+    grace_days: 0,
+    revisions_waive_ld: true,
+};
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+const SUPPLY_VALUE_COLUMNS = ["build_up", "maint", "misc", "project_less_2cr", "project_more_2cr"];
+const BILL_VALUE_COLUMNS = ["build_up", "maintenance", "project_less_2cr", "project_more_2cr"];
+
+/**
+ * Creates the ld_rules table (one row) and the override columns on bill_orders
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeLdTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS ld_rules (
+                id INT PRIMARY KEY,
+                percent_per_week DECIMAL(5,2) NOT NULL,
+                max_percent DECIMAL(5,2) NOT NULL,
+                grace_days INT NOT NULL DEFAULT 0,
+                revisions_waive_ld BOOLEAN NOT NULL DEFAULT TRUE,
+                updated_by VARCHAR(50),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+        await pool.query(
+            "INSERT IGNORE INTO ld_rules (id, percent_per_week, max_percent, grace_days, revisions_waive_ld) VALUES (1, ?, ?, ?, ?)",
+            [DEFAULT_RULES.percent_per_week, DEFAULT_RULES.max_percent, DEFAULT_RULES.grace_days, DEFAULT_RULES.revisions_waive_ld]
+        );
+        console.log("LD rules table initialized");
+    } catch (error) {
+        console.error("Error initializing LD rules table:", error);
+    }
+
+    try {
+        await pool.query("ALTER TABLE bill_orders ADD COLUMN ld_override_reason TEXT NULL");
+    } catch (error) {
+        // Column already exists
+        if (error.code !== "ER_DUP_FIELDNAME") {
+            console.error("Error adding LD override column to bill_orders:", error);
+        }
+    }
+}
+
+/**
+ * Loads the LD rules
+ * @returns {Object} - { percent_per_week, max_percent, grace_days, revisions_waive_ld, updated_by, updated_at }
+ * Used by: server.js LD endpoints, calculateBillLd()
+ * Dependencies: db.js (pool)
+ */
+async function getLdRules() {
+    const [rows] = await pool.query("SELECT * FROM ld_rules WHERE id = 1");
+    if (!rows[0]) return { ...DEFAULT_RULES };
+    return {
+        percent_per_week: Number(rows[0].percent_per_week),
+        max_percent: Number(rows[0].max_percent),
+        grace_days: rows[0].grace_days,
+        revisions_waive_ld: Boolean(rows[0].revisions_waive_ld),
+        updated_by: rows[0].updated_by,
+        updated_at: rows[0].updated_at,
+    };
+}
+
+/**
+ * Validates LD rules sent by the client
+ * @param {Object} body - { percent_per_week, max_percent, grace_days, revisions_waive_ld }
+ * @returns {Object} - { rules } or { error }
+ * Used by: server.js LD rules endpoint
+ */
+function parseLdRulesInput(body = {}) {
+    const percentPerWeek = parseNumberValue(body.percent_per_week);
+    const maxPercent = parseNumberValue(body.max_percent);
+    const graceDays = parseNumberValue(body.grace_days ?? 0, true);
+    if (percentPerWeek.error || percentPerWeek.value < 0 || percentPerWeek.value > 100) {
+        return { error: "percent_per_week must be between 0 and 100" };
+    }
+    if (maxPercent.error || maxPercent.value < 0 || maxPercent.value > 100) {
+        return { error: "max_percent must be between 0 and 100" };
+    }
+    if (graceDays.error || graceDays.value < 0) {
+        return { error: "grace_days must be a whole number of zero or more" };
+    }
+    return {
+        rules: {
+            percent_per_week: percentPerWeek.value,
+            max_percent: maxPercent.value,
+            grace_days: graceDays.value,
+            revisions_waive_ld: body.revisions_waive_ld === true || body.revisions_waive_ld === "true",
+        },
+    };
+}
+
+/**
+ * Saves the LD rules
+ * @param {Object} rules - parseLdRulesInput() result
+ * @param {string} username - Session username
+ * Dependencies: db.js (pool)
+ */
+async function saveLdRules(rules, username) {
+    await pool.query(
+        `INSERT INTO ld_rules (id, percent_per_week, max_percent, grace_days, revisions_waive_ld, updated_by)
+         VALUES (1, ?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE percent_per_week = VALUES(percent_per_week), max_percent = VALUES(max_percent),
+             grace_days = VALUES(grace_days), revisions_waive_ld = VALUES(revisions_waive_ld), updated_by = VALUES(updated_by)`,
+        [rules.percent_per_week, rules.max_percent, rules.grace_days, rules.revisions_waive_ld, username || null]
+    );
+}
+
+function roundMoney(value) {
+    return Math.round(Number(value || 0) * 100) / 100;
+}
+
+function sumColumns(row, columns) {
+    return roundMoney(columns.reduce((total, column) => total + Number(row[column] || 0), 0));
+}
+
+/**
+ * Works out the LD of a bill against its supply order
+ * @param {Object} bill - Bill row (supply_order_no and its value columns)
+ * @param {Object|null} order - Its supply order (dates as YYYY-MM-DD and value columns), null if not found
+ * @param {Object} rules - getLdRules()
+ * @returns {Object} - { applicable, reason, suggested, steps... } - every input and intermediate value of the calculation
+ */
+function computeLd(bill, order, rules) {
+    const calculation = { supply_order_no: bill.supply_order_no, rules, suggested: 0, applicable: false };
+    if (!order) {
+        return { ...calculation, reason: "The supply order of this bill is not in the supply order register" };
+    }
+
+    const revisions = [order.revised_date1, order.revised_date2, order.revised_date3].filter(Boolean);
+    const latestRevision = revisions.length ? revisions.reduce((latest, date) => (date > latest ? date : latest)) : null;
+    const waived = Boolean(rules.revisions_waive_ld && latestRevision && (!order.original_date || latestRevision > order.original_date));
+    const dueDate = waived ? latestRevision : order.original_date;
+    Object.assign(calculation, {
+        original_date: order.original_date,
+        revised_dates: revisions,
+        due_date: dueDate,
+        due_date_source: waived ? "latest revision (waives LD)" : "original delivery date",
+        delivery_date: order.actual_delivery_date,
+    });
+    if (!dueDate) {
+        return { ...calculation, reason: "The supply order has no delivery date" };
+    }
+    if (!order.actual_delivery_date) {
+        return { ...calculation, reason: "The supply order has no actual delivery date yet" };
+    }
+
+    const delayDays = Math.round((new Date(order.actual_delivery_date) - new Date(dueDate)) / MS_PER_DAY);
+    const chargeableDays = Math.max(0, delayDays - rules.grace_days);
+    // "Per week or part thereof"
+    const weeks = Math.ceil(chargeableDays / 7);
+    const uncappedPercent = roundMoney(weeks * rules.percent_per_week);
+    const percent = Math.min(uncappedPercent, rules.max_percent);
+
+    const billValue = sumColumns(bill, BILL_VALUE_COLUMNS);
+    const base = billValue > 0 ? billValue : sumColumns(order, SUPPLY_VALUE_COLUMNS);
+
+    Object.assign(calculation, {
+        delay_days: Math.max(0, delayDays),
+        grace_days: rules.grace_days,
+        chargeable_days: chargeableDays,
+        weeks,
+        uncapped_percent: uncappedPercent,
+        percent,
+        capped: uncappedPercent > rules.max_percent,
+        base,
+        base_source: billValue > 0 ? "bill value" : "supply order value",
+        suggested: roundMoney((base * percent) / 100),
+        applicable: weeks > 0,
+    });
+    if (weeks === 0) {
+        calculation.reason = delayDays > 0 ? "Delivered within the grace period" : "Delivered on time";
+    }
+    return calculation;
+}
+
+const SUPPLY_ORDER_SELECT = `SELECT supply_order_no, DATE_FORMAT(original_date, '%Y-%m-%d') as original_date,
+    DATE_FORMAT(revised_date1, '%Y-%m-%d') as revised_date1, DATE_FORMAT(revised_date2, '%Y-%m-%d') as revised_date2,
+    DATE_FORMAT(revised_date3, '%Y-%m-%d') as revised_date3, DATE_FORMAT(actual_delivery_date, '%Y-%m-%d') as actual_delivery_date,
+    ${SUPPLY_VALUE_COLUMNS.join(", ")}
+    FROM supply_orders`;
+
+// A supply order carried into a later year is read from its latest copy, where the delivery is recorded
+const LATEST_COPY_SQL = "NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = supply_orders.id AND c.deleted_at IS NULL)";
+
+/**
+ * Suggested LD of one bill, with the calculation behind it
+ * @param {number|string} billId - Bill id
+ * @returns {Object|null} - { bill: { id, serial_no, financial_year, supply_order_no, ld_amount, ld_override_reason, version },
+ *                          calculation }, or null if the bill does not exist
+ * Used by: server.js LD endpoints
+ * Dependencies: db.js (pool)
+ */
+async function calculateBillLd(billId) {
+    const [bills] = await pool.query(
+        `SELECT id, serial_no, financial_year, supply_order_no, ld_amount, ld_override_reason, version, ${BILL_VALUE_COLUMNS.join(", ")}
+         FROM bill_orders WHERE id = ? AND deleted_at IS NULL`,
+        [billId]
+    );
+    const bill = bills[0];
+    if (!bill) return null;
+
+    const [orders] = await pool.query(
+        `${SUPPLY_ORDER_SELECT} WHERE supply_order_no = ? AND deleted_at IS NULL AND ${LATEST_COPY_SQL} LIMIT 1`,
+        [bill.supply_order_no]
+    );
+    const calculation = computeLd(bill, orders[0] || null, await getLdRules());
+    return {
+        bill: {
+            id: bill.id,
+            serial_no: bill.serial_no,
+            financial_year: bill.financial_year,
+            supply_order_no: bill.supply_order_no,
+            ld_amount: bill.ld_amount === null ? null : roundMoney(bill.ld_amount),
+            ld_override_reason: bill.ld_override_reason,
+            version: bill.version,
+        },
+        calculation,
+    };
+}
+
+/**
+ * Suggested LD of every bill of a financial year
+ * @param {string} financialYear - Financial year
+ * @returns {Array} - [{ id, serial_no, supply_order_no, ld_amount, suggested, differs, ld_override_reason, reason }]
+ * Used by: server.js LD endpoints
+ * Dependencies: db.js (pool)
+ */
+async function calculateYearLd(financialYear) {
+    const [bills] = await pool.query(
+        `SELECT id, serial_no, supply_order_no, ld_amount, ld_override_reason, ${BILL_VALUE_COLUMNS.join(", ")}
+         FROM bill_orders WHERE financial_year = ? AND deleted_at IS NULL ORDER BY serial_no`,
+        [financialYear]
+    );
+    const orderNos = [...new Set(bills.map((bill) => bill.supply_order_no).filter(Boolean))];
+    const orders = new Map();
+    if (orderNos.length > 0) {
+        const [rows] = await pool.query(`${SUPPLY_ORDER_SELECT} WHERE supply_order_no IN (?) AND deleted_at IS NULL AND ${LATEST_COPY_SQL}`, [orderNos]);
+        rows.forEach((row) => {
+            if (!orders.has(row.supply_order_no)) orders.set(row.supply_order_no, row);
+        });
+    }
+
+    const rules = await getLdRules();
+    return bills.map((bill) => {
+        const calculation = computeLd(bill, orders.get(bill.supply_order_no) || null, rules);
+        const ldAmount = bill.ld_amount === null ? null : roundMoney(bill.ld_amount);
+        return {
+            id: bill.id,
+            serial_no: bill.serial_no,
+            supply_order_no: bill.supply_order_no,
+            ld_amount: ldAmount,
+            suggested: calculation.suggested,
+            differs: (ldAmount || 0) !== calculation.suggested,
+            ld_override_reason: bill.ld_override_reason,
+            reason: calculation.reason || null,
+        };
+    });
+}
+
+/**
+ * Sets the LD recovered on a bill
+ * The suggested amount needs no reason (and clears an earlier one); any other amount is an override and does.
+ * With a version the write only applies if nobody else has written the bill since calculateBillLd() returned it.
+ * @param {number|string} billId - Bill id
+ * @param {Object} input - { ld_amount, reason, version } - ld_amount omitted applies the suggestion; version null skips the check
+ * @returns {Object} - { updated, ld_amount, overridden } or { error, status }
+ * Used by: server.js LD endpoint
+ * Dependencies: db.js (pool)
+ */
+async function setBillLd(billId, { ld_amount, reason, version = null }) {
+    const result = await calculateBillLd(billId);
+    if (!result) return { error: "Bill not found", status: 404 };
+    const changedError = { error: "This bill was changed by someone else after you opened it", status: 409 };
+    if (version !== null && version !== result.bill.version) return changedError;
+
+    const suggested = result.calculation.suggested;
+    let amount = suggested;
+    if (ld_amount !== undefined && ld_amount !== null && ld_amount !== "") {
+        const parsed = parseNumberValue(ld_amount);
+        if (parsed.error || parsed.value < 0) {
+            return { error: "ld_amount must be a number of zero or more", status: 400 };
+        }
+        amount = roundMoney(parsed.value);
+    }
+    const overridden = amount !== suggested;
+    const overrideReason = reason ? String(reason).trim() : "";
+    if (overridden && !overrideReason) {
+        return { error: `A reason is required to set LD to ${amount} instead of the suggested ${suggested}`, status: 400 };
+    }
+
+    const [update] = await pool.query(
+        `UPDATE bill_orders SET ld_amount = ?, ld_override_reason = ?, version = version + 1
+         WHERE id = ? AND deleted_at IS NULL${version !== null ? " AND version = ?" : ""}`,
+        [amount, overridden ? overrideReason : null, billId, ...(version !== null ? [version] : [])]
+    );
+    if (update.affectedRows === 0) return changedError;
+    return { updated: true, ld_amount: amount, overridden, financial_year: result.bill.financial_year };
+}
+
+module.exports = {
+    initializeLdTables,
+    getLdRules,
+    parseLdRulesInput,
+    saveLdRules,
+    computeLd,
+    calculateBillLd,
+    calculateYearLd,
+    setBillLd,
+};
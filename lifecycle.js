@@ -0,0 +1,246 @@
+const pool = require("./db");
+const { parseDateValue } = require("./importer");
+const { liveCondition } = require("./register-engine");
+
+/**
+ * Procurement lifecycle across the registers: a demand is raised (demand_orders), a supply order is placed
+ * against its IMMS demand number (supply_orders.imms_demand_no), the stores are delivered, a bill is raised
+ * against the supply order (bill_orders.supply_order_no) and the amount is passed for payment.
+ * The links are the business numbers typed into the registers, so they can point at records that do not exist;
+ * those broken links are reported rather than hidden.
+ */
+
+const STAGES = [
+    { key: "raised", label: "Demand raised" },
+    { key: "so_placed", label: "Supply order placed" },
+    { key: "delivered", label: "Delivered" },
+    { key: "billed", label: "Billed" },
+    { key: "paid", label: "Paid" },
+];
+
+// delivery_done values that mean the stores have arrived
+const DELIVERED_VALUES = ["Yes", "Completed"];
+
+/**
+ * Delivery date a supply order is due by: the latest of its original and revised delivery dates
+ * @param {Object} order - Supply order with original_date and revised_date1..3 as YYYY-MM-DD
+ * @returns {string|null} - YYYY-MM-DD, or null when the order has no delivery date
+ * Used by: delivery-alerts.js computeAlerts, firms.js getFirmScorecards, reports.js delivery and supply status reports
+ */
+function getDueDate(order) {
+    return [order.original_date, order.revised_date1, order.revised_date2, order.revised_date3]
+        .filter(Boolean)
+        .sort()
+        .pop() || null;
+}
+
+// Date the amount was passed: the text column usually starts with or contains a DD/MM/YYYY or YYYY-MM-DD date
+const PASSED_DATE_PATTERN = /\d{4}-\d{1,2}-\d{1,2}|\d{1,2}[/.-]\d{1,2}[/.-]\d{4}/;
+
+function parsePassedDate(text) {
+    const match = PASSED_DATE_PATTERN.exec(text || "");
+    if (!match) return null;
+    return parseDateValue(match[0]).value || null;
+}
+
+/**
+ * Sets demand_orders.supply_order_placed from the live supply orders (see liveCondition) that reference each demand number:
+ * 'Yes' when at least one does, back to 'No' when none does any more (after a delete or a re-pointed supply order)
+ * @param {Array} immsDemandNos - Demand numbers whose supply orders changed (empty values are ignored)
+ * Used by: server.js REGISTER_WRITE_HOOKS.supply, supply order delete/restore and import
+ * Dependencies: db.js (pool)
+ */
+async function syncDemandSupplyStatus(immsDemandNos) {
+    const demandNos = [...new Set(immsDemandNos.filter((demandNo) => demandNo))];
+    if (demandNos.length === 0) return;
+    try {
+        await pool.query(
+            `UPDATE demand_orders d
+             LEFT JOIN (
+                 SELECT DISTINCT imms_demand_no FROM supply_orders
+                 WHERE imms_demand_no IN (?) AND deleted_at IS NULL AND ${liveCondition()}
+             ) s ON s.imms_demand_no = d.imms_demand_no
+             SET d.supply_order_placed = IF(s.imms_demand_no IS NULL, 'No', 'Yes'), d.version = d.version + 1
+             WHERE d.imms_demand_no IN (?) AND d.deleted_at IS NULL
+               AND NOT (d.supply_order_placed <=> IF(s.imms_demand_no IS NULL, 'No', 'Yes'))`,
+            [demandNos, demandNos]
+        );
+    } catch (error) {
+        console.error("Error updating supply order placed status:", error);
+    }
+}
+
+function recordRef(register, row) {
+    return { register, id: row.id, financial_year: row.financial_year, serial_no: row.serial_no };
+}
+
+/**
+ * Builds the lifecycle of one demand, or of one supply order when it has no demand number
+ * A demand's supply orders are its live ones (liveCondition), the same set syncDemandSupplyStatus() counts
+ * @param {Object} key - { immsDemandNo } or { supplyOrderNo }
+ * @returns {Object|null} - { immsDemandNo, demands, supplyOrders, bills, stages, currentStage, timeline, flags },
+ *                          or null if no record carries the number
+ * Used by: server.js lifecycle endpoints
+ * Dependencies: db.js (pool)
+ */
+async function getLifecycle({ immsDemandNo = null, supplyOrderNo = null }) {
+    let supplyOrders;
+    if (supplyOrderNo) {
+        [supplyOrders] = await pool.query(
+            `SELECT id, serial_no, financial_year, supply_order_no, DATE_FORMAT(so_date, '%Y-%m-%d') as so_date,
+                    firm_name, imms_demand_no, DATE_FORMAT(actual_delivery_date, '%Y-%m-%d') as actual_delivery_date, delivery_done
+             FROM supply_orders WHERE supply_order_no = ? AND deleted_at IS NULL`,
+            [supplyOrderNo]
+        );
+        const demandNo = supplyOrders.map((order) => order.imms_demand_no).find((demandNo) => demandNo);
+        if (demandNo) {
+            return getLifecycle({ immsDemandNo: demandNo });
+        }
+    }
+
+    let demands = [];
+    if (immsDemandNo) {
+        [demands] = await pool.query(
+            `SELECT id, serial_no, financial_year, imms_demand_no, DATE_FORMAT(demand_date, '%Y-%m-%d') as demand_date,
+                    nomenclature, est_cost, supply_order_placed
+             FROM demand_orders WHERE imms_demand_no = ? AND deleted_at IS NULL ORDER BY demand_date, id`,
+            [immsDemandNo]
+        );
+        [supplyOrders] = await pool.query(
+            `SELECT id, serial_no, financial_year, supply_order_no, DATE_FORMAT(so_date, '%Y-%m-%d') as so_date,
+                    firm_name, imms_demand_no, DATE_FORMAT(actual_delivery_date, '%Y-%m-%d') as actual_delivery_date, delivery_done
+             FROM supply_orders WHERE imms_demand_no = ? AND deleted_at IS NULL AND ${liveCondition()} ORDER BY so_date, id`,
+            [immsDemandNo]
+        );
+    }
+
+    const supplyOrderNos = supplyOrders.map((order) => order.supply_order_no).filter((orderNo) => orderNo);
+    if (supplyOrderNo && !supplyOrderNos.includes(supplyOrderNo)) {
+        supplyOrderNos.push(supplyOrderNo);
+    }
+    let bills = [];
+    if (supplyOrderNos.length > 0) {
+        [bills] = await pool.query(
+            `SELECT id, serial_no, financial_year, supply_order_no, DATE_FORMAT(so_date, '%Y-%m-%d') as so_date,
+                    DATE_FORMAT(bill_control_date, '%Y-%m-%d') as bill_control_date, firm_name, date_amount_passed
+             FROM bill_orders WHERE supply_order_no IN (?) AND deleted_at IS NULL ORDER BY bill_control_date, id`,
+            [supplyOrderNos]
+        );
+    }
+
+    if (demands.length === 0 && supplyOrders.length === 0 && bills.length === 0) {
+        return null;
+    }
+
+    const timeline = [];
+    const flags = [];
+    const reached = new Set();
+
+    for (const demand of demands) {
+        reached.add("raised");
+        timeline.push({ stage: "raised", date: demand.demand_date, label: `Demand ${demand.imms_demand_no} raised`, record: recordRef("demand", demand) });
+
+        const hasSupplyOrder = supplyOrders.length > 0;
+        if (hasSupplyOrder && demand.supply_order_placed !== "Yes") {
+            flags.push({ type: "status_mismatch", message: `Demand ${demand.imms_demand_no} (${demand.financial_year}) is marked as having no supply order`, record: recordRef("demand", demand) });
+        } else if (!hasSupplyOrder && demand.supply_order_placed === "Yes") {
+            flags.push({ type: "status_mismatch", message: `Demand ${demand.imms_demand_no} (${demand.financial_year}) is marked as placed but no supply order references it`, record: recordRef("demand", demand) });
+        }
+    }
+    if (immsDemandNo && demands.length === 0 && supplyOrders.length > 0) {
+        flags.push({ type: "missing_demand", message: `Demand ${immsDemandNo} is referenced by a supply order but is not in the demand register` });
+    }
+
+    for (const order of supplyOrders) {
+        reached.add("so_placed");
+        timeline.push({ stage: "so_placed", date: order.so_date, label: `Supply order ${order.supply_order_no} placed on ${order.firm_name || "firm"}`, record: recordRef("supply", order) });
+
+        if (DELIVERED_VALUES.includes(order.delivery_done) || order.actual_delivery_date) {
+            reached.add("delivered");
+            timeline.push({ stage: "delivered", date: order.actual_delivery_date, label: `Supply order ${order.supply_order_no} delivered`, record: recordRef("supply", order) });
+            if (!order.actual_delivery_date) {
+                flags.push({ type: "missing_date", message: `Supply order ${order.supply_order_no} is marked delivered without a delivery date`, record: recordRef("supply", order) });
+            }
+        }
+    }
+    if (supplyOrderNo && supplyOrders.length === 0) {
+        flags.push({ type: "missing_supply_order", message: `Supply order ${supplyOrderNo} is not in the supply order register` });
+    }
+
+    for (const bill of bills) {
+        reached.add("billed");
+        timeline.push({ stage: "billed", date: bill.bill_control_date, label: `Bill for ${bill.supply_order_no}`, record: recordRef("bill", bill) });
+
+        if (bill.date_amount_passed && bill.date_amount_passed.trim()) {
+            reached.add("paid");
+            timeline.push({ stage: "paid", date: parsePassedDate(bill.date_amount_passed), label: `Amount passed: ${bill.date_amount_passed}`, record: recordRef("bill", bill) });
+        }
+
+        const order = supplyOrders.find((supplyOrder) => supplyOrder.supply_order_no === bill.supply_order_no);
+        if (!order) {
+            flags.push({ type: "missing_supply_order", message: `Bill #${bill.serial_no} (${bill.financial_year}) is for supply order ${bill.supply_order_no}, which is not in the supply order register`, record: recordRef("bill", bill) });
+        } else if (bill.so_date && order.so_date && bill.so_date !== order.so_date) {
+            flags.push({ type: "date_mismatch", message: `Bill #${bill.serial_no} (${bill.financial_year}) has S.O. date ${bill.so_date}, the supply order has ${order.so_date}`, record: recordRef("bill", bill) });
+        }
+    }
+
+    // Undated events keep their stage order after the dated ones of the same stage
+    const stageIndex = (stage) => STAGES.findIndex((entry) => entry.key === stage);
+    timeline.sort((a, b) => stageIndex(a.stage) - stageIndex(b.stage) || (a.date || "9999").localeCompare(b.date || "9999"));
+
+    const stages = STAGES.map((stage) => ({
+        ...stage,
+        reached: reached.has(stage.key),
+        date: (timeline.find((event) => event.stage === stage.key && event.date) || {}).date || null,
+    }));
+    const current = [...stages].reverse().find((stage) => stage.reached);
+
+    return {
+        immsDemandNo: immsDemandNo || null,
+        supplyOrderNo: supplyOrderNo || null,
+        demands,
+        supplyOrders,
+        bills,
+        stages,
+        currentStage: current ? current.key : null,
+        timeline,
+        flags,
+    };
+}
+
+/**
+ * Lists the links of a financial year that point at nothing: supply orders whose IMMS demand number is not
+ * in the demand register, and bills whose supply order number is not in the supply order register
+ * @param {string} financialYear - Financial year of the referencing records
+ * @returns {Object} - { supplyOrders: [...], bills: [...] }
+ * Used by: server.js lifecycle broken links endpoint
+ * Dependencies: db.js (pool)
+ */
+async function getBrokenLinks(financialYear) {
+    const [supplyOrders] = await pool.query(
+        `SELECT s.id, s.serial_no, s.financial_year, s.supply_order_no, s.imms_demand_no
+         FROM supply_orders s
+         WHERE s.financial_year = ? AND s.deleted_at IS NULL AND s.imms_demand_no IS NOT NULL AND s.imms_demand_no <> ''
+           AND NOT EXISTS (SELECT 1 FROM demand_orders d WHERE d.imms_demand_no = s.imms_demand_no AND d.deleted_at IS NULL)
+         ORDER BY s.serial_no`,
+        [financialYear]
+    );
+    const [bills] = await pool.query(
+        `SELECT b.id, b.serial_no, b.financial_year, b.supply_order_no
+         FROM bill_orders b
+         WHERE b.financial_year = ? AND b.deleted_at IS NULL AND b.supply_order_no IS NOT NULL AND b.supply_order_no <> ''
+           AND NOT EXISTS (SELECT 1 FROM supply_orders s WHERE s.supply_order_no = b.supply_order_no AND s.deleted_at IS NULL)
+         ORDER BY b.serial_no`,
+        [financialYear]
+    );
+    return { supplyOrders, bills };
+}
+
+module.exports = {
+    STAGES,
+    DELIVERED_VALUES,
+    getDueDate,
+    syncDemandSupplyStatus,
+    getLifecycle,
+    getBrokenLinks,
+};
@@ -0,0 +1,307 @@
+const pool = require("./db");
+const { parseNumberValue } = require("./importer");
+
+/**
+ * Per-user notifications and the register events users subscribe to
+ * A register write is matched against every subscription; each match stores a notification for the subscriber
+ * (never for the user who made the change), which server.js pushes to the subscriber's Socket.IO room.
+ * Notifications stay until read, so a user who was offline sees them on the next load or poll.
+ */
+
+// Events a user can subscribe to; value is what the subscription is narrowed by
+const NOTIFICATION_EVENTS = {
+    supply_firm: { label: "A supply order for a firm changed", value: "firm" },
+    demand_so_placed: { label: "A demand I raised got a supply order", value: null },
+    bill_over_amount: { label: "A bill over an amount was entered", value: "amount" },
+};
+
+const BILL_VALUE_COLUMNS = ["build_up", "maintenance", "project_less_2cr", "project_more_2cr"];
+
+const ACTION_LABELS = { create: "added", update: "changed", delete: "deleted" };
+
+/**
+ * Creates the notifications and notification_subscriptions tables
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeNotifications() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS notifications (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                username VARCHAR(50) NOT NULL,
+                event_type VARCHAR(50) NOT NULL,
+                title VARCHAR(255) NOT NULL,
+                message TEXT,
+                register_type VARCHAR(30),
+                record_id INT,
+                financial_year VARCHAR(20),
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                read_at TIMESTAMP NULL,
+                INDEX idx_notifications_user (username, read_at, created_at)
+            )
+        `);
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS notification_subscriptions (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                username VARCHAR(50) NOT NULL,
+                event_type VARCHAR(50) NOT NULL,
+                value VARCHAR(255) NOT NULL DEFAULT '',
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_subscription (username, event_type, value)
+            )
+        `);
+        console.log("Notification tables initialized");
+    } catch (error) {
+        console.error("Error initializing notification tables:", error);
+    }
+}
+
+/**
+ * Validates a subscription sent by the client
+ * @param {Object} body - { event_type, value }
+ * @returns {Object} - { subscription: { event_type, value } } or { error }
+ * Used by: server.js notification subscription endpoint
+ */
+function parseSubscriptionInput(body = {}) {
+    const event = NOTIFICATION_EVENTS[body.event_type];
+    if (!event) {
+        return { error: `event_type must be one of ${Object.keys(NOTIFICATION_EVENTS).join(", ")}` };
+    }
+    const raw = body.value === undefined || body.value === null ? "" : String(body.value).trim();
+    if (event.value === "firm" && !raw) {
+        return { error: "A firm name is required" };
+    }
+    if (event.value === "amount") {
+        const amount = parseNumberValue(raw);
+        if (!raw || amount.error || amount.value < 0) {
+            return { error: "The amount must be a number of zero or more" };
+        }
+        return { subscription: { event_type: body.event_type, value: String(amount.value) } };
+    }
+    return { subscription: { event_type: body.event_type, value: event.value ? raw : "" } };
+}
+
+/**
+ * Lists a user's subscriptions
+ * @param {string} username - Session username
+ * @returns {Array} - [{ id, event_type, value, label, created_at }]
+ * Dependencies: db.js (pool)
+ */
+async function getSubscriptions(username) {
+    const [rows] = await pool.query(
+        "SELECT id, event_type, value, created_at FROM notification_subscriptions WHERE username = ? ORDER BY event_type, value",
+        [username]
+    );
+    return rows.map((row) => ({ ...row, label: (NOTIFICATION_EVENTS[row.event_type] || {}).label || row.event_type }));
+}
+
+/**
+ * Subscribes a user to an event; subscribing twice is a no-op
+ * @param {string} username - Session username
+ * @param {Object} subscription - parseSubscriptionInput() result
+ * Dependencies: db.js (pool)
+ */
+async function addSubscription(username, { event_type, value }) {
+    await pool.query(
+        "INSERT IGNORE INTO notification_subscriptions (username, event_type, value) VALUES (?, ?, ?)",
+        [username, event_type, value]
+    );
+}
+
+/**
+ * Removes one of a user's subscriptions
+ * @returns {boolean} - False if the user has no such subscription
+ * Dependencies: db.js (pool)
+ */
+async function deleteSubscription(username, id) {
+    const [result] = await pool.query(
+        "DELETE FROM notification_subscriptions WHERE id = ? AND username = ?",
+        [id, username]
+    );
+    return result.affectedRows > 0;
+}
+
+const normalizeFirm = (name) => String(name || "").trim().toLowerCase();
+
+function billValue(row) {
+    return BILL_VALUE_COLUMNS.reduce((total, column) => total + Number(row[column] || 0), 0);
+}
+
+function recordOf(change) {
+    const row = change.after || change.before;
+    return {
+        action: !change.before ? "create" : !change.after ? "delete" : "update",
+        row,
+        id: (change.after && change.after.id) || (change.before && change.before.id) || null,
+    };
+}
+
+/**
+ * Works out who is notified about written supply orders and bills
+ * @param {string} type - Register type
+ * @param {Array} changes - [{ after, before }] of the written records
+ * @param {Array} subscriptions - Subscriptions of the event types that apply to the register
+ * @param {Array} raisedDemands - For supply orders: [{ username, imms_demand_no }] demands the subscribers created
+ * @returns {Array} - Notifications to store, without ids
+ */
+function matchSubscriptions(type, changes, subscriptions, raisedDemands = []) {
+    const notifications = [];
+    for (const change of changes) {
+        const { action, row, id } = recordOf(change);
+        const base = { register_type: type, record_id: id, financial_year: row.financial_year };
+
+        if (type === "supply") {
+            const firms = new Set([change.after, change.before].filter(Boolean).map((entry) => normalizeFirm(entry.firm_name)));
+            subscriptions
+                .filter((subscription) => subscription.event_type === "supply_firm" && firms.has(normalizeFirm(subscription.value)))
+                .forEach((subscription) => notifications.push({
+                    ...base,
+                    username: subscription.username,
+                    event_type: "supply_firm",
+                    title: `Supply order ${row.supply_order_no || ""} for ${row.firm_name || subscription.value} ${ACTION_LABELS[action]}`,
+                    message: `${row.nomenclature || ""} (${row.financial_year})`.trim(),
+                }));
+
+            const demandNo = change.after && change.after.imms_demand_no;
+            if (demandNo && demandNo !== (change.before && change.before.imms_demand_no)) {
+                raisedDemands
+                    .filter((demand) => demand.imms_demand_no === demandNo)
+                    .forEach((demand) => notifications.push({
+                        ...base,
+                        username: demand.username,
+                        event_type: "demand_so_placed",
+                        title: `Your demand ${demandNo} got supply order ${row.supply_order_no || ""}`,
+                        message: `Placed on ${row.firm_name || "a firm"} (${row.financial_year})`,
+                    }));
+            }
+        }
+
+        if (type === "bill" && change.after) {
+            const amount = billValue(change.after);
+            const previous = change.before ? billValue(change.before) : null;
+            subscriptions
+                .filter((subscription) => subscription.event_type === "bill_over_amount")
+                .filter((subscription) => amount > Number(subscription.value) && (previous === null || previous <= Number(subscription.value)))
+                .forEach((subscription) => notifications.push({
+                    ...base,
+                    username: subscription.username,
+                    event_type: "bill_over_amount",
+                    title: `Bill of ₹${amount.toLocaleString("en-IN")} for ${row.supply_order_no || "a supply order"}`,
+                    message: `Over your threshold of ₹${Number(subscription.value).toLocaleString("en-IN")}; firm ${row.firm_name || "not recorded"} (${row.financial_year})`,
+                }));
+        }
+    }
+
+    // One notification per user, event and record, even when several subscriptions match
+    const seen = new Set();
+    return notifications.filter((notification) => {
+        const key = `${notification.username}|${notification.event_type}|${notification.record_id}|${notification.title}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+/**
+ * Stores the notifications that written register records trigger
+ * @param {string} type - Register type
+ * @param {Array} changes - [{ after, before }] of the written records
+ * @param {string} actor - Username of whoever wrote them; they are not notified of their own changes
+ * @returns {Array} - Stored notifications, with ids, for pushing to their users
+ * Used by: server.js runRegisterWriteHook()
+ * Dependencies: db.js (pool)
+ */
+async function createRegisterNotifications(type, changes, actor) {
+    const eventTypes = type === "supply" ? ["supply_firm", "demand_so_placed"] : type === "bill" ? ["bill_over_amount"] : [];
+    if (eventTypes.length === 0 || changes.length === 0) return [];
+
+    const [subscriptions] = await pool.query(
+        "SELECT username, event_type, value FROM notification_subscriptions WHERE event_type IN (?) AND username <> ?",
+        [eventTypes, actor || ""]
+    );
+    if (subscriptions.length === 0) return [];
+
+    // "A demand I raised" is a demand whose create the audit trail attributes to the subscriber
+    let raisedDemands = [];
+    const demandSubscribers = subscriptions.filter((subscription) => subscription.event_type === "demand_so_placed").map((subscription) => subscription.username);
+    const demandNos = [...new Set(changes.map((change) => change.after && change.after.imms_demand_no).filter(Boolean))];
+    if (demandSubscribers.length > 0 && demandNos.length > 0) {
+        [raisedDemands] = await pool.query(
+            `SELECT DISTINCT a.username, d.imms_demand_no
+             FROM demand_orders d
+             JOIN audit_log a ON a.table_name = 'demand_orders' AND a.record_id = d.id AND a.action = 'create'
+             WHERE d.imms_demand_no IN (?) AND d.deleted_at IS NULL AND a.username IN (?)`,
+            [demandNos, demandSubscribers]
+        );
+    }
+
+    const notifications = matchSubscriptions(type, changes, subscriptions, raisedDemands);
+    const stored = [];
+    for (const notification of notifications) {
+        const [result] = await pool.query(
+            `INSERT INTO notifications (username, event_type, title, message, register_type, record_id, financial_year)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [notification.username, notification.event_type, notification.title, notification.message,
+                notification.register_type, notification.record_id, notification.financial_year]
+        );
+        stored.push({ id: result.insertId, ...notification, created_at: new Date().toISOString(), read_at: null });
+    }
+    return stored;
+}
+
+/**
+ * Lists a user's notifications, newest first
+ * @param {string} username - Session username
+ * @param {Object} options - { unreadOnly, limit }
+ * @returns {Object} - { notifications, unread }
+ * Dependencies: db.js (pool)
+ */
+async function listNotifications(username, { unreadOnly = false, limit = 50 } = {}) {
+    const [notifications] = await pool.query(
+        `SELECT id, event_type, title, message, register_type, record_id, financial_year, created_at, read_at
+         FROM notifications WHERE username = ? ${unreadOnly ? "AND read_at IS NULL" : ""}
+         ORDER BY created_at DESC, id DESC LIMIT ?`,
+        [username, Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200)]
+    );
+    return { notifications, unread: await getUnreadCount(username) };
+}
+
+/**
+ * Counts a user's unread notifications
+ * Dependencies: db.js (pool)
+ */
+async function getUnreadCount(username) {
+    const [rows] = await pool.query(
+        "SELECT COUNT(*) as unread FROM notifications WHERE username = ? AND read_at IS NULL",
+        [username]
+    );
+    return rows[0].unread;
+}
+
+/**
+ * Marks one notification, or all of them when id is null, as read
+ * @returns {number} - Notifications marked
+ * Dependencies: db.js (pool)
+ */
+async function markNotificationsRead(username, id = null) {
+    const [result] = await pool.query(
+        `UPDATE notifications SET read_at = NOW() WHERE username = ? AND read_at IS NULL ${id === null ? "" : "AND id = ?"}`,
+        id === null ? [username] : [username, id]
+    );
+    return result.affectedRows;
+}
+
+module.exports = {
+    NOTIFICATION_EVENTS,
+    initializeNotifications,
+    parseSubscriptionInput,
+    getSubscriptions,
+    addSubscription,
+    deleteSubscription,
+    matchSubscriptions,
+    createRegisterNotifications,
+    listNotifications,
+    getUnreadCount,
+    markNotificationsRead,
+};
@@ -63,6 +63,11 @@ function initializeWebSocket() {
       console.log("Connected to real-time server");
       // Join rooms for current data views
       joinDataRoom();
+      // Catch up on notifications stored while disconnected
+      if (window.refreshNotificationCount) window.refreshNotificationCount();
+      if (currentSanctionRoom) {
+        socket.emit("join-room", currentSanctionRoom);
+      }
     });
 
     socket.on("disconnect", () => {
@@ -73,6 +78,27 @@ function initializeWebSocket() {
       handleRealTimeDataChange(changeData);
     });
 
+    socket.on("record-lock", (lock) => {
+      setRecordLock(lock);
+      renderRecordLocks();
+    });
+
+    socket.on("record-locks", ({ type, locks }) => {
+      Array.from(recordEditLocks.keys())
+        .filter((key) => key.startsWith(`${type}:`))
+        .forEach((key) => recordEditLocks.delete(key));
+      locks.forEach(setRecordLock);
+      renderRecordLocks();
+    });
+
+    socket.on("delivery-alerts", handleDeliveryAlertPush);
+
+    socket.on("notification", handleNotificationPush);
+
+    socket.on("financial-year-update", () => {
+      if (window.refreshFinancialYearStatus) window.refreshFinancialYearStatus();
+    });
+
     socket.on("connect_error", (error) => {
       console.error("WebSocket connection error:", error);
     });
@@ -93,6 +119,68 @@ function leaveDataRoom() {
   }
 }
 
+// The sanction registers have their own rooms ("<type>-<year>"), joined for the section on screen
+let currentSanctionRoom = null;
+
+function joinSanctionRoom(type, financialYear) {
+  const room = `${type}-${financialYear}`;
+  if (!socket || !currentUser || room === currentSanctionRoom) return;
+  if (currentSanctionRoom) socket.emit("leave-room", currentSanctionRoom);
+  socket.emit("join-room", room);
+  currentSanctionRoom = room;
+}
+
+// Soft edit locks: rows other users have open for editing, "<type>:<id>" -> usernames
+const recordEditLocks = new Map();
+let activeEditLock = null;
+
+function setRecordLock({ type, id, editors }) {
+  const key = `${type}:${id}`;
+  const others = [
+    ...new Set(
+      editors
+        .map((editor) => editor.username)
+        .filter((username) => !currentUser || username !== currentUser.username),
+    ),
+  ];
+  if (others.length > 0) {
+    recordEditLocks.set(key, others);
+  } else {
+    recordEditLocks.delete(key);
+  }
+}
+
+function getRecordEditors(type, id) {
+  return recordEditLocks.get(`${type}:${id}`) || [];
+}
+
+// Marks the rows on screen that someone else is editing
+function renderRecordLocks() {
+  document.querySelectorAll(".record-lock-badge").forEach((badge) => badge.remove());
+  recordEditLocks.forEach((editors, key) => {
+    const [type, id] = key.split(":");
+    const row = document.querySelector(`#${type}-table-body tr[data-id="${id}"]`);
+    if (!row || !row.firstElementChild) return;
+    const badge = document.createElement("span");
+    badge.className =
+      "record-lock-badge block mt-1 bg-yellow-100 text-yellow-800 text-xs px-2 py-1 rounded whitespace-nowrap";
+    badge.textContent = `✏️ ${editors.join(", ")} editing`;
+    badge.title = `Being edited by ${editors.join(", ")}`;
+    row.firstElementChild.appendChild(badge);
+  });
+}
+
+function startRecordEdit(type, id, financialYear) {
+  endRecordEdit();
+  activeEditLock = { type, id, financialYear };
+  if (socket) socket.emit("record-edit-start", activeEditLock);
+}
+
+function endRecordEdit() {
+  if (activeEditLock && socket) socket.emit("record-edit-end", activeEditLock);
+  activeEditLock = null;
+}
+
 function handleRealTimeDataChange(changeData) {
   const { type, action, data, timestamp } = changeData;
 
@@ -126,6 +214,9 @@ function showRealTimeNotification(action, type, data) {
     case "delete":
       message = `${type} record deleted`;
       break;
+    case "renumber":
+      message = `${type} register renumbered`;
+      break;
     default:
       message = `${type} data changed`;
   }
@@ -149,6 +240,53 @@ function showRealTimeNotification(action, type, data) {
   }, 5000);
 }
 
+// A notification stored for this user: a toast now, and it stays in the bell menu until read
+function handleNotificationPush(notification) {
+  const toast = document.createElement("div");
+  toast.className =
+    "fixed top-4 right-4 bg-blue-100 border border-blue-400 text-blue-700 px-4 py-3 rounded-lg shadow-lg z-50";
+  toast.innerHTML = `
+    <div class="flex items-center">
+      <div class="flex-1">
+        <strong>🔔</strong> <span></span>
+      </div>
+      <button onclick="this.parentElement.parentElement.remove()" class="ml-2 text-blue-700 hover:text-blue-900">×</button>
+    </div>
+  `;
+  toast.querySelector("span").textContent = notification.title;
+  document.body.appendChild(toast);
+  setTimeout(() => {
+    if (toast.parentElement) {
+      toast.remove();
+    }
+  }, 5000);
+  if (window.refreshNotificationCount) window.refreshNotificationCount();
+}
+
+// New delivery alerts get a notification; any change to the alerts refreshes the supply register's alert list
+function handleDeliveryAlertPush({ action, raised }) {
+  if (action === "evaluated" && raised && raised.length > 0) {
+    const notification = document.createElement("div");
+    notification.className =
+      "fixed top-4 right-4 bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg shadow-lg z-50";
+    notification.innerHTML = `
+      <div class="flex items-center">
+        <div class="flex-1">
+          <strong>Delivery Alert:</strong> ${raised.length} supply order(s) newly due or overdue
+        </div>
+        <button onclick="this.parentElement.parentElement.remove()" class="ml-2 text-red-700 hover:text-red-900">×</button>
+      </div>
+    `;
+    document.body.appendChild(notification);
+    setTimeout(() => {
+      if (notification.parentElement) {
+        notification.remove();
+      }
+    }, 5000);
+  }
+  if (window.refreshDeliveryAlerts) window.refreshDeliveryAlerts();
+}
+
 function disconnectWebSocket() {
   if (socket) {
     socket.disconnect();
@@ -1824,6 +1962,14 @@ function initializeResizeHandle() {
 // Add keyboard shortcuts functionality
 function addKeyboardShortcuts() {
   document.addEventListener("keydown", (e) => {
+    // Ctrl/Cmd + K - Search all registers; read-only, so it works for viewers and from inside inputs
+    if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === "k") {
+      if (!currentUser) return;
+      e.preventDefault();
+      window.showCommandPalette();
+      return;
+    }
+
     // Check if user is typing in an input field
     if (
       e.target.tagName === "INPUT" ||
@@ -2055,6 +2201,7 @@ function showKeyboardShortcutsHelp() {
           <ul class="space-y-1">
             <li><kbd class="bg-gray-200 px-2 py-1 rounded">Ctrl/Cmd + N</kbd> - Add new row</li>
             <li><kbd class="bg-gray-200 px-2 py-1 rounded">Ctrl/Cmd + F</kbd> - Focus search</li>
+            <li><kbd class="bg-gray-200 px-2 py-1 rounded">Ctrl/Cmd + K</kbd> - Search all registers</li>
             <li><kbd class="bg-gray-200 px-2 py-1 rounded">Ctrl/Cmd + E</kbd> - Export to Excel</li>
             <li><kbd class="bg-gray-200 px-2 py-1 rounded">Ctrl/Cmd + D</kbd> - Toggle dashboard</li>
             <li><kbd class="bg-gray-200 px-2 py-1 rounded">Ctrl/Cmd + L</kbd> - Logout</li>
@@ -2229,6 +2376,7 @@ document.addEventListener("DOMContentLoaded", () => {
         loginContainer.classList.add("hidden");
         dashboard.classList.remove("hidden");
         updateUIForUserRole(); // Update UI based on role
+        refreshFinancialYearStatus(); // Mark closed years in the year pickers
         startSessionTimer(); // Start session management
         addActivityListeners(); // Add activity listeners
 
@@ -2243,7 +2391,7 @@ document.addEventListener("DOMContentLoaded", () => {
         // Start periodic session check
         sessionCheckInterval = setInterval(checkSession, 5 * 60 * 1000); // Check every 5 minutes
 
-        showRegister("supply");
+        openInitialRegister();
       } else {
         alert(result.message || "Invalid credentials");
       }
@@ -2464,10 +2612,11 @@ document.addEventListener("DOMContentLoaded", () => {
           loginContainer.classList.add("hidden");
           dashboard.classList.remove("hidden");
           updateUIForUserRole();
+          refreshFinancialYearStatus();
           startSessionTimer();
           addActivityListeners();
           sessionCheckInterval = setInterval(checkSession, 5 * 60 * 1000);
-          showRegister("supply");
+          openInitialRegister();
         }
       })
       .catch(() => {
@@ -2525,7 +2674,9 @@ document.addEventListener("DOMContentLoaded", () => {
       .getElementById(`${type}-btn`)
       .classList.add("bg-blue-600", "text-white");
     document.getElementById(`${type}-section`).classList.remove("hidden");
+    joinSanctionRoom(type, getRegisterControls(type).yearSelect.value);
     loadSanctionData(type);
+    renderViewsBar(type);
   }
 
   function showRegister(type) {
@@ -2563,7 +2714,123 @@ document.addEventListener("DOMContentLoaded", () => {
       showSanctionSection("gen-project");
     } else {
       loadData(type);
+      renderViewsBar(type);
+    }
+  }
+
+  // Paging, advanced filters and search of each register table; sorting, filtering and
+  // searching run on the server, which also returns the total count for the pager
+  const PAGE_SIZE_OPTIONS = [25, 50, 100, 200];
+  const registerListState = {};
+
+  function getListState(type) {
+    if (!registerListState[type]) {
+      registerListState[type] = {
+        page: 1,
+        pageSize: 50,
+        filters: {},
+        columns: null, // visible columns in order, from a saved view; null = the register's own layout
+        viewId: "",
+        period: null, // { years, dateColumn, from, to } from the period picker; null = the year picker's year
+      };
+    }
+    return registerListState[type];
+  }
+
+  // Sort dropdown values are either a column ("firm_name") or a column with a
+  // direction ("so_date_desc"); Yes/No columns list the "Yes" rows first
+  function sortOptionToParam(sortBy) {
+    if (!sortBy) return "serial_no:asc";
+    const match = sortBy.match(/^(.+)_(asc|desc)$/);
+    if (match) return `${match[1]}:${match[2]},serial_no:asc`;
+    if (sortBy === "delivery_done" || sortBy === "supply_order_placed") {
+      return `${sortBy}:desc,serial_no:asc`;
+    }
+    return sortBy === "serial_no" ? "serial_no:asc" : `${sortBy}:asc,serial_no:asc`;
+  }
+
+  // The period a register list covers: the year picker's year, or what the period picker chose -
+  // several financial years and/or a from/to range on one of the register's date columns
+  function getPeriodParams(type, year) {
+    const { period } = getListState(type);
+    if (!period) return { year };
+    const params = {};
+    if (period.years.length > 0) params.years = period.years.join(",");
+    if (period.from || period.to) {
+      params.dateColumn = period.dateColumn;
+      if (period.from) params.from = period.from;
+      if (period.to) params.to = period.to;
     }
+    return params;
+  }
+
+  function describePeriod(period) {
+    const parts = [];
+    if (period.years.length > 0) parts.push(`FY ${period.years.join(", ")}`);
+    if (period.from || period.to) {
+      parts.push(
+        `${period.dateColumn.replace(/_/g, " ")} ${period.from ? formatDate(period.from) : "…"} – ${period.to ? formatDate(period.to) : "…"}`,
+      );
+    }
+    return parts.join(" · ");
+  }
+
+  function buildListQuery(type, year, sortBy, search) {
+    const state = getListState(type);
+    const params = new URLSearchParams({
+      ...getPeriodParams(type, year),
+      page: state.page,
+      pageSize: state.pageSize,
+      sort: sortOptionToParam(sortBy),
+    });
+    if (search) params.set("q", search);
+    Object.entries(state.filters).forEach(([column, condition]) => {
+      Object.entries(condition).forEach(([operator, value]) => {
+        if (value !== "") params.set(`filter[${column}][${operator}]`, value);
+      });
+    });
+    return params.toString();
+  }
+
+  function renderPagination(type, result, reload) {
+    const table = document.getElementById(`${type}-table`);
+    if (!table) return;
+    let pager = document.getElementById(`${type}-pagination`);
+    if (!pager) {
+      pager = document.createElement("div");
+      pager.id = `${type}-pagination`;
+      pager.className =
+        "flex flex-wrap items-center justify-between gap-2 mt-2 text-sm text-gray-700";
+      table.parentElement.insertAdjacentElement("afterend", pager);
+    }
+
+    const state = getListState(type);
+    const first = result.total === 0 ? 0 : (result.page - 1) * result.pageSize + 1;
+    const last = Math.min(result.page * result.pageSize, result.total);
+    pager.innerHTML = `
+      <span>Showing ${first}–${last} of ${result.total} record(s)</span>
+      <div class="flex items-center gap-2">
+        <select class="pagination-size p-1 border rounded-lg">
+          ${PAGE_SIZE_OPTIONS.map((size) => `<option value="${size}" ${size === state.pageSize ? "selected" : ""}>${size} per page</option>`).join("")}
+        </select>
+        <button class="pagination-prev bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition" ${result.page <= 1 ? "disabled" : ""}>‹ Prev</button>
+        <span>Page ${result.page} of ${result.totalPages}</span>
+        <button class="pagination-next bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition" ${result.page >= result.totalPages ? "disabled" : ""}>Next ›</button>
+      </div>
+    `;
+    pager.querySelector(".pagination-prev").addEventListener("click", () => {
+      state.page = Math.max(result.page - 1, 1);
+      reload(type);
+    });
+    pager.querySelector(".pagination-next").addEventListener("click", () => {
+      state.page = Math.min(result.page + 1, result.totalPages);
+      reload(type);
+    });
+    pager.querySelector(".pagination-size").addEventListener("change", (e) => {
+      state.pageSize = parseInt(e.target.value, 10);
+      state.page = 1;
+      reload(type);
+    });
   }
 
   async function loadData(type) {
@@ -2583,19 +2850,40 @@ document.addEventListener("DOMContentLoaded", () => {
           ? demandSortSelect
           : billSortSelect;
     const sortBy = sortSelect ? sortSelect.value : "";
+    const searchInput =
+      type === "supply"
+        ? supplySearchInput
+        : type === "demand"
+          ? demandSearchInput
+          : billSearchInput;
+    const search = searchInput ? searchInput.value.trim() : "";
 
     try {
-      const response = await fetch(`/api/${type}-orders?year=${year}`);
-      let data = await response.json();
+      const response = await fetch(
+        `/api/${type}-orders?${buildListQuery(type, year, sortBy, search)}`,
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.message || `Failed to load ${type} orders`);
+        return;
+      }
 
-      // Apply sorting if specified
-      if (sortBy && data.length > 0) {
-        data = sortData(data, sortBy, type);
+      // A deletion can leave the current page past the end
+      if (result.page > result.totalPages) {
+        getListState(type).page = result.totalPages;
+        return loadData(type);
       }
 
-      renderTable(type, data);
-      if (type === "supply") checkDeliveryAlerts(data);
-      populateFilterDropdowns(type, data);
+      renderTable(type, result.rows);
+      applyColumnLayout(type);
+      renderRecordLocks();
+      renderApprovalBadges(type, result.rows);
+      renderRowYears(type, result.rows);
+      enableRowDragging(type);
+      renderPagination(type, result, loadData);
+      flagBrokenLinks(type, year);
+      if (type === "supply") loadDeliveryAlerts(year);
+      populateFilterDropdowns(type, year);
     } catch (error) {
       console.error(`Error loading ${type} data:`, error);
     }
@@ -2613,168 +2901,771 @@ document.addEventListener("DOMContentLoaded", () => {
     // Get sort option
     const sortSelect = document.getElementById(`${type}-sort`);
     const sortBy = sortSelect ? sortSelect.value : "";
+    const searchInput =
+      type === "gen-project"
+        ? genProjectSearchInput
+        : type === "misc"
+          ? miscSearchInput
+          : trainingSearchInput;
+    const search = searchInput ? searchInput.value.trim() : "";
 
     try {
-      const response = await fetch(`/api/sanction-${type}?year=${year}`);
-      let data = await response.json();
-
-      // Apply sorting if specified
-      if (sortBy && data.length > 0) {
-        data = sortSanctionData(data, sortBy);
-      } else if (data && data.length > 0) {
-        // Apply default sorting by serial number
-        data = data.sort((a, b) => {
-          const aSerial = parseInt(a.serial_no) || 0;
-          const bSerial = parseInt(b.serial_no) || 0;
-          return aSerial - bSerial;
-        });
+      const response = await fetch(
+        `/api/sanction-${type}?${buildListQuery(type, year, sortBy, search)}`,
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.message || `Failed to load sanction ${type} data`);
+        return;
+      }
+
+      if (result.page > result.totalPages) {
+        getListState(type).page = result.totalPages;
+        return loadSanctionData(type);
       }
 
-      renderSanctionTable(type, data);
+      renderSanctionTable(type, result.rows);
+      applyColumnLayout(type);
+      renderRecordLocks();
+      renderApprovalBadges(type, result.rows);
+      renderRowYears(type, result.rows);
+      enableRowDragging(type);
+      renderPagination(type, result, loadSanctionData);
     } catch (error) {
       console.error(`Error loading sanction ${type} data:`, error);
     }
   }
 
-  function formatDate(dateStr) {
-    if (!dateStr) return "";
-    const date = new Date(dateStr);
-    return date.toISOString().split("T")[0];
+  const SANCTION_TYPES = ["gen-project", "misc", "training"];
+  const VIEW_SHARE_OPTIONS = [
+    ["", "Only me"],
+    ["viewer", "Viewers"],
+    ["admin", "Admins"],
+    ["super_admin", "Super admins"],
+    ["all", "Everyone"],
+  ];
+  const registerColumns = {};
+  const registerDateColumns = {};
+  const savedViewsByType = {};
+  const originalTableHeads = {};
+
+  function getRegisterApiPath(type) {
+    return SANCTION_TYPES.includes(type) ? `sanction-${type}` : `${type}-orders`;
+  }
+
+  function getRegisterControls(type) {
+    const isSanction = SANCTION_TYPES.includes(type);
+    return {
+      yearSelect: {
+        supply: supplyFinancialYearSelect,
+        demand: demandFinancialYearSelect,
+        bill: billFinancialYearSelect,
+        "gen-project": genProjectFinancialYearSelect,
+        misc: miscFinancialYearSelect,
+        training: trainingFinancialYearSelect,
+      }[type],
+      sortSelect: {
+        supply: supplySortSelect,
+        demand: demandSortSelect,
+        bill: billSortSelect,
+      }[type] || document.getElementById(`${type}-sort`),
+      searchInput: {
+        supply: supplySearchInput,
+        demand: demandSearchInput,
+        bill: billSearchInput,
+        "gen-project": genProjectSearchInput,
+        misc: miscSearchInput,
+        training: trainingSearchInput,
+      }[type],
+      reload: isSanction ? loadSanctionData : loadData,
+    };
+  }
+
+  // Shows the columns of a saved view in its order; rows are rendered in register order,
+  // so their data cells are rearranged, and the grouped header becomes one row of column names
+  function applyColumnLayout(type) {
+    const table = document.getElementById(`${type}-table`);
+    if (!table) return;
+    const thead = table.querySelector("thead");
+    if (originalTableHeads[type] === undefined) {
+      originalTableHeads[type] = thead.innerHTML;
+    }
+
+    const state = getListState(type);
+    const columns = registerColumns[type];
+    if (!state.columns || !columns) {
+      if (thead.dataset.customLayout) {
+        thead.innerHTML = originalTableHeads[type];
+        delete thead.dataset.customLayout;
+      }
+      return;
+    }
+
+    const names = columns.map((column) => column.name);
+    const template = document.createElement("thead");
+    template.innerHTML = originalTableHeads[type];
+    const headerRow = template.querySelector("tr");
+    const trailingHeaders = Array.from(headerRow.children).slice(-2);
+    trailingHeaders.forEach((th) => th.removeAttribute("rowspan"));
+    thead.innerHTML = `
+      <tr class="${headerRow.className}">
+        ${state.columns.map((name) => `<th class="p-3 capitalize">${escapeHtml(name.replace(/_/g, " "))}</th>`).join("")}
+        ${trailingHeaders.map((th) => th.outerHTML).join("")}
+      </tr>
+    `;
+    thead.dataset.customLayout = "true";
+
+    table.querySelectorAll("tbody tr").forEach((tr) => {
+      const cells = Array.from(tr.children);
+      if (tr.dataset.layoutApplied || cells.length < names.length) return;
+      tr.dataset.layoutApplied = "true";
+      const dataCells = cells.slice(0, names.length);
+      tr.replaceChildren(
+        ...state.columns.map((name) => dataCells[names.indexOf(name)]),
+        ...cells.slice(names.length),
+      );
+    });
   }
 
-  function getLatestDate(row) {
-    const dates = [
-      row.revised_date3,
-      row.revised_date2,
-      row.revised_date1,
-      row.original_date,
-    ]
-      .filter((date) => date)
-      .map((date) => new Date(date));
-    return dates.length ? new Date(Math.max(...dates)) : null;
+  // Serial numbers restart every year, so the rows of a period that spans years show their year
+  function renderRowYears(type, rows) {
+    const { period } = getListState(type);
+    if (!period || period.years.length === 1) return;
+    rows.forEach((row) => {
+      const tr = document.querySelector(`#${type}-table-body tr[data-id="${row.id}"]`);
+      if (!tr || tr.querySelector(".row-year")) return;
+      const label = document.createElement("span");
+      label.className = "row-year block text-xs text-gray-500 whitespace-nowrap";
+      label.textContent = row.financial_year;
+      tr.cells[0].appendChild(label);
+    });
   }
 
-  function checkDeliveryAlerts(data) {
-    alertContainer.innerHTML = "";
-    const today = new Date();
-    data.forEach((row) => {
-      if (row.delivery_done === "No") {
-        const latestDate = getLatestDate(row);
-        if (latestDate) {
-          const timeDiff = latestDate.getTime() - today.getTime();
-          const daysRemaining = Math.ceil(timeDiff / (1000 * 3600 * 24));
-
-          if (daysRemaining <= 5) {
-            const alertDiv = document.createElement("div");
-            alertDiv.className = `bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4`;
-            alertDiv.innerHTML = `Delivery Alert for Supply Order No: ${row.supply_order_no_date} (Latest Date: ${formatDate(latestDate)}) - ${daysRemaining <= 0 ? "Overdue" : `Due in ${daysRemaining} days`}`;
-            alertContainer.appendChild(alertDiv);
-          }
+  // Applies a period, or clears it (null) to go back to the year picker's year
+  function setRegisterPeriod(type, period) {
+    const { yearSelect, reload } = getRegisterControls(type);
+    const state = getListState(type);
+    state.period = period;
+    state.page = 1;
+    if (yearSelect) yearSelect.disabled = Boolean(period);
+    reload(type);
+    renderViewsBar(type);
+  }
+
+  function showPeriodPicker(type) {
+    const { yearSelect } = getRegisterControls(type);
+    const state = getListState(type);
+    const period = state.period || {
+      years: [yearSelect.value],
+      dateColumn: registerDateColumns[type],
+      from: null,
+      to: null,
+    };
+    const years = [
+      ...new Set([
+        ...financialYearStatus.map((year) => year.year),
+        yearSelect.value,
+        ...period.years,
+      ]),
+    ].sort((a, b) => b.localeCompare(a));
+    const dateColumns = (registerColumns[type] || []).filter(
+      (column) => column.type === "date",
+    );
+    const current = getCurrentFinancialYear();
+
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 w-full max-w-lg mx-4">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">📅 Period</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <p class="text-sm text-gray-600 mb-3">Pick financial years, a date range, or both; rows must match everything chosen.</p>
+        <div class="flex justify-between items-center mb-1">
+          <label class="text-sm font-medium text-gray-700">Financial years</label>
+          <span class="text-xs">
+            <button type="button" data-preset="3" class="text-blue-600 hover:underline">Last 3 years</button>
+            <button type="button" data-preset="0" class="text-blue-600 hover:underline ml-2">None</button>
+          </span>
+        </div>
+        <div class="grid grid-cols-3 gap-1 border rounded-lg p-2 mb-4 max-h-40 overflow-y-auto text-sm">
+          ${years
+            .map(
+              (year) => `
+            <label class="flex items-center gap-1">
+              <input type="checkbox" class="period-year" value="${escapeHtml(year)}" ${period.years.includes(year) ? "checked" : ""}>
+              ${escapeHtml(year)}
+            </label>`,
+            )
+            .join("")}
+        </div>
+        <label class="block text-sm font-medium text-gray-700 mb-1">Date range on</label>
+        <select class="period-date-column p-2 border rounded-lg w-full mb-2 focus:outline-none focus:ring-2 focus:ring-blue-500">
+          ${dateColumns
+            .map(
+              (column) =>
+                `<option value="${column.name}" ${column.name === (period.dateColumn || registerDateColumns[type]) ? "selected" : ""}>${escapeHtml(column.name.replace(/_/g, " "))}</option>`,
+            )
+            .join("")}
+        </select>
+        <div class="flex gap-2 mb-6">
+          <input type="date" class="period-from p-2 border rounded-lg w-full" value="${period.from || ""}" title="From (inclusive)">
+          <input type="date" class="period-to p-2 border rounded-lg w-full" value="${period.to || ""}" title="To (inclusive)">
+        </div>
+        <div class="flex justify-end gap-2">
+          <button class="period-clear bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition">Single Year</button>
+          <button class="period-apply bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition">Apply</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    modal.querySelectorAll("[data-preset]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const count = Number(button.dataset.preset);
+        const startYear = Number(current.slice(0, 4));
+        const wanted = Array.from({ length: count }, (_, i) => `${startYear - i}-${startYear - i + 1}`);
+        modal.querySelectorAll(".period-year").forEach((checkbox) => {
+          checkbox.checked = wanted.includes(checkbox.value);
+        });
+      });
+    });
+    modal.querySelector(".period-clear").addEventListener("click", () => {
+      modal.remove();
+      setRegisterPeriod(type, null);
+    });
+    modal.querySelector(".period-apply").addEventListener("click", () => {
+      const chosen = {
+        years: Array.from(modal.querySelectorAll(".period-year:checked")).map(
+          (checkbox) => checkbox.value,
+        ),
+        dateColumn: modal.querySelector(".period-date-column").value,
+        from: modal.querySelector(".period-from").value || null,
+        to: modal.querySelector(".period-to").value || null,
+      };
+      if (chosen.years.length === 0 && !chosen.from && !chosen.to) {
+        alert("Pick at least one financial year or a from/to date");
+        return;
+      }
+      if (chosen.from && chosen.to && chosen.from > chosen.to) {
+        alert("The from date must not be after the to date");
+        return;
+      }
+      modal.remove();
+      // One year without dates is what the year picker already shows
+      if (chosen.years.length === 1 && !chosen.from && !chosen.to) {
+        setRegisterPeriod(type, null);
+        if (yearSelect.value !== chosen.years[0]) {
+          yearSelect.value = chosen.years[0];
+          yearSelect.dispatchEvent(new Event("change"));
         }
+        return;
       }
+      setRegisterPeriod(type, chosen);
     });
   }
 
-  function renderTable(type, data) {
-    const tableBody =
-      type === "supply"
-        ? supplyTableBody
-        : type === "demand"
-          ? demandTableBody
-          : billTableBody;
-    tableBody.innerHTML = "";
+  function getCurrentViewConfig(type) {
+    const { yearSelect, sortSelect, searchInput } = getRegisterControls(type);
+    const state = getListState(type);
+    return {
+      financialYear: yearSelect ? yearSelect.value : null,
+      period: state.period,
+      sort: sortSelect ? sortSelect.value : "",
+      search: searchInput ? searchInput.value.trim() : "",
+      filters: state.filters,
+      columns: state.columns,
+      pageSize: state.pageSize,
+    };
+  }
 
-    data.forEach((row, index) => {
-      const tr = document.createElement("tr");
-      tr.dataset.id = row.id;
-      tr.className =
-        index % 2 === 0 ? "border-b bg-green-100" : "border-b bg-white";
+  // Puts a register into the state a saved view describes and reloads it
+  function applySavedView(type, view) {
+    const { yearSelect, sortSelect, searchInput, reload } = getRegisterControls(type);
+    const config = (view && view.config) || {};
+    const state = getListState(type);
 
-      if (type === "supply") {
-        tr.innerHTML = `
-          <td class="p-3"><span class="serial-no">${row.serial_no}</span></td>
-          <td class="p-3">${row.supply_order_no}</td>
-          <td class="p-3">${row.so_date}</td>
-          <td class="p-3">${row.firm_name}</td>
-          <td class="p-3">${row.nomenclature}</td>
-          <td class="p-3">${row.quantity}</td>
-          <td class="p-3">${formatDate(row.original_date)}</td>
-          <td class="p-3">${formatDate(row.revised_date1)}</td>
-          <td class="p-3">${formatDate(row.revised_date2)}</td>
-          <td class="p-3">${formatDate(row.revised_date3)}</td>
-          <td class="p-3">${row.build_up}</td>
-          <td class="p-3">${row.maint}</td>
-          <td class="p-3">${row.misc}</td>
-          <td class="p-3">${row.project_less_2cr || ""}</td>
-          <td class="p-3">${row.project_more_2cr || ""}</td>
-          <td class="p-3">${row.project_no_pdc}</td>
-          <td class="p-3">${row.p_np || ""}</td>
-          <td class="p-3">${row.expenditure_head || ""}</td>
-          <td class="p-3">${row.rev_cap || ""}</td>
-          <td class="p-3">${row.imms_demand_no || ""}</td>
-          <td class="p-3">${formatDate(row.actual_delivery_date)}</td>
-          <td class="p-3">${row.procurement_mode}</td>
-          <td class="p-3">${row.delivery_done}</td>
-          <td class="p-3">${row.remarks}</td>
-          <td class="p-3">
-            ${
-              currentUser && currentUser.role !== "viewer"
-                ? `
-            <button onclick="editRow('${type}', ${row.id}, this)" class="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition">Edit</button>
-            <button onclick="deleteRow('${type}', ${row.id})" class="bg-red-600 text-white px-3 py-1 rounded-lg hover:bg-red-700 transition ml-2">Delete</button>
-            `
-                : '<span class="text-gray-500">View Only</span>'
-            }
-          </td>
-          <td class="p-3 arrange-buttons">
-            ${
-              currentUser && currentUser.role !== "viewer"
-                ? `
-            <button onclick="moveRow('${type}', ${row.id}, 'up')" ${index === 0 ? "disabled" : ""} class="bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition">↑</button>
-            <button onclick="moveRow('${type}', ${row.id}, 'down')" ${index === data.length - 1 ? "disabled" : ""} class="bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition ml-2">↓</button>
-            `
-                : '<span class="text-gray-500">View Only</span>'
-            }
-          </td>
-        `;
-      } else if (type === "demand") {
-        tr.innerHTML = `
-          <td class="p-3">${row.serial_no}</td>
-          <td class="p-3">${row.imms_demand_no || ""}</td>
-          <td class="p-3">${formatDate(row.demand_date)}</td>
-          <td class="p-3">${row.mmg_control_no || ""}</td>
-          <td class="p-3">${formatDate(row.control_date)}</td>
-          <td class="p-3">${row.nomenclature}</td>
-          <td class="p-3">${row.quantity}</td>
-          <td class="p-3">${row.expenditure_head}</td>
-          <td class="p-3">${row.code_head || ""}</td>
-          <td class="p-3">${row.rev_cap}</td>
-          <td class="p-3">${row.procurement_mode}</td>
-          <td class="p-3">${row.est_cost}</td>
-          <td class="p-3">${row.imms_control_no}</td>
-          <td class="p-3">${row.supply_order_placed}</td>
-          <td class="p-3">${row.remarks}</td>
-          <td class="p-3">
-            ${
-              currentUser && currentUser.role !== "viewer"
-                ? `
-            <button onclick="editRow('${type}', ${row.id}, this)" class="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition">Edit</button>
-            <button onclick="deleteRow('${type}', ${row.id})" class="bg-red-600 text-white px-3 py-1 rounded-lg hover:bg-red-700 transition ml-2">Delete</button>
-            `
-                : '<span class="text-gray-500">View Only</span>'
-            }
-          </td>
-          <td class="p-3 arrange-buttons">
-            ${
-              currentUser && currentUser.role !== "viewer"
-                ? `
-            <button onclick="moveRow('${type}', ${row.id}, 'up')" ${index === 0 ? "disabled" : ""} class="bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition">↑</button>
-            <button onclick="moveRow('${type}', ${row.id}, 'down')" ${index === data.length - 1 ? "disabled" : ""} class="bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition ml-2">↓</button>
-            `
-                : '<span class="text-gray-500">View Only</span>'
-            }
-          </td>
-        `;
+    state.viewId = view ? String(view.id) : "";
+    state.filters = config.filters || {};
+    state.columns = config.columns || null;
+    state.pageSize = config.pageSize || 50;
+    state.page = 1;
+    state.period = config.period || null;
+    if (yearSelect) yearSelect.disabled = Boolean(state.period);
+    if (sortSelect) sortSelect.value = config.sort || "";
+    if (searchInput) searchInput.value = config.search || "";
+
+    const filterContainer = document.getElementById(`${type}-advanced-filter`);
+    if (filterContainer) {
+      filterContainer
+        .querySelectorAll(".filter-select")
+        .forEach((select) => {
+          select.value = (state.filters[select.name] && state.filters[select.name].eq) || "";
+        });
+      syncFilterConditionRow(type);
+    }
+
+    const viewSelect = document.querySelector(`#${type}-views-bar .saved-view-select`);
+    if (viewSelect) viewSelect.value = state.viewId;
+
+    if (yearSelect && config.financialYear && yearSelect.value !== config.financialYear) {
+      if (!Array.from(yearSelect.options).some((option) => option.value === config.financialYear)) {
+        yearSelect.add(new Option(config.financialYear, config.financialYear));
+      }
+      yearSelect.value = config.financialYear;
+      // The year listeners switch the real-time room and reload
+      yearSelect.dispatchEvent(new Event("change"));
+    } else {
+      reload(type);
+    }
+  }
+
+  async function renderViewsBar(type) {
+    const table = document.getElementById(`${type}-table`);
+    if (!table) return;
+    let bar = document.getElementById(`${type}-views-bar`);
+    if (!bar) {
+      bar = document.createElement("div");
+      bar.id = `${type}-views-bar`;
+      bar.className = "flex flex-wrap items-center gap-2 mb-2 text-sm";
+      table.parentElement.insertAdjacentElement("beforebegin", bar);
+    }
+
+    try {
+      const response = await fetch(`/api/${getRegisterApiPath(type)}/views`);
+      if (!response.ok) return;
+      const result = await response.json();
+      registerColumns[type] = result.columns;
+      registerDateColumns[type] = result.dateColumn;
+      savedViewsByType[type] = result.views;
+      // A view applied before the columns were known is laid out now
+      applyColumnLayout(type);
+    } catch (error) {
+      console.error(`Error loading ${type} saved views:`, error);
+      return;
+    }
+
+    const state = getListState(type);
+    const views = savedViewsByType[type];
+    const selected = views.find((view) => String(view.id) === state.viewId);
+    bar.innerHTML = `
+      <label class="font-semibold">View:</label>
+      <select class="saved-view-select p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500">
+        <option value="">Default view</option>
+        ${views
+          .map(
+            (view) =>
+              `<option value="${view.id}">${escapeHtml(view.name)}${view.isOwner ? (view.sharedRole ? " (shared)" : "") : ` — ${escapeHtml(view.owner)}`}</option>`,
+          )
+          .join("")}
+      </select>
+      <button class="register-period ${state.period ? "bg-indigo-600 hover:bg-indigo-700" : "bg-gray-600 hover:bg-gray-700"} text-white px-3 py-2 rounded-lg transition" title="Several financial years or a date range">📅 ${state.period ? escapeHtml(describePeriod(state.period)) : "Period"}</button>
+      <button class="saved-view-save bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 transition">Save View</button>
+      <button class="saved-view-columns bg-gray-600 text-white px-3 py-2 rounded-lg hover:bg-gray-700 transition">Columns</button>
+      <button class="saved-view-link bg-gray-600 text-white px-3 py-2 rounded-lg hover:bg-gray-700 transition" ${selected ? "" : "disabled"}>Copy Link</button>
+      <button class="saved-view-delete bg-red-600 text-white px-3 py-2 rounded-lg hover:bg-red-700 transition ${selected && (selected.isOwner || currentUser.role === "super_admin") ? "" : "hidden"}">Delete View</button>
+    `;
+    bar.querySelector(".saved-view-select").value = selected ? state.viewId : "";
+
+    bar.querySelector(".saved-view-select").addEventListener("change", (e) => {
+      const view = views.find((item) => String(item.id) === e.target.value);
+      applySavedView(type, view || null);
+      renderViewsBar(type);
+    });
+    bar.querySelector(".register-period").addEventListener("click", () =>
+      showPeriodPicker(type),
+    );
+    bar.querySelector(".saved-view-save").addEventListener("click", () =>
+      showSaveViewModal(type, selected),
+    );
+    bar.querySelector(".saved-view-columns").addEventListener("click", () =>
+      showColumnPickerModal(type),
+    );
+    bar.querySelector(".saved-view-link").addEventListener("click", () =>
+      copyViewLink(type, state.viewId),
+    );
+    bar.querySelector(".saved-view-delete").addEventListener("click", async () => {
+      if (!selected || !confirm(`Delete the view "${selected.name}"?`)) return;
+      try {
+        const response = await fetch(
+          `/api/${getRegisterApiPath(type)}/views/${selected.id}`,
+          { method: "DELETE" },
+        );
+        const result = await response.json();
+        if (!response.ok) {
+          alert(result.message || "Failed to delete view");
+          return;
+        }
+        state.viewId = "";
+        renderViewsBar(type);
+      } catch (error) {
+        console.error("Error deleting view:", error);
+        alert("Failed to delete view");
+      }
+    });
+  }
+
+  function showSaveViewModal(type, selected) {
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    const ownSelected = selected && selected.isOwner ? selected : null;
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 w-full max-w-md">
+        <h3 class="text-lg font-semibold mb-4">Save View</h3>
+        <p class="text-sm text-gray-600 mb-4">Saves the financial year or period, filters, sort, search and columns currently shown. Saving under one of your existing names replaces that view.</p>
+        <label class="block text-sm font-medium mb-1">Name</label>
+        <input type="text" class="view-name w-full p-2 border rounded-lg mb-4" maxlength="100" value="${ownSelected ? escapeHtml(ownSelected.name) : ""}" placeholder="e.g. Overdue orders - Project X" />
+        <label class="block text-sm font-medium mb-1">Share with</label>
+        <select class="view-share w-full p-2 border rounded-lg mb-6">
+          ${VIEW_SHARE_OPTIONS.map(([value, label]) => `<option value="${value}">${label}</option>`).join("")}
+        </select>
+        <div class="flex justify-end gap-2">
+          <button class="view-cancel bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition">Cancel</button>
+          <button class="view-confirm bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition">Save</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.querySelector(".view-share").value = (ownSelected && ownSelected.sharedRole) || "";
+
+    modal.querySelector(".view-cancel").addEventListener("click", () => modal.remove());
+    modal.querySelector(".view-confirm").addEventListener("click", async () => {
+      const name = modal.querySelector(".view-name").value.trim();
+      if (!name) {
+        alert("Please enter a name for the view");
+        return;
+      }
+      try {
+        const response = await fetch(`/api/${getRegisterApiPath(type)}/views`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({
+            name,
+            sharedRole: modal.querySelector(".view-share").value || null,
+            config: getCurrentViewConfig(type),
+          }),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          alert(result.message || "Failed to save view");
+          return;
+        }
+        getListState(type).viewId = String(result.view.id);
+        modal.remove();
+        renderViewsBar(type);
+      } catch (error) {
+        console.error("Error saving view:", error);
+        alert("Failed to save view");
+      }
+    });
+  }
+
+  // Lets the user tick the columns to show and move them up or down
+  function showColumnPickerModal(type) {
+    const columns = registerColumns[type];
+    if (!columns) return;
+    const state = getListState(type);
+    const names = columns.map((column) => column.name);
+    let order = state.columns
+      ? [...state.columns, ...names.filter((name) => !state.columns.includes(name))]
+      : [...names];
+    const visible = new Set(state.columns || names);
+
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    document.body.appendChild(modal);
+
+    const render = () => {
+      modal.innerHTML = `
+        <div class="bg-white rounded-lg p-6 w-full max-w-md max-h-screen overflow-y-auto">
+          <h3 class="text-lg font-semibold mb-4">Columns</h3>
+          <ul class="space-y-1 mb-6">
+            ${order
+              .map(
+                (name, index) => `
+              <li class="flex items-center justify-between border-b py-1">
+                <label class="flex items-center gap-2 capitalize">
+                  <input type="checkbox" data-name="${name}" ${visible.has(name) ? "checked" : ""} />
+                  ${escapeHtml(name.replace(/_/g, " "))}
+                </label>
+                <span>
+                  <button data-move="up" data-index="${index}" class="bg-gray-600 text-white px-2 rounded-lg hover:bg-gray-700 transition" ${index === 0 ? "disabled" : ""}>↑</button>
+                  <button data-move="down" data-index="${index}" class="bg-gray-600 text-white px-2 rounded-lg hover:bg-gray-700 transition" ${index === order.length - 1 ? "disabled" : ""}>↓</button>
+                </span>
+              </li>`,
+              )
+              .join("")}
+          </ul>
+          <div class="flex justify-end gap-2">
+            <button class="columns-reset bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition">Default Layout</button>
+            <button class="columns-cancel bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition">Cancel</button>
+            <button class="columns-apply bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition">Apply</button>
+          </div>
+        </div>
+      `;
+      modal.querySelectorAll("input[type=checkbox]").forEach((checkbox) =>
+        checkbox.addEventListener("change", () => {
+          if (checkbox.checked) visible.add(checkbox.dataset.name);
+          else visible.delete(checkbox.dataset.name);
+        }),
+      );
+      modal.querySelectorAll("[data-move]").forEach((button) =>
+        button.addEventListener("click", () => {
+          const index = parseInt(button.dataset.index, 10);
+          const target = button.dataset.move === "up" ? index - 1 : index + 1;
+          [order[index], order[target]] = [order[target], order[index]];
+          render();
+        }),
+      );
+      modal.querySelector(".columns-cancel").addEventListener("click", () => modal.remove());
+      modal.querySelector(".columns-reset").addEventListener("click", () => {
+        state.columns = null;
+        modal.remove();
+        getRegisterControls(type).reload(type);
+      });
+      modal.querySelector(".columns-apply").addEventListener("click", () => {
+        const columnsToShow = order.filter((name) => visible.has(name));
+        if (columnsToShow.length === 0) {
+          alert("Please keep at least one column");
+          return;
+        }
+        const isDefault =
+          columnsToShow.length === names.length &&
+          columnsToShow.every((name, index) => name === names[index]);
+        state.columns = isDefault ? null : columnsToShow;
+        modal.remove();
+        getRegisterControls(type).reload(type);
+      });
+    };
+    render();
+  }
+
+  async function copyViewLink(type, viewId) {
+    if (!viewId) return;
+    const url = `${window.location.origin}${window.location.pathname}?register=${encodeURIComponent(type)}&view=${encodeURIComponent(viewId)}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      alert("Link to this view copied to the clipboard");
+    } catch (error) {
+      prompt("Copy the link to this view:", url);
+    }
+  }
+
+  // After login: opens the register and saved view named in the URL (?register=supply&view=12),
+  // otherwise the supply register
+  async function openInitialRegister() {
+    const params = new URLSearchParams(window.location.search);
+    const type = params.get("register");
+    const viewId = params.get("view");
+    const isSanction = SANCTION_TYPES.includes(type);
+    if (!type || !(isSanction || ["supply", "demand", "bill"].includes(type))) {
+      showRegister("supply");
+      return;
+    }
+
+    if (isSanction) {
+      showRegister("sanction");
+      showSanctionSection(type);
+    } else {
+      showRegister(type);
+    }
+    if (!viewId) return;
+
+    try {
+      const response = await fetch(`/api/${getRegisterApiPath(type)}/views/${encodeURIComponent(viewId)}`);
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.message || "The linked view could not be opened");
+        return;
+      }
+      applySavedView(type, result);
+      renderViewsBar(type);
+    } catch (error) {
+      console.error("Error opening linked view:", error);
+    }
+  }
+
+  // Delivery alerts are raised on the server for every undelivered order of the year, not just the page on screen
+  async function loadDeliveryAlerts(year) {
+    try {
+      const response = await fetch(
+        `/api/delivery-alerts?year=${encodeURIComponent(year)}`,
+      );
+      if (!response.ok) return;
+      renderDeliveryAlerts(await response.json());
+    } catch (error) {
+      console.error("Error loading delivery alerts:", error);
+    }
+  }
+
+  function renderDeliveryAlerts(alerts) {
+    alertContainer.innerHTML = "";
+    alerts.forEach((alert) => {
+      const alertDiv = document.createElement("div");
+      alertDiv.className = alert.acknowledged_by
+        ? "bg-yellow-50 border border-yellow-300 text-yellow-800 px-4 py-3 rounded-lg mb-4 flex justify-between items-center"
+        : "bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded-lg mb-4 flex justify-between items-center";
+      const status =
+        alert.days_remaining < 0
+          ? `Overdue by ${-alert.days_remaining} days`
+          : alert.days_remaining === 0
+            ? "Due today"
+            : `Due in ${alert.days_remaining} days`;
+      alertDiv.innerHTML = `
+        <span>Delivery Alert for Supply Order No: ${escapeHtml(alert.supply_order_no)} (${escapeHtml(alert.firm_name)}, Latest Date: ${formatDate(alert.due_date)}) - ${status}</span>
+        ${
+          alert.acknowledged_by
+            ? `<span class="text-sm">Acknowledged by ${escapeHtml(alert.acknowledged_by)}${alert.acknowledge_note ? `: ${escapeHtml(alert.acknowledge_note)}` : ""}</span>`
+            : canEditRecords()
+              ? `<button onclick="acknowledgeDeliveryAlert(${alert.id})" class="bg-red-600 text-white px-3 py-1 rounded-lg hover:bg-red-700 transition ml-2">Acknowledge</button>`
+              : ""
+        }
+      `;
+      alertContainer.appendChild(alertDiv);
+    });
+  }
+
+  window.acknowledgeDeliveryAlert = async (id) => {
+    const note = prompt("Acknowledge this alert. Note (optional):");
+    if (note === null) return;
+    try {
+      const response = await fetch(`/api/delivery-alerts/${id}/acknowledge`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ note }),
+      });
+      if (!response.ok) {
+        const result = await response.json();
+        alert(result.message || "Failed to acknowledge alert");
+      }
+      // The acknowledgement is pushed back to every client, this one included
+    } catch (error) {
+      console.error("Error acknowledging delivery alert:", error);
+    }
+  };
+
+  // Called when the server pushes raised, resolved or acknowledged alerts
+  window.refreshDeliveryAlerts = () => {
+    loadDeliveryAlerts(supplyFinancialYearSelect.value);
+  };
+
+  function formatDate(dateStr) {
+    if (!dateStr) return "";
+    const date = new Date(dateStr);
+    return date.toISOString().split("T")[0];
+  }
+
+  function renderTable(type, data) {
+    const tableBody =
+      type === "supply"
+        ? supplyTableBody
+        : type === "demand"
+          ? demandTableBody
+          : billTableBody;
+    tableBody.innerHTML = "";
+
+    data.forEach((row, index) => {
+      const tr = document.createElement("tr");
+      tr.dataset.id = row.id;
+      tr.className =
+        index % 2 === 0 ? "border-b bg-green-100" : "border-b bg-white";
+
+      if (type === "supply") {
+        tr.innerHTML = `
+          <td class="p-3"><span class="serial-no">${row.serial_no}</span></td>
+          <td class="p-3">${row.supply_order_no}</td>
+          <td class="p-3">${row.so_date}</td>
+          <td class="p-3">${row.firm_name}</td>
+          <td class="p-3">${row.nomenclature}</td>
+          <td class="p-3">${row.quantity}</td>
+          <td class="p-3">${formatDate(row.original_date)}</td>
+          <td class="p-3">${formatDate(row.revised_date1)}</td>
+          <td class="p-3">${formatDate(row.revised_date2)}</td>
+          <td class="p-3">${formatDate(row.revised_date3)}</td>
+          <td class="p-3">${row.build_up}</td>
+          <td class="p-3">${row.maint}</td>
+          <td class="p-3">${row.misc}</td>
+          <td class="p-3">${row.project_less_2cr || ""}</td>
+          <td class="p-3">${row.project_more_2cr || ""}</td>
+          <td class="p-3">${row.project_no_pdc}</td>
+          <td class="p-3">${row.p_np || ""}</td>
+          <td class="p-3">${row.expenditure_head || ""}</td>
+          <td class="p-3">${row.rev_cap || ""}</td>
+          <td class="p-3">${row.imms_demand_no || ""}</td>
+          <td class="p-3">${formatDate(row.actual_delivery_date)}</td>
+          <td class="p-3">${row.procurement_mode}</td>
+          <td class="p-3">${row.delivery_done}</td>
+          <td class="p-3">${row.remarks}</td>
+          <td class="p-3">
+            ${
+              currentUser && currentUser.role !== "viewer"
+                ? `
+            <button onclick="editRow('${type}', ${row.id}, this)" class="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition">Edit</button>
+            <button onclick="deleteRow('${type}', ${row.id})" class="bg-red-600 text-white px-3 py-1 rounded-lg hover:bg-red-700 transition ml-2">Delete</button>
+            `
+                : '<span class="text-gray-500">View Only</span>'
+            }
+            <button onclick="showRecordHistory('${type}', ${row.id})" class="bg-gray-500 text-white px-3 py-1 rounded-lg hover:bg-gray-600 transition ml-2">History</button>
+            <button onclick="showLifecycle('${type}', ${row.id})" class="bg-teal-600 text-white px-3 py-1 rounded-lg hover:bg-teal-700 transition ml-2">Lifecycle</button>
+          </td>
+          <td class="p-3 arrange-buttons">
+            ${
+              currentUser && currentUser.role !== "viewer"
+                ? `
+            <button onclick="moveRow('${type}', ${row.id}, 'up')" ${index === 0 ? "disabled" : ""} class="bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition">↑</button>
+            <button onclick="moveRow('${type}', ${row.id}, 'down')" ${index === data.length - 1 ? "disabled" : ""} class="bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition ml-2">↓</button>
+            `
+                : '<span class="text-gray-500">View Only</span>'
+            }
+          </td>
+        `;
+      } else if (type === "demand") {
+        tr.innerHTML = `
+          <td class="p-3">${row.serial_no}</td>
+          <td class="p-3">${row.imms_demand_no || ""}</td>
+          <td class="p-3">${formatDate(row.demand_date)}</td>
+          <td class="p-3">${row.mmg_control_no || ""}</td>
+          <td class="p-3">${formatDate(row.control_date)}</td>
+          <td class="p-3">${row.nomenclature}</td>
+          <td class="p-3">${row.quantity}</td>
+          <td class="p-3">${row.expenditure_head}</td>
+          <td class="p-3">${row.code_head || ""}</td>
+          <td class="p-3">${row.rev_cap}</td>
+          <td class="p-3">${row.procurement_mode}</td>
+          <td class="p-3">${row.est_cost}</td>
+          <td class="p-3">${row.imms_control_no}</td>
+          <td class="p-3">${row.supply_order_placed}</td>
+          <td class="p-3">${row.remarks}</td>
+          <td class="p-3">
+            ${
+              currentUser && currentUser.role !== "viewer"
+                ? `
+            <button onclick="editRow('${type}', ${row.id}, this)" class="bg-blue-600 text-white px-3 py-1 rounded-lg hover:bg-blue-700 transition">Edit</button>
+            <button onclick="deleteRow('${type}', ${row.id})" class="bg-red-600 text-white px-3 py-1 rounded-lg hover:bg-red-700 transition ml-2">Delete</button>
+            `
+                : '<span class="text-gray-500">View Only</span>'
+            }
+            <button onclick="showRecordHistory('${type}', ${row.id})" class="bg-gray-500 text-white px-3 py-1 rounded-lg hover:bg-gray-600 transition ml-2">History</button>
+            <button onclick="showLifecycle('${type}', ${row.id})" class="bg-teal-600 text-white px-3 py-1 rounded-lg hover:bg-teal-700 transition ml-2">Lifecycle</button>
+          </td>
+          <td class="p-3 arrange-buttons">
+            ${
+              currentUser && currentUser.role !== "viewer"
+                ? `
+            <button onclick="moveRow('${type}', ${row.id}, 'up')" ${index === 0 ? "disabled" : ""} class="bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition">↑</button>
+            <button onclick="moveRow('${type}', ${row.id}, 'down')" ${index === data.length - 1 ? "disabled" : ""} class="bg-gray-600 text-white px-3 py-1 rounded-lg hover:bg-gray-700 transition ml-2">↓</button>
+            `
+                : '<span class="text-gray-500">View Only</span>'
+            }
+          </td>
+        `;
       } else {
         // bill
         tr.innerHTML = `
@@ -2802,6 +3693,9 @@ document.addEventListener("DOMContentLoaded", () => {
             `
                 : '<span class="text-gray-500">View Only</span>'
             }
+            <button onclick="showRecordHistory('${type}', ${row.id})" class="bg-gray-500 text-white px-3 py-1 rounded-lg hover:bg-gray-600 transition ml-2">History</button>
+            <button onclick="showLifecycle('${type}', ${row.id})" class="bg-teal-600 text-white px-3 py-1 rounded-lg hover:bg-teal-700 transition ml-2">Lifecycle</button>
+            <button onclick="showLd(${row.id})" class="bg-orange-600 text-white px-3 py-1 rounded-lg hover:bg-orange-700 transition ml-2">LD</button>
           </td>
           <td class="p-3 arrange-buttons">
             ${
@@ -2861,6 +3755,7 @@ document.addEventListener("DOMContentLoaded", () => {
           `
               : '<span class="text-gray-500">View Only</span>'
           }
+          <button onclick="showRecordHistory('${type}', ${row.id})" class="bg-gray-500 text-white px-3 py-1 rounded-lg hover:bg-gray-600 transition ml-2">History</button>
         </td>
         <td class="p-3 arrange-buttons">
           ${
@@ -3037,11 +3932,11 @@ document.addEventListener("DOMContentLoaded", () => {
 
     if (type === "supply") {
       tr.innerHTML = `
-        <td class="p-3"><input type="text" value="${newRow.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="e.g., 1, 10a, 10b"></td>
+        <td class="p-3"><input type="text" value="${newRow.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" readonly title="Assigned when the row is saved"></td>
         <td class="p-3"><input type="text" value="${newRow.supply_order_no}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="date" value="${newRow.so_date}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-        <td class="p-3"><input type="text" value="${newRow.firm_name}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-        <td class="p-3"><input type="text" value="${newRow.nomenclature}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+        <td class="p-3"><input type="text" list="firm-list" value="${newRow.firm_name}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+        <td class="p-3"><input type="text" list="item-list" value="${newRow.nomenclature}" class="item-nomenclature-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="text" value="${newRow.quantity}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="date" value="${newRow.original_date}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="date" value="${formatDate(newRow.revised_date1)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
@@ -3090,12 +3985,12 @@ document.addEventListener("DOMContentLoaded", () => {
       );
     } else if (type === "demand") {
       tr.innerHTML = `
-        <td class="p-3"><input type="text" value="${newRow.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="e.g., 1, 10a, 10b"></td>
+        <td class="p-3"><input type="text" value="${newRow.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" readonly title="Assigned when the row is saved"></td>
         <td class="p-3"><input type="text" value="${newRow.imms_demand_no || ""}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="date" value="${formatDate(newRow.demand_date)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="text" value="${newRow.mmg_control_no || ""}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="date" value="${formatDate(newRow.control_date)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-        <td class="p-3"><input type="text" value="${newRow.nomenclature}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+        <td class="p-3"><input type="text" list="item-list" value="${newRow.nomenclature}" class="item-nomenclature-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="text" value="${newRow.quantity}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="text" value="${newRow.expenditure_head}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="text" value="${newRow.code_head || ""}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
@@ -3106,7 +4001,7 @@ document.addEventListener("DOMContentLoaded", () => {
           </select>
         </td>
         <td class="p-3"><input type="text" value="${newRow.procurement_mode}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-        <td class="p-3"><input type="number" step="0.01" value="${newRow.est_cost}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+        <td class="p-3"><input type="number" step="0.01" value="${newRow.est_cost}" class="est-cost-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"><div class="price-hint text-xs text-gray-500 mt-1"></div></td>
         <td class="p-3"><input type="text" value="${newRow.imms_control_no}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3">
           <select class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500">
@@ -3124,9 +4019,9 @@ document.addEventListener("DOMContentLoaded", () => {
     } else {
       // bill
       tr.innerHTML = `
-        <td class="p-3"><input type="text" value="${newRow.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="e.g., 1, 10a, 10b"></td>
+        <td class="p-3"><input type="text" value="${newRow.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" readonly title="Assigned when the row is saved"></td>
         <td class="p-3"><input type="date" value="${newRow.bill_control_date}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-        <td class="p-3"><input type="text" value="${newRow.firm_name}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+        <td class="p-3"><input type="text" list="firm-list" value="${newRow.firm_name}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="text" value="${newRow.supply_order_no}" class="supply-order-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" list="supply-orders-list" onchange="updateSODate(this)">
           <datalist id="supply-orders-list"></datalist>
         </td>
@@ -3172,7 +4067,7 @@ document.addEventListener("DOMContentLoaded", () => {
     const tr = document.createElement("tr");
     tr.className = "border-b bg-white";
     tr.innerHTML = `
-      <td class="p-3"><input type="text" value="${newRow.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" placeholder="e.g., 1, 10a, 10b"></td>
+      <td class="p-3"><input type="text" value="${newRow.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" readonly title="Assigned when the row is saved"></td>
       <td class="p-3"><input type="date" value="${newRow.date}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
       <td class="p-3"><input type="text" value="${newRow.file_no}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
       <td class="p-3"><input type="text" value="${newRow.sanction_code}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
@@ -3300,6 +4195,7 @@ document.addEventListener("DOMContentLoaded", () => {
       alert("You do not have permission to edit records.");
       return;
     }
+    if (!confirmEditDespiteLock(type, id)) return;
 
     const row = button.closest("tr");
     const cells = row.querySelectorAll("td");
@@ -3317,14 +4213,18 @@ document.addEventListener("DOMContentLoaded", () => {
     try {
       const response = await fetch(`/api/${type}-orders/${id}`);
       const data = await response.json();
+      // Kept for the save: the version goes with the PUT, the record feeds the merge dialog on a conflict
+      row.dataset.version = data.version;
+      row.dataset.loadedRecord = JSON.stringify(data);
+      startRecordEdit(type, id, data.financial_year || financialYearSelect.value);
 
       if (type === "supply") {
         row.innerHTML = `
           <td class="p-3"><input type="number" min="1" value="${data.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="text" value="${data.supply_order_no}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="date" value="${formatDate(data.so_date)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-          <td class="p-3"><input type="text" value="${data.firm_name}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-          <td class="p-3"><input type="text" value="${data.nomenclature}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+          <td class="p-3"><input type="text" list="firm-list" value="${data.firm_name}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+          <td class="p-3"><input type="text" list="item-list" value="${data.nomenclature}" class="item-nomenclature-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="text" value="${data.quantity}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="date" value="${formatDate(data.original_date)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="date" value="${formatDate(data.revised_date1)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
@@ -3378,7 +4278,7 @@ document.addEventListener("DOMContentLoaded", () => {
           <td class="p-3"><input type="date" value="${formatDate(data.demand_date)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="text" value="${data.mmg_control_no || ""}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="date" value="${formatDate(data.control_date)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-          <td class="p-3"><input type="text" value="${data.nomenclature}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+          <td class="p-3"><input type="text" list="item-list" value="${data.nomenclature}" class="item-nomenclature-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="text" value="${data.quantity}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="text" value="${data.expenditure_head}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="text" value="${data.code_head || ""}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
@@ -3389,7 +4289,7 @@ document.addEventListener("DOMContentLoaded", () => {
             </select>
           </td>
           <td class="p-3"><input type="text" value="${data.procurement_mode}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-          <td class="p-3"><input type="number" step="0.01" value="${data.est_cost}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+          <td class="p-3"><input type="number" step="0.01" value="${data.est_cost}" class="est-cost-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"><div class="price-hint text-xs text-gray-500 mt-1"></div></td>
           <td class="p-3"><input type="text" value="${data.imms_control_no}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3">
             <select class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500">
@@ -3409,7 +4309,7 @@ document.addEventListener("DOMContentLoaded", () => {
         row.innerHTML = `
           <td class="p-3"><input type="number" min="1" value="${data.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="date" value="${formatDate(data.bill_control_date)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-          <td class="p-3"><input type="text" value="${data.firm_name}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+          <td class="p-3"><input type="text" list="firm-list" value="${data.firm_name}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3"><input type="text" value="${data.supply_order_no}" class="supply-order-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500" list="supply-orders-list" onchange="updateSODate(this)">
             <datalist id="supply-orders-list"></datalist>
           </td>
@@ -3427,7 +4327,7 @@ document.addEventListener("DOMContentLoaded", () => {
             </select>
           </td>
           <td class="p-3"><input type="text" value="${data.date_amount_passed}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
-          <td class="p-3"><input type="text" value="${data.ld_amount}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
+          <td class="p-3"><input type="text" value="${data.ld_amount}" disabled title="Set LD with the LD button, which asks for a reason to override the suggestion" class="p-2 border rounded-lg w-full bg-gray-100"></td>
           <td class="p-3"><input type="text" value="${data.remarks}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
           <td class="p-3">
             <button onclick="saveRow('${type}', ${id}, this)" class="bg-green-600 text-white px-3 py-1 rounded-lg hover:bg-green-700 transition">Save</button>
@@ -3461,6 +4361,11 @@ document.addEventListener("DOMContentLoaded", () => {
           ? demandFinancialYearSelect
           : billFinancialYearSelect;
 
+    // An edited row keeps its own year, which differs from the picker's when a period spans years
+    const recordYear =
+      (id && JSON.parse(row.dataset.loadedRecord || "{}").financial_year) ||
+      financialYearSelect.value;
+
     let data;
     if (type === "supply") {
       data = {
@@ -3488,7 +4393,7 @@ document.addEventListener("DOMContentLoaded", () => {
         procurement_mode: inputs[21].value,
         delivery_done: inputs[22].value,
         remarks: inputs[23].value,
-        financial_year: financialYearSelect.value,
+        financial_year: recordYear,
       };
     } else if (type === "demand") {
       data = {
@@ -3507,7 +4412,7 @@ document.addEventListener("DOMContentLoaded", () => {
         imms_control_no: inputs[12].value,
         supply_order_placed: inputs[13].value,
         remarks: inputs[14].value,
-        financial_year: financialYearSelect.value,
+        financial_year: recordYear,
       };
     } else {
       // bill
@@ -3525,12 +4430,15 @@ document.addEventListener("DOMContentLoaded", () => {
         procurement_mode: inputs[10].value,
         rev_cap: inputs[11].value,
         date_amount_passed: inputs[12].value,
-        ld_amount: inputs[13].value,
         remarks: inputs[14].value,
-        financial_year: financialYearSelect.value,
+        financial_year: recordYear,
       };
+      // An edit leaves LD alone; it is set through the LD panel, which records override reasons
+      if (!id) data.ld_amount = inputs[13].value;
     }
 
+    if (id && row.dataset.version) data.version = row.dataset.version;
+
     try {
       const method = id ? "PUT" : "POST";
       const url = id ? `/api/${type}-orders/${id}` : `/api/${type}-orders`;
@@ -3540,9 +4448,23 @@ document.addEventListener("DOMContentLoaded", () => {
         body: JSON.stringify(data),
       });
       if (response.ok) {
+        if (id) endRecordEdit();
         loadData(type);
+        const result = await response.json().catch(() => ({}));
+        showBudgetWarnings(result.warnings);
+        showPendingApproval(result.pending_approval);
+      } else if (response.status === 409) {
+        const result = await response.json();
+        showEditConflictDialog(
+          `/api/${type}-orders/${id}`,
+          JSON.parse(row.dataset.loadedRecord || "{}"),
+          data,
+          result.current,
+          () => loadData(type),
+        );
       } else {
-        alert(`Failed to ${id ? "update" : "add"} row`);
+        const result = await response.json().catch(() => ({}));
+        alert(result.message || `Failed to ${id ? "update" : "add"} row`);
       }
     } catch (error) {
       console.error(`Error saving ${type} row:`, error);
@@ -3556,11 +4478,15 @@ document.addEventListener("DOMContentLoaded", () => {
       alert("You do not have permission to edit records.");
       return;
     }
+    if (!confirmEditDespiteLock(type, id)) return;
 
     const row = button.closest("tr");
     try {
       const response = await fetch(`/api/sanction-${type}/${id}`);
       const data = await response.json();
+      row.dataset.version = data.version;
+      row.dataset.loadedRecord = JSON.stringify(data);
+      startRecordEdit(type, id, data.financial_year || getRegisterControls(type).yearSelect.value);
       row.innerHTML = `
         <td class="p-3"><input type="number" min="1" value="${data.serial_no}" class="serial-no-input p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
         <td class="p-3"><input type="date" value="${formatDate(data.date)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500"></td>
@@ -3600,6 +4526,9 @@ document.addEventListener("DOMContentLoaded", () => {
         : type === "misc"
           ? miscFinancialYearSelect
           : trainingFinancialYearSelect;
+    const recordYear =
+      (id && JSON.parse(row.dataset.loadedRecord || "{}").financial_year) ||
+      financialYearSelect.value;
 
     const data = {
       serial_no: inputs[0].value,
@@ -3615,9 +4544,11 @@ document.addEventListener("DOMContentLoaded", () => {
       uo_no: inputs[10].value,
       uo_date: inputs[11].value || null,
       amendment: inputs[12].value,
-      financial_year: financialYearSelect.value,
+      financial_year: recordYear,
     };
 
+    if (id && row.dataset.version) data.version = row.dataset.version;
+
     try {
       const method = id ? "PUT" : "POST";
       const url = id ? `/api/sanction-${type}/${id}` : `/api/sanction-${type}`;
@@ -3627,9 +4558,22 @@ document.addEventListener("DOMContentLoaded", () => {
         body: JSON.stringify(data),
       });
       if (response.ok) {
+        if (id) endRecordEdit();
         loadSanctionData(type);
+        const result = await response.json().catch(() => ({}));
+        showPendingApproval(result.pending_approval);
+      } else if (response.status === 409) {
+        const result = await response.json();
+        showEditConflictDialog(
+          `/api/sanction-${type}/${id}`,
+          JSON.parse(row.dataset.loadedRecord || "{}"),
+          data,
+          result.current,
+          () => loadSanctionData(type),
+        );
       } else {
-        alert(`Failed to ${id ? "update" : "add"} sanction row`);
+        const result = await response.json().catch(() => ({}));
+        alert(result.message || `Failed to ${id ? "update" : "add"} sanction row`);
       }
     } catch (error) {
       console.error(`Error saving sanction ${type} row:`, error);
@@ -3643,7 +4587,7 @@ document.addEventListener("DOMContentLoaded", () => {
       return;
     }
 
-    if (confirm("Are you sure you want to delete this row?")) {
+    if (confirm("Move this row to the recycle bin?")) {
       try {
         const response = await fetch(`/api/sanction-${type}/${id}`, {
           method: "DELETE",
@@ -3651,7 +4595,8 @@ document.addEventListener("DOMContentLoaded", () => {
         if (response.ok) {
           loadSanctionData(type);
         } else {
-          alert("Failed to delete row");
+          const result = await response.json().catch(() => ({}));
+          alert(result.message || "Failed to delete row");
         }
       } catch (error) {
         console.error(`Error deleting sanction ${type} row ${id}:`, error);
@@ -3699,6 +4644,7 @@ document.addEventListener("DOMContentLoaded", () => {
               ? "misc"
               : "training";
 
+    endRecordEdit();
     if (["gen-project", "misc", "training"].includes(registerType)) {
       loadSanctionData(registerType);
     } else {
@@ -3706,28 +4652,153 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
-  window.deleteRow = async (type, id) => {
-    // Check if user has permission to delete
-    if (currentUser && currentUser.role === "viewer") {
-      alert("You do not have permission to delete records.");
-      return;
-    }
+  function confirmEditDespiteLock(type, id) {
+    const editors = getRecordEditors(type, id);
+    return (
+      editors.length === 0 ||
+      confirm(
+        `${editors.join(", ")} ${editors.length === 1 ? "is" : "are"} editing this record right now. Edit it anyway?`,
+      )
+    );
+  }
 
-    if (confirm("Are you sure you want to delete this row?")) {
-      try {
-        const response = await fetch(`/api/${type}-orders/${id}`, {
-          method: "DELETE",
-        });
-        if (response.ok) {
-          loadData(type);
-        } else {
-          alert("Failed to delete row");
-        }
-      } catch (error) {
-        console.error(`Error deleting ${type} row ${id}:`, error);
+  // Values as the merge dialog compares them: "", "1500" and "1500.00" style differences are not changes
+  function normalizeMergeValue(value) {
+    if (value === null || value === undefined) return "";
+    const text = String(value).trim();
+    if (text !== "" && !isNaN(text)) return String(Number(text));
+    return text;
+  }
+
+  // A save was refused because someone else saved the record after it was opened (409).
+  // Fields only one side changed are merged automatically; fields both changed are chosen by the user.
+  // The merged record is saved against the version the other user left.
+  function showEditConflictDialog(url, original, mine, current, reload) {
+    const fields = Object.keys(mine).filter(
+      (field) => !["financial_year", "version"].includes(field),
+    );
+    const merged = { ...mine, version: current.version };
+    const rows = [];
+    fields.forEach((field) => {
+      const base = normalizeMergeValue(original[field]);
+      const ours = normalizeMergeValue(mine[field]);
+      const theirs = normalizeMergeValue(current[field]);
+      if (ours === theirs) return;
+      if (ours === base) {
+        merged[field] = current[field];
+        rows.push({ field, ours, theirs, conflict: false, taken: "theirs" });
+      } else if (theirs === base) {
+        rows.push({ field, ours, theirs, conflict: false, taken: "mine" });
+      } else {
+        rows.push({ field, ours, theirs, conflict: true });
       }
-    }
-  };
+    });
+
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 w-full max-w-3xl max-h-screen overflow-y-auto">
+        <h3 class="text-lg font-semibold mb-2">This record was changed while you were editing</h3>
+        <p class="text-sm text-gray-600 mb-4">Changes made on only one side are kept. Where you both changed a field, choose which value to save.</p>
+        <table class="w-full text-sm border-collapse mb-6">
+          <thead>
+            <tr class="bg-gray-100">
+              <th class="p-2 text-left">Field</th>
+              <th class="p-2 text-left">Your value</th>
+              <th class="p-2 text-left">Their value</th>
+            </tr>
+          </thead>
+          <tbody>
+            ${rows
+              .map(
+                (row) => `
+              <tr class="border-b ${row.conflict ? "bg-red-50" : ""}">
+                <td class="p-2 capitalize">${escapeHtml(row.field.replace(/_/g, " "))}</td>
+                <td class="p-2">
+                  ${row.conflict ? `<label><input type="radio" name="merge-${row.field}" value="mine" checked /> ` : ""}
+                  ${escapeHtml(row.ours) || '<span class="text-gray-400">(empty)</span>'}
+                  ${row.conflict ? "</label>" : row.taken === "mine" ? ' <span class="text-green-700">✓ kept</span>' : ""}
+                </td>
+                <td class="p-2">
+                  ${row.conflict ? `<label><input type="radio" name="merge-${row.field}" value="theirs" /> ` : ""}
+                  ${escapeHtml(row.theirs) || '<span class="text-gray-400">(empty)</span>'}
+                  ${row.conflict ? "</label>" : row.taken === "theirs" ? ' <span class="text-green-700">✓ kept</span>' : ""}
+                </td>
+              </tr>`,
+              )
+              .join("")}
+          </tbody>
+        </table>
+        <div class="flex justify-end gap-2">
+          <button class="merge-discard bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition">Discard My Changes</button>
+          <button class="merge-save bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition">Save Merged Record</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    modal.querySelector(".merge-discard").addEventListener("click", () => {
+      modal.remove();
+      endRecordEdit();
+      reload();
+    });
+    modal.querySelector(".merge-save").addEventListener("click", async () => {
+      rows
+        .filter((row) => row.conflict)
+        .forEach((row) => {
+          const choice = modal.querySelector(`input[name="merge-${row.field}"]:checked`).value;
+          merged[row.field] = choice === "theirs" ? current[row.field] : mine[row.field];
+        });
+      try {
+        const response = await fetch(url, {
+          method: "PUT",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(merged),
+        });
+        const result = response.ok ? null : await response.json().catch(() => ({}));
+        modal.remove();
+        if (response.status === 409) {
+          // Changed yet again in the meantime: merge against the newest version
+          showEditConflictDialog(url, current, merged, result.current, reload);
+          return;
+        }
+        if (!response.ok) {
+          alert(result.message || "Failed to save the merged record");
+          return;
+        }
+        endRecordEdit();
+        reload();
+      } catch (error) {
+        console.error("Error saving merged record:", error);
+        alert("Failed to save the merged record");
+      }
+    });
+  }
+
+  window.deleteRow = async (type, id) => {
+    // Check if user has permission to delete
+    if (currentUser && currentUser.role === "viewer") {
+      alert("You do not have permission to delete records.");
+      return;
+    }
+
+    if (confirm("Move this row to the recycle bin?")) {
+      try {
+        const response = await fetch(`/api/${type}-orders/${id}`, {
+          method: "DELETE",
+        });
+        if (response.ok) {
+          loadData(type);
+        } else {
+          const result = await response.json().catch(() => ({}));
+          alert(result.message || "Failed to delete row");
+        }
+      } catch (error) {
+        console.error(`Error deleting ${type} row ${id}:`, error);
+      }
+    }
+  };
 
   window.moveRow = async (type, id, direction) => {
     const financialYearSelect =
@@ -3755,6 +4826,114 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
+  function canMoveRecords() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("move_records"))
+    );
+  }
+
+  // Rows listed in serial order can be dragged onto another row to take its place;
+  // the server shifts the rows in between in one call
+  function enableRowDragging(type) {
+    const { yearSelect, sortSelect, reload } = getRegisterControls(type);
+    const sortBy = sortSelect ? sortSelect.value : "";
+    const tableBody = document.getElementById(`${type}-table-body`);
+    if (!tableBody || !canMoveRecords()) return;
+    if (sortBy && sortBy !== "serial_no") return;
+
+    let draggedId = null;
+    tableBody.querySelectorAll("tr[data-id]").forEach((tr) => {
+      tr.draggable = true;
+      tr.classList.add("cursor-move");
+      tr.addEventListener("dragstart", (event) => {
+        // A row open for editing keeps its inputs usable
+        if (tr.querySelector("input")) {
+          event.preventDefault();
+          return;
+        }
+        draggedId = tr.dataset.id;
+        event.dataTransfer.effectAllowed = "move";
+        tr.classList.add("opacity-50");
+      });
+      tr.addEventListener("dragend", () => {
+        draggedId = null;
+        tr.classList.remove("opacity-50");
+      });
+      tr.addEventListener("dragover", (event) => {
+        if (!draggedId || draggedId === tr.dataset.id) return;
+        event.preventDefault();
+        tr.style.outline = "2px dashed #2563eb";
+      });
+      tr.addEventListener("dragleave", () => {
+        tr.style.outline = "";
+      });
+      tr.addEventListener("drop", async (event) => {
+        event.preventDefault();
+        tr.style.outline = "";
+        const id = draggedId;
+        if (!id || id === tr.dataset.id) return;
+        try {
+          const response = await fetch(
+            `/api/${getRegisterApiPath(type)}/reorder`,
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({
+                id,
+                target_id: tr.dataset.id,
+                financial_year: yearSelect.value,
+              }),
+            },
+          );
+          const result = await response.json();
+          if (!response.ok) {
+            alert(result.message || "Failed to move row");
+          }
+          reload(type);
+        } catch (error) {
+          console.error(`Error reordering ${type} rows:`, error);
+        }
+      });
+    });
+  }
+
+  window.renumberRegister = async (type) => {
+    const { yearSelect, reload } = getRegisterControls(type);
+    const year = yearSelect.value;
+    if (
+      !confirm(
+        `Renumber every record of ${year} as 1, 2, 3... in the current serial order? This closes the gaps left by deleted rows.`,
+      )
+    ) {
+      return;
+    }
+    try {
+      const response = await fetch(
+        `/api/${getRegisterApiPath(type)}/renumber`,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ financial_year: year }),
+        },
+      );
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.message || "Failed to renumber register");
+        return;
+      }
+      alert(
+        result.changed > 0
+          ? `Renumbered ${result.changed} record(s)`
+          : "Serial numbers already run without gaps",
+      );
+      reload(type);
+    } catch (error) {
+      console.error(`Error renumbering ${type} register:`, error);
+    }
+  };
+
   async function getMaxSerialNo(type) {
     const financialYearSelect =
       type === "supply"
@@ -3798,98 +4977,89 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   }
 
-  function populateFilterDropdowns(type, data) {
+  // Fills the advanced filter dropdowns (matched to columns by their name) and the
+  // range/contains condition row from the year's distinct values
+  async function populateFilterDropdowns(type, year) {
     const filterContainer = document.getElementById(`${type}-advanced-filter`);
     if (!filterContainer) return; // Exit if filter container doesn't exist
 
-    const selects = filterContainer.querySelectorAll(".filter-select");
-    const fields =
-      type === "supply"
-        ? [
-            "serial_no",
-            "supply_order_no",
-            "so_date",
-            "firm_name",
-            "nomenclature",
-            "quantity",
-            "original_date",
-            "revised_date1",
-            "revised_date2",
-            "revised_date3",
-            "build_up",
-            "maint",
-            "misc",
-            "project_less_2cr",
-            "project_more_2cr",
-            "project_no_pdc",
-            "p_np",
-            "expenditure_head",
-            "rev_cap",
-            "actual_delivery_date",
-            "procurement_mode",
-            "delivery_done",
-            "remarks",
-          ]
-        : type === "demand"
-          ? [
-              "serial_no",
-              "imms_demand_no",
-              "demand_date",
-              "mmg_control_no",
-              "control_date",
-              "nomenclature",
-              "quantity",
-              "expenditure_head",
-              "code_head",
-              "rev_cap",
-              "procurement_mode",
-              "est_cost",
-              "imms_control_no",
-              "supply_order_placed",
-              "remarks",
-            ]
-          : [
-              // bill
-              "serial_no",
-              "bill_control_date",
-              "firm_name",
-              "supply_order_no",
-              "so_date",
-              "project_no",
-              "build_up",
-              "maintenance",
-              "project_less_2cr",
-              "project_more_2cr",
-              "procurement_mode",
-              "rev_cap",
-              "date_amount_passed",
-              "ld_amount",
-              "remarks",
-            ];
-
-    selects.forEach((select, index) => {
-      // Ensure we don't try to access fields beyond the available ones
-      if (index >= fields.length) return;
-
-      const field = fields[index];
-      select.innerHTML = `<option value="">Select ${field.replace(/_/g, " ")}</option>`;
+    let options;
+    try {
+      const response = await fetch(`/api/${type}-orders/filter-options?year=${year}`);
+      if (!response.ok) return;
+      options = await response.json();
+    } catch (error) {
+      console.error(`Error loading ${type} filter options:`, error);
+      return;
+    }
 
-      // Filter out null/undefined values and create unique sorted options
-      const uniqueValues = [
-        ...new Set(
-          data
-            .map((row) => row[field])
-            .filter((val) => val !== null && val !== undefined),
-        ),
-      ].sort();
+    const state = getListState(type);
+    filterContainer.querySelectorAll(".filter-select").forEach((select) => {
+      const field = select.name;
+      const values = options.values[field];
+      if (!values) return;
 
-      uniqueValues.forEach((value) => {
+      select.innerHTML = `<option value="">Select ${field.replace(/_/g, " ")}</option>`;
+      values.forEach((value) => {
         const option = document.createElement("option");
         option.value = value;
         option.textContent = value;
         select.appendChild(option);
       });
+      select.value = (state.filters[field] && state.filters[field].eq) || "";
     });
+
+    const conditionContainer = filterContainer.querySelector(".filter-conditions");
+    if (!conditionContainer || conditionContainer.dataset.ready) return;
+    conditionContainer.dataset.ready = "true";
+    conditionContainer.dataset.columnTypes = JSON.stringify(
+      Object.fromEntries(options.columns.map((column) => [column.name, column.type])),
+    );
+    conditionContainer.innerHTML = `
+      <select class="filter-condition-column p-2 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500">
+        <option value="">Range / contains on column…</option>
+        ${options.columns.map((column) => `<option value="${column.name}">${column.name.replace(/_/g, " ")}</option>`).join("")}
+      </select>
+      <input type="text" class="filter-condition-from p-2 border rounded-lg" placeholder="From" disabled />
+      <input type="text" class="filter-condition-to p-2 border rounded-lg" placeholder="To" disabled />
+      <input type="text" class="filter-condition-contains p-2 border rounded-lg" placeholder="Contains" disabled />
+    `;
+    conditionContainer
+      .querySelector(".filter-condition-column")
+      .addEventListener("change", () => setFilterConditionColumn(conditionContainer));
+    syncFilterConditionRow(type);
+  }
+
+  // Switches the range/contains row to a column: range inputs become date or number inputs, or are disabled for text
+  function setFilterConditionColumn(conditionContainer, condition = {}) {
+    const columnSelect = conditionContainer.querySelector(".filter-condition-column");
+    const columnType = JSON.parse(conditionContainer.dataset.columnTypes || "{}")[columnSelect.value];
+    const rangeType =
+      columnType === "date" ? "date" : columnType === "int" || columnType === "decimal" ? "number" : null;
+    conditionContainer
+      .querySelectorAll(".filter-condition-from, .filter-condition-to")
+      .forEach((input) => {
+        input.type = rangeType || "text";
+        input.disabled = !rangeType;
+        input.value = (input.classList.contains("filter-condition-from") ? condition.from : condition.to) || "";
+      });
+    const containsInput = conditionContainer.querySelector(".filter-condition-contains");
+    containsInput.value = condition.contains || "";
+    containsInput.disabled = !columnSelect.value;
+  }
+
+  // Shows the first range/contains filter of the register state in the condition row
+  function syncFilterConditionRow(type) {
+    const filterContainer = document.getElementById(`${type}-advanced-filter`);
+    const conditionContainer = filterContainer && filterContainer.querySelector(".filter-conditions");
+    if (!conditionContainer || !conditionContainer.dataset.ready) return;
+
+    const [column, condition] =
+      Object.entries(getListState(type).filters).find(
+        ([, value]) => value.from || value.to || value.contains,
+      ) || ["", {}];
+    conditionContainer.querySelector(".filter-condition-column").value = column;
+    setFilterConditionColumn(conditionContainer, condition);
   }
 
   window.toggleAdvancedFilter = (type) => {
@@ -3900,44 +5070,43 @@ document.addEventListener("DOMContentLoaded", () => {
   };
 
   window.applyFilter = (type) => {
-    const financialYearSelect =
-      type === "supply"
-        ? supplyFinancialYearSelect
-        : type === "demand"
-          ? demandFinancialYearSelect
-          : billFinancialYearSelect;
     const filterContainer = document.getElementById(`${type}-advanced-filter`);
     if (!filterContainer) return;
 
-    const selects = filterContainer.querySelectorAll(".filter-select");
     const filters = {};
-    selects.forEach((select) => {
+    filterContainer.querySelectorAll(".filter-select").forEach((select) => {
       if (select.value) {
-        filters[select.name] = select.value;
+        filters[select.name] = { eq: select.value };
       }
     });
 
-    fetch(`/api/${type}-orders?year=${financialYearSelect.value}`)
-      .then((response) => response.json())
-      .then((data) => {
-        const filteredData = data.filter((row) => {
-          return Object.keys(filters).every((key) => {
-            // Use loose equality for potentially mixed types or string vs number comparisons
-            return row[key] == filters[key];
-          });
-        });
-        renderTable(type, filteredData);
-      })
-      .catch((error) => console.error(`Error applying ${type} filter:`, error));
+    const columnSelect = filterContainer.querySelector(".filter-condition-column");
+    if (columnSelect && columnSelect.value) {
+      const condition = {
+        from: filterContainer.querySelector(".filter-condition-from").value.trim(),
+        to: filterContainer.querySelector(".filter-condition-to").value.trim(),
+        contains: filterContainer.querySelector(".filter-condition-contains").value.trim(),
+      };
+      filters[columnSelect.value] = { ...filters[columnSelect.value], ...condition };
+    }
+
+    const state = getListState(type);
+    state.filters = filters;
+    state.page = 1;
+    loadData(type);
   };
 
   window.resetFilter = (type) => {
     const filterContainer = document.getElementById(`${type}-advanced-filter`);
     if (filterContainer) {
       filterContainer
-        .querySelectorAll(".filter-select")
-        .forEach((select) => (select.value = ""));
+        .querySelectorAll(".filter-select, .filter-conditions input, .filter-conditions select")
+        .forEach((input) => (input.value = ""));
     }
+    const state = getListState(type);
+    state.filters = {};
+    state.page = 1;
+    syncFilterConditionRow(type);
     loadData(type); // Reload original data
   };
 
@@ -3953,34 +5122,2929 @@ document.addEventListener("DOMContentLoaded", () => {
       backupFiles.innerHTML = "";
       files.forEach((file) => {
         const li = document.createElement("li");
-        li.innerHTML = `<a href="/backups/${type}/${file}" target="_blank" class="text-blue-600 hover:underline">${file}</a>`;
+        li.innerHTML = `<a href="/backups/${type}/${file}" target="_blank" class="text-blue-600 hover:underline">${file}</a>
+          ${
+            file.endsWith(".xlsx")
+              ? `<button onclick="showBackupRestore('${type}', '${file}')" class="restore-backup text-sm text-orange-600 hover:underline ml-2">Restore…</button>`
+              : ""
+          }`;
+        backupFiles.appendChild(li);
+      });
+    } catch (error) {
+      console.error(`Error fetching ${type} backups:`, error);
+    }
+  };
+
+  window.showSanctionBackups = async (type) => {
+    const backupList = document.getElementById(`${type}-backup-list`);
+    const backupFiles = document.getElementById(`${type}-backup-files`);
+    if (!backupList || !backupFiles) return; // Exit if elements don't exist
+
+    backupList.classList.toggle("hidden");
+    try {
+      const response = await fetch(`/api/sanction-${type}-backups`);
+      const files = await response.json();
+      backupFiles.innerHTML = "";
+      files.forEach((file) => {
+        const li = document.createElement("li");
+        li.innerHTML = `<a href="/backups/sanction-${type}/${file}" target="_blank" class="text-blue-600 hover:underline">${file}</a>
+          ${
+            file.endsWith(".xlsx")
+              ? `<button onclick="showBackupRestore('${type}', '${file}')" class="restore-backup text-sm text-orange-600 hover:underline ml-2">Restore…</button>`
+              : ""
+          }`;
         backupFiles.appendChild(li);
       });
     } catch (error) {
-      console.error(`Error fetching ${type} backups:`, error);
+      console.error(`Error fetching sanction ${type} backups:`, error);
+    }
+  };
+
+  // Register type -> database table, used to query the audit trail
+  const auditTableNames = {
+    supply: "supply_orders",
+    demand: "demand_orders",
+    bill: "bill_orders",
+    "gen-project": "sanction_gen_project",
+    misc: "sanction_misc",
+    training: "sanction_training",
+  };
+
+  window.showRecordHistory = async (type, id) => {
+    const table = auditTableNames[type];
+    if (!table) return;
+
+    try {
+      const response = await fetch(
+        `/api/audit?table=${encodeURIComponent(table)}&recordId=${id}`,
+      );
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        alert(error.message || error.error || "Failed to load record history");
+        return;
+      }
+      const entries = await response.json();
+
+      const formatValue = (value) =>
+        value === null || value === undefined || value === ""
+          ? '<span class="text-gray-400">—</span>'
+          : String(value)
+              .replace(/&/g, "&amp;")
+              .replace(/</g, "&lt;")
+              .replace(/>/g, "&gt;");
+
+      const entriesHtml = entries.length
+        ? entries
+            .map((entry) => {
+              const changes = Object.entries(entry.changes || {});
+              const changesHtml = changes.length
+                ? `
+              <table class="w-full text-sm mt-2">
+                <thead>
+                  <tr class="bg-gray-100">
+                    <th class="p-2 text-left">Field</th>
+                    <th class="p-2 text-left">Before</th>
+                    <th class="p-2 text-left">After</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  ${changes
+                    .map(
+                      ([column, change]) => `
+                  <tr class="border-b">
+                    <td class="p-2 font-medium">${column}</td>
+                    <td class="p-2 text-red-600">${formatValue(change.from)}</td>
+                    <td class="p-2 text-green-700">${formatValue(change.to)}</td>
+                  </tr>`,
+                    )
+                    .join("")}
+                </tbody>
+              </table>`
+                : '<p class="text-sm text-gray-500 mt-1">No field changes recorded</p>';
+
+              return `
+            <div class="border rounded-lg p-3 mb-3">
+              <div class="flex justify-between text-sm">
+                <span class="font-semibold capitalize">${entry.action}</span>
+                <span class="text-gray-600">${entry.username || "Unknown user"} · ${new Date(entry.created_at).toLocaleString()}</span>
+              </div>
+              ${changesHtml}
+            </div>`;
+            })
+            .join("")
+        : '<p class="text-gray-500">No history recorded for this record yet.</p>';
+
+      const modal = document.createElement("div");
+      modal.className =
+        "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+      modal.innerHTML = `
+        <div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[80vh] overflow-y-auto">
+          <div class="flex justify-between items-center mb-4">
+            <h3 class="text-lg font-bold">🕘 Record History</h3>
+            <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+          </div>
+          ${entriesHtml}
+        </div>
+      `;
+      document.body.appendChild(modal);
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) modal.remove();
+      });
+    } catch (error) {
+      console.error(`Error fetching ${type} record history:`, error);
+      alert("Failed to load record history");
+    }
+  };
+
+  const LIFECYCLE_REGISTER_LABELS = {
+    demand: "Demand",
+    supply: "Supply Order",
+    bill: "Bill",
+  };
+
+  // Demand → supply order → bill chain of a row: demands and supply orders by IMMS demand number,
+  // bills through their supply order
+  window.showLifecycle = async (type, id) => {
+    try {
+      const recordResponse = await fetch(`/api/${type}-orders/${id}`);
+      if (!recordResponse.ok) {
+        alert("Failed to load record");
+        return;
+      }
+      const record = await recordResponse.json();
+      let url;
+      if (type === "bill" || (type === "supply" && !record.imms_demand_no)) {
+        if (!record.supply_order_no) {
+          alert("This bill has no supply order number");
+          return;
+        }
+        url = `/api/lifecycle?supply_order_no=${encodeURIComponent(record.supply_order_no)}`;
+      } else {
+        if (!record.imms_demand_no) {
+          alert("This demand has no IMMS demand number");
+          return;
+        }
+        url = `/api/lifecycle/${encodeURIComponent(record.imms_demand_no)}`;
+      }
+
+      const response = await fetch(url);
+      const lifecycle = await response.json();
+      if (!response.ok) {
+        alert(lifecycle.message || lifecycle.error || "Failed to load lifecycle");
+        return;
+      }
+
+      const stagesHtml = lifecycle.stages
+        .map(
+          (stage) => `
+          <div class="flex-1 text-center">
+            <div class="mx-auto w-8 h-8 rounded-full flex items-center justify-center text-white ${stage.key === lifecycle.currentStage ? "bg-blue-600" : stage.reached ? "bg-green-600" : "bg-gray-300"}">
+              ${stage.reached ? "✓" : ""}
+            </div>
+            <div class="text-sm font-medium mt-1">${escapeHtml(stage.label)}</div>
+            <div class="text-xs text-gray-500">${stage.date ? formatDate(stage.date) : ""}</div>
+          </div>`,
+        )
+        .join("");
+
+      const flagsHtml = lifecycle.flags.length
+        ? `
+          <div class="bg-red-50 border border-red-300 text-red-700 rounded-lg p-3 mb-4">
+            <div class="font-semibold mb-1">⚠️ Broken or inconsistent links</div>
+            ${lifecycle.flags.map((flag) => `<div class="text-sm">${escapeHtml(flag.message)}</div>`).join("")}
+          </div>`
+        : "";
+
+      const timelineHtml = lifecycle.timeline
+        .map(
+          (event) => `
+          <div class="flex border-l-4 ${event.stage === lifecycle.currentStage ? "border-blue-600" : "border-green-600"} pl-3 py-2">
+            <div class="w-28 text-sm text-gray-600">${event.date ? formatDate(event.date) : "No date"}</div>
+            <div class="flex-1 text-sm">
+              ${escapeHtml(event.label)}
+              <span class="text-gray-500">· ${LIFECYCLE_REGISTER_LABELS[event.record.register]} S.No ${event.record.serial_no} (${escapeHtml(event.record.financial_year)})</span>
+            </div>
+          </div>`,
+        )
+        .join("");
+
+      const title = lifecycle.immsDemandNo
+        ? `Demand ${lifecycle.immsDemandNo}`
+        : `Supply Order ${lifecycle.supplyOrderNo}`;
+      const modal = document.createElement("div");
+      modal.className =
+        "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+      modal.innerHTML = `
+        <div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[80vh] overflow-y-auto">
+          <div class="flex justify-between items-center mb-4">
+            <h3 class="text-lg font-bold">🔗 Lifecycle: ${escapeHtml(title)}</h3>
+            <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+          </div>
+          <div class="flex mb-6">${stagesHtml}</div>
+          ${flagsHtml}
+          <h4 class="font-semibold mb-2">Timeline</h4>
+          ${timelineHtml || '<p class="text-gray-500">No events recorded.</p>'}
+        </div>
+      `;
+      document.body.appendChild(modal);
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) modal.remove();
+      });
+    } catch (error) {
+      console.error(`Error fetching ${type} lifecycle:`, error);
+      alert("Failed to load lifecycle");
+    }
+  };
+
+  // Marks supply orders whose demand and bills whose supply order are missing from the registers
+  async function flagBrokenLinks(type, year) {
+    if (type !== "supply" && type !== "bill") return;
+    try {
+      const response = await fetch(
+        `/api/lifecycle/broken-links?year=${encodeURIComponent(year)}`,
+      );
+      if (!response.ok) return;
+      const links = await response.json();
+      const broken = type === "supply" ? links.supplyOrders : links.bills;
+      broken.forEach((row) => {
+        const tr = document.querySelector(
+          `#${type}-table-body tr[data-id="${row.id}"]`,
+        );
+        if (!tr || tr.querySelector(".broken-link-badge")) return;
+        const badge = document.createElement("span");
+        badge.className =
+          "broken-link-badge ml-1 bg-red-100 text-red-700 text-xs px-1 rounded";
+        badge.textContent = "⚠ link";
+        badge.title =
+          type === "supply"
+            ? `Demand ${row.imms_demand_no} is not in the demand register`
+            : `Supply order ${row.supply_order_no} is not in the supply order register`;
+        tr.cells[0].appendChild(badge);
+      });
+    } catch (error) {
+      console.error(`Error checking ${type} links:`, error);
+    }
+  }
+
+  // Over-commitment warnings the server returns with a saved supply order, bill or allotment
+  function showBudgetWarnings(warnings) {
+    if (warnings && warnings.length > 0) {
+      alert(`⚠️ Budget warning:\n\n${warnings.join("\n")}`);
+    }
+  }
+
+  function canManageBudget() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("manage_budget"))
+    );
+  }
+
+  const formatBudgetAmount = (value) =>
+    Number(value || 0).toLocaleString("en-IN", { maximumFractionDigits: 2 });
+
+  // Allotments per code head / expenditure head / R-C for a year, against what supply orders
+  // commit and bills spend
+  window.showBudget = async (year) => {
+    const financialYear = year || supplyFinancialYearSelect.value;
+    let report;
+    try {
+      const response = await fetch(
+        `/api/budget/report?year=${encodeURIComponent(financialYear)}`,
+      );
+      report = await response.json();
+      if (!response.ok) {
+        alert(report.message || report.error || "Failed to load budget");
+        return;
+      }
+    } catch (error) {
+      console.error("Error loading budget report:", error);
+      alert("Failed to load budget");
+      return;
+    }
+
+    const manage = canManageBudget();
+    const yearOptions = Array.from(supplyFinancialYearSelect.options)
+      .map(
+        (option) =>
+          `<option value="${escapeHtml(option.value)}" ${option.value === financialYear ? "selected" : ""}>${escapeHtml(option.text)}</option>`,
+      )
+      .join("");
+
+    const lineRow = (line) => `
+      <tr class="border-b ${line.overCommitted ? "bg-red-50 text-red-700" : ""}">
+        <td class="p-2">${escapeHtml(line.code_head) || "—"}</td>
+        <td class="p-2">${escapeHtml(line.expenditure_head) || "—"}</td>
+        <td class="p-2">${line.rev_cap}</td>
+        <td class="p-2 text-right">${formatBudgetAmount(line.allotted)}</td>
+        <td class="p-2 text-right">${formatBudgetAmount(line.committed)}</td>
+        <td class="p-2 text-right">${formatBudgetAmount(line.actual)}</td>
+        <td class="p-2 text-right">${formatBudgetAmount(line.available)}</td>
+        <td class="p-2 text-right">${line.utilisation === null ? "—" : `${line.utilisation}%`}</td>
+        ${
+          manage
+            ? `<td class="p-2 whitespace-nowrap">
+          <button data-edit-allotment="${line.id}" class="bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700 transition">Edit</button>
+          <button data-delete-allotment="${line.id}" class="bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700 transition ml-1">Delete</button>
+        </td>`
+            : ""
+        }
+      </tr>`;
+    const totalRow = (label, totals) => `
+      <tr class="bg-gray-100 font-semibold">
+        <td class="p-2" colspan="3">${label}</td>
+        <td class="p-2 text-right">${formatBudgetAmount(totals.allotted)}</td>
+        <td class="p-2 text-right">${formatBudgetAmount(totals.committed)}</td>
+        <td class="p-2 text-right">${formatBudgetAmount(totals.actual)}</td>
+        <td class="p-2 text-right">${formatBudgetAmount(totals.available)}</td>
+        <td class="p-2"></td>
+        ${manage ? '<td class="p-2"></td>' : ""}
+      </tr>`;
+
+    const unallottedHtml = report.unallotted.length
+      ? `
+        <h4 class="font-semibold mt-6 mb-2">Spend without an allotment</h4>
+        <table class="w-full text-sm">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2 text-left">Code Head</th><th class="p-2 text-left">Expenditure Head</th><th class="p-2 text-left">R/C</th>
+            <th class="p-2 text-right">Committed</th><th class="p-2 text-right">Actual</th>
+          </tr></thead>
+          <tbody>
+            ${report.unallotted
+              .map(
+                (entry) => `
+            <tr class="border-b">
+              <td class="p-2">${escapeHtml(entry.code_head) || "—"}</td>
+              <td class="p-2">${escapeHtml(entry.expenditure_head) || "—"}</td>
+              <td class="p-2">${entry.rev_cap || "—"}</td>
+              <td class="p-2 text-right">${formatBudgetAmount(entry.committed)}</td>
+              <td class="p-2 text-right">${formatBudgetAmount(entry.actual)}</td>
+            </tr>`,
+              )
+              .join("")}
+          </tbody>
+        </table>`
+      : "";
+
+    const formHtml = manage
+      ? `
+        <form id="budget-allotment-form" class="grid grid-cols-1 md:grid-cols-6 gap-2 mb-4">
+          <input type="hidden" name="id">
+          <input name="code_head" placeholder="Code head" class="p-2 border rounded-lg">
+          <input name="expenditure_head" placeholder="Expenditure head" class="p-2 border rounded-lg">
+          <select name="rev_cap" class="p-2 border rounded-lg">
+            <option value="R">Revenue (R)</option>
+            <option value="C">Capital (C)</option>
+          </select>
+          <input name="amount" type="number" min="0" step="0.01" placeholder="Allotted amount" class="p-2 border rounded-lg" required>
+          <input name="remarks" placeholder="Remarks" class="p-2 border rounded-lg">
+          <button type="submit" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition">Save Allotment</button>
+        </form>`
+      : "";
+
+    document.getElementById("budget-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "budget-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-6xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">💰 Budget vs Actual</h3>
+          <div class="flex items-center gap-2">
+            <select id="budget-year" class="p-2 border rounded-lg">${yearOptions}</select>
+            <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+          </div>
+        </div>
+        <p class="text-sm text-gray-600 mb-4">
+          Committed is the value of the year's supply orders, actual the value of its bills. Supply orders take the code head of their demand; bills the heads of their supply order.
+        </p>
+        ${formHtml}
+        <table class="w-full text-sm">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2 text-left">Code Head</th><th class="p-2 text-left">Expenditure Head</th><th class="p-2 text-left">R/C</th>
+            <th class="p-2 text-right">Allotted</th><th class="p-2 text-right">Committed</th><th class="p-2 text-right">Actual</th>
+            <th class="p-2 text-right">Available</th><th class="p-2 text-right">Spent</th>
+            ${manage ? '<th class="p-2"></th>' : ""}
+          </tr></thead>
+          <tbody>
+            ${report.lines.map(lineRow).join("") || `<tr><td class="p-2 text-gray-500" colspan="9">No allotments for ${escapeHtml(financialYear)}</td></tr>`}
+            ${totalRow("Revenue total", report.totals.R)}
+            ${totalRow("Capital total", report.totals.C)}
+            ${totalRow("Grand total", report.totals.all)}
+          </tbody>
+        </table>
+        ${unallottedHtml}
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    modal
+      .querySelector("#budget-year")
+      .addEventListener("change", (e) => showBudget(e.target.value));
+
+    if (!manage) return;
+    const form = modal.querySelector("#budget-allotment-form");
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const values = Object.fromEntries(new FormData(form).entries());
+      const { id, ...allotment } = values;
+      try {
+        const response = await fetch(
+          id ? `/api/budget/allotments/${id}` : "/api/budget/allotments",
+          {
+            method: id ? "PUT" : "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ ...allotment, financial_year: financialYear }),
+          },
+        );
+        const result = await response.json();
+        if (!response.ok) {
+          alert(result.message || "Failed to save allotment");
+          return;
+        }
+        showBudgetWarnings(result.warnings);
+        showBudget(financialYear);
+      } catch (error) {
+        console.error("Error saving budget allotment:", error);
+      }
+    });
+    modal.querySelectorAll("[data-edit-allotment]").forEach((button) => {
+      button.addEventListener("click", () => {
+        const line = report.lines.find(
+          (entry) => String(entry.id) === button.dataset.editAllotment,
+        );
+        form.elements.id.value = line.id;
+        form.elements.code_head.value = line.code_head;
+        form.elements.expenditure_head.value = line.expenditure_head;
+        form.elements.rev_cap.value = line.rev_cap;
+        form.elements.amount.value = line.allotted;
+        form.elements.remarks.value = line.remarks || "";
+        form.elements.code_head.focus();
+      });
+    });
+    modal.querySelectorAll("[data-delete-allotment]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        if (!confirm("Delete this allotment?")) return;
+        try {
+          const response = await fetch(
+            `/api/budget/allotments/${button.dataset.deleteAllotment}`,
+            { method: "DELETE" },
+          );
+          if (!response.ok) {
+            alert("Failed to delete allotment");
+            return;
+          }
+          showBudget(financialYear);
+        } catch (error) {
+          console.error("Error deleting budget allotment:", error);
+        }
+      });
+    });
+  };
+
+  function canEditRecords() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("edit_records"))
+    );
+  }
+
+  function canManageLdRules() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("manage_ld_rules"))
+    );
+  }
+
+  // Suggested liquidated damages of a bill from its supply order's delivery delay, with the working
+  // behind it; the LD can be set to the suggestion or overridden with a reason
+  window.showLd = async (id) => {
+    let result;
+    try {
+      const response = await fetch(`/api/ld/bills/${id}`);
+      result = await response.json();
+      if (!response.ok) {
+        alert(result.message || result.error || "Failed to calculate LD");
+        return;
+      }
+    } catch (error) {
+      console.error("Error calculating LD:", error);
+      alert("Failed to calculate LD");
+      return;
+    }
+
+    const { bill, calculation } = result;
+    const { rules } = calculation;
+    const step = (label, value) => `
+      <tr class="border-b">
+        <td class="p-2 text-gray-600">${label}</td>
+        <td class="p-2">${value}</td>
+      </tr>`;
+    const stepsHtml = [
+      step("Supply order", escapeHtml(calculation.supply_order_no) || "—"),
+      step("Original delivery date", calculation.original_date ? formatDate(calculation.original_date) : "—"),
+      step(
+        "Revised delivery dates",
+        calculation.revised_dates && calculation.revised_dates.length
+          ? calculation.revised_dates.map(formatDate).join(", ")
+          : "None",
+      ),
+      step(
+        "Due date",
+        calculation.due_date
+          ? `${formatDate(calculation.due_date)} <span class="text-gray-500">(${calculation.due_date_source})</span>`
+          : "—",
+      ),
+      step("Actual delivery date", calculation.delivery_date ? formatDate(calculation.delivery_date) : "—"),
+    ];
+    if (calculation.weeks !== undefined) {
+      stepsHtml.push(
+        step("Delay", `${calculation.delay_days} day(s), less ${calculation.grace_days} grace day(s) = ${calculation.chargeable_days} day(s)`),
+        step("Weeks or part thereof", calculation.weeks),
+        step(
+          "LD rate",
+          `${calculation.weeks} × ${rules.percent_per_week}% = ${calculation.uncapped_percent}%${calculation.capped ? `, capped at ${rules.max_percent}%` : ""}`,
+        ),
+        step(`Value (${calculation.base_source})`, formatBudgetAmount(calculation.base)),
+        step(
+          "Suggested LD",
+          `<strong>${formatBudgetAmount(calculation.base)} × ${calculation.percent}% = ${formatBudgetAmount(calculation.suggested)}</strong>`,
+        ),
+      );
+    }
+
+    const current = bill.ld_amount === null ? "Not set" : formatBudgetAmount(bill.ld_amount);
+    const editable = canEditRecords();
+    const rulesEditable = canManageLdRules();
+
+    const applyHtml = editable
+      ? `
+        <form id="ld-override-form" class="grid grid-cols-1 md:grid-cols-4 gap-2 mt-2">
+          <input name="ld_amount" type="number" min="0" step="0.01" placeholder="LD amount" class="p-2 border rounded-lg" required>
+          <input name="reason" placeholder="Reason for overriding the suggestion" class="p-2 border rounded-lg md:col-span-2" required>
+          <button type="submit" class="bg-orange-600 text-white px-4 py-2 rounded-lg hover:bg-orange-700 transition">Override</button>
+        </form>
+        <button id="ld-apply" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition mt-2">Apply suggested LD (${formatBudgetAmount(calculation.suggested)})</button>`
+      : "";
+
+    const rulesHtml = rulesEditable
+      ? `
+        <h4 class="font-semibold mt-6 mb-2">LD rules</h4>
+        <form id="ld-rules-form" class="grid grid-cols-1 md:grid-cols-5 gap-2 items-center">
+          <label class="text-sm">% per week<input name="percent_per_week" type="number" min="0" max="100" step="0.01" value="${rules.percent_per_week}" class="p-2 border rounded-lg w-full"></label>
+          <label class="text-sm">Cap %<input name="max_percent" type="number" min="0" max="100" step="0.01" value="${rules.max_percent}" class="p-2 border rounded-lg w-full"></label>
+          <label class="text-sm">Grace days<input name="grace_days" type="number" min="0" step="1" value="${rules.grace_days}" class="p-2 border rounded-lg w-full"></label>
+          <label class="text-sm flex items-center gap-2"><input name="revisions_waive_ld" type="checkbox" ${rules.revisions_waive_ld ? "checked" : ""}> Revisions waive LD</label>
+          <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition">Save Rules</button>
+        </form>`
+      : `<p class="text-sm text-gray-500 mt-4">Rules: ${rules.percent_per_week}% per week, capped at ${rules.max_percent}%, ${rules.grace_days} grace day(s); ${rules.revisions_waive_ld ? "revised dates waive LD" : "LD runs from the original date"}.</p>`;
+
+    document.getElementById("ld-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "ld-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">⏱️ Liquidated Damages: Bill S.No ${bill.serial_no} (${escapeHtml(bill.financial_year)})</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        ${calculation.reason ? `<div class="bg-gray-50 border rounded-lg p-3 mb-4 text-sm">${escapeHtml(calculation.reason)}</div>` : ""}
+        <table class="w-full text-sm mb-4"><tbody>${stepsHtml.join("")}</tbody></table>
+        <div class="text-sm">
+          LD on the bill: <strong>${current}</strong>
+          ${bill.ld_override_reason ? `<div class="text-orange-700">Overridden: ${escapeHtml(bill.ld_override_reason)}</div>` : ""}
+        </div>
+        ${applyHtml}
+        ${rulesHtml}
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    const setLd = async (body) => {
+      try {
+        const response = await fetch(`/api/ld/bills/${id}`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(body),
+        });
+        const saved = await response.json();
+        if (!response.ok) {
+          alert(saved.message || "Failed to update LD");
+          // Show the bill as it now stands after someone else's change
+          if (response.status === 409) showLd(id);
+          return;
+        }
+        loadData("bill");
+        showLd(id);
+      } catch (error) {
+        console.error("Error updating LD:", error);
+      }
+    };
+
+    if (editable) {
+      modal.querySelector("#ld-apply").addEventListener("click", () => setLd({ version: bill.version }));
+      const form = modal.querySelector("#ld-override-form");
+      form.addEventListener("submit", (e) => {
+        e.preventDefault();
+        setLd({ ...Object.fromEntries(new FormData(form).entries()), version: bill.version });
+      });
+    }
+
+    if (rulesEditable) {
+      const rulesForm = modal.querySelector("#ld-rules-form");
+      rulesForm.addEventListener("submit", async (e) => {
+        e.preventDefault();
+        const values = Object.fromEntries(new FormData(rulesForm).entries());
+        try {
+          const response = await fetch("/api/ld/rules", {
+            method: "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({
+              ...values,
+              revisions_waive_ld: rulesForm.elements.revisions_waive_ld.checked,
+            }),
+          });
+          const saved = await response.json();
+          if (!response.ok) {
+            alert(saved.message || "Failed to save LD rules");
+            return;
+          }
+          showLd(id);
+        } catch (error) {
+          console.error("Error saving LD rules:", error);
+        }
+      });
+    }
+  };
+
+  // Notification center: the bell's unread count, its menu, and the events the user subscribes to
+  const NOTIFICATION_POLL_INTERVAL = 60 * 1000;
+
+  async function refreshNotificationCount() {
+    if (!currentUser) return;
+    try {
+      const response = await fetch("/api/notifications/unread-count");
+      if (!response.ok) return;
+      const { unread } = await response.json();
+      const badge = document.getElementById("notification-count");
+      badge.textContent = unread > 99 ? "99+" : unread;
+      badge.classList.toggle("hidden", unread === 0);
+    } catch (error) {
+      console.error("Error counting notifications:", error);
+    }
+  }
+  window.refreshNotificationCount = refreshNotificationCount;
+
+  // Pushes arrive over the user's socket room; without a connection the count is polled instead
+  setInterval(() => {
+    if (!socket || !socket.connected) refreshNotificationCount();
+  }, NOTIFICATION_POLL_INTERVAL);
+
+  window.toggleNotificationMenu = async () => {
+    const menu = document.getElementById("notification-menu");
+    if (!menu.classList.contains("hidden")) {
+      menu.classList.add("hidden");
+      return;
+    }
+    menu.classList.remove("hidden");
+    menu.innerHTML = '<p class="p-3 text-gray-500">Loading...</p>';
+    try {
+      const response = await fetch("/api/notifications?limit=30");
+      const result = await response.json();
+      if (!response.ok) {
+        menu.innerHTML = `<p class="p-3 text-red-600">${escapeHtml(result.error || "Failed to load notifications")}</p>`;
+        return;
+      }
+      const itemsHtml = result.notifications
+        .map(
+          (notification) => `
+          <div class="border-b p-3 ${notification.read_at ? "" : "bg-blue-50"}">
+            <div class="flex justify-between gap-2">
+              <div class="font-medium text-sm">${escapeHtml(notification.title)}</div>
+              ${notification.read_at ? "" : `<button data-read-notification="${notification.id}" class="text-xs text-blue-600 hover:underline whitespace-nowrap">Mark read</button>`}
+            </div>
+            <div class="text-xs text-gray-600">${escapeHtml(notification.message)}</div>
+            <div class="text-xs text-gray-400">${new Date(notification.created_at).toLocaleString()}</div>
+          </div>`,
+        )
+        .join("");
+      menu.innerHTML = `
+        <div class="flex justify-between items-center p-3 border-b">
+          <span class="font-semibold">Notifications (${result.unread} unread)</span>
+          <span>
+            <button id="notifications-read-all" class="text-xs text-blue-600 hover:underline">Mark all read</button>
+            <button onclick="showNotificationSubscriptions()" class="text-xs text-blue-600 hover:underline ml-2">Subscriptions</button>
+          </span>
+        </div>
+        ${itemsHtml || '<p class="p-3 text-gray-500">No notifications yet.</p>'}
+      `;
+      menu.querySelector("#notifications-read-all").addEventListener("click", async () => {
+        await fetch("/api/notifications/read-all", { method: "POST" });
+        menu.classList.add("hidden");
+        refreshNotificationCount();
+      });
+      menu.querySelectorAll("[data-read-notification]").forEach((button) => {
+        button.addEventListener("click", async () => {
+          await fetch(`/api/notifications/${button.dataset.readNotification}/read`, {
+            method: "POST",
+          });
+          button.closest(".border-b").classList.remove("bg-blue-50");
+          button.remove();
+          refreshNotificationCount();
+        });
+      });
+    } catch (error) {
+      console.error("Error loading notifications:", error);
+    }
+  };
+
+  window.showNotificationSubscriptions = async () => {
+    document.getElementById("notification-menu").classList.add("hidden");
+    let result;
+    try {
+      const response = await fetch("/api/notifications/subscriptions");
+      result = await response.json();
+      if (!response.ok) {
+        alert(result.error || "Failed to load subscriptions");
+        return;
+      }
+    } catch (error) {
+      console.error("Error loading subscriptions:", error);
+      return;
+    }
+
+    const valuePlaceholders = { firm: "Firm name", amount: "Amount (₹)" };
+    const eventOptions = Object.entries(result.events)
+      .map(([key, event]) => `<option value="${key}">${escapeHtml(event.label)}</option>`)
+      .join("");
+    const subscriptionsHtml = result.subscriptions
+      .map(
+        (subscription) => `
+        <tr class="border-b">
+          <td class="p-2">${escapeHtml(subscription.label)}</td>
+          <td class="p-2">${escapeHtml(subscription.value) || "—"}</td>
+          <td class="p-2 text-right">
+            <button data-unsubscribe="${subscription.id}" class="bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700 transition">Remove</button>
+          </td>
+        </tr>`,
+      )
+      .join("");
+
+    document.getElementById("notification-subscriptions-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "notification-subscriptions-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-2xl w-full mx-4 max-h-[80vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">🔔 Notification Subscriptions</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <form id="notification-subscribe-form" class="flex gap-2 mb-4">
+          <select name="event_type" class="p-2 border rounded-lg flex-1">${eventOptions}</select>
+          <input name="value" class="p-2 border rounded-lg flex-1">
+          <button type="submit" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition">Subscribe</button>
+        </form>
+        <table class="w-full text-sm">
+          <tbody>
+            ${subscriptionsHtml || '<tr><td class="p-2 text-gray-500">No subscriptions yet.</td></tr>'}
+          </tbody>
+        </table>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    const form = modal.querySelector("#notification-subscribe-form");
+    const syncValueInput = () => {
+      const placeholder = valuePlaceholders[result.events[form.elements.event_type.value].value];
+      form.elements.value.classList.toggle("hidden", !placeholder);
+      form.elements.value.placeholder = placeholder || "";
+    };
+    form.elements.event_type.addEventListener("change", syncValueInput);
+    syncValueInput();
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      try {
+        const response = await fetch("/api/notifications/subscriptions", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(Object.fromEntries(new FormData(form).entries())),
+        });
+        const saved = await response.json();
+        if (!response.ok) {
+          alert(saved.message || "Failed to subscribe");
+          return;
+        }
+        showNotificationSubscriptions();
+      } catch (error) {
+        console.error("Error subscribing:", error);
+      }
+    });
+    modal.querySelectorAll("[data-unsubscribe]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        try {
+          await fetch(`/api/notifications/subscriptions/${button.dataset.unsubscribe}`, {
+            method: "DELETE",
+          });
+          showNotificationSubscriptions();
+        } catch (error) {
+          console.error("Error unsubscribing:", error);
+        }
+      });
+    });
+  };
+
+  // Maker-checker approvals: status badges on the rows, the approval history of a record and the approvals queue
+  const APPROVAL_REGISTER_LABELS = {
+    supply: "Supply Orders",
+    demand: "Demand Orders",
+    bill: "Bill Orders",
+    "gen-project": "Sanction Codes (Gen Project)",
+    misc: "Sanction Codes (Misc)",
+    training: "Sanction Codes (Training)",
+  };
+
+  const APPROVAL_BADGES = {
+    pending: ["⏳ Pending approval", "bg-yellow-100 text-yellow-800"],
+    approved: ["✓ Approved", "bg-green-100 text-green-800"],
+    rejected: ["✖ Rejected", "bg-red-100 text-red-700"],
+  };
+
+  function canApproveRecords() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("approve_records"))
+    );
+  }
+
+  function canManageApprovalRules() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("manage_approval_rules"))
+    );
+  }
+
+  function renderApprovalBadges(type, rows) {
+    rows
+      .filter((row) => APPROVAL_BADGES[row.approval_status])
+      .forEach((row) => {
+        const tr = document.querySelector(
+          `#${type}-table-body tr[data-id="${row.id}"]`,
+        );
+        if (!tr || tr.querySelector(".approval-badge")) return;
+        const [label, classes] = APPROVAL_BADGES[row.approval_status];
+        const badge = document.createElement("span");
+        badge.className = `approval-badge block mt-1 text-xs px-2 py-1 rounded whitespace-nowrap cursor-pointer ${classes}`;
+        badge.textContent = label;
+        badge.title = "Show approval history";
+        badge.addEventListener("click", () => showApprovalHistory(type, row.id));
+        tr.cells[0].appendChild(badge);
+      });
+  }
+
+  function showPendingApproval(pending) {
+    if (pending) {
+      alert(
+        "Saved. This record matches an approval rule and is pending approval by another approver.",
+      );
+    }
+  }
+
+  window.showApprovalHistory = async (type, id) => {
+    try {
+      const response = await fetch(`/api/approvals/${type}/${id}/history`);
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.message || result.error || "Failed to load approval history");
+        return;
+      }
+      const historyHtml = result.history
+        .map(
+          (step) => `
+          <tr class="border-b">
+            <td class="p-2 whitespace-nowrap">${new Date(step.created_at).toLocaleString()}</td>
+            <td class="p-2 capitalize">${escapeHtml(step.action)}</td>
+            <td class="p-2">${escapeHtml(step.username)}</td>
+            <td class="p-2">${escapeHtml(step.comments)}</td>
+          </tr>`,
+        )
+        .join("");
+      const [label] = APPROVAL_BADGES[result.approval_status] || ["No approval needed"];
+      const modal = document.createElement("div");
+      modal.className =
+        "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+      modal.innerHTML = `
+        <div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[80vh] overflow-y-auto">
+          <div class="flex justify-between items-center mb-4">
+            <h3 class="text-lg font-bold">Approval History: ${label}</h3>
+            <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+          </div>
+          <table class="w-full text-sm">
+            <thead><tr class="bg-gray-100">
+              <th class="p-2 text-left">When</th><th class="p-2 text-left">Step</th><th class="p-2 text-left">By</th><th class="p-2 text-left">Comments</th>
+            </tr></thead>
+            <tbody>${historyHtml || '<tr><td class="p-2 text-gray-500" colspan="4">No approval steps recorded.</td></tr>'}</tbody>
+          </table>
+        </div>
+      `;
+      document.body.appendChild(modal);
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) modal.remove();
+      });
+    } catch (error) {
+      console.error("Error loading approval history:", error);
+    }
+  };
+
+  window.showApprovals = async () => {
+    const approve = canApproveRecords();
+    const manageRules = canManageApprovalRules();
+    let queue = [];
+    let rulesResult = { kinds: {}, rules: [] };
+    try {
+      if (approve) {
+        const response = await fetch("/api/approvals");
+        queue = await response.json();
+        if (!response.ok) {
+          alert(queue.message || queue.error || "Failed to load the approval queue");
+          return;
+        }
+      }
+      const rulesResponse = await fetch("/api/approvals/rules");
+      if (rulesResponse.ok) rulesResult = await rulesResponse.json();
+    } catch (error) {
+      console.error("Error loading approvals:", error);
+      alert("Failed to load approvals");
+      return;
+    }
+
+    const queueHtml = approve
+      ? `
+        <h4 class="font-semibold mb-2">Pending approval (${queue.length})</h4>
+        <table class="w-full text-sm mb-6">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2 text-left">Register</th><th class="p-2 text-left">Year / S.No</th><th class="p-2 text-left">Record</th>
+            <th class="p-2 text-right">Value</th><th class="p-2 text-left">Submitted</th><th class="p-2 text-left">Why</th><th class="p-2"></th>
+          </tr></thead>
+          <tbody>
+            ${
+              queue
+                .map(
+                  (entry) => `
+            <tr class="border-b">
+              <td class="p-2">${escapeHtml(entry.register_label)}</td>
+              <td class="p-2">${escapeHtml(entry.financial_year)} / ${entry.serial_no}</td>
+              <td class="p-2">${escapeHtml(entry.summary) || "—"}</td>
+              <td class="p-2 text-right">${formatBudgetAmount(entry.value)}</td>
+              <td class="p-2">${escapeHtml(entry.submitted_by) || "—"}${entry.submitted_at ? `<div class="text-xs text-gray-500">${new Date(entry.submitted_at).toLocaleString()}</div>` : ""}</td>
+              <td class="p-2">${escapeHtml(entry.reasons)}</td>
+              <td class="p-2 whitespace-nowrap">
+                <button data-approval-action="approve" data-type="${entry.register_type}" data-id="${entry.id}" class="bg-green-600 text-white px-2 py-1 rounded hover:bg-green-700 transition">Approve</button>
+                <button data-approval-action="reject" data-type="${entry.register_type}" data-id="${entry.id}" class="bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700 transition ml-1">Reject</button>
+                <button onclick="showApprovalHistory('${entry.register_type}', ${entry.id})" class="bg-gray-500 text-white px-2 py-1 rounded hover:bg-gray-600 transition ml-1">History</button>
+              </td>
+            </tr>`,
+                )
+                .join("") ||
+              '<tr><td class="p-2 text-gray-500" colspan="7">Nothing is waiting for approval.</td></tr>'
+            }
+          </tbody>
+        </table>`
+      : "";
+
+    const describeRule = (rule) =>
+      rule.kind === "amount_over"
+        ? `Value over ${formatBudgetAmount(rule.value)}`
+        : rule.kind === "column_nonzero"
+          ? `Has an amount in ${rule.column_name}`
+          : `${rule.column_name} = ${rule.value}`;
+    const registerOptions = Object.entries(APPROVAL_REGISTER_LABELS)
+      .map(([type, label]) => `<option value="${type}">${escapeHtml(label)}</option>`)
+      .join("");
+    const rulesHtml = `
+      <h4 class="font-semibold mb-2">Approval rules</h4>
+      <table class="w-full text-sm mb-4">
+        <tbody>
+          ${
+            rulesResult.rules
+              .map(
+                (rule) => `
+          <tr class="border-b">
+            <td class="p-2">${escapeHtml(APPROVAL_REGISTER_LABELS[rule.register_type] || rule.register_type)}</td>
+            <td class="p-2">${escapeHtml(describeRule(rule))}</td>
+            <td class="p-2 text-right">
+              ${manageRules ? `<button data-delete-rule="${rule.id}" class="bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700 transition">Delete</button>` : ""}
+            </td>
+          </tr>`,
+              )
+              .join("") ||
+            '<tr><td class="p-2 text-gray-500">No rules: every record goes live when saved.</td></tr>'
+          }
+        </tbody>
+      </table>
+      ${
+        manageRules
+          ? `
+      <form id="approval-rule-form" class="grid grid-cols-1 md:grid-cols-5 gap-2">
+        <select name="register_type" class="p-2 border rounded-lg">${registerOptions}</select>
+        <select name="kind" class="p-2 border rounded-lg">
+          ${Object.entries(rulesResult.kinds)
+            .map(([kind, label]) => `<option value="${kind}">${escapeHtml(label)}</option>`)
+            .join("")}
+        </select>
+        <input name="column_name" placeholder="Column, e.g. project_more_2cr or rev_cap" class="p-2 border rounded-lg">
+        <input name="value" placeholder="Threshold or value, e.g. 1000000 or C" class="p-2 border rounded-lg">
+        <button type="submit" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition">Add Rule</button>
+      </form>`
+          : ""
+      }`;
+
+    document.getElementById("approvals-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "approvals-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-6xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">✅ Approvals</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        ${queueHtml}
+        ${rulesHtml}
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    modal.querySelectorAll("[data-approval-action]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const action = button.dataset.approvalAction;
+        const comments = prompt(
+          action === "reject"
+            ? "Reason for rejecting this record:"
+            : "Comments (optional):",
+        );
+        if (comments === null) return;
+        try {
+          const response = await fetch(
+            `/api/approvals/${button.dataset.type}/${button.dataset.id}/${action}`,
+            {
+              method: "POST",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ comments }),
+            },
+          );
+          const result = await response.json();
+          if (!response.ok) {
+            alert(result.message || `Failed to ${action} record`);
+            return;
+          }
+          showApprovals();
+        } catch (error) {
+          console.error(`Error trying to ${action} record:`, error);
+        }
+      });
+    });
+
+    if (!manageRules) return;
+    modal.querySelectorAll("[data-delete-rule]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        if (!confirm("Delete this approval rule? Records already pending stay pending.")) return;
+        try {
+          await fetch(`/api/approvals/rules/${button.dataset.deleteRule}`, {
+            method: "DELETE",
+          });
+          showApprovals();
+        } catch (error) {
+          console.error("Error deleting approval rule:", error);
+        }
+      });
+    });
+    const form = modal.querySelector("#approval-rule-form");
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      try {
+        const response = await fetch("/api/approvals/rules", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(Object.fromEntries(new FormData(form).entries())),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          alert(result.message || "Failed to add approval rule");
+          return;
+        }
+        showApprovals();
+      } catch (error) {
+        console.error("Error adding approval rule:", error);
+      }
+    });
+  };
+
+  // Firms master: the firm picker of supply and bill order rows, firm details and spellings, merging,
+  // the clean-up of spellings already typed in the registers, and scorecards
+  let firmListLoaded = false;
+
+  function canManageFirms() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("manage_firms"))
+    );
+  }
+
+  async function populateFirmDatalist() {
+    firmListLoaded = true;
+    try {
+      const response = await fetch("/api/firms");
+      if (!response.ok) return;
+      const firms = await response.json();
+      const datalist = document.getElementById("firm-list");
+      datalist.innerHTML = "";
+      firms.forEach((firm) => {
+        const option = document.createElement("option");
+        option.value = firm.name;
+        datalist.appendChild(option);
+      });
+    } catch (error) {
+      firmListLoaded = false;
+      console.error("Error loading firms:", error);
+    }
+  }
+
+  // The picker is filled when a firm name input is first used, and again whenever firms change
+  document.addEventListener("focusin", (e) => {
+    if (!firmListLoaded && e.target.matches('input[list="firm-list"]')) {
+      populateFirmDatalist();
+    }
+  });
+
+  async function sendFirmRequest(url, method, body) {
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: { "Content-Type": "application/json" },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.message || "Failed to update firms");
+        return null;
+      }
+      populateFirmDatalist();
+      return result;
+    } catch (error) {
+      console.error("Error updating firms:", error);
+      alert("Failed to update firms");
+      return null;
+    }
+  }
+
+  window.showFirms = async (allYears = false) => {
+    const manage = canManageFirms();
+    let firms;
+    let scorecards;
+    try {
+      const [firmsResponse, scorecardsResponse] = await Promise.all([
+        fetch("/api/firms"),
+        fetch(
+          `/api/firms/scorecards${allYears ? "" : `?year=${encodeURIComponent(currentFinancialYear)}`}`,
+        ),
+      ]);
+      firms = await firmsResponse.json();
+      scorecards = await scorecardsResponse.json();
+      if (!firmsResponse.ok || !scorecardsResponse.ok) {
+        alert(firms.error || scorecards.error || "Failed to load firms");
+        return;
+      }
+    } catch (error) {
+      console.error("Error loading firms:", error);
+      alert("Failed to load firms");
+      return;
+    }
+
+    const cardOf = new Map(scorecards.map((card) => [card.firm_id, card]));
+    const rowsHtml = firms
+      .map((firm) => {
+        const card = cardOf.get(firm.id) || {};
+        const aliasesHtml = firm.aliases
+          .map(
+            (alias) =>
+              `<span class="inline-block bg-gray-100 rounded px-2 py-0.5 mr-1 mt-1 text-xs">${escapeHtml(alias.alias)}${
+                manage
+                  ? ` <button data-delete-alias="${alias.id}" data-firm="${firm.id}" class="text-red-600" title="Remove spelling">&times;</button>`
+                  : ""
+              }</span>`,
+          )
+          .join("");
+        const onTime =
+          card.on_time_percent === null || card.on_time_percent === undefined
+            ? "—"
+            : `${card.on_time_percent}%`;
+        return `
+          <tr class="border-b align-top">
+            <td class="p-2">
+              <div class="font-semibold">${escapeHtml(firm.name)}</div>
+              <div class="text-xs text-gray-500">${firm.gstin ? `GSTIN ${escapeHtml(firm.gstin)}` : firm.pan ? `PAN ${escapeHtml(firm.pan)}` : "No GSTIN"}</div>
+              <div>${aliasesHtml}</div>
+            </td>
+            <td class="p-2 text-xs">${escapeHtml([firm.contact_person, firm.phone, firm.email].filter(Boolean).join(" · ")) || "—"}</td>
+            <td class="p-2 text-right">${card.orders || 0}</td>
+            <td class="p-2 text-right">${formatBudgetAmount(card.value)}</td>
+            <td class="p-2 text-right">${onTime}<div class="text-xs text-gray-500">${card.delivered || 0} delivered${card.late ? `, ${card.late} late (avg ${card.avg_delay_days} days)` : ""}</div></td>
+            <td class="p-2 text-right ${card.overdue ? "text-red-600 font-semibold" : ""}">${card.overdue || 0}</td>
+            <td class="p-2 text-right">${formatBudgetAmount(card.ld_levied)}</td>
+            <td class="p-2 whitespace-nowrap">
+              ${
+                manage
+                  ? `<button data-edit-firm="${firm.id}" class="bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700 transition">Edit</button>
+              <button data-add-alias="${firm.id}" class="bg-gray-500 text-white px-2 py-1 rounded hover:bg-gray-600 transition ml-1">+ Spelling</button>
+              <button data-merge-firm="${firm.id}" class="bg-yellow-600 text-white px-2 py-1 rounded hover:bg-yellow-700 transition ml-1">Merge</button>
+              <button data-delete-firm="${firm.id}" class="bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700 transition ml-1">Delete</button>`
+                  : ""
+              }
+            </td>
+          </tr>`;
+      })
+      .join("");
+
+    document.getElementById("firms-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "firms-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-7xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">🏢 Firms</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <div class="flex flex-wrap gap-2 items-center mb-4">
+          <select id="firm-scorecard-years" class="p-2 border rounded-lg">
+            <option value="">${escapeHtml(currentFinancialYear)}</option>
+            <option value="all" ${allYears ? "selected" : ""}>All years</option>
+          </select>
+          ${
+            manage
+              ? `<button id="add-firm-btn" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition">Add Firm</button>
+          <button onclick="showFirmClusters()" class="bg-indigo-600 text-white px-4 py-2 rounded-lg hover:bg-indigo-700 transition">Clean Up Spellings</button>`
+              : ""
+          }
+        </div>
+        <table class="w-full text-sm">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2 text-left">Firm</th><th class="p-2 text-left">Contact</th><th class="p-2 text-right">Orders</th>
+            <th class="p-2 text-right">Value (₹)</th><th class="p-2 text-right">On Time</th><th class="p-2 text-right">Overdue</th>
+            <th class="p-2 text-right">LD Levied (₹)</th><th class="p-2"></th>
+          </tr></thead>
+          <tbody>${rowsHtml || '<tr><td class="p-2 text-gray-500" colspan="8">No firms yet. Use Clean Up Spellings to create them from the registers.</td></tr>'}</tbody>
+        </table>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    modal
+      .querySelector("#firm-scorecard-years")
+      .addEventListener("change", (e) => showFirms(e.target.value === "all"));
+
+    if (!manage) return;
+    const firmOf = (id) => firms.find((firm) => String(firm.id) === String(id));
+    modal
+      .querySelector("#add-firm-btn")
+      .addEventListener("click", () => showFirmForm(null, allYears));
+    modal.querySelectorAll("[data-edit-firm]").forEach((button) => {
+      button.addEventListener("click", () =>
+        showFirmForm(firmOf(button.dataset.editFirm), allYears),
+      );
+    });
+    modal.querySelectorAll("[data-add-alias]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const alias = prompt(
+          `Another spelling of ${firmOf(button.dataset.addAlias).name}:`,
+        );
+        if (!alias) return;
+        const result = await sendFirmRequest(
+          `/api/firms/${button.dataset.addAlias}/aliases`,
+          "POST",
+          { alias },
+        );
+        if (result) showFirms(allYears);
+      });
+    });
+    modal.querySelectorAll("[data-delete-alias]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const result = await sendFirmRequest(
+          `/api/firms/${button.dataset.firm}/aliases/${button.dataset.deleteAlias}`,
+          "DELETE",
+        );
+        if (result) showFirms(allYears);
+      });
+    });
+    modal.querySelectorAll("[data-merge-firm]").forEach((button) => {
+      button.addEventListener("click", () =>
+        showFirmMerge(firmOf(button.dataset.mergeFirm), firms, allYears),
+      );
+    });
+    modal.querySelectorAll("[data-delete-firm]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        if (!confirm(`Delete ${firmOf(button.dataset.deleteFirm).name}?`)) return;
+        const result = await sendFirmRequest(
+          `/api/firms/${button.dataset.deleteFirm}`,
+          "DELETE",
+        );
+        if (result) showFirms(allYears);
+      });
+    });
+  };
+
+  function showFirmForm(firm, allYears) {
+    const field = (name, label, value, type = "text") => `
+      <label class="block text-sm font-medium text-gray-700 mb-1">${label}</label>
+      <input name="${name}" type="${type}" value="${escapeHtml(value)}" class="p-2 border rounded-lg w-full mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500">`;
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-lg w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">${firm ? `Edit ${escapeHtml(firm.name)}` : "Add Firm"}</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <form>
+          ${field("name", "Name", firm && firm.name)}
+          ${field("gstin", "GSTIN", firm && firm.gstin)}
+          ${field("pan", "PAN", firm && firm.pan)}
+          <label class="block text-sm font-medium text-gray-700 mb-1">Address</label>
+          <textarea name="address" rows="3" class="p-2 border rounded-lg w-full mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500">${escapeHtml(firm && firm.address)}</textarea>
+          ${field("contact_person", "Contact Person", firm && firm.contact_person)}
+          ${field("phone", "Phone", firm && firm.phone)}
+          ${field("email", "Email", firm && firm.email, "email")}
+          <button type="submit" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition">Save</button>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    const form = modal.querySelector("form");
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      const result = await sendFirmRequest(
+        firm ? `/api/firms/${firm.id}` : "/api/firms",
+        firm ? "PUT" : "POST",
+        Object.fromEntries(new FormData(form).entries()),
+      );
+      if (!result) return;
+      modal.remove();
+      showFirms(allYears);
+    });
+  }
+
+  function showFirmMerge(source, firms, allYears) {
+    const options = firms
+      .filter((firm) => firm.id !== source.id)
+      .map((firm) => `<option value="${firm.id}">${escapeHtml(firm.name)}</option>`)
+      .join("");
+    if (!options) {
+      alert("There is no other firm to merge into");
+      return;
+    }
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-lg w-full mx-4">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">Merge ${escapeHtml(source.name)}</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <p class="text-sm text-gray-600 mb-3">Its spellings, orders and bills move to the firm chosen below, and it is deleted.</p>
+        <select class="p-2 border rounded-lg w-full mb-4">${options}</select>
+        <button class="bg-yellow-600 text-white px-4 py-2 rounded-lg hover:bg-yellow-700 transition">Merge</button>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    modal.querySelector("button:not([onclick])").addEventListener("click", async () => {
+      const targetId = modal.querySelector("select").value;
+      const result = await sendFirmRequest(`/api/firms/${targetId}/merge`, "POST", {
+        from_id: source.id,
+      });
+      if (!result) return;
+      modal.remove();
+      showFirms(allYears);
+    });
+  }
+
+  // Spellings typed in the registers grouped by firm; unmatched groups can become firms or spellings of one
+  window.showFirmClusters = async () => {
+    let clusters;
+    let firms;
+    try {
+      const [clustersResponse, firmsResponse] = await Promise.all([
+        fetch("/api/firms/clusters"),
+        fetch("/api/firms"),
+      ]);
+      clusters = await clustersResponse.json();
+      firms = await firmsResponse.json();
+      if (!clustersResponse.ok) {
+        alert(clusters.message || clusters.error || "Failed to group firm names");
+        return;
+      }
+    } catch (error) {
+      console.error("Error grouping firm names:", error);
+      alert("Failed to group firm names");
+      return;
+    }
+
+    const unmatched = clusters.filter((cluster) => !cluster.firm);
+    const firmOptions = firms
+      .map((firm) => `<option value="${firm.id}">${escapeHtml(firm.name)}</option>`)
+      .join("");
+    const rowsHtml = unmatched
+      .map(
+        (cluster, index) => `
+        <tr class="border-b align-top" data-cluster="${index}">
+          <td class="p-2"><input type="checkbox" checked></td>
+          <td class="p-2">
+            ${cluster.spellings
+              .map(
+                (spelling) =>
+                  `<div>${escapeHtml(spelling.name)} <span class="text-xs text-gray-500">(${spelling.orders} orders, ${spelling.bills} bills)</span></div>`,
+              )
+              .join("")}
+          </td>
+          <td class="p-2"><input type="text" value="${escapeHtml(cluster.suggested_name)}" class="cluster-name p-2 border rounded-lg w-full"></td>
+          <td class="p-2">
+            <select class="cluster-firm p-2 border rounded-lg w-full">
+              <option value="">Create a new firm</option>
+              ${firmOptions}
+            </select>
+          </td>
+        </tr>`,
+      )
+      .join("");
+
+    document.getElementById("firms-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "firms-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">Clean Up Firm Spellings</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <p class="text-sm text-gray-600 mb-3">
+          Names typed in supply and bill orders, grouped when they differ only in case, punctuation or words such as
+          "Pvt. Ltd.". ${clusters.length - unmatched.length} groups already belong to a firm.
+        </p>
+        <table class="w-full text-sm mb-4">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2"></th><th class="p-2 text-left">Spellings</th><th class="p-2 text-left">Firm Name</th><th class="p-2 text-left">Add To</th>
+          </tr></thead>
+          <tbody>${rowsHtml || '<tr><td class="p-2 text-gray-500" colspan="4">Every firm name in the registers belongs to a firm.</td></tr>'}</tbody>
+        </table>
+        <div class="flex gap-2">
+          ${unmatched.length ? '<button id="apply-clusters-btn" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition">Create Selected</button>' : ""}
+          <button onclick="showFirms()" class="bg-gray-600 text-white px-4 py-2 rounded-lg hover:bg-gray-700 transition">Back to Firms</button>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    if (!unmatched.length) return;
+
+    modal.querySelector("#apply-clusters-btn").addEventListener("click", async () => {
+      const selected = [...modal.querySelectorAll("tr[data-cluster]")]
+        .filter((tr) => tr.querySelector('input[type="checkbox"]').checked)
+        .map((tr) => {
+          const cluster = unmatched[tr.dataset.cluster];
+          return {
+            name: tr.querySelector(".cluster-name").value,
+            firm_id: tr.querySelector(".cluster-firm").value || null,
+            spellings: cluster.spellings.map((spelling) => spelling.name),
+          };
+        });
+      if (selected.length === 0) {
+        alert("Select at least one group");
+        return;
+      }
+      const result = await sendFirmRequest("/api/firms/clusters", "POST", {
+        clusters: selected,
+      });
+      if (!result) return;
+      alert(
+        `Created ${result.created} firms and linked ${result.aliased} spellings.` +
+          (result.skipped.length
+            ? `\nSkipped:\n${result.skipped.map((skip) => `${skip.name}: ${skip.reason}`).join("\n")}`
+            : ""),
+      );
+      showFirmClusters();
+    });
+  };
+
+  // Item catalogue: the nomenclature picker of demand and supply order rows, the catalogue itself, price
+  // history per item and the last purchase price hint next to a demand's estimated cost
+  let itemListLoaded = false;
+
+  function canManageItems() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("manage_items"))
+    );
+  }
+
+  async function populateItemDatalist() {
+    itemListLoaded = true;
+    try {
+      const response = await fetch("/api/items");
+      if (!response.ok) return;
+      const { items } = await response.json();
+      const datalist = document.getElementById("item-list");
+      datalist.innerHTML = "";
+      items.forEach((item) => {
+        const option = document.createElement("option");
+        option.value = item.name;
+        option.textContent = [item.category, item.unit].filter(Boolean).join(" · ");
+        datalist.appendChild(option);
+      });
+    } catch (error) {
+      itemListLoaded = false;
+      console.error("Error loading items:", error);
+    }
+  }
+
+  document.addEventListener("focusin", (e) => {
+    if (!itemListLoaded && e.target.matches('input[list="item-list"]')) {
+      populateItemDatalist();
+    }
+  });
+
+  // The quantity input is the column after the nomenclature in both registers
+  function quantityInputOf(nomenclatureInput) {
+    return nomenclatureInput.closest("td").nextElementSibling.querySelector("input");
+  }
+
+  async function updatePriceHint(tr) {
+    const hint = tr.querySelector(".price-hint");
+    const nomenclatureInput = tr.querySelector(".item-nomenclature-input");
+    if (!hint || !nomenclatureInput) return;
+    hint.textContent = "";
+    if (!nomenclatureInput.value.trim()) return;
+    const params = new URLSearchParams({
+      nomenclature: nomenclatureInput.value,
+      quantity: quantityInputOf(nomenclatureInput).value,
+    });
+    try {
+      const response = await fetch(`/api/items/price-hint?${params}`);
+      if (!response.ok) return;
+      const result = await response.json();
+      if (!result.last) {
+        hint.textContent = `${result.item.name} has not been bought yet`;
+        return;
+      }
+      const last = result.last;
+      hint.innerHTML = `
+        Last bought at ${formatBudgetAmount(last.unit_rate)} per ${escapeHtml(result.item.unit)}
+        from ${escapeHtml(last.firm_name) || "an unknown firm"} (${escapeHtml(last.so_date || last.financial_year)})
+        ${
+          result.suggested_cost !== null
+            ? `· for ${result.quantity_value}: ${formatBudgetAmount(result.suggested_cost)}
+               <button type="button" class="use-price-hint text-blue-600 underline">Use</button>`
+            : ""
+        }
+        <a href="#" class="show-price-history text-blue-600 underline ml-1">History</a>`;
+      hint.querySelector(".use-price-hint")?.addEventListener("click", () => {
+        tr.querySelector(".est-cost-input").value = result.suggested_cost;
+      });
+      hint.querySelector(".show-price-history").addEventListener("click", (e) => {
+        e.preventDefault();
+        showItemPrices(result.item.id);
+      });
+    } catch (error) {
+      console.error("Error loading the last purchase price:", error);
+    }
+  }
+
+  document.addEventListener("change", (e) => {
+    const tr = e.target.closest("tr");
+    const nomenclatureInput = tr && tr.querySelector(".item-nomenclature-input");
+    if (!nomenclatureInput || !tr.querySelector(".price-hint")) return;
+    if (e.target === nomenclatureInput || e.target === quantityInputOf(nomenclatureInput)) {
+      updatePriceHint(tr);
+    }
+  });
+
+  window.showItemPrices = async (itemId) => {
+    let history;
+    try {
+      const response = await fetch(`/api/items/${itemId}/prices`);
+      history = await response.json();
+      if (!response.ok) {
+        alert(history.message || history.error || "Failed to load price history");
+        return;
+      }
+    } catch (error) {
+      console.error("Error loading price history:", error);
+      alert("Failed to load price history");
+      return;
+    }
+    const { item, purchases, stats } = history;
+    const rowsHtml = purchases
+      .map(
+        (purchase) => `
+        <tr class="border-b ${purchase.outlier ? "bg-red-50" : ""}">
+          <td class="p-2">${escapeHtml(purchase.so_date || "—")}</td>
+          <td class="p-2">${escapeHtml(purchase.financial_year)}</td>
+          <td class="p-2">${escapeHtml(purchase.supply_order_no)}</td>
+          <td class="p-2">${escapeHtml(purchase.firm_name)}</td>
+          <td class="p-2 text-right">${escapeHtml(purchase.quantity)}</td>
+          <td class="p-2 text-right">${formatBudgetAmount(purchase.value)}</td>
+          <td class="p-2 text-right font-semibold ${purchase.outlier ? "text-red-600" : ""}">
+            ${formatBudgetAmount(purchase.unit_rate)}${purchase.outlier ? " ⚠" : ""}
+          </td>
+        </tr>`,
+      )
+      .join("");
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">Price History: ${escapeHtml(item.name)} (per ${escapeHtml(item.unit)})</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        ${
+          stats.count
+            ? `<p class="text-sm text-gray-600 mb-3">
+          ${stats.count} purchases · last ${formatBudgetAmount(stats.last.unit_rate)} · median ${formatBudgetAmount(stats.median)}
+          · range ${formatBudgetAmount(stats.min)} – ${formatBudgetAmount(stats.max)}
+          ${stats.low !== null ? `· rates outside ${formatBudgetAmount(Math.max(stats.low, 0))} – ${formatBudgetAmount(stats.high)} are marked ⚠` : ""}
+        </p>`
+            : ""
+        }
+        <table class="w-full text-sm">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2 text-left">S.O. Date</th><th class="p-2 text-left">Year</th><th class="p-2 text-left">Supply Order</th>
+            <th class="p-2 text-left">Firm</th><th class="p-2 text-right">Quantity</th><th class="p-2 text-right">Value</th>
+            <th class="p-2 text-right">Unit Rate</th>
+          </tr></thead>
+          <tbody>${rowsHtml || '<tr><td class="p-2 text-gray-500" colspan="7">No supply order of this item has a value and a numeric quantity.</td></tr>'}</tbody>
+        </table>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+  };
+
+  window.showItems = async () => {
+    const manage = canManageItems();
+    let catalogue;
+    let uncatalogued = [];
+    try {
+      const response = await fetch("/api/items");
+      catalogue = await response.json();
+      if (!response.ok) {
+        alert(catalogue.error || "Failed to load items");
+        return;
+      }
+      if (manage) {
+        const uncataloguedResponse = await fetch("/api/items/uncatalogued");
+        if (uncataloguedResponse.ok) uncatalogued = await uncataloguedResponse.json();
+      }
+    } catch (error) {
+      console.error("Error loading items:", error);
+      alert("Failed to load items");
+      return;
+    }
+    const { items, units } = catalogue;
+
+    const rowsHtml = items
+      .map(
+        (item) => `
+        <tr class="border-b">
+          <td class="p-2 font-semibold">${escapeHtml(item.name)}</td>
+          <td class="p-2">${escapeHtml(item.category) || "—"}</td>
+          <td class="p-2">${escapeHtml(item.unit)}</td>
+          <td class="p-2 text-right">${item.demands}</td>
+          <td class="p-2 text-right">${item.orders}</td>
+          <td class="p-2 whitespace-nowrap">
+            <button onclick="showItemPrices(${item.id})" class="bg-gray-500 text-white px-2 py-1 rounded hover:bg-gray-600 transition">Prices</button>
+            ${
+              manage
+                ? `<button data-edit-item="${item.id}" class="bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700 transition ml-1">Edit</button>
+            <button data-delete-item="${item.id}" class="bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700 transition ml-1">Delete</button>`
+                : ""
+            }
+          </td>
+        </tr>`,
+      )
+      .join("");
+    const uncataloguedHtml = uncatalogued
+      .map(
+        (entry, index) => `
+        <li class="flex justify-between items-center border-b py-1">
+          <span>${escapeHtml(entry.nomenclature)} <span class="text-xs text-gray-500">(${entry.records} rows)</span></span>
+          <button data-catalogue="${index}" class="bg-green-600 text-white px-2 py-1 rounded hover:bg-green-700 transition">Add</button>
+        </li>`,
+      )
+      .join("");
+
+    document.getElementById("items-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "items-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-6xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">📦 Item Catalogue</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        ${manage ? '<button id="add-item-btn" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition mb-4">Add Item</button>' : ""}
+        <table class="w-full text-sm mb-6">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2 text-left">Item</th><th class="p-2 text-left">Category</th><th class="p-2 text-left">Unit</th>
+            <th class="p-2 text-right">Demands</th><th class="p-2 text-right">Supply Orders</th><th class="p-2"></th>
+          </tr></thead>
+          <tbody>${rowsHtml || '<tr><td class="p-2 text-gray-500" colspan="6">The catalogue is empty.</td></tr>'}</tbody>
+        </table>
+        ${
+          uncataloguedHtml
+            ? `<h4 class="font-semibold mb-2">Nomenclatures not in the catalogue</h4>
+        <ul class="text-sm">${uncataloguedHtml}</ul>`
+            : ""
+        }
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    if (!manage) return;
+
+    const itemOf = (id) => items.find((item) => String(item.id) === String(id));
+    modal
+      .querySelector("#add-item-btn")
+      .addEventListener("click", () => showItemForm(null, units, items));
+    modal.querySelectorAll("[data-edit-item]").forEach((button) => {
+      button.addEventListener("click", () =>
+        showItemForm(itemOf(button.dataset.editItem), units, items),
+      );
+    });
+    modal.querySelectorAll("[data-catalogue]").forEach((button) => {
+      button.addEventListener("click", () =>
+        showItemForm(
+          { name: uncatalogued[button.dataset.catalogue].nomenclature },
+          units,
+          items,
+        ),
+      );
+    });
+    modal.querySelectorAll("[data-delete-item]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const item = itemOf(button.dataset.deleteItem);
+        if (!confirm(`Delete ${item.name}? Its rows keep their nomenclature.`)) return;
+        try {
+          const response = await fetch(`/api/items/${item.id}`, { method: "DELETE" });
+          if (!response.ok) {
+            const result = await response.json();
+            alert(result.message || "Failed to delete item");
+            return;
+          }
+          populateItemDatalist();
+          showItems();
+        } catch (error) {
+          console.error("Error deleting item:", error);
+        }
+      });
+    });
+  };
+
+  function showItemForm(item, units, items) {
+    const categories = [...new Set(items.map((entry) => entry.category).filter(Boolean))];
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-lg w-full mx-4">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">${item && item.id ? `Edit ${escapeHtml(item.name)}` : "Add Item"}</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <form>
+          <label class="block text-sm font-medium text-gray-700 mb-1">Name</label>
+          <input name="name" value="${escapeHtml(item && item.name)}" class="p-2 border rounded-lg w-full mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500">
+          <label class="block text-sm font-medium text-gray-700 mb-1">Unit of Measure</label>
+          <input name="unit" list="item-unit-list" value="${escapeHtml(item && item.unit)}" class="p-2 border rounded-lg w-full mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500">
+          <datalist id="item-unit-list">${units.map((unit) => `<option value="${escapeHtml(unit)}">`).join("")}</datalist>
+          <label class="block text-sm font-medium text-gray-700 mb-1">Category</label>
+          <input name="category" list="item-category-list" value="${escapeHtml(item && item.category)}" class="p-2 border rounded-lg w-full mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500">
+          <datalist id="item-category-list">${categories.map((category) => `<option value="${escapeHtml(category)}">`).join("")}</datalist>
+          <label class="block text-sm font-medium text-gray-700 mb-1">Description</label>
+          <textarea name="description" rows="3" class="p-2 border rounded-lg w-full mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500">${escapeHtml(item && item.description)}</textarea>
+          <button type="submit" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition">Save</button>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    const form = modal.querySelector("form");
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      try {
+        const response = await fetch(item && item.id ? `/api/items/${item.id}` : "/api/items", {
+          method: item && item.id ? "PUT" : "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(Object.fromEntries(new FormData(form).entries())),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          alert(result.message || "Failed to save item");
+          return;
+        }
+        modal.remove();
+        populateItemDatalist();
+        showItems();
+      } catch (error) {
+        console.error("Error saving item:", error);
+      }
+    });
+  }
+
+  // Financial years: closed years are marked "(closed)" in the year pickers; the Years dialog closes and
+  // reopens years and carries unfinished supply orders forward into the next year
+  let financialYearStatus = [];
+
+  function canManageFinancialYears() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("manage_financial_years"))
+    );
+  }
+
+  async function refreshFinancialYearStatus() {
+    if (!currentUser) return;
+    try {
+      const response = await fetch("/api/financial-years");
+      if (!response.ok) return;
+      financialYearStatus = (await response.json()).years;
+    } catch (error) {
+      console.error("Error loading financial years:", error);
+      return;
+    }
+    const closed = new Set(
+      financialYearStatus.filter((year) => year.status === "closed").map((year) => year.year),
+    );
+    financialYearSelects.forEach((select) => {
+      if (!select) return;
+      Array.from(select.options).forEach((option) => {
+        option.textContent = closed.has(option.value) ? `${option.value} (closed)` : option.value;
+      });
+    });
+  }
+  window.refreshFinancialYearStatus = refreshFinancialYearStatus;
+
+  const nextFinancialYear = (year) => {
+    const startYear = Number(year.slice(0, 4)) + 1;
+    return `${startYear}-${startYear + 1}`;
+  };
+
+  async function sendFinancialYearRequest(year, operation, body) {
+    try {
+      const response = await fetch(`/api/financial-years/${year}/${operation}`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body || {}),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.message || `Failed to ${operation} ${year}`);
+        return null;
+      }
+      return result;
+    } catch (error) {
+      console.error(`Error running ${operation} on ${year}:`, error);
+      alert(`Failed to ${operation} ${year}`);
+      return null;
+    }
+  }
+
+  window.showFinancialYears = async () => {
+    await refreshFinancialYearStatus();
+    const manage = canManageFinancialYears();
+    const recordCount = (records, types) =>
+      types.reduce((total, type) => total + (records[type] || 0), 0);
+
+    const rowsHtml = financialYearStatus
+      .map(
+        (year) => `
+        <tr class="border-b ${year.current ? "bg-blue-50" : ""}">
+          <td class="p-2 font-semibold">${escapeHtml(year.year)}${year.current ? ' <span class="text-xs text-blue-600">current</span>' : ""}</td>
+          <td class="p-2">
+            ${
+              year.status === "closed"
+                ? `<span class="bg-gray-700 text-white text-xs px-2 py-1 rounded">Closed</span>
+            <div class="text-xs text-gray-500">${escapeHtml(year.closed_by || "")} ${year.closed_at ? new Date(year.closed_at).toLocaleDateString() : ""}</div>`
+                : '<span class="bg-green-600 text-white text-xs px-2 py-1 rounded">Open</span>'
+            }
+          </td>
+          <td class="p-2 text-right">${recordCount(year.records, ["supply"])}</td>
+          <td class="p-2 text-right">${recordCount(year.records, ["demand"])}</td>
+          <td class="p-2 text-right">${recordCount(year.records, ["bill"])}</td>
+          <td class="p-2 text-right">${recordCount(year.records, ["gen-project", "misc", "training"])}</td>
+          <td class="p-2 text-xs">
+            ${
+              year.rolled_over_at
+                ? `Into ${escapeHtml(year.rolled_over_to)} by ${escapeHtml(year.rolled_over_by || "")}<br>${new Date(year.rolled_over_at).toLocaleString()}`
+                : "—"
+            }
+          </td>
+          <td class="p-2 whitespace-nowrap">
+            ${
+              manage
+                ? `<button data-year-status="${escapeHtml(year.year)}" data-operation="${year.status === "closed" ? "reopen" : "close"}" class="${year.status === "closed" ? "bg-green-600 hover:bg-green-700" : "bg-gray-700 hover:bg-gray-800"} text-white px-2 py-1 rounded transition">${year.status === "closed" ? "Reopen" : "Close"}</button>
+            <button data-rollover="${escapeHtml(year.year)}" class="bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700 transition ml-1">Roll over</button>`
+                : ""
+            }
+          </td>
+        </tr>`,
+      )
+      .join("");
+
+    document.getElementById("financial-years-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "financial-years-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">📅 Financial Years</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <p class="text-sm text-gray-600 mb-4">
+          Records of a closed year are read-only except for users with the edit_closed_year permission.
+          Rolling a year over carries its undelivered supply orders, and delivered ones without a bill, into the next year;
+          each copy links back to its original and the original stays as it was.
+        </p>
+        <table class="w-full text-sm">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2 text-left">Year</th><th class="p-2 text-left">Status</th><th class="p-2 text-right">Supply Orders</th>
+            <th class="p-2 text-right">Demands</th><th class="p-2 text-right">Bills</th><th class="p-2 text-right">Sanctions</th>
+            <th class="p-2 text-left">Rolled Over</th><th class="p-2"></th>
+          </tr></thead>
+          <tbody>${rowsHtml || '<tr><td class="p-2 text-gray-500" colspan="8">No financial years yet.</td></tr>'}</tbody>
+        </table>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    if (!manage) return;
+
+    modal.querySelectorAll("[data-year-status]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const { yearStatus: year, operation } = button.dataset;
+        const question =
+          operation === "close"
+            ? `Close ${year}? Its records become read-only for everyone without edit_closed_year.`
+            : `Reopen ${year} for editing?`;
+        if (!confirm(question)) return;
+        if (await sendFinancialYearRequest(year, operation)) showFinancialYears();
+      });
+    });
+    modal.querySelectorAll("[data-rollover]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const year = button.dataset.rollover;
+        const toYear = nextFinancialYear(year);
+        if (!confirm(`Carry the undelivered and unbilled supply orders of ${year} into ${toYear}? Orders already carried forward are skipped.`)) return;
+        const result = await sendFinancialYearRequest(year, "rollover", { to_year: toYear });
+        if (!result) return;
+        const orders = result.carried
+          .map((entry) => `${entry.supply_order_no || "(no S.O. number)"} → S.No ${entry.serial_no} (${entry.reason})`)
+          .join("\n");
+        alert(
+          result.carried.length
+            ? `${result.carried.length} supply orders carried into ${result.to_year}: ${result.undelivered} undelivered, ${result.unbilled} unbilled\n\n${orders}`
+            : `${year} has no supply orders left to carry forward`,
+        );
+        if (currentType === "supply") loadData("supply");
+        showFinancialYears();
+      });
+    });
+  };
+
+  // Command palette: searches every register at once (/api/search) and opens the chosen row.
+  // Hits come back grouped by register and ranked; arrow keys move through them and Enter opens one.
+  let paletteSearchTimer = null;
+  let paletteRequest = 0;
+
+  function renderSearchSegments(segments) {
+    return segments
+      .map((segment) =>
+        segment.match
+          ? `<mark class="bg-yellow-200 rounded px-0.5">${escapeHtml(segment.text)}</mark>`
+          : escapeHtml(segment.text),
+      )
+      .join("");
+  }
+
+  function renderPaletteResults(modal, result) {
+    const list = modal.querySelector(".palette-results");
+    const groups = result.groups.filter((group) => group.hits.length > 0);
+    if (groups.length === 0) {
+      list.innerHTML = `<p class="p-4 text-sm text-gray-500">Nothing matches "${escapeHtml(result.query)}"</p>`;
+      return;
+    }
+    list.innerHTML = groups
+      .map(
+        (group) => `
+        <div class="mb-2">
+          <div class="px-3 py-1 text-xs font-semibold text-gray-500 uppercase">
+            ${escapeHtml(group.label)}
+            <span class="font-normal normal-case">(${group.count}${group.count > group.hits.length ? `, showing ${group.hits.length}` : ""})</span>
+          </div>
+          ${group.hits
+            .map(
+              (hit, index) => `
+            <button type="button" data-type="${escapeHtml(group.type)}" data-index="${index}"
+              class="palette-hit block w-full text-left px-3 py-2 rounded hover:bg-blue-50">
+              <div class="flex justify-between items-center">
+                <span class="font-semibold">${escapeHtml(hit.title)}${
+                  APPROVAL_BADGES[hit.approval_status]
+                    ? ` <span class="text-xs font-normal px-2 py-0.5 rounded ${APPROVAL_BADGES[hit.approval_status][1]}">${APPROVAL_BADGES[hit.approval_status][0]}</span>`
+                    : ""
+                }</span>
+                <span class="text-xs text-gray-500">FY ${escapeHtml(hit.financial_year)} · S.No ${escapeHtml(String(hit.serial_no ?? ""))}</span>
+              </div>
+              ${hit.summary ? `<div class="text-xs text-gray-600 truncate">${escapeHtml(hit.summary)}</div>` : ""}
+              ${hit.matches
+                .map(
+                  (match) => `
+                <div class="text-xs text-gray-700">
+                  <span class="text-gray-400 capitalize">${escapeHtml(match.column.replace(/_/g, " "))}:</span>
+                  ${renderSearchSegments(match.segments)}
+                </div>`,
+                )
+                .join("")}
+            </button>`,
+            )
+            .join("")}
+        </div>`,
+      )
+      .join("");
+
+    const hitsByType = Object.fromEntries(groups.map((group) => [group.type, group.hits]));
+    list.querySelectorAll(".palette-hit").forEach((button) => {
+      button.addEventListener("click", () => {
+        modal.remove();
+        openSearchHit(button.dataset.type, hitsByType[button.dataset.type][button.dataset.index]);
+      });
+    });
+    selectPaletteHit(modal, 0);
+  }
+
+  function selectPaletteHit(modal, index) {
+    const hits = Array.from(modal.querySelectorAll(".palette-hit"));
+    if (hits.length === 0) return;
+    const selected = (index + hits.length) % hits.length;
+    hits.forEach((hit, position) => {
+      hit.classList.toggle("bg-blue-100", position === selected);
+      hit.classList.toggle("palette-selected", position === selected);
+    });
+    hits[selected].scrollIntoView({ block: "nearest" });
+  }
+
+  async function runPaletteSearch(modal, query) {
+    const list = modal.querySelector(".palette-results");
+    if (query.length < 2) {
+      list.innerHTML = '<p class="p-4 text-sm text-gray-500">Type an order number, demand number, firm name or item</p>';
+      return;
+    }
+    const request = ++paletteRequest;
+    try {
+      const response = await fetch(`/api/search?${new URLSearchParams({ q: query })}`);
+      const result = await response.json();
+      // A slower answer to an earlier query must not replace the current one
+      if (request !== paletteRequest || !document.body.contains(modal)) return;
+      if (!response.ok) {
+        list.innerHTML = `<p class="p-4 text-sm text-red-600">${escapeHtml(result.message || "Search failed")}</p>`;
+        return;
+      }
+      renderPaletteResults(modal, result);
+    } catch (error) {
+      console.error("Global search error:", error);
+      list.innerHTML = '<p class="p-4 text-sm text-red-600">Search failed</p>';
+    }
+  }
+
+  // Opens a hit in its register at the hit's financial year, searched for its number, and flashes the row
+  async function openSearchHit(type, hit) {
+    if (SANCTION_TYPES.includes(type)) {
+      showRegister("sanction");
+      showSanctionSection(type);
+    } else {
+      showRegister(type);
+    }
+
+    const { yearSelect, searchInput, reload } = getRegisterControls(type);
+    if (!Array.from(yearSelect.options).some((option) => option.value === hit.financial_year)) {
+      yearSelect.add(new Option(hit.financial_year, hit.financial_year));
+    }
+    yearSelect.value = hit.financial_year;
+    yearSelect.disabled = false;
+    const state = getListState(type);
+    state.period = null;
+    state.filters = {};
+    state.page = 1;
+    if (searchInput) searchInput.value = hit.key || "";
+    await reload(type);
+    renderViewsBar(type);
+
+    const row = document.querySelector(`#${type}-table-body tr[data-id="${hit.id}"]`);
+    if (row) {
+      row.scrollIntoView({ block: "center", behavior: "smooth" });
+      row.classList.add("bg-yellow-100");
+      setTimeout(() => row.classList.remove("bg-yellow-100"), 3000);
+    }
+  }
+
+  window.showCommandPalette = () => {
+    if (!currentUser) return;
+    const existing = document.getElementById("command-palette");
+    if (existing) {
+      existing.querySelector(".palette-input").focus();
+      return;
+    }
+
+    const modal = document.createElement("div");
+    modal.id = "command-palette";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-start justify-center z-50 pt-24";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg shadow-xl w-full max-w-2xl mx-4">
+        <div class="flex items-center border-b px-4">
+          <span class="text-gray-400">🔍</span>
+          <input type="text" class="palette-input flex-1 p-4 outline-none" placeholder="Search all registers: SO/2025/001, firm name, item…" autocomplete="off">
+          <kbd class="bg-gray-200 px-2 py-1 rounded text-xs">Esc</kbd>
+        </div>
+        <div class="palette-results max-h-[60vh] overflow-y-auto p-2">
+          <p class="p-4 text-sm text-gray-500">Type an order number, demand number, firm name or item</p>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    const input = modal.querySelector(".palette-input");
+    input.addEventListener("input", () => {
+      clearTimeout(paletteSearchTimer);
+      paletteSearchTimer = setTimeout(() => runPaletteSearch(modal, input.value.trim()), 250);
+    });
+    input.addEventListener("keydown", (e) => {
+      const hits = Array.from(modal.querySelectorAll(".palette-hit"));
+      const selected = hits.findIndex((hit) => hit.classList.contains("palette-selected"));
+      if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+        e.preventDefault();
+        selectPaletteHit(modal, selected + (e.key === "ArrowDown" ? 1 : -1));
+      } else if (e.key === "Enter" && selected >= 0) {
+        e.preventDefault();
+        hits[selected].click();
+      } else if (e.key === "Escape") {
+        e.preventDefault();
+        e.stopPropagation();
+        modal.remove();
+      }
+    });
+    input.focus();
+  };
+
+  // Report templates: the layout of each server-rendered PDF report (/api/reports/<name>.pdf) - columns, their
+  // labels, widths and totals, orientation, letterhead, signatories and footer
+  function canManageReportTemplates() {
+    return (
+      currentUser &&
+      (currentUser.role === "super_admin" ||
+        (currentUser.permissions || []).includes("manage_report_templates"))
+    );
+  }
+
+  window.showReportTemplates = async () => {
+    let data;
+    try {
+      const response = await fetch("/api/report-templates");
+      data = await response.json();
+      if (!response.ok) {
+        alert(data.message || data.error || "Failed to load report templates");
+        return;
+      }
+    } catch (error) {
+      console.error("Error loading report templates:", error);
+      alert("Failed to load report templates");
+      return;
+    }
+    const { sources, templates } = data;
+    const manage = canManageReportTemplates();
+    const sourceLabel = (template) => {
+      const source = sources.find((entry) => entry.name === template.source);
+      const label = source ? source.label : template.source;
+      return template.register_type ? `${label}: ${template.register_type}` : label;
+    };
+
+    const rowsHtml = templates
+      .map(
+        (template) => `
+        <tr class="border-b">
+          <td class="p-2 font-semibold">${escapeHtml(template.title)}${template.builtin ? ' <span class="text-xs text-gray-500">built-in</span>' : ""}</td>
+          <td class="p-2 font-mono text-xs">${escapeHtml(template.name)}</td>
+          <td class="p-2">${escapeHtml(sourceLabel(template))}</td>
+          <td class="p-2 text-xs">${template.updated_by ? `${escapeHtml(template.updated_by)}<br>${new Date(template.updated_at).toLocaleString()}` : "—"}</td>
+          <td class="p-2 whitespace-nowrap">
+            ${
+              manage
+                ? `<button data-edit-template="${escapeHtml(template.name)}" class="bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700 transition">Edit</button>
+            ${
+              template.builtin
+                ? `<button data-reset-template="${escapeHtml(template.name)}" class="bg-gray-600 text-white px-2 py-1 rounded hover:bg-gray-700 transition ml-1">Reset</button>`
+                : `<button data-delete-template="${escapeHtml(template.name)}" class="bg-red-600 text-white px-2 py-1 rounded hover:bg-red-700 transition ml-1">Delete</button>`
+            }`
+                : ""
+            }
+          </td>
+        </tr>`,
+      )
+      .join("");
+
+    document.getElementById("report-templates-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "report-templates-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">📝 Report Templates</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        ${manage ? '<button id="add-report-template-btn" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition mb-4">New Template</button>' : ""}
+        <table class="w-full text-sm">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2 text-left">Title</th><th class="p-2 text-left">Name</th><th class="p-2 text-left">Report</th>
+            <th class="p-2 text-left">Last Changed</th><th class="p-2"></th>
+          </tr></thead>
+          <tbody>${rowsHtml || '<tr><td class="p-2 text-gray-500" colspan="5">No report templates.</td></tr>'}</tbody>
+        </table>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+    if (!manage) return;
+
+    const templateOf = (name) => templates.find((template) => template.name === name);
+    modal
+      .querySelector("#add-report-template-btn")
+      .addEventListener("click", () => showReportTemplateForm(null, sources));
+    modal.querySelectorAll("[data-edit-template]").forEach((button) => {
+      button.addEventListener("click", () =>
+        showReportTemplateForm(templateOf(button.dataset.editTemplate), sources),
+      );
+    });
+    const runAction = async (name, url, method, question, failure) => {
+      if (!confirm(question)) return;
+      try {
+        const response = await fetch(url, { method });
+        const result = await response.json();
+        if (!response.ok) {
+          alert(result.message || failure);
+          return;
+        }
+        loadReportTemplates();
+        showReportTemplates();
+      } catch (error) {
+        console.error(`Error changing report template ${name}:`, error);
+      }
+    };
+    modal.querySelectorAll("[data-reset-template]").forEach((button) => {
+      const name = button.dataset.resetTemplate;
+      button.addEventListener("click", () =>
+        runAction(name, `/api/report-templates/${encodeURIComponent(name)}/reset`, "POST",
+          `Reset ${templateOf(name).title} to its default layout?`, "Failed to reset report template"),
+      );
+    });
+    modal.querySelectorAll("[data-delete-template]").forEach((button) => {
+      const name = button.dataset.deleteTemplate;
+      button.addEventListener("click", () =>
+        runAction(name, `/api/report-templates/${encodeURIComponent(name)}`, "DELETE",
+          `Delete the report template ${templateOf(name).title}?`, "Failed to delete report template"),
+      );
+    });
+  };
+
+  function showReportTemplateForm(template, sources) {
+    const config = (template && template.config) || {};
+    const isNew = !template;
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-4xl w-full mx-4 max-h-[90vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">${isNew ? "New Report Template" : `Edit ${escapeHtml(template.title)}`}</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <form>
+          <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Name (used in the report URL)</label>
+              <input name="name" value="${escapeHtml(template && template.name)}" ${isNew ? "" : "disabled"} placeholder="e.g. monthly-bills" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500">
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Title</label>
+              <input name="title" value="${escapeHtml(template && template.title)}" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500">
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Report</label>
+              <select name="source" class="p-2 border rounded-lg w-full">
+                ${sources.map((source) => `<option value="${escapeHtml(source.name)}" ${template && template.source === source.name ? "selected" : ""}>${escapeHtml(source.label)}</option>`).join("")}
+              </select>
+            </div>
+            <div class="report-register-field">
+              <label class="block text-sm font-medium text-gray-700 mb-1">Register</label>
+              <select name="register_type" class="p-2 border rounded-lg w-full">
+                ${Object.keys(sources.find((source) => source.needsRegister).columns).map((type) => `<option value="${type}" ${template && template.register_type === type ? "selected" : ""}>${escapeHtml(type)}</option>`).join("")}
+              </select>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Orientation</label>
+              <select name="orientation" class="p-2 border rounded-lg w-full">
+                <option value="portrait" ${config.orientation === "landscape" ? "" : "selected"}>Portrait</option>
+                <option value="landscape" ${config.orientation === "landscape" ? "selected" : ""}>Landscape</option>
+              </select>
+            </div>
+          </div>
+          <label class="block text-sm font-medium text-gray-700 mb-1">Columns <span class="text-xs text-gray-500">(tick to include; width is relative to the other columns)</span></label>
+          <table class="w-full text-sm mb-3">
+            <thead><tr class="bg-gray-100">
+              <th class="p-1"></th><th class="p-1 text-left">Column</th><th class="p-1 text-left">Heading</th>
+              <th class="p-1 text-left">Width</th><th class="p-1">Total</th><th class="p-1"></th>
+            </tr></thead>
+            <tbody class="report-columns"></tbody>
+          </table>
+          <div class="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Letterhead (one line each; the first is the organisation name)</label>
+              <textarea name="letterhead" rows="3" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500">${escapeHtml((config.letterhead || ["Material Management Group"]).join("\n"))}</textarea>
+            </div>
+            <div>
+              <label class="block text-sm font-medium text-gray-700 mb-1">Signatories (one per line, up to four)</label>
+              <textarea name="signatures" rows="3" class="p-2 border rounded-lg w-full focus:outline-none focus:ring-2 focus:ring-blue-500">${escapeHtml((config.signatures || ["Prepared by", "Checked by", "Approved by"]).join("\n"))}</textarea>
+            </div>
+          </div>
+          <label class="block text-sm font-medium text-gray-700 mb-1">Footer note</label>
+          <textarea name="footer" rows="2" class="p-2 border rounded-lg w-full mb-3 focus:outline-none focus:ring-2 focus:ring-blue-500">${escapeHtml(config.footer)}</textarea>
+          <button type="submit" class="bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition">Save</button>
+        </form>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    const form = modal.querySelector("form");
+    const body = modal.querySelector(".report-columns");
+    // Picked columns in template order, then the rest of what the report offers
+    let columns = [];
+
+    const availableColumns = () => {
+      const source = sources.find((entry) => entry.name === form.source.value);
+      modal.querySelector(".report-register-field").classList.toggle("hidden", !source.needsRegister);
+      return source.needsRegister ? source.columns[form.register_type.value] || [] : source.columns;
+    };
+
+    const readColumns = () => {
+      body.querySelectorAll("tr").forEach((row, index) => {
+        columns[index].include = row.querySelector(".column-include").checked;
+        columns[index].label = row.querySelector(".column-label").value;
+        columns[index].width = row.querySelector(".column-width").value;
+        columns[index].total = row.querySelector(".column-total").checked;
+      });
+    };
+
+    const renderColumns = () => {
+      body.innerHTML = columns
+        .map(
+          (column, index) => `
+          <tr class="border-b">
+            <td class="p-1"><input type="checkbox" class="column-include" ${column.include ? "checked" : ""}></td>
+            <td class="p-1">${escapeHtml(column.sourceLabel)} <span class="text-xs text-gray-400">${escapeHtml(column.name)}</span></td>
+            <td class="p-1"><input class="column-label p-1 border rounded w-full" value="${escapeHtml(column.label)}" placeholder="${escapeHtml(column.sourceLabel)}"></td>
+            <td class="p-1"><input type="number" min="1" max="100" class="column-width p-1 border rounded w-20" value="${escapeHtml(column.width)}"></td>
+            <td class="p-1 text-center"><input type="checkbox" class="column-total" ${column.total ? "checked" : ""} ${["amount", "int"].includes(column.type) ? "" : "disabled"}></td>
+            <td class="p-1 whitespace-nowrap">
+              <button type="button" data-move="${index}" data-step="-1" class="px-1 text-gray-600 hover:text-black" ${index === 0 ? "disabled" : ""}>▲</button>
+              <button type="button" data-move="${index}" data-step="1" class="px-1 text-gray-600 hover:text-black" ${index === columns.length - 1 ? "disabled" : ""}>▼</button>
+            </td>
+          </tr>`,
+        )
+        .join("");
+    };
+
+    const loadColumns = (picked) => {
+      const available = availableColumns();
+      const byName = new Map(available.map((column) => [column.name, column]));
+      const pickedColumns = picked
+        .filter((column) => byName.has(column.name))
+        .map((column) => ({
+          ...byName.get(column.name),
+          sourceLabel: byName.get(column.name).label,
+          include: true,
+          label: column.label || "",
+          width: column.width || 10,
+          total: Boolean(column.total),
+        }));
+      const pickedNames = new Set(pickedColumns.map((column) => column.name));
+      columns = [
+        ...pickedColumns,
+        ...available
+          .filter((column) => !pickedNames.has(column.name))
+          .map((column) => ({ ...column, sourceLabel: column.label, include: false, label: "", width: 10, total: false })),
+      ];
+      renderColumns();
+    };
+
+    body.addEventListener("click", (e) => {
+      const button = e.target.closest("[data-move]");
+      if (!button) return;
+      readColumns();
+      const index = Number(button.dataset.move);
+      const target = index + Number(button.dataset.step);
+      [columns[index], columns[target]] = [columns[target], columns[index]];
+      renderColumns();
+    });
+    // Another report or register offers other columns; those it shares with the current pick stay picked
+    const reloadColumns = () => {
+      readColumns();
+      loadColumns(columns.filter((column) => column.include));
+    };
+    form.source.addEventListener("change", reloadColumns);
+    form.register_type.addEventListener("change", reloadColumns);
+    loadColumns(config.columns || []);
+
+    form.addEventListener("submit", async (e) => {
+      e.preventDefault();
+      readColumns();
+      const name = isNew ? form.name.value.trim() : template.name;
+      const payload = {
+        name,
+        title: form.title.value,
+        source: form.source.value,
+        register_type: form.register_type.value,
+        config: {
+          orientation: form.orientation.value,
+          columns: columns
+            .filter((column) => column.include)
+            .map((column) => ({ name: column.name, label: column.label, width: column.width, total: column.total })),
+          letterhead: form.letterhead.value,
+          signatures: form.signatures.value,
+          footer: form.footer.value,
+        },
+      };
+      try {
+        const response = await fetch(
+          isNew ? "/api/report-templates" : `/api/report-templates/${encodeURIComponent(name)}`,
+          {
+            method: isNew ? "POST" : "PUT",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify(payload),
+          },
+        );
+        const result = await response.json();
+        if (!response.ok) {
+          alert(result.message || "Failed to save report template");
+          return;
+        }
+        modal.remove();
+        loadReportTemplates();
+        showReportTemplates();
+      } catch (error) {
+        console.error("Error saving report template:", error);
+      }
+    });
+  }
+
+  // Reports archive: runs of the scheduled monthly and quarterly reports, with download and re-run
+  window.showReportArchive = async () => {
+    let data;
+    try {
+      const response = await fetch("/api/reports/archive");
+      data = await response.json();
+      if (!response.ok) {
+        alert(data.message || data.error || "Failed to load report archive");
+        return;
+      }
+    } catch (error) {
+      console.error("Error loading report archive:", error);
+      alert("Failed to load report archive");
+      return;
+    }
+    const { schedule, reports, runs } = data;
+    const titleOf = (name) => {
+      const run = runs.find((entry) => entry.template === name);
+      return run ? run.title : name;
+    };
+
+    const reportsHtml = reports
+      .map((report) => {
+        const outcome =
+          report.lastResult === "success"
+            ? `<span class="text-green-600">Last run ${new Date(report.lastSuccessAt).toLocaleString()}</span>`
+            : report.lastResult === "failure"
+              ? `<span class="text-red-600" title="${escapeHtml(report.lastError)}">Failed ${new Date(report.lastFailureAt).toLocaleString()}</span>`
+              : '<span class="text-gray-500">Not run yet</span>';
+        return `<li>${escapeHtml(titleOf(report.template))} <span class="text-gray-500">(${escapeHtml(report.frequency)})</span> - ${outcome}</li>`;
+      })
+      .join("");
+
+    const rowsHtml = runs
+      .map(
+        (run) => `
+        <tr class="border-b">
+          <td class="p-2 font-semibold">${escapeHtml(run.title)}</td>
+          <td class="p-2">${escapeHtml(run.period.label)}</td>
+          <td class="p-2 text-xs">${escapeHtml(Object.entries(run.params).map(([key, value]) => `${key}=${value}`).join(", ") || "all years")}</td>
+          <td class="p-2 text-xs">${new Date(run.createdAt).toLocaleString()}<br>${run.trigger === "rerun" ? `re-run by ${escapeHtml(run.requestedBy)}` : "scheduled"}</td>
+          <td class="p-2 text-right">${run.rowCount}</td>
+          <td class="p-2 whitespace-nowrap">
+            <a href="/api/reports/archive/${encodeURIComponent(run.id)}.pdf" class="bg-blue-600 text-white px-2 py-1 rounded hover:bg-blue-700 transition">Download</a>
+            <button data-rerun="${escapeHtml(run.id)}" class="bg-gray-600 text-white px-2 py-1 rounded hover:bg-gray-700 transition ml-1">Re-run</button>
+          </td>
+        </tr>`,
+      )
+      .join("");
+
+    document.getElementById("report-archive-modal")?.remove();
+    const modal = document.createElement("div");
+    modal.id = "report-archive-modal";
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">🗄️ Reports Archive</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <div class="text-sm mb-4 p-3 bg-gray-50 rounded">
+          <p class="mb-1">Scheduled reports are generated daily at ${escapeHtml(schedule.time)} once their month or quarter is over${schedule.nextRunAt ? `; next check ${new Date(schedule.nextRunAt).toLocaleString()}` : ""}.
+            Runs of the last ${schedule.retention.monthly} months and ${schedule.retention.quarterly} quarters are kept.</p>
+          <ul class="list-disc ml-5">${reportsHtml}</ul>
+        </div>
+        <table class="w-full text-sm">
+          <thead><tr class="bg-gray-100">
+            <th class="p-2 text-left">Report</th><th class="p-2 text-left">Period</th><th class="p-2 text-left">Parameters</th>
+            <th class="p-2 text-left">Generated</th><th class="p-2 text-right">Rows</th><th class="p-2"></th>
+          </tr></thead>
+          <tbody>${rowsHtml || '<tr><td class="p-2 text-gray-500" colspan="6">No archived reports yet.</td></tr>'}</tbody>
+        </table>
+      </div>
+    `;
+    document.body.appendChild(modal);
+    modal.addEventListener("click", (e) => {
+      if (e.target === modal) modal.remove();
+    });
+
+    modal.querySelectorAll("[data-rerun]").forEach((button) => {
+      button.addEventListener("click", async () => {
+        const run = runs.find((entry) => entry.id === button.dataset.rerun);
+        if (!confirm(`Generate ${run.title} for ${run.period.label} again with the current template?`)) return;
+        button.disabled = true;
+        try {
+          const response = await fetch(
+            `/api/reports/archive/${encodeURIComponent(run.id)}/rerun`,
+            { method: "POST" },
+          );
+          const result = await response.json();
+          if (!response.ok) {
+            alert(result.message || "Failed to re-run report");
+            button.disabled = false;
+            return;
+          }
+          showReportArchive();
+        } catch (error) {
+          console.error("Error re-running report:", error);
+          button.disabled = false;
+        }
+      });
+    });
+  };
+
+  // Columns that identify a trashed record in the recycle bin list
+  const recycleBinColumns = {
+    supply: ["supply_order_no", "firm_name", "nomenclature"],
+    demand: ["imms_demand_no", "nomenclature", "est_cost"],
+    bill: ["supply_order_no", "firm_name", "project_no"],
+    "gen-project": ["sanction_code", "uo_no", "amount"],
+    misc: ["sanction_code", "uo_no", "amount"],
+    training: ["sanction_code", "uo_no", "amount"],
+  };
+
+  const reloadRegister = (type) => {
+    if (["gen-project", "misc", "training"].includes(type)) {
+      loadSanctionData(type);
+    } else {
+      loadData(type);
+    }
+  };
+
+  window.showRecycleBin = async (type) => {
+    const columns = recycleBinColumns[type];
+    if (!columns) return;
+
+    try {
+      const response = await fetch(`/api/recycle-bin/${type}`);
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        alert(error.message || error.error || "Failed to load recycle bin");
+        return;
+      }
+      const rows = await response.json();
+
+      const rowsHtml = rows.length
+        ? rows
+            .map(
+              (row) => `
+            <tr class="border-b" data-id="${row.id}">
+              <td class="p-2">${row.serial_no}</td>
+              ${columns.map((column) => `<td class="p-2">${row[column] ?? ""}</td>`).join("")}
+              <td class="p-2">${row.financial_year || ""}</td>
+              <td class="p-2">${row.deleted_by || "Unknown user"}</td>
+              <td class="p-2">${new Date(row.deleted_at).toLocaleString()}</td>
+              <td class="p-2 whitespace-nowrap">
+                <button onclick="restoreTrashedRow('${type}', ${row.id}, this)" class="bg-green-600 text-white px-3 py-1 rounded-lg hover:bg-green-700 transition">Restore</button>
+                <button onclick="purgeTrashedRow('${type}', ${row.id}, this)" class="bg-red-600 text-white px-3 py-1 rounded-lg hover:bg-red-700 transition ml-2">Delete Forever</button>
+              </td>
+            </tr>`,
+            )
+            .join("")
+        : `<tr><td colspan="${columns.length + 5}" class="p-4 text-center text-gray-500">The recycle bin is empty.</td></tr>`;
+
+      const modal = document.createElement("div");
+      modal.className =
+        "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+      modal.innerHTML = `
+        <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 max-h-[80vh] overflow-y-auto">
+          <div class="flex justify-between items-center mb-4">
+            <h3 class="text-lg font-bold">🗑️ Recycle Bin</h3>
+            <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+          </div>
+          <table class="w-full text-sm">
+            <thead>
+              <tr class="bg-gray-100">
+                <th class="p-2 text-left">Serial No</th>
+                ${columns.map((column) => `<th class="p-2 text-left">${column.replace(/_/g, " ")}</th>`).join("")}
+                <th class="p-2 text-left">Financial Year</th>
+                <th class="p-2 text-left">Deleted By</th>
+                <th class="p-2 text-left">Deleted At</th>
+                <th class="p-2 text-left">Actions</th>
+              </tr>
+            </thead>
+            <tbody>${rowsHtml}</tbody>
+          </table>
+        </div>
+      `;
+      document.body.appendChild(modal);
+      modal.addEventListener("click", (e) => {
+        if (e.target === modal) modal.remove();
+      });
+    } catch (error) {
+      console.error(`Error fetching ${type} recycle bin:`, error);
+      alert("Failed to load recycle bin");
+    }
+  };
+
+  window.restoreTrashedRow = async (type, id, button) => {
+    try {
+      const response = await fetch(`/api/recycle-bin/${type}/${id}/restore`, {
+        method: "POST",
+      });
+      const result = await response.json().catch(() => ({}));
+      if (!response.ok) {
+        alert(result.message || result.error || "Failed to restore record");
+        return;
+      }
+      button.closest("tr").remove();
+      reloadRegister(type);
+      alert(`Record restored with serial number ${result.serial_no}`);
+    } catch (error) {
+      console.error(`Error restoring ${type} record:`, error);
+      alert("Failed to restore record");
     }
   };
 
-  window.showSanctionBackups = async (type) => {
-    const backupList = document.getElementById(`${type}-backup-list`);
-    const backupFiles = document.getElementById(`${type}-backup-files`);
-    if (!backupList || !backupFiles) return; // Exit if elements don't exist
+  window.purgeTrashedRow = async (type, id, button) => {
+    if (!confirm("Permanently delete this row? This cannot be undone.")) return;
 
-    backupList.classList.toggle("hidden");
     try {
-      const response = await fetch(`/api/sanction-${type}-backups`);
-      const files = await response.json();
-      backupFiles.innerHTML = "";
-      files.forEach((file) => {
-        const li = document.createElement("li");
-        li.innerHTML = `<a href="/backups/sanction-${type}/${file}" target="_blank" class="text-blue-600 hover:underline">${file}</a>`;
-        backupFiles.appendChild(li);
+      const response = await fetch(`/api/recycle-bin/${type}/${id}`, {
+        method: "DELETE",
       });
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({}));
+        alert(error.message || error.error || "Failed to delete record");
+        return;
+      }
+      button.closest("tr").remove();
     } catch (error) {
-      console.error(`Error fetching sanction ${type} backups:`, error);
+      console.error(`Error purging ${type} record:`, error);
+      alert("Failed to delete record");
     }
   };
 
+  const financialYearSelectsByType = {
+    supply: supplyFinancialYearSelect,
+    demand: demandFinancialYearSelect,
+    bill: billFinancialYearSelect,
+    "gen-project": genProjectFinancialYearSelect,
+    misc: miscFinancialYearSelect,
+    training: trainingFinancialYearSelect,
+  };
+
+  function renderRestorePlans(plans) {
+    return plans
+      .map(
+        (plan) => `
+        <div class="border rounded-lg p-3 mb-3">
+          <div class="flex justify-between">
+            <span class="font-semibold">${plan.table}</span>
+            <span class="text-sm">
+              <span class="text-green-700">+${plan.counts.added} added</span> ·
+              <span class="text-red-600">−${plan.counts.removed} removed</span> ·
+              <span class="text-blue-700">${plan.counts.changed} changed</span>
+            </span>
+          </div>
+          ${
+            plan.changed.length
+              ? `<details class="mt-2 text-sm"><summary class="cursor-pointer">Changed rows</summary>
+                ${plan.changed
+                  .map(
+                    (entry) => `
+                  <div class="mt-1"><strong>S.No ${entry.serial_no}</strong>:
+                    ${Object.entries(entry.changes)
+                      .map(([column, change]) => `${column}: ${change.from ?? "—"} → ${change.to ?? "—"}`)
+                      .join("; ")}
+                  </div>`,
+                  )
+                  .join("")}
+              </details>`
+              : ""
+          }
+          ${
+            plan.removed.length
+              ? `<details class="mt-2 text-sm"><summary class="cursor-pointer">Removed rows (moved to recycle bin)</summary>
+                ${plan.removed.map((entry) => `<div class="mt-1">S.No ${entry.serial_no} (id ${entry.id})</div>`).join("")}
+              </details>`
+              : ""
+          }
+          ${
+            plan.added.length
+              ? `<details class="mt-2 text-sm"><summary class="cursor-pointer">Added rows</summary>
+                ${plan.added.map((entry) => `<div class="mt-1">S.No ${entry.serial_no} (id ${entry.id})</div>`).join("")}
+              </details>`
+              : ""
+          }
+        </div>`,
+      )
+      .join("");
+  }
+
+  window.showBackupRestore = (type, file) => {
+    const financialYearSelect = financialYearSelectsByType[type];
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-3xl w-full mx-4 max-h-[80vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">♻️ Restore from ${file}</h3>
+          <button onclick="this.closest('.fixed').remove()" class="text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <div class="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+          <input id="restore-financial-year" value="${financialYearSelect ? financialYearSelect.value : currentFinancialYear}" placeholder="Financial year (e.g. 2025-26)" class="p-2 border rounded-lg" />
+          <select id="restore-scope" class="p-2 border rounded-lg">
+            <option value="${type}">This register only</option>
+            <option value="all">All six registers</option>
+          </select>
+          <button id="restore-preview-btn" class="bg-blue-600 text-white px-4 py-2 rounded-lg hover:bg-blue-700 transition">Preview Changes</button>
+        </div>
+        <div id="restore-plan" class="mb-4 text-gray-500">Preview the changes before applying the restore.</div>
+        <button id="restore-apply-btn" disabled class="bg-orange-600 text-white px-4 py-2 rounded-lg hover:bg-orange-700 transition disabled:opacity-50">Apply Restore</button>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const planContainer = modal.querySelector("#restore-plan");
+    const applyButton = modal.querySelector("#restore-apply-btn");
+    const getRequestBody = () =>
+      JSON.stringify({
+        type: modal.querySelector("#restore-scope").value,
+        file,
+        financialYear: modal.querySelector("#restore-financial-year").value.trim(),
+      });
+
+    // Any change to the inputs invalidates the previewed plan
+    modal.querySelectorAll("input, select").forEach((input) =>
+      input.addEventListener("change", () => (applyButton.disabled = true)),
+    );
+
+    modal.querySelector("#restore-preview-btn").addEventListener("click", async () => {
+      planContainer.innerHTML = "Comparing backup with live data...";
+      applyButton.disabled = true;
+      try {
+        const response = await fetch("/api/backups/restore/preview", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: getRequestBody(),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          planContainer.innerHTML = `<span class="text-red-600">${result.message || result.error}</span>`;
+          return;
+        }
+        planContainer.innerHTML = renderRestorePlans(result.plans);
+        applyButton.disabled = false;
+      } catch (error) {
+        console.error("Error previewing backup restore:", error);
+        planContainer.innerHTML = '<span class="text-red-600">Failed to preview restore</span>';
+      }
+    });
+
+    applyButton.addEventListener("click", async () => {
+      if (!confirm("Apply this restore? Rows not in the backup will be moved to the recycle bin.")) return;
+
+      applyButton.disabled = true;
+      try {
+        const response = await fetch("/api/backups/restore", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: getRequestBody(),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          alert(result.message || result.error || "Failed to restore backup");
+          return;
+        }
+        modal.remove();
+        result.plans.forEach((plan) => reloadRegister(plan.type));
+        alert("Backup restored successfully");
+      } catch (error) {
+        console.error("Error applying backup restore:", error);
+        alert("Failed to restore backup");
+      }
+    });
+  };
+
   window.exportToExcel = (type) => {
     const financialYearSelect =
       type === "supply"
@@ -3988,7 +8052,8 @@ document.addEventListener("DOMContentLoaded", () => {
         : type === "demand"
           ? demandFinancialYearSelect
           : billFinancialYearSelect;
-    fetch(`/api/${type}-orders?year=${financialYearSelect.value}`)
+    // With a period the export covers all of it, in one sheet
+    fetch(`/api/${type}-orders?${new URLSearchParams(getPeriodParams(type, financialYearSelect.value))}`)
       .then((response) => response.json())
       .then((data) => {
         const formattedData = data.map((row) => ({
@@ -4011,7 +8076,7 @@ document.addEventListener("DOMContentLoaded", () => {
         );
         XLSX.writeFile(
           workbook,
-          `${type}_orders_${financialYearSelect.value}.xlsx`,
+          `${type}_orders_${getListState(type).period ? "period" : financialYearSelect.value}.xlsx`,
         );
       })
       .catch((error) =>
@@ -4059,8 +8124,14 @@ document.addEventListener("DOMContentLoaded", () => {
         return;
       }
 
+      // With a period the export covers all of it
+      const { period } = getListState(section);
+      if (period) currentYear = describePeriod(period);
+
       // Fetch data from API
-      const response = await fetch(`/api/sanction-${section}?year=${currentYear}`);
+      const response = await fetch(
+        `/api/sanction-${section}?${new URLSearchParams(getPeriodParams(section, currentYear))}`,
+      );
       if (!response.ok) {
         throw new Error(`Failed to fetch sanction data: ${response.statusText}`);
       }
@@ -4134,264 +8205,683 @@ document.addEventListener("DOMContentLoaded", () => {
     }
   };
 
-  // Search event listeners
+  // Search event listeners: the register is searched on the server once typing pauses
+  const searchTimers = {};
+  function scheduleSearch(type, reload) {
+    clearTimeout(searchTimers[type]);
+    searchTimers[type] = setTimeout(() => {
+      getListState(type).page = 1;
+      reload(type);
+    }, 300);
+  }
   if (supplySearchInput)
-    supplySearchInput.addEventListener("input", () => filterTable("supply"));
+    supplySearchInput.addEventListener("input", () => scheduleSearch("supply", loadData));
   if (demandSearchInput)
-    demandSearchInput.addEventListener("input", () => filterTable("demand"));
+    demandSearchInput.addEventListener("input", () => scheduleSearch("demand", loadData));
   if (billSearchInput)
-    billSearchInput.addEventListener("input", () => filterTable("bill"));
+    billSearchInput.addEventListener("input", () => scheduleSearch("bill", loadData));
   if (genProjectSearchInput)
     genProjectSearchInput.addEventListener("input", () =>
-      filterSanctionTable("gen-project"),
+      scheduleSearch("gen-project", loadSanctionData),
     );
   if (miscSearchInput)
     miscSearchInput.addEventListener("input", () =>
-      filterSanctionTable("misc"),
+      scheduleSearch("misc", loadSanctionData),
     );
   if (trainingSearchInput)
     trainingSearchInput.addEventListener("input", () =>
-      filterSanctionTable("training"),
+      scheduleSearch("training", loadSanctionData),
+    );
+
+  // Apply sort function
+  window.applySort = function (type) {
+    let sortSelect;
+
+    if (type === "supply") {
+      sortSelect = supplySortSelect;
+    } else if (type === "demand") {
+      sortSelect = demandSortSelect;
+    } else if (type === "bill") {
+      sortSelect = billSortSelect;
+    } else if (type === "gen-project") {
+      sortSelect = document.getElementById("gen-project-sort");
+    } else if (type === "misc") {
+      sortSelect = document.getElementById("misc-sort");
+    } else if (type === "training") {
+      sortSelect = document.getElementById("training-sort");
+    }
+
+    const sortBy = sortSelect ? sortSelect.value : "";
+
+    if (!sortBy) {
+      alert("Please select a sort field first");
+      return;
+    }
+
+    getListState(type).page = 1;
+    if (["gen-project", "misc", "training"].includes(type)) {
+      loadSanctionData(type);
+    } else {
+      loadData(type);
+    }
+  };
+
+  // Financial year change listeners
+  if (supplyFinancialYearSelect)
+    supplyFinancialYearSelect.addEventListener("change", () => {
+      currentFinancialYear = supplyFinancialYearSelect.value;
+      leaveDataRoom();
+      joinDataRoom();
+      getListState("supply").page = 1;
+      loadData("supply");
+    });
+  if (demandFinancialYearSelect)
+    demandFinancialYearSelect.addEventListener("change", () => {
+      currentFinancialYear = demandFinancialYearSelect.value;
+      leaveDataRoom();
+      joinDataRoom();
+      getListState("demand").page = 1;
+      loadData("demand");
+    });
+  if (billFinancialYearSelect)
+    billFinancialYearSelect.addEventListener("change", () => {
+      currentFinancialYear = billFinancialYearSelect.value;
+      leaveDataRoom();
+      joinDataRoom();
+      getListState("bill").page = 1;
+      loadData("bill");
+    });
+  if (genProjectFinancialYearSelect)
+    genProjectFinancialYearSelect.addEventListener("change", () => {
+      getListState("gen-project").page = 1;
+      joinSanctionRoom("gen-project", getRegisterControls("gen-project").yearSelect.value);
+      loadSanctionData("gen-project");
+    });
+  if (miscFinancialYearSelect)
+    miscFinancialYearSelect.addEventListener("change", () => {
+      getListState("misc").page = 1;
+      joinSanctionRoom("misc", getRegisterControls("misc").yearSelect.value);
+      loadSanctionData("misc");
+    });
+  if (trainingFinancialYearSelect)
+    trainingFinancialYearSelect.addEventListener("change", () => {
+      getListState("training").page = 1;
+      joinSanctionRoom("training", getRegisterControls("training").yearSelect.value);
+      loadSanctionData("training");
+    });
+
+  // Import Excel event listeners
+  if (supplyImportExcel)
+    supplyImportExcel.addEventListener("change", (event) =>
+      handleImportExcel(event, "supply"),
+    );
+  if (demandImportExcel)
+    demandImportExcel.addEventListener("change", (event) =>
+      handleImportExcel(event, "demand"),
+    );
+  if (billImportExcel)
+    billImportExcel.addEventListener("change", (event) =>
+      handleImportExcel(event, "bill"),
+    );
+  if (genProjectImportExcel)
+    genProjectImportExcel.addEventListener("change", (event) =>
+      handleSanctionImportExcel(event, "gen-project"),
+    );
+  if (miscImportExcel)
+    miscImportExcel.addEventListener("change", (event) =>
+      handleSanctionImportExcel(event, "misc"),
+    );
+  if (trainingImportExcel)
+    trainingImportExcel.addEventListener("change", (event) =>
+      handleSanctionImportExcel(event, "training"),
+    );
+
+  // Two-phase import: the server validates the rows first, then the user commits from the report
+  async function validateAndImport(
+    apiPath,
+    rows,
+    financialYear,
+    reload,
+    input,
+    options = { mode: "insert", reportMissing: false },
+  ) {
+    const body = { data: rows, financial_year: financialYear, ...options };
+    try {
+      const response = await fetch(`${apiPath}/import/validate`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(body),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        alert(result.message || result.error || "Failed to validate the Excel file");
+        input.value = "";
+        return;
+      }
+      showImportReport(apiPath, body, result.report, reload, input);
+    } catch (error) {
+      console.error("Error validating import:", error);
+      alert(`Error validating Excel file: ${error.message}`);
+      input.value = "";
+    }
+  }
+
+  function showImportReport(apiPath, body, report, reload, input) {
+    const { summary } = report;
+    const merging = report.mode === "merge";
+    const updatedRows = report.rows.filter(
+      (row) => row.status === "valid" && row.action === "update",
+    );
+    const problemRows = report.rows.filter(
+      (row) => row.errors.length > 0 || row.warnings.length > 0,
     );
+    const previewRows = report.rows.filter((row) => row.status === "valid").slice(0, 10);
+    const previewColumns = previewRows.length
+      ? Object.keys(previewRows[0].values).slice(0, 6)
+      : [];
+
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    modal.innerHTML = `
+      <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+        <div class="flex justify-between items-center mb-4">
+          <h3 class="text-lg font-bold">📥 Import Report — FY ${report.financialYear}</h3>
+          <button class="import-close text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+        </div>
+        <div class="flex flex-wrap items-center gap-4 mb-4 p-3 bg-gray-50 rounded-lg">
+          <label class="flex items-center gap-2">
+            <input type="radio" name="import-mode" value="insert" ${merging ? "" : "checked"} />
+            Add all rows as new records
+          </label>
+          <label class="flex items-center gap-2">
+            <input type="radio" name="import-mode" value="merge" ${merging ? "checked" : ""} />
+            Merge with existing records (match on business key)
+          </label>
+          <label class="flex items-center gap-2 ${merging ? "" : "hidden"}">
+            <input type="checkbox" class="import-report-missing" ${body.reportMissing ? "checked" : ""} />
+            Report records missing from the file
+          </label>
+        </div>
+        ${
+          merging
+            ? `<p class="text-sm text-gray-700 mb-3">${summary.inserts} new, ${summary.updates} updated, ${summary.unchanged} unchanged${body.reportMissing ? `, ${summary.missing} in the register but not in the file` : ""}.</p>`
+            : ""
+        }
+        <div class="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4 text-center">
+          <div class="bg-gray-100 rounded-lg p-3"><div class="text-2xl font-bold">${summary.total}</div><div class="text-sm">Rows</div></div>
+          <div class="bg-green-100 rounded-lg p-3"><div class="text-2xl font-bold text-green-700">${summary.valid}</div><div class="text-sm">Valid</div></div>
+          <div class="bg-red-100 rounded-lg p-3"><div class="text-2xl font-bold text-red-700">${summary.invalid}</div><div class="text-sm">With errors</div></div>
+          <div class="bg-yellow-100 rounded-lg p-3"><div class="text-2xl font-bold text-yellow-700">${summary.withWarnings}</div><div class="text-sm">With warnings</div></div>
+        </div>
+        ${
+          report.ignoredColumns.length
+            ? `<p class="text-sm text-gray-600 mb-3">Ignored columns (not in this register): ${report.ignoredColumns.join(", ")}</p>`
+            : ""
+        }
+        ${
+          problemRows.length
+            ? `<h4 class="font-semibold mb-2">Errors and warnings</h4>
+          <table class="w-full text-sm mb-4">
+            <thead><tr class="bg-gray-100"><th class="p-2 text-left">Row</th><th class="p-2 text-left">Status</th><th class="p-2 text-left">Details</th></tr></thead>
+            <tbody>
+              ${problemRows
+                .map(
+                  (row) => `
+              <tr class="border-b ${row.status === "invalid" ? "bg-red-50" : "bg-yellow-50"}">
+                <td class="p-2">${row.rowNumber}</td>
+                <td class="p-2">${row.status === "invalid" ? "❌ Error" : "⚠️ Warning"}</td>
+                <td class="p-2">
+                  ${row.errors.map((message) => `<div class="text-red-700">${message}</div>`).join("")}
+                  ${row.warnings.map((message) => `<div class="text-yellow-700">${message}</div>`).join("")}
+                </td>
+              </tr>`,
+                )
+                .join("")}
+            </tbody>
+          </table>`
+            : '<p class="text-green-700 mb-4">All rows passed validation.</p>'
+        }
+        ${
+          updatedRows.length
+            ? `<h4 class="font-semibold mb-2">Changes to existing records</h4>
+          <table class="w-full text-sm mb-4">
+            <thead><tr class="bg-gray-100"><th class="p-2 text-left">Row</th><th class="p-2 text-left">Changes</th></tr></thead>
+            <tbody>
+              ${updatedRows
+                .map(
+                  (row) => `
+              <tr class="border-b"><td class="p-2">${row.rowNumber}</td><td class="p-2">${Object.entries(row.changes)
+                .map(([column, change]) => `${column}: ${change.from ?? "—"} → ${change.to ?? "—"}`)
+                .join("<br>")}</td></tr>`,
+                )
+                .join("")}
+            </tbody>
+          </table>`
+            : ""
+        }
+        ${
+          report.missing && report.missing.length
+            ? `<h4 class="font-semibold mb-2">In the register but not in the file (${report.missing.length})</h4>
+          <p class="text-sm mb-4">${report.missing.map((row) => `S.No ${row.serial_no}${row.key ? ` (${row.key})` : ""}`).join(", ")}</p>`
+            : ""
+        }
+        ${
+          previewRows.length
+            ? `<h4 class="font-semibold mb-2">Preview (first ${previewRows.length} valid rows)</h4>
+          <table class="w-full text-sm mb-4">
+            <thead><tr class="bg-gray-100"><th class="p-2 text-left">Row</th>${previewColumns.map((column) => `<th class="p-2 text-left">${column}</th>`).join("")}</tr></thead>
+            <tbody>
+              ${previewRows
+                .map(
+                  (row) => `
+              <tr class="border-b"><td class="p-2">${row.rowNumber}</td>${previewColumns.map((column) => `<td class="p-2">${row.values[column] ?? ""}</td>`).join("")}</tr>`,
+                )
+                .join("")}
+            </tbody>
+          </table>`
+            : ""
+        }
+        <div class="flex items-center justify-between">
+          <label class="flex items-center gap-2 ${summary.invalid ? "" : "invisible"}">
+            <input type="checkbox" class="import-skip-invalid" />
+            Skip the ${summary.invalid} invalid row(s)
+          </label>
+          <div>
+            <button class="import-close bg-gray-500 text-white px-4 py-2 rounded-lg hover:bg-gray-600 transition">Cancel</button>
+            <button class="import-commit bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition ml-2 disabled:opacity-50">${merging ? `Apply ${summary.inserts + summary.updates} change(s)` : `Import ${summary.valid} row(s)`}</button>
+          </div>
+        </div>
+      </div>
+    `;
+    document.body.appendChild(modal);
+
+    const close = () => {
+      modal.remove();
+      input.value = "";
+    };
+    modal.querySelectorAll(".import-close").forEach((button) => button.addEventListener("click", close));
+
+    // Changing the mode re-runs validation, since merge matching happens on the server
+    const revalidate = () => {
+      modal.remove();
+      validateAndImport(apiPath, body.data, body.financial_year, reload, input, {
+        headerRow: body.headerRow,
+        mode: modal.querySelector('input[name="import-mode"]:checked').value,
+        reportMissing: modal.querySelector(".import-report-missing").checked,
+      });
+    };
+    modal
+      .querySelectorAll('input[name="import-mode"], .import-report-missing')
+      .forEach((control) => control.addEventListener("change", revalidate));
+
+    const skipInvalid = modal.querySelector(".import-skip-invalid");
+    const commitButton = modal.querySelector(".import-commit");
+    const updateCommitButton = () => {
+      const pending = merging ? summary.inserts + summary.updates : summary.valid;
+      commitButton.disabled = pending === 0 || (summary.invalid > 0 && !skipInvalid.checked);
+    };
+    skipInvalid.addEventListener("change", updateCommitButton);
+    updateCommitButton();
+
+    commitButton.addEventListener("click", async () => {
+      commitButton.disabled = true;
+      try {
+        const response = await fetch(`${apiPath}/import`, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ ...body, skipInvalid: skipInvalid.checked }),
+        });
+        const result = await response.json();
+        if (!response.ok) {
+          alert(result.message || result.error || "Failed to import Excel file");
+          updateCommitButton();
+          return;
+        }
+        close();
+        reload();
+        alert(
+          `Successfully imported ${result.inserted} new row(s)` +
+            (result.updated ? `, updated ${result.updated} existing row(s)` : "") +
+            (result.skipped ? `, skipped ${result.skipped} invalid row(s).` : "."),
+        );
+      } catch (error) {
+        console.error("Error importing Excel:", error);
+        alert(`Error importing Excel file: ${error.message}`);
+        updateCommitButton();
+      }
+    });
+  }
+
+  // Header text comes from other departments' spreadsheets, so escape it before putting it in markup
+  function escapeHtml(value) {
+    return String(value ?? "")
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  // Picks the header row among the first rows of a sheet: the one with the most text cells
+  function detectHeaderRow(sheetRows) {
+    let best = 0;
+    let bestCount = 0;
+    sheetRows.slice(0, 20).forEach((row, index) => {
+      const count = row.filter(
+        (cell) => typeof cell === "string" && cell.trim() !== "" && isNaN(Number(cell)),
+      ).length;
+      if (count > bestCount) {
+        best = index;
+        bestCount = count;
+      }
+    });
+    return best + 1;
+  }
+
+  // Import wizard: pick the sheet and header row, map the spreadsheet's columns onto the register's, then validate
+  async function showImportMappingWizard(workbook, apiPath, financialYear, reload, input) {
+    const state = {
+      sheetName: workbook.SheetNames[0],
+      headerRow: null,
+      profileId: "",
+      profiles: [],
+      columns: [],
+      sourceColumns: [],
+      sheetRows: [],
+    };
+
+    const modal = document.createElement("div");
+    modal.className =
+      "fixed inset-0 bg-black bg-opacity-50 flex items-center justify-center z-50";
+    document.body.appendChild(modal);
+    const close = () => {
+      modal.remove();
+      input.value = "";
+    };
+
+    try {
+      const response = await fetch(`${apiPath}/import/mapping-profiles`);
+      state.profiles = response.ok ? await response.json() : [];
+    } catch (error) {
+      console.error("Error loading mapping profiles:", error);
+    }
+
+    // Reads the sheet as rows of cells (row 1 of the sheet is index 0) and describes each column under the header row
+    const readSheet = () => {
+      const worksheet = workbook.Sheets[state.sheetName];
+      state.sheetRows = XLSX.utils.sheet_to_json(worksheet, {
+        header: 1,
+        raw: true,
+        defval: "",
+        blankrows: true,
+        range: 0,
+      });
+      if (!state.headerRow) {
+        state.headerRow = detectHeaderRow(state.sheetRows);
+      }
+
+      const headerCells = state.sheetRows[state.headerRow - 1] || [];
+      const dataRows = state.sheetRows.slice(state.headerRow);
+      const width = Math.max(headerCells.length, ...dataRows.map((row) => row.length), 0);
+      const startColumn = worksheet["!ref"]
+        ? XLSX.utils.decode_range(worksheet["!ref"]).s.c
+        : 0;
+
+      state.sourceColumns = [];
+      for (let index = 0; index < width; index++) {
+        const values = dataRows
+          .map((row) => row[index])
+          .filter((cell) => cell !== "" && cell !== null && cell !== undefined);
+        const headerText = String(headerCells[index] ?? "").trim();
+        if (!headerText && values.length === 0) continue;
+        state.sourceColumns.push({
+          index,
+          header: headerText || `Column ${XLSX.utils.encode_col(startColumn + index)}`,
+          sample: values.slice(0, 2).join(", "),
+          empty: values.length === 0,
+          column: "",
+          source: null,
+          score: 0,
+        });
+      }
+    };
+
+    const suggest = async () => {
+      const response = await fetch(`${apiPath}/import/mapping/suggest`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({
+          headers: state.sourceColumns.map((source) => source.header),
+          profileId: state.profileId || undefined,
+        }),
+      });
+      const result = await response.json();
+      if (!response.ok) {
+        throw new Error(result.message || result.error || "Failed to suggest column mapping");
+      }
+      state.columns = result.columns;
+      result.suggestions.forEach((suggestion, index) => {
+        const source = state.sourceColumns[index];
+        // Columns with no data are left unmapped unless a saved profile maps them
+        const keep = suggestion.column && (!source.empty || suggestion.source === "profile");
+        source.column = keep ? suggestion.column : "";
+        source.source = keep ? suggestion.source : null;
+        source.score = keep ? suggestion.score : 0;
+      });
+    };
 
-  // Sort function
-  function sortData(data, sortBy, type) {
-    if (!data || data.length === 0) return data;
+    const render = () => {
+      const profileOptions = state.profiles
+        .map(
+          (profile) =>
+            `<option value="${profile.id}" ${String(profile.id) === String(state.profileId) ? "selected" : ""}>${escapeHtml(profile.name)}</option>`,
+        )
+        .join("");
+      const columnOptions = (selected) =>
+        `<option value="">— Ignore —</option>` +
+        state.columns
+          .map(
+            (column) =>
+              `<option value="${column.name}" ${column.name === selected ? "selected" : ""}>${column.name} (${column.type})</option>`,
+          )
+          .join("");
+      const matchLabel = (source) => {
+        if (source.source === "profile") return `<span class="text-blue-700">From profile</span>`;
+        if (source.source === "exact") return `<span class="text-green-700">Exact</span>`;
+        if (source.source === "fuzzy") return `<span class="text-yellow-700">${Math.round(source.score * 100)}% match</span>`;
+        return source.empty ? `<span class="text-gray-500">Empty column</span>` : "";
+      };
 
-    return [...data].sort((a, b) => {
-      let aVal, bVal;
+      modal.innerHTML = `
+        <div class="bg-white rounded-lg p-6 max-w-5xl w-full mx-4 max-h-[85vh] overflow-y-auto">
+          <div class="flex justify-between items-center mb-4">
+            <h3 class="text-lg font-bold">🧭 Map Spreadsheet Columns — FY ${financialYear}</h3>
+            <button class="wizard-close text-gray-500 hover:text-gray-700 text-2xl">&times;</button>
+          </div>
+          <div class="grid grid-cols-1 md:grid-cols-3 gap-3 mb-4">
+            <label class="text-sm">Sheet
+              <select class="wizard-sheet w-full p-2 border rounded">
+                ${workbook.SheetNames.map((name) => `<option ${name === state.sheetName ? "selected" : ""}>${escapeHtml(name)}</option>`).join("")}
+              </select>
+            </label>
+            <label class="text-sm">Header row
+              <input type="number" min="1" class="wizard-header-row w-full p-2 border rounded" value="${state.headerRow}" />
+            </label>
+            <label class="text-sm">Mapping profile
+              <select class="wizard-profile w-full p-2 border rounded">
+                <option value="">— Suggest automatically —</option>
+                ${profileOptions}
+              </select>
+            </label>
+          </div>
+          <p class="text-sm text-gray-600 mb-3">${Math.max(state.sheetRows.length - state.headerRow, 0)} row(s) below the header. Unmapped columns are not imported.</p>
+          <table class="w-full text-sm mb-4">
+            <thead><tr class="bg-gray-100"><th class="p-2 text-left">Column in file</th><th class="p-2 text-left">Sample</th><th class="p-2 text-left">Register column</th><th class="p-2 text-left">Match</th></tr></thead>
+            <tbody>
+              ${state.sourceColumns
+                .map(
+                  (source, index) => `
+              <tr class="border-b ${source.empty ? "text-gray-400" : ""}">
+                <td class="p-2">${escapeHtml(source.header)}</td>
+                <td class="p-2">${escapeHtml(source.sample)}</td>
+                <td class="p-2"><select class="wizard-mapping p-1 border rounded" data-index="${index}">${columnOptions(source.column)}</select></td>
+                <td class="p-2">${matchLabel(source)}</td>
+              </tr>`,
+                )
+                .join("")}
+            </tbody>
+          </table>
+          <div class="flex flex-wrap justify-between items-center gap-2">
+            <div class="flex items-center gap-2">
+              <input type="text" class="wizard-profile-name p-2 border rounded" placeholder="Profile name" value="${escapeHtml((state.profiles.find((profile) => String(profile.id) === String(state.profileId)) || {}).name || "")}" />
+              <button class="wizard-save-profile bg-blue-600 text-white px-3 py-2 rounded-lg hover:bg-blue-700 transition">Save Profile</button>
+              ${state.profileId ? `<button class="wizard-delete-profile bg-red-600 text-white px-3 py-2 rounded-lg hover:bg-red-700 transition">Delete Profile</button>` : ""}
+            </div>
+            <div>
+              <button class="wizard-close bg-gray-500 text-white px-4 py-2 rounded-lg hover:bg-gray-600 transition">Cancel</button>
+              <button class="wizard-continue bg-green-600 text-white px-4 py-2 rounded-lg hover:bg-green-700 transition ml-2">Validate Import</button>
+            </div>
+          </div>
+        </div>
+      `;
 
-      // Handle date sorting with _asc and _desc suffixes
-      if (sortBy.endsWith("_asc") || sortBy.endsWith("_desc")) {
-        const field = sortBy.replace("_asc", "").replace("_desc", "");
-        const isAsc = sortBy.endsWith("_asc");
+      modal.querySelectorAll(".wizard-close").forEach((button) => button.addEventListener("click", close));
 
-        aVal = new Date(a[field] || 0);
-        bVal = new Date(b[field] || 0);
+      modal.querySelectorAll(".wizard-mapping").forEach((select) =>
+        select.addEventListener("change", () => {
+          const source = state.sourceColumns[select.dataset.index];
+          source.column = select.value;
+          source.source = null;
+          source.score = 0;
+        }),
+      );
 
-        return isAsc ? aVal - bVal : bVal - aVal;
-      }
+      modal.querySelector(".wizard-sheet").addEventListener("change", (event) => {
+        state.sheetName = event.target.value;
+        state.headerRow = null;
+        refresh();
+      });
+      modal.querySelector(".wizard-header-row").addEventListener("change", (event) => {
+        state.headerRow = Math.max(parseInt(event.target.value, 10) || 1, 1);
+        refresh();
+      });
+      modal.querySelector(".wizard-profile").addEventListener("change", (event) => {
+        state.profileId = event.target.value;
+        const profile = state.profiles.find((item) => String(item.id) === String(state.profileId));
+        if (profile) {
+          if (profile.sheetName && workbook.SheetNames.includes(profile.sheetName)) {
+            state.sheetName = profile.sheetName;
+          }
+          state.headerRow = profile.headerRow;
+        }
+        refresh();
+      });
 
-      // Handle numeric sorting with _asc and _desc suffixes
-      if (
-        [
-          "quantity",
-          "build_up",
-          "maint",
-          "misc",
-          "project_less_2cr",
-          "project_more_2cr",
-          "est_cost",
-          "maintenance",
-          "ld_amount",
-        ].some((field) => sortBy.startsWith(field))
-      ) {
-        const field = sortBy.replace("_asc", "").replace("_desc", "");
-        const isAsc = sortBy.endsWith("_asc");
-
-        aVal = parseFloat(a[field] || 0);
-        bVal = parseFloat(b[field] || 0);
-
-        return isAsc ? aVal - bVal : bVal - aVal;
-      }
-
-      switch (sortBy) {
-        case "serial_no":
-          aVal = parseInt(a.serial_no) || 0;
-          bVal = parseInt(b.serial_no) || 0;
-          return aVal - bVal;
-
-        case "supply_order_no":
-        case "imms_demand_no":
-        case "mmg_control_no":
-        case "imms_control_no":
-        case "project_no_pdc":
-        case "p_np":
-        case "expenditure_head":
-        case "rev_cap":
-        case "procurement_mode":
-        case "remarks":
-        case "code_head":
-        case "date_amount_passed":
-          aVal = (a[sortBy] || "").toLowerCase();
-          bVal = (b[sortBy] || "").toLowerCase();
-          return aVal.localeCompare(bVal);
-
-        case "firm_name":
-          aVal = (a.firm_name || "").toLowerCase();
-          bVal = (b.firm_name || "").toLowerCase();
-          return aVal.localeCompare(bVal);
-
-        case "nomenclature":
-          aVal = (a.nomenclature || "").toLowerCase();
-          bVal = (b.nomenclature || "").toLowerCase();
-          return aVal.localeCompare(bVal);
-
-        case "delivery_done":
-          aVal = a.delivery_done || "No";
-          bVal = b.delivery_done || "No";
-          // Sort: Yes first, then No
-          if (aVal === "Yes" && bVal !== "Yes") return -1;
-          if (aVal !== "Yes" && bVal === "Yes") return 1;
-          return 0;
-
-        case "supply_order_placed":
-          aVal = a.supply_order_placed || "No";
-          bVal = b.supply_order_placed || "No";
-          if (aVal === "Yes" && bVal !== "Yes") return -1;
-          if (aVal !== "Yes" && bVal === "Yes") return 1;
-          return 0;
-
-        default:
-          return 0;
-      }
-    });
-  }
-
-  // Sort function for sanction data
-  function sortSanctionData(data, sortBy) {
-    if (!data || data.length === 0) return data;
-
-    return [...data].sort((a, b) => {
-      let aVal, bVal;
-
-      // Handle date sorting with _asc and _desc suffixes
-      if (sortBy.endsWith("_asc") || sortBy.endsWith("_desc")) {
-        const field = sortBy.replace("_asc", "").replace("_desc", "");
-        const isAsc = sortBy.endsWith("_asc");
-
-        if (field === "date" || field === "uo_date") {
-          aVal = new Date(a[field] || 0);
-          bVal = new Date(b[field] || 0);
-        } else if (field === "amount") {
-          aVal = parseFloat(a[field] || 0);
-          bVal = parseFloat(b[field] || 0);
-        } else {
-          aVal = (a[field] || "").toLowerCase();
-          bVal = (b[field] || "").toLowerCase();
-          return isAsc ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
+      modal.querySelector(".wizard-save-profile").addEventListener("click", async () => {
+        const name = modal.querySelector(".wizard-profile-name").value.trim();
+        if (!name) {
+          alert("Enter a name for the mapping profile.");
+          return;
+        }
+        const mapping = {};
+        state.sourceColumns
+          .filter((source) => source.column)
+          .forEach((source) => {
+            mapping[source.header] = source.column;
+          });
+        try {
+          const response = await fetch(`${apiPath}/import/mapping-profiles`, {
+            method: "POST",
+            headers: { "Content-Type": "application/json" },
+            body: JSON.stringify({ name, sheetName: state.sheetName, headerRow: state.headerRow, mapping }),
+          });
+          const result = await response.json();
+          if (!response.ok) {
+            alert(result.message || result.error || "Failed to save the mapping profile");
+            return;
+          }
+          state.profiles = [
+            ...state.profiles.filter((profile) => profile.id !== result.profile.id),
+            result.profile,
+          ].sort((a, b) => a.name.localeCompare(b.name));
+          state.profileId = String(result.profile.id);
+          render();
+          alert(`Mapping profile "${result.profile.name}" saved.`);
+        } catch (error) {
+          console.error("Error saving mapping profile:", error);
+          alert(`Error saving mapping profile: ${error.message}`);
         }
+      });
 
-        return isAsc ? aVal - bVal : bVal - aVal;
+      const deleteButton = modal.querySelector(".wizard-delete-profile");
+      if (deleteButton) {
+        deleteButton.addEventListener("click", async () => {
+          const profile = state.profiles.find((item) => String(item.id) === String(state.profileId));
+          if (!profile || !confirm(`Delete mapping profile "${profile.name}"?`)) return;
+          try {
+            const response = await fetch(`${apiPath}/import/mapping-profiles/${profile.id}`, { method: "DELETE" });
+            if (!response.ok) {
+              const result = await response.json();
+              alert(result.message || result.error || "Failed to delete the mapping profile");
+              return;
+            }
+            state.profiles = state.profiles.filter((item) => item.id !== profile.id);
+            state.profileId = "";
+            render();
+          } catch (error) {
+            console.error("Error deleting mapping profile:", error);
+            alert(`Error deleting mapping profile: ${error.message}`);
+          }
+        });
       }
 
-      switch (sortBy) {
-        case "serial_no":
-          aVal = parseInt(a.serial_no) || 0;
-          bVal = parseInt(b.serial_no) || 0;
-          return aVal - bVal;
+      modal.querySelector(".wizard-continue").addEventListener("click", () => {
+        const mapped = state.sourceColumns.filter((source) => source.column);
+        if (mapped.length === 0) {
+          alert("Map at least one column to a register column.");
+          return;
+        }
+        const targets = mapped.map((source) => source.column);
+        const duplicate = targets.find((column, index) => targets.indexOf(column) !== index);
+        if (duplicate) {
+          alert(`More than one spreadsheet column is mapped to ${duplicate}.`);
+          return;
+        }
 
-        case "file_no":
-        case "sanction_code":
-        case "code":
-        case "np_proj":
-        case "power":
-        case "code_head":
-        case "rev_cap":
-        case "uo_no":
-        case "amendment":
-          aVal = (a[sortBy] || "").toLowerCase();
-          bVal = (b[sortBy] || "").toLowerCase();
-          return aVal.localeCompare(bVal);
+        const rows = state.sheetRows.slice(state.headerRow).map((cells) => {
+          const row = {};
+          mapped.forEach((source) => {
+            row[source.column] = cells[source.index];
+          });
+          return row;
+        });
+        if (rows.length === 0) {
+          alert("No data found below the header row.");
+          return;
+        }
+        modal.remove();
+        validateAndImport(apiPath, rows, financialYear, reload, input, {
+          mode: "insert",
+          reportMissing: false,
+          headerRow: state.headerRow,
+        });
+      });
+    };
 
-        default:
-          return 0;
+    const refresh = async () => {
+      try {
+        readSheet();
+        await suggest();
+        render();
+      } catch (error) {
+        console.error("Error preparing import mapping:", error);
+        alert(`Error reading the spreadsheet: ${error.message}`);
+        close();
       }
-    });
-  }
-
-  // Apply sort function
-  window.applySort = function (type) {
-    let sortSelect;
-
-    if (type === "supply") {
-      sortSelect = supplySortSelect;
-    } else if (type === "demand") {
-      sortSelect = demandSortSelect;
-    } else if (type === "bill") {
-      sortSelect = billSortSelect;
-    } else if (type === "gen-project") {
-      sortSelect = document.getElementById("gen-project-sort");
-    } else if (type === "misc") {
-      sortSelect = document.getElementById("misc-sort");
-    } else if (type === "training") {
-      sortSelect = document.getElementById("training-sort");
-    }
-
-    const sortBy = sortSelect ? sortSelect.value : "";
-
-    if (!sortBy) {
-      alert("Please select a sort field first");
-      return;
-    }
-
-    if (["gen-project", "misc", "training"].includes(type)) {
-      loadSanctionData(type);
-    } else {
-      loadData(type);
-    }
-  };
-
-  // Financial year change listeners
-  if (supplyFinancialYearSelect)
-    supplyFinancialYearSelect.addEventListener("change", () => {
-      currentFinancialYear = supplyFinancialYearSelect.value;
-      leaveDataRoom();
-      joinDataRoom();
-      loadData("supply");
-    });
-  if (demandFinancialYearSelect)
-    demandFinancialYearSelect.addEventListener("change", () => {
-      currentFinancialYear = demandFinancialYearSelect.value;
-      leaveDataRoom();
-      joinDataRoom();
-      loadData("demand");
-    });
-  if (billFinancialYearSelect)
-    billFinancialYearSelect.addEventListener("change", () => {
-      currentFinancialYear = billFinancialYearSelect.value;
-      leaveDataRoom();
-      joinDataRoom();
-      loadData("bill");
-    });
-  if (genProjectFinancialYearSelect)
-    genProjectFinancialYearSelect.addEventListener("change", () =>
-      loadSanctionData("gen-project"),
-    );
-  if (miscFinancialYearSelect)
-    miscFinancialYearSelect.addEventListener("change", () =>
-      loadSanctionData("misc"),
-    );
-  if (trainingFinancialYearSelect)
-    trainingFinancialYearSelect.addEventListener("change", () =>
-      loadSanctionData("training"),
-    );
+    };
 
-  // Import Excel event listeners
-  if (supplyImportExcel)
-    supplyImportExcel.addEventListener("change", (event) =>
-      handleImportExcel(event, "supply"),
-    );
-  if (demandImportExcel)
-    demandImportExcel.addEventListener("change", (event) =>
-      handleImportExcel(event, "demand"),
-    );
-  if (billImportExcel)
-    billImportExcel.addEventListener("change", (event) =>
-      handleImportExcel(event, "bill"),
-    );
-  if (genProjectImportExcel)
-    genProjectImportExcel.addEventListener("change", (event) =>
-      handleSanctionImportExcel(event, "gen-project"),
-    );
-  if (miscImportExcel)
-    miscImportExcel.addEventListener("change", (event) =>
-      handleSanctionImportExcel(event, "misc"),
-    );
-  if (trainingImportExcel)
-    trainingImportExcel.addEventListener("change", (event) =>
-      handleSanctionImportExcel(event, "training"),
-    );
+    refresh();
+  }
 
   function handleImportExcel(event, type) {
     const file = event.target.files[0];
@@ -4424,15 +8914,6 @@ document.addEventListener("DOMContentLoaded", () => {
           return;
         }
 
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet);
-
-        if (!jsonData || jsonData.length === 0) {
-          alert('No data found in the Excel file.');
-          event.target.value = "";
-          return;
-        }
-
         const financialYearSelect =
           type === "supply"
             ? supplyFinancialYearSelect
@@ -4446,34 +8927,13 @@ document.addEventListener("DOMContentLoaded", () => {
           return;
         }
 
-        console.log(`Importing ${jsonData.length} rows to ${type} orders for FY ${financialYearSelect.value}`);
-
-        fetch(`/api/${type}-orders/import`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            data: jsonData,
-            financial_year: financialYearSelect.value,
-          }),
-        })
-          .then((response) => {
-            if (response.ok) {
-              alert(`Successfully imported ${jsonData.length} rows to ${type} orders.`);
-              loadData(type);
-              event.target.value = "";
-            } else {
-              return response.text().then(text => {
-                console.error('Server response:', text);
-                alert(`Failed to import Excel file: ${text || 'Server error'}`);
-                event.target.value = "";
-              });
-            }
-          })
-          .catch((error) => {
-            console.error(`Error importing ${type} Excel:`, error);
-            alert(`Error importing Excel file: ${error.message}`);
-            event.target.value = "";
-          });
+        showImportMappingWizard(
+          workbook,
+          `/api/${type}-orders`,
+          financialYearSelect.value,
+          () => loadData(type),
+          event.target,
+        );
       } catch (error) {
         console.error(`Error processing Excel file:`, error);
         alert(`Error processing Excel file: ${error.message}`);
@@ -4515,15 +8975,6 @@ document.addEventListener("DOMContentLoaded", () => {
           return;
         }
 
-        const worksheet = workbook.Sheets[workbook.SheetNames[0]];
-        const jsonData = XLSX.utils.sheet_to_json(worksheet);
-
-        if (!jsonData || jsonData.length === 0) {
-          alert('No data found in the Excel file.');
-          event.target.value = "";
-          return;
-        }
-
         const financialYearSelect =
           type === "gen-project"
             ? genProjectFinancialYearSelect
@@ -4537,34 +8988,13 @@ document.addEventListener("DOMContentLoaded", () => {
           return;
         }
 
-        console.log(`Importing ${jsonData.length} rows to sanction ${type} for FY ${financialYearSelect.value}`);
-
-        fetch(`/api/sanction-${type}/import`, {
-          method: "POST",
-          headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({
-            data: jsonData,
-            financial_year: financialYearSelect.value,
-          }),
-        })
-          .then((response) => {
-            if (response.ok) {
-              alert(`Successfully imported ${jsonData.length} rows to sanction ${type}.`);
-              loadSanctionData(type);
-              event.target.value = "";
-            } else {
-              return response.text().then(text => {
-                console.error('Server response:', text);
-                alert(`Failed to import Excel file: ${text || 'Server error'}`);
-                event.target.value = "";
-              });
-            }
-          })
-          .catch((error) => {
-            console.error(`Error importing sanction ${type} Excel:`, error);
-            alert(`Error importing Excel file: ${error.message}`);
-            event.target.value = "";
-          });
+        showImportMappingWizard(
+          workbook,
+          `/api/sanction-${type}`,
+          financialYearSelect.value,
+          () => loadSanctionData(type),
+          event.target,
+        );
       } catch (error) {
         console.error(`Error processing Excel file:`, error);
         alert(`Error processing Excel file: ${error.message}`);
@@ -4574,60 +9004,6 @@ document.addEventListener("DOMContentLoaded", () => {
 
     reader.readAsArrayBuffer(file);
   }
-
-  function filterTable(type) {
-    const searchInput =
-      type === "supply"
-        ? supplySearchInput
-        : type === "demand"
-          ? demandSearchInput
-          : billSearchInput;
-    const tableBody =
-      type === "supply"
-        ? supplyTableBody
-        : type === "demand"
-          ? demandTableBody
-          : billTableBody;
-
-    if (!searchInput || !tableBody) return; // Exit if elements don't exist
-
-    const searchTerm = searchInput.value.toLowerCase();
-    const rows = tableBody.querySelectorAll("tr");
-
-    rows.forEach((row) => {
-      const text = Array.from(row.querySelectorAll("td"))
-        .map((cell) => cell.textContent.toLowerCase())
-        .join(" ");
-      row.style.display = text.includes(searchTerm) ? "" : "none";
-    });
-  }
-
-  function filterSanctionTable(type) {
-    const searchInput =
-      type === "gen-project"
-        ? genProjectSearchInput
-        : type === "misc"
-          ? miscSearchInput
-          : trainingSearchInput;
-    const tableBody =
-      type === "gen-project"
-        ? genProjectTableBody
-        : type === "misc"
-          ? miscTableBody
-          : trainingTableBody;
-
-    if (!searchInput || !tableBody) return; // Exit if elements don't exist
-
-    const searchTerm = searchInput.value.toLowerCase();
-    const rows = tableBody.querySelectorAll("tr");
-
-    rows.forEach((row) => {
-      const text = Array.from(row.querySelectorAll("td"))
-        .map((cell) => cell.textContent.toLowerCase())
-        .join(" ");
-      row.style.display = text.includes(searchTerm) ? "" : "none";
-    });
-  }
 });
 
 // Function to update UI based on user role and permissions
@@ -4704,13 +9080,19 @@ function updateElementsBasedOnPermissions(permissions) {
       '[onclick*="showSanctionBackups"]',
     ],
     move_records: [".arrange-buttons"],
+    renumber_records: ['[onclick*="renumberRegister"]'],
+    view_budget: ['[onclick*="showBudget"]'],
     filter_records: [
       '[onclick*="toggleAdvancedFilter"]',
       '[onclick*="applyFilter"]',
     ],
     sort_records: ['[onclick*="applySort"]'],
     view_dashboard: ["#dashboard-btn"],
-    generate_reports: ["#generate-report"],
+    generate_reports: [
+      "#generate-report",
+      '[onclick*="showReportTemplates"]',
+      '[onclick*="showReportArchive"]',
+    ],
     print_reports: ["#print-report"],
     download_pdf: ["#download-pdf"],
     compare_years: ["#compare-years"],
@@ -4748,6 +9130,9 @@ function updateElementsBasedOnPermissions(permissions) {
     theme_customization: [".theme-settings"],
     custom_reports: [".custom-reports"],
     audit_trail: [".audit-trail"],
+    view_audit_trail: ['[onclick*="showRecordHistory"]'],
+    manage_recycle_bin: ['[onclick*="showRecycleBin"]'],
+    restore_backups: [".restore-backup"],
     api_access: [".api-settings"],
     webhook_management: [".webhook-settings"],
     integration_settings: [".integration-settings"],
@@ -4916,6 +9301,7 @@ function createSuperAdminInterface() {
                 <li>view_sanction_register - Sanction Register</li>
                 <li>view_dashboard - Analytics Dashboard</li>
                 <li>view_analytics - Data Analytics</li>
+                <li>view_budget - Budget vs Actual</li>
                 <li>view_homepage_analytics - Homepage Stats</li>
                 <li>api_access - API Endpoints</li>
               </ul>
@@ -4927,6 +9313,16 @@ function createSuperAdminInterface() {
                 <li>edit_records - Modify Records</li>
                 <li>delete_records - Remove Records</li>
                 <li>move_records - Rearrange Order</li>
+                <li>renumber_records - Renumber Serial Numbers</li>
+                <li>manage_budget - Edit Budget Allotments</li>
+                <li>manage_ld_rules - Edit Liquidated Damages Rules</li>
+                <li>manage_alerts - Run Delivery Alerts and Digest</li>
+                <li>approve_records - Approve or Reject Pending Records</li>
+                <li>manage_approval_rules - Edit Approval Rules</li>
+                <li>manage_firms - Edit, Merge and Clean Up Firms</li>
+                <li>manage_items - Edit the Item Catalogue</li>
+                <li>manage_financial_years - Close, reopen and roll over financial years</li>
+                <li>edit_closed_year - Edit records of a closed financial year</li>
                 <li>import_excel - Import Excel</li>
                 <li>export_excel - Export Excel</li>
                 <li>data_export_all - Export All Data</li>
@@ -4944,6 +9340,7 @@ function createSuperAdminInterface() {
               <h4 class="font-semibold mb-1 mt-2 text-orange-600">📈 Reports & Analytics:</h4>
               <ul class="list-disc list-inside space-y-0.5">
                 <li>generate_reports - Generate Reports</li>
+                <li>manage_report_templates - Edit PDF Report Templates</li>
                 <li>print_reports - Print Reports</li>
                 <li>download_pdf - PDF Download</li>
                 <li>compare_years - Year Comparison</li>
@@ -5011,19 +9408,33 @@ function renderPermissions(containerId, permissions) {
       "view_sanction_register",
       "view_dashboard",
       "view_analytics",
+      "view_budget",
       "view_homepage_analytics",
       "api_access",
       "view_backups",
+      "restore_backups",
+      "view_audit_trail",
     ],
     "Data Operations": [
       "add_records",
       "edit_records",
       "delete_records",
       "move_records",
+      "renumber_records",
+      "manage_budget",
+      "manage_ld_rules",
+      "manage_alerts",
+      "approve_records",
+      "manage_approval_rules",
+      "manage_firms",
+      "manage_items",
+      "manage_financial_years",
+      "edit_closed_year",
       "import_excel",
       "export_excel",
       "data_export_all",
       "data_import_all",
+      "manage_recycle_bin",
     ],
     "Search & Filter": [
       "search_records",
@@ -5033,6 +9444,7 @@ function renderPermissions(containerId, permissions) {
     ],
     "Reports & Analytics": [
       "generate_reports",
+      "manage_report_templates",
       "print_reports",
       "download_pdf",
       "compare_years",
@@ -8225,6 +12637,8 @@ function switchDashboardTab(tab) {
   // Load specific data for tab
   if (tab === "overview") {
     loadDashboardData();
+  } else if (tab === "reports") {
+    loadReportTemplates();
   } else if (tab === "comparison") {
     populateComparisonYears();
   }
@@ -8659,67 +13073,61 @@ function populateDemandPipelineTable(pipelineData) {
   });
 }
 
+// Report templates the Reports tab can generate (GET /api/report-templates)
+async function loadReportTemplates() {
+  const reportTypeSelect = document.getElementById("report-type");
+  try {
+    const response = await fetch("/api/report-templates");
+    if (!response.ok) return;
+    const { templates } = await response.json();
+    const selected = reportTypeSelect.value;
+    reportTypeSelect.innerHTML = "";
+    templates.forEach((template) => {
+      reportTypeSelect.appendChild(new Option(template.title, template.name));
+    });
+    if (templates.some((template) => template.name === selected)) {
+      reportTypeSelect.value = selected;
+    }
+  } catch (error) {
+    console.error("Error loading report templates:", error);
+  }
+}
+
+// Last generated report: { url, fileName } of the PDF shown in the Reports tab
+let reportPdf = null;
+
 async function generateReport() {
-  const reportType = document.getElementById("report-type").value;
+  const reportName = document.getElementById("report-type").value;
   const reportYear = document.getElementById("report-year").value;
   const reportContent = document.getElementById("report-content");
+  if (!reportName) {
+    alert("Please select a report");
+    return;
+  }
 
   try {
-    let data = [];
-    if (reportType === "all") {
-      const [supply, demand, bill] = await Promise.all([
-        fetch(`/api/supply-orders?year=${reportYear}`).then((r) =>
-          r.json(),
-        ),
-        fetch(`/api/demand-orders?year=${reportYear}`).then((r) =>
-          r.json(),
-        ),
-        fetch(`/api/bill-orders?year=${reportYear}`).then((r) =>
-          r.json(),
-        ),
-      ]);
-
-      reportContent.innerHTML = `
-        <div class="print-content">
-          <h2 class="text-2xl font-bold mb-4">Comprehensive Report - ${reportYear}</h2>
-          <div class="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
-            <div class="text-center p-4 bg-blue-50 rounded">
-              <h3 class="font-semibold">Supply Orders</h3>
-              <p class="text-2xl font-bold text-blue-600">${supply.length}</p>
-            </div>
-            <div class="text-center p-4 bg-green-50 rounded">
-              <h3 class="font-semibold">Demand Orders</h3>
-              <p class="text-2xl font-bold text-green-600">${demand.length}</p>
-            </div>
-            <div class="text-center p-4 bg-yellow-50 rounded">
-              <h3 class="font-semibold">Bill Orders</h3>
-              <p class="text-2xl font-bold text-yellow-600">${bill.length}</p>
-            </div>
-          </div>
-          <div class="mb-4">
-            <h3 class="text-lg font-semibold mb-2">Supply Orders Summary</h3>
-            <p>Delivered: ${supply.filter((s) => s.delivery_done === "Yes").length}</p>
-            <p>Pending: ${supply.filter((s) => s.delivery_done === "No").length}</p>
-          </div>
-        </div>
-      `;
-    } else {
-      const response = await fetch(
-        `/api/${reportType}-orders?year=${reportYear}`,
-      );
-      data = await response.json();
-
-      reportContent.innerHTML = `
-        <div class="print-content">
-          <h2 class="text-2xl font-bold mb-4">${reportType.charAt(0).toUpperCase() + reportType.slice(1)} Orders Report - ${reportYear}</h2>
-          <p class="mb-4">Total Orders: <strong>${data.length}</strong></p>
-          <p class="mb-4">Generated on: <strong>${new Date().toLocaleDateString()}</strong></p>
-          <div class="text-sm text-gray-600">
-            <p>This report contains ${data.length} ${reportType} orders for the financial year ${reportYear}.</p>
-          </div>
-        </div>
-      `;
+    const response = await fetch(
+      `/api/reports/${encodeURIComponent(reportName)}.pdf?year=${encodeURIComponent(reportYear)}`,
+    );
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      alert(error.message || error.error || "Error generating report");
+      return;
     }
+    const blob = await response.blob();
+    if (reportPdf) URL.revokeObjectURL(reportPdf.url);
+    reportPdf = {
+      url: URL.createObjectURL(blob),
+      fileName: `${reportName}-${reportYear}.pdf`,
+    };
+
+    reportContent.innerHTML = "";
+    const frame = document.createElement("iframe");
+    frame.id = "report-frame";
+    frame.src = reportPdf.url;
+    frame.className = "w-full border-0";
+    frame.style.height = "75vh";
+    reportContent.appendChild(frame);
   } catch (error) {
     console.error("Error generating report:", error);
     reportContent.innerHTML =
@@ -8728,48 +13136,33 @@ async function generateReport() {
 }
 
 function printReport() {
-  const printContent = document.querySelector(".print-content");
-  if (!printContent) {
+  const frame = document.getElementById("report-frame");
+  if (!reportPdf || !frame) {
     alert("Please generate a report first");
     return;
   }
 
-  const printWindow = window.open("", "", "height=600,width=800");
-  printWindow.document.write(`
-    <html>
-      <head>
-        <title>Report</title>
-        <style>
-          body { font-family: Arial, sans-serif; margin: 20px; }
-          h2 { color: #1f2937; }
-          h3 { color: #374151; }
-          .grid { display: flex; gap: 20px; margin: 20px 0; }
-          .text-center { text-align: center; }
-          .p-4 { padding: 16px; }
-          .bg-blue-50 { background-color: #eff6ff; }
-          .bg-green-50 { background-color: #f0fdf4; }
-          .bg-yellow-50 { background-color: #fefce8; }
-          .rounded { border-radius: 8px; }
-          .font-bold { font-weight: bold; }
-          .text-2xl { font-size: 1.5rem; }
-          .text-blue-600 { color: #2563eb; }
-          .text-green-600 { color: #16a34a; }
-          .text-yellow-600 { color: #ca8a04; }
-        </style>
-      </head>
-      <body>
-        ${printContent.innerHTML}
-      </body>
-    </html>
-  `);
-  printWindow.document.close();
-  printWindow.print();
+  try {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+  } catch (error) {
+    // Some browsers do not let the page print their built-in PDF viewer
+    window.open(reportPdf.url, "_blank");
+  }
 }
 
 function downloadPDF() {
-  alert(
-    "PDF download functionality would require a PDF generation library. For now, please use the print function.",
-  );
+  if (!reportPdf) {
+    alert("Please generate a report first");
+    return;
+  }
+
+  const link = document.createElement("a");
+  link.href = reportPdf.url;
+  link.download = reportPdf.fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
 }
 
 async function compareYears() {
@@ -9186,7 +13579,7 @@ async function updateAdvancedVisualization() {
         break;
 
       case "supplier-reliability-score":
-        chartData = analyzeSupplierReliabilityScore(supplyData);
+        chartData = await fetchSupplierReliabilityScores();
         vizTitle.textContent = "Supplier Reliability Score Matrix";
         chartConfig = createReliabilityChart(chartData);
         break;
@@ -9736,25 +14129,18 @@ function analyzeProcurementCostByMode(supplyData, billData) {
   return costByMode;
 }
 
-function analyzeSupplierReliabilityScore(data) {
-  const suppliers = {};
-  data.forEach((item) => {
-    const firm = item.firm_name || "Unknown";
-    if (!suppliers[firm]) suppliers[firm] = { total: 0, onTime: 0, delayed: 0 };
-    suppliers[firm].total++;
-
-    if (item.delivery_done === "Yes") {
-      const deliveryDate = new Date(item.actual_delivery_date);
-      const originalDate = new Date(item.original_date);
-      if (deliveryDate <= originalDate) suppliers[firm].onTime++;
-      else suppliers[firm].delayed++;
-    }
-  });
-
+// On-time delivery percentage of each firm in the firms master, from its server-side scorecard
+async function fetchSupplierReliabilityScores() {
+  const response = await fetch(
+    `/api/firms/scorecards?year=${encodeURIComponent(currentFinancialYear)}`,
+  );
+  const scorecards = await response.json();
   const scores = {};
-  Object.entries(suppliers).forEach(([firm, stats]) => {
-    scores[firm] = stats.total > 0 ? (stats.onTime / stats.total) * 100 : 0;
-  });
+  scorecards
+    .filter((card) => card.on_time_percent !== null)
+    .forEach((card) => {
+      scores[card.name] = card.on_time_percent;
+    });
   return scores;
 }
 
@@ -0,0 +1,89 @@
+/**
+ * Soft edit locks: who currently has a register row open for editing
+ * Locks are advisory - they are shown to other users of the register but do not block a save
+ * (optimistic locking on the row version catches conflicting writes). They live in memory and
+ * belong to a socket, so a closed tab releases its locks on disconnect.
+ */
+
+// "<type>:<financialYear>:<id>" -> Map of socket id -> { username, since }
+const editLocks = new Map();
+
+function lockKey(type, financialYear, id) {
+    return `${type}:${financialYear}:${id}`;
+}
+
+function describeLock(key) {
+    const [type, financialYear, id] = key.split(":");
+    const editors = Array.from((editLocks.get(key) || new Map()).values());
+    return { type, financialYear, id: Number(id), editors };
+}
+
+/**
+ * Marks a row as being edited by the user of a socket
+ * @param {Object} lock - { type, financialYear, id }
+ * @param {string} socketId - Socket holding the lock
+ * @param {string} username - Session username
+ * @returns {Object} - { type, financialYear, id, editors: [{ username, since }] }
+ * Used by: server.js record-edit-start socket event
+ */
+function acquireEditLock({ type, financialYear, id }, socketId, username) {
+    const key = lockKey(type, financialYear, id);
+    if (!editLocks.has(key)) {
+        editLocks.set(key, new Map());
+    }
+    editLocks.get(key).set(socketId, { username, since: new Date().toISOString() });
+    return describeLock(key);
+}
+
+/**
+ * Releases the lock a socket holds on a row
+ * @param {Object} lock - { type, financialYear, id }
+ * @param {string} socketId - Socket holding the lock
+ * @returns {Object|null} - The row's remaining editors, or null if the socket held no lock on it
+ * Used by: server.js record-edit-end socket event
+ */
+function releaseEditLock({ type, financialYear, id }, socketId) {
+    const key = lockKey(type, financialYear, id);
+    const holders = editLocks.get(key);
+    if (!holders || !holders.delete(socketId)) return null;
+    const lock = describeLock(key);
+    if (holders.size === 0) editLocks.delete(key);
+    return lock;
+}
+
+/**
+ * Releases every lock of a socket
+ * @param {string} socketId - Disconnected socket
+ * @returns {Array} - The rows whose editors changed, with their remaining editors
+ * Used by: server.js socket disconnect
+ */
+function releaseSocketLocks(socketId) {
+    const released = [];
+    for (const [key, holders] of editLocks.entries()) {
+        if (!holders.delete(socketId)) continue;
+        released.push(describeLock(key));
+        if (holders.size === 0) editLocks.delete(key);
+    }
+    return released;
+}
+
+/**
+ * Lists the rows of a register and year that are open for editing
+ * @param {string} type - Register type
+ * @param {string} financialYear - Financial year
+ * @returns {Array} - [{ type, financialYear, id, editors }]
+ * Used by: server.js join-room socket event
+ */
+function getEditLocks(type, financialYear) {
+    const prefix = `${type}:${financialYear}:`;
+    return Array.from(editLocks.keys())
+        .filter((key) => key.startsWith(prefix))
+        .map(describeLock);
+}
+
+module.exports = {
+    acquireEditLock,
+    releaseEditLock,
+    releaseSocketLocks,
+    getEditLocks,
+};
@@ -0,0 +1,143 @@
+const pool = require("./db");
+const { REGISTER_TABLES } = require("./registers");
+const { lockSerials } = require("./serials");
+
+/**
+ * Adds the soft delete columns (deleted_at, deleted_by) to every register table
+ * Rows with a non-null deleted_at are in the recycle bin and hidden from every list, dashboard and backup
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeRecycleBin() {
+    for (const tableName of Object.values(REGISTER_TABLES)) {
+        const alterations = [
+            `ALTER TABLE ${tableName} ADD COLUMN deleted_at DATETIME NULL DEFAULT NULL`,
+            `ALTER TABLE ${tableName} ADD COLUMN deleted_by VARCHAR(50) NULL DEFAULT NULL`,
+            `ALTER TABLE ${tableName} ADD INDEX idx_${tableName}_deleted_at (deleted_at)`,
+        ];
+        for (const statement of alterations) {
+            try {
+                await pool.query(statement);
+            } catch (error) {
+                // Column or index already exists
+                if (error.code !== "ER_DUP_FIELDNAME" && error.code !== "ER_DUP_KEYNAME") {
+                    console.error(`Error adding soft delete columns to ${tableName}:`, error);
+                }
+            }
+        }
+    }
+    console.log("Recycle bin columns initialized");
+}
+
+/**
+ * Moves a register record to the recycle bin
+ * @param {string} tableName - Register table
+ * @param {number|string} id - Record id
+ * @param {string} username - Session username performing the delete
+ * @returns {boolean} - True if a live record was trashed
+ * Used by: server.js DELETE endpoints for all registers
+ * Dependencies: db.js (pool)
+ */
+async function softDeleteRecord(tableName, id, username) {
+    const [result] = await pool.query(
+        `UPDATE ${tableName} SET deleted_at = NOW(), deleted_by = ? WHERE id = ? AND deleted_at IS NULL`,
+        [username || null, id]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Lists the trashed records of a register, most recently deleted first
+ * @param {string} tableName - Register table
+ * @param {string} financialYear - Optional financial year filter
+ * @returns {Array} - Trashed rows
+ * Used by: server.js recycle bin endpoint (/api/recycle-bin/:type)
+ * Dependencies: db.js (pool)
+ */
+async function getTrashedRecords(tableName, financialYear = null) {
+    const params = [];
+    let query = `SELECT * FROM ${tableName} WHERE deleted_at IS NOT NULL`;
+    if (financialYear) {
+        query += " AND financial_year = ?";
+        params.push(financialYear);
+    }
+    query += " ORDER BY deleted_at DESC";
+
+    const [rows] = await pool.query(query, params);
+    return rows;
+}
+
+/**
+ * Restores a trashed record back into its register
+ * If its serial number was reused while it was in the bin, it is moved to the end of its financial year
+ * beforeCommit gets the transaction's connection and the restore as [{ after, before: null }]
+ * @param {string} tableName - Register table
+ * @param {number|string} id - Record id
+ * @param {Function|null} beforeCommit - (connection, changes) => Promise, e.g. the approval step
+ * @returns {Object|null} - The restored row, or null if no trashed record has this id
+ * Used by: server.js recycle bin restore endpoint
+ * Dependencies: db.js (pool), serials.js (lockSerials)
+ */
+async function restoreRecord(tableName, id, beforeCommit = null) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [rows] = await connection.query(
+            `SELECT * FROM ${tableName} WHERE id = ? AND deleted_at IS NOT NULL`,
+            [id]
+        );
+        const record = rows[0];
+        if (!record) {
+            await connection.rollback();
+            return null;
+        }
+
+        const maxSerialNo = await lockSerials(connection, tableName, record.financial_year);
+        const [conflicts] = await connection.query(
+            `SELECT COUNT(*) as count FROM ${tableName}
+             WHERE financial_year = ? AND serial_no = ? AND deleted_at IS NULL`,
+            [record.financial_year, record.serial_no]
+        );
+        const serialNo = conflicts[0].count > 0 ? maxSerialNo + 1 : record.serial_no;
+
+        await connection.query(
+            `UPDATE ${tableName} SET deleted_at = NULL, deleted_by = NULL, serial_no = ?, version = version + 1 WHERE id = ?`,
+            [serialNo, id]
+        );
+        const restored = { ...record, serial_no: serialNo, deleted_at: null, deleted_by: null };
+        if (beforeCommit) {
+            await beforeCommit(connection, [{ after: restored, before: null }]);
+        }
+        await connection.commit();
+        return restored;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Permanently deletes a trashed record; live records cannot be purged
+ * @param {string} tableName - Register table
+ * @param {number|string} id - Record id
+ * @returns {boolean} - True if a trashed record was purged
+ * Used by: server.js recycle bin purge endpoint
+ * Dependencies: db.js (pool)
+ */
+async function purgeRecord(tableName, id) {
+    const [result] = await pool.query(
+        `DELETE FROM ${tableName} WHERE id = ? AND deleted_at IS NOT NULL`,
+        [id]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    initializeRecycleBin,
+    softDeleteRecord,
+    getTrashedRecords,
+    restoreRecord,
+    purgeRecord,
+};
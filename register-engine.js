@@ -0,0 +1,458 @@
+const pool = require("./db");
+const { parseDateValue, parseNumberValue, validateRow } = require("./importer");
+const { insertWithSerial, updateWithSerial } = require("./serials");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+const MAX_SORT_COLUMNS = 5;
+
+// Values offered per column by the filter dropdowns
+const FILTER_OPTION_LIMIT = 200;
+
+// Financial years one query may span
+const MAX_PERIOD_YEARS = 20;
+
+/**
+ * Adds the FULLTEXT index that list searches (`q`) run against, for registers that declare searchColumns
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection), registers.js
+ */
+async function initializeRegisterSearch(registers) {
+    for (const register of Object.values(registers)) {
+        if (!register.searchColumns) continue;
+        try {
+            await pool.query(
+                `ALTER TABLE ${register.table} ADD FULLTEXT INDEX ft_${register.table}_search (${register.searchColumns.join(", ")})`
+            );
+        } catch (error) {
+            // Index already exists
+            if (error.code !== "ER_DUP_KEYNAME") {
+                console.error(`Error adding search index to ${register.table}:`, error);
+            }
+        }
+    }
+    console.log("Register search indexes initialized");
+}
+
+/**
+ * Adds the version column every register row carries for optimistic locking
+ * Each write to a row increments it; an edit carries the version it was loaded at and is refused if the row moved on
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeRecordVersions(registers) {
+    for (const register of Object.values(registers)) {
+        try {
+            await pool.query(`ALTER TABLE ${register.table} ADD COLUMN version INT NOT NULL DEFAULT 1`);
+        } catch (error) {
+            // Column already exists
+            if (error.code !== "ER_DUP_FIELDNAME") {
+                console.error(`Error adding version column to ${register.table}:`, error);
+            }
+        }
+    }
+    console.log("Register record versions initialized");
+}
+
+/**
+ * Builds the SELECT list of a register: id, its columns, financial_year, version and approval_status
+ * DATE columns are formatted in SQL so the client gets YYYY-MM-DD regardless of the server timezone
+ * @param {Object} register - Entry of REGISTERS
+ * @returns {string} - Column list for a SELECT
+ */
+function getSelectList(register) {
+    const columns = register.columns.map((column) =>
+        column.type === "date" ? `DATE_FORMAT(${column.name}, '%Y-%m-%d') as ${column.name}` : column.name
+    );
+    return ["id", ...columns, "financial_year", "version", "approval_status"].join(", ");
+}
+
+/**
+ * Parses a record sent by the register forms with the same rules as the Excel import
+ * The forms send empty inputs as "" and unset values as the string "null"; both become NULL
+ * @param {Object} register - Entry of REGISTERS
+ * @param {Object} body - Request body
+ * @returns {Object} - { values, errors }
+ * Used by: server.js register create/update endpoints
+ * Dependencies: importer.js (validateRow)
+ */
+function parseRecordInput(register, body) {
+    const raw = {};
+    for (const column of register.columns) {
+        const value = body[column.name];
+        raw[column.name] = value === "null" ? null : value;
+    }
+    const { values, errors } = validateRow(register, raw);
+    return { values, errors };
+}
+
+/**
+ * Parses a filter operand for a column: numbers and dates are checked, text is trimmed
+ * @returns {Object} - { value } or { error }
+ */
+function parseFilterValue(column, value) {
+    const text = String(value).trim();
+    if (column.type === "int" || column.type === "decimal") return parseNumberValue(text, false);
+    if (column.type === "date") return parseDateValue(text);
+    return { value: text };
+}
+
+/**
+ * Parses the period a register query covers: financial years, a date range, or both (rows must match both)
+ *   year=2024-2025                  - one financial year
+ *   years=2022-2023,2023-2024       - several financial years (comma separated or repeated)
+ *   from=2023-01-01&to=2025-03-31   - inclusive range on the register's dateColumn, across financial years
+ *   dateColumn=original_date        - run the range on another date column of the register
+ * @param {Object} register - Entry of REGISTERS
+ * @param {Object} query - req.query
+ * @returns {Object} - { period: { years, dateColumn, from, to } } or { error }
+ * Used by: parseListQuery(), server.js filter options, dashboard and public endpoints
+ */
+function parsePeriodQuery(register, query = {}) {
+    const years = [...new Set(
+        [query.year, ...[].concat(query.years || []).flatMap((value) => String(value).split(","))]
+            .map((year) => String(year || "").trim())
+            .filter(Boolean)
+    )];
+    if (years.length > MAX_PERIOD_YEARS) {
+        return { error: `At most ${MAX_PERIOD_YEARS} financial years can be queried at once` };
+    }
+
+    const dateColumn = query.dateColumn || register.dateColumn;
+    if (!register.columns.some((column) => column.name === dateColumn && column.type === "date")) {
+        return { error: `${dateColumn} is not a date column of ${register.label}` };
+    }
+    const range = { from: null, to: null };
+    for (const bound of ["from", "to"]) {
+        if (query[bound] === undefined || query[bound] === "") continue;
+        const parsed = parseDateValue(query[bound]);
+        if (parsed.error) {
+            return { error: `${bound} ${parsed.error}` };
+        }
+        range[bound] = parsed.value;
+    }
+    if (range.from && range.to && range.from > range.to) {
+        return { error: "from must not be after to" };
+    }
+    return { period: { years, dateColumn, ...range } };
+}
+
+/**
+ * Tells whether a period restricts anything
+ * @param {Object} period - parsePeriodQuery() result
+ * @returns {boolean}
+ */
+function isEmptyPeriod(period) {
+    return !period || (period.years.length === 0 && !period.from && !period.to);
+}
+
+/**
+ * SQL conditions of a period
+ * @param {Object} period - parsePeriodQuery() result
+ * @param {string} prefix - Table alias and dot ("s.") for queries that join other tables
+ * @returns {Object} - { conditions: [...], params: [...] }; both empty for an empty period
+ * Used by: buildListWhere(), getFilterOptions(), server.js dashboard and public endpoints
+ */
+function buildPeriodConditions(period, prefix = "") {
+    const conditions = [];
+    const params = [];
+    if (period.years.length > 0) {
+        conditions.push(`${prefix}financial_year IN (?)`);
+        params.push(period.years);
+    }
+    if (period.from) {
+        conditions.push(`${prefix}${period.dateColumn} >= ?`);
+        params.push(period.from);
+    }
+    if (period.to) {
+        conditions.push(`${prefix}${period.dateColumn} <= ?`);
+        params.push(period.to);
+    }
+    return { conditions, params };
+}
+
+/**
+ * SQL condition of the rows that count as live in totals, dashboards, reports and the public pages:
+ * rows no approval rule matched (no status) and approved rows. Pending and rejected rows only show in their register
+ * and the global search.
+ * @param {string} prefix - Table alias and dot, for queries that join other tables
+ * @returns {string}
+ */
+function liveCondition(prefix = "") {
+    return `(${prefix}approval_status IS NULL OR ${prefix}approval_status = 'approved')`;
+}
+
+/**
+ * Parses the list query string of a register endpoint
+ *   year=2024-2025 / years=... / from=...&to=...&dateColumn=... - the period, see parsePeriodQuery()
+ *   sort=so_date:desc,serial_no     - up to five columns, asc unless ":desc"
+ *   filter[firm_name]=ABC           - equals (also filter[col][eq])
+ *   filter[build_up][from]=100&filter[build_up][to]=500 - inclusive range, for numbers and dates
+ *   filter[nomenclature][contains]=cable
+ *   q=cable                         - full-text search on the register's searchColumns
+ *   page=2&pageSize=50              - paginate (without page, every matching row is returned)
+ * Unknown sort columns fall back to serial_no as before; unknown filter columns and malformed values are errors.
+ * @param {Object} register - Entry of REGISTERS
+ * @param {Object} query - req.query
+ * @returns {Object} - { options } or { error }
+ * Used by: server.js register list endpoints
+ */
+function parseListQuery(register, query) {
+    const columnsByName = new Map(register.columns.map((column) => [column.name, column]));
+
+    const { period, error: periodError } = parsePeriodQuery(register, query);
+    if (periodError) {
+        return { error: periodError };
+    }
+    if (isEmptyPeriod(period)) {
+        return { error: "year, years or a from/to date range is required" };
+    }
+
+    const sort = String(query.sort || "")
+        .split(",")
+        .map((part) => part.trim())
+        .filter(Boolean)
+        .map((part) => {
+            const [name, direction] = part.split(":");
+            return { column: name, descending: String(direction).toLowerCase() === "desc" };
+        })
+        .filter((item) => columnsByName.has(item.column))
+        .slice(0, MAX_SORT_COLUMNS);
+
+    const filters = [];
+    const rawFilters = query.filter && typeof query.filter === "object" ? query.filter : {};
+    for (const [name, condition] of Object.entries(rawFilters)) {
+        const column = columnsByName.get(name);
+        if (!column) {
+            return { error: `Unknown filter column: ${name}` };
+        }
+        const operators = condition && typeof condition === "object" ? condition : { eq: condition };
+        for (const [operator, operand] of Object.entries(operators)) {
+            if (operand === undefined || operand === "") continue;
+            if (!["eq", "from", "to", "contains"].includes(operator)) {
+                return { error: `Unknown filter operator for ${name}: ${operator}` };
+            }
+            if ((operator === "from" || operator === "to") && !["int", "decimal", "date"].includes(column.type)) {
+                return { error: `${name} does not support range filters` };
+            }
+            const parsed = operator === "contains" ? { value: String(operand).trim() } : parseFilterValue(column, operand);
+            if (parsed.error) {
+                return { error: `filter ${name}: ${parsed.error}` };
+            }
+            filters.push({ column: name, operator, value: parsed.value });
+        }
+    }
+
+    let page = null;
+    let pageSize = null;
+    if (query.page !== undefined) {
+        page = Math.max(parseInt(query.page, 10) || 1, 1);
+        pageSize = Math.min(Math.max(parseInt(query.pageSize, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    }
+
+    return {
+        options: {
+            period,
+            sort,
+            filters,
+            search: String(query.q || "").trim(),
+            page,
+            pageSize,
+        },
+    };
+}
+
+/**
+ * Builds the WHERE clause shared by the list and count queries
+ * The period limits the financial years and/or the date range. Search terms of three or more characters use the FULLTEXT index (prefix match); shorter input falls back to LIKE.
+ * Text columns of the natural key (e.g. supply_order_no) also match on their prefix.
+ * @returns {Object} - { where, params }
+ */
+function buildListWhere(register, { period, filters = [], search = "" }) {
+    const { conditions, params } = buildPeriodConditions(period);
+    const where = [...conditions, "deleted_at IS NULL"];
+
+    for (const filter of filters) {
+        if (filter.operator === "eq") {
+            where.push(`${filter.column} = ?`);
+            params.push(filter.value);
+        } else if (filter.operator === "from") {
+            where.push(`${filter.column} >= ?`);
+            params.push(filter.value);
+        } else if (filter.operator === "to") {
+            where.push(`${filter.column} <= ?`);
+            params.push(filter.value);
+        } else if (filter.operator === "contains") {
+            where.push(`${filter.column} LIKE ?`);
+            params.push(`%${filter.value}%`);
+        }
+    }
+
+    if (search) {
+        const clauses = [];
+        const searchColumns = register.searchColumns || [];
+        const terms = search
+            .replace(/[+\-<>()~*"@]/g, " ")
+            .split(/\s+/)
+            .filter((term) => term.length >= 3);
+        if (searchColumns.length > 0 && terms.length > 0) {
+            clauses.push(`MATCH(${searchColumns.join(", ")}) AGAINST (? IN BOOLEAN MODE)`);
+            params.push(terms.map((term) => `+${term}*`).join(" "));
+        } else {
+            for (const column of searchColumns) {
+                clauses.push(`${column} LIKE ?`);
+                params.push(`%${search}%`);
+            }
+        }
+        const keyColumns = register.columns.filter(
+            (column) => register.naturalKey.includes(column.name) && column.type === "text"
+        );
+        for (const column of keyColumns) {
+            clauses.push(`${column.name} LIKE ?`);
+            params.push(`${search}%`);
+        }
+        if (clauses.length > 0) {
+            where.push(`(${clauses.join(" OR ")})`);
+        }
+    }
+
+    return { where: where.join(" AND "), params };
+}
+
+/**
+ * Lists the live records of a period, filtered, searched, sorted and optionally paginated
+ * @param {Object} register - Entry of REGISTERS
+ * @param {Object} options - From parseListQuery(): { period, sort, filters, search, page, pageSize }
+ * @returns {Object} - { rows, total } (total counts every matching row, not just the page)
+ * Used by: server.js register list endpoints
+ * Dependencies: db.js (pool)
+ */
+async function listRecords(register, options) {
+    const { where, params } = buildListWhere(register, options);
+    const sort = options.sort && options.sort.length > 0 ? options.sort : [{ column: "serial_no", descending: false }];
+    // Serial numbers restart every year, so the default order of a period that spans years goes year by year;
+    // id keeps the order stable across pages when the sort columns tie
+    const yearOrder = options.period.years.length === 1 || (options.sort && options.sort.length > 0) ? [] : ["financial_year ASC"];
+    const orderBy = [...yearOrder, ...sort.map((item) => `${item.column} ${item.descending ? "DESC" : "ASC"}`), "id ASC"].join(", ");
+
+    let query = `SELECT ${getSelectList(register)} FROM ${register.table} WHERE ${where} ORDER BY ${orderBy}`;
+    const queryParams = [...params];
+    if (options.page) {
+        query += " LIMIT ? OFFSET ?";
+        queryParams.push(options.pageSize, (options.page - 1) * options.pageSize);
+    }
+    const [rows] = await pool.query(query, queryParams);
+
+    if (!options.page) {
+        return { rows, total: rows.length };
+    }
+    const [countRows] = await pool.query(`SELECT COUNT(*) as total FROM ${register.table} WHERE ${where}`, params);
+    return { rows, total: Number(countRows[0].total) };
+}
+
+/**
+ * Distinct values of each column in a period, for the advanced filter dropdowns
+ * @param {Object} register - Entry of REGISTERS
+ * @param {Object} period - parsePeriodQuery() result
+ * @returns {Object} - { columns: [{ name, type }], values: { column: [values] } }
+ * Used by: server.js register filter-options endpoints
+ * Dependencies: db.js (pool)
+ */
+async function getFilterOptions(register, period) {
+    const { conditions, params } = buildPeriodConditions(period);
+    const values = {};
+    for (const column of register.columns) {
+        const select = column.type === "date" ? `DATE_FORMAT(${column.name}, '%Y-%m-%d')` : column.name;
+        const [rows] = await pool.query(
+            `SELECT DISTINCT ${select} as value FROM ${register.table}
+             WHERE ${[...conditions, "deleted_at IS NULL", `${column.name} IS NOT NULL`].join(" AND ")}
+             ORDER BY value LIMIT ?`,
+            [...params, FILTER_OPTION_LIMIT]
+        );
+        values[column.name] = rows.map((row) => row.value);
+    }
+    return {
+        columns: register.columns.map((column) => ({ name: column.name, type: column.type })),
+        values,
+    };
+}
+
+/**
+ * Loads one live record
+ * @param {Object} register - Entry of REGISTERS
+ * @param {number|string} id - Record id
+ * @returns {Object|null} - The row, or null if it does not exist or is in the recycle bin
+ */
+async function getRecord(register, id) {
+    const [rows] = await pool.query(
+        `SELECT ${getSelectList(register)} FROM ${register.table} WHERE id = ? AND deleted_at IS NULL`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+/**
+ * Returns the highest serial number used by live records of a financial year
+ * @param {Object} register - Entry of REGISTERS
+ * @param {string} financialYear - Financial year
+ * @returns {number} - Highest serial number, 0 for an empty year
+ */
+async function getMaxSerial(register, financialYear) {
+    const [rows] = await pool.query(
+        `SELECT MAX(serial_no) as maxSerialNo FROM ${register.table} WHERE financial_year = ? AND deleted_at IS NULL`,
+        [financialYear]
+    );
+    return rows[0].maxSerialNo || 0;
+}
+
+/**
+ * Inserts a record with the next serial number of its financial year
+ * The serial number is allocated under the year's serial lock (serials.js), so concurrent inserts never share one;
+ * a serial number in values is ignored. Rows are placed elsewhere afterwards with a move or reorder.
+ * @param {Object} register - Entry of REGISTERS
+ * @param {Object} values - Parsed column values (parseRecordInput)
+ * @param {string} financialYear - Financial year
+ * @param {Function|null} beforeCommit - (connection, changes) => Promise run inside the insert's transaction
+ * @returns {Object} - { id, serial_no } of the new record
+ */
+async function createRecord(register, values, financialYear, beforeCommit = null) {
+    return insertWithSerial(register.table, { ...values, financial_year: financialYear }, beforeCommit);
+}
+
+/**
+ * Overwrites every column of a live record except its serial number and moves it to the next version
+ * With expectedVersion the write only applies if nobody else has written the record since it was loaded.
+ * A record moved to another financial year gets the next serial number of that year under its serial lock.
+ * @param {Object} register - Entry of REGISTERS
+ * @param {number|string} id - Record id
+ * @param {Object} values - Parsed column values (parseRecordInput)
+ * @param {string} financialYear - Financial year
+ * @param {number|null} expectedVersion - Version the edit was made against; null skips the check
+ * @param {Function|null} beforeCommit - (connection, changes) => Promise run inside the update's transaction
+ * @returns {Object} - { updated: true }, or { updated: false, current } where current is the row as it
+ *                     now stands (null if it does not exist or is in the recycle bin)
+ */
+async function updateRecord(register, id, values, financialYear, expectedVersion = null, beforeCommit = null) {
+    if (await updateWithSerial(register.table, id, { ...values, financial_year: financialYear }, expectedVersion, beforeCommit)) {
+        return { updated: true };
+    }
+    return { updated: false, current: await getRecord(register, id) };
+}
+
+module.exports = {
+    initializeRegisterSearch,
+    initializeRecordVersions,
+    getSelectList,
+    parseRecordInput,
+    parsePeriodQuery,
+    isEmptyPeriod,
+    buildPeriodConditions,
+    liveCondition,
+    parseListQuery,
+    listRecords,
+    getFilterOptions,
+    getRecord,
+    getMaxSerial,
+    createRecord,
+    updateRecord,
+};
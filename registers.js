@@ -0,0 +1,212 @@
+/**
+ * Register definitions: one entry drives a register's API routes (server.js), import, backups, restore and recycle bin
+ * Adding a register means adding its table to the schema and an entry here.
+ *
+ * Each register lists its data columns (everything except id, financial_year and bookkeeping columns)
+ * with the type the database expects:
+ *   int / decimal - numeric columns
+ *   date          - DATE columns, YYYY-MM-DD
+ *   text          - VARCHAR/TEXT, maxLength mirrors the VARCHAR size
+ *   enum          - one of `values` (mirrors the CHECK constraints)
+ * naturalKey lists the business identifier columns that merge imports match existing rows on
+ * aliases are other headers the column appears under in department spreadsheets (used to suggest import mappings)
+ * searchColumns are the free-text columns the list `q` search runs on (they get a FULLTEXT index)
+ * globalSearch lists the columns the cross-register search (/api/search) runs on: identifiers (order, demand and
+ *   sanction numbers) rank exact and prefix matches first, text columns are matched through a FULLTEXT index
+ * amountColumns add up to the record's value (approval thresholds)
+ * dateColumn is the date a from/to range query runs on unless the query names another date column
+ * backupKey names the backups/ sub-directory and the /api/<backupKey>-backups listing
+ * permissions names the permission each kind of access requires (null = any logged-in user)
+ * updateExcludes lists columns the generic edit (PUT) and merge imports leave as they are, because another endpoint owns them
+ */
+
+const DEFAULT_PERMISSIONS = {
+    view: null,
+    create: "add_records",
+    update: "edit_records",
+    delete: "delete_records",
+    move: "move_records",
+    renumber: "renumber_records",
+    import: "import_excel",
+    backups: "view_backups",
+};
+
+const REV_CAP_VALUES = ["R", "C"];
+
+// The register form writes Yes/No; the CHECK in complete_database_schema.sql uses the longer labels
+const DELIVERY_DONE_VALUES = ["Yes", "No", "Completed", "In Progress", "Pending"];
+
+const SERIAL_NO_ALIASES = ["S No", "Sl No", "Sr No", "Serial Number"];
+
+const SANCTION_COLUMNS = [
+    { name: "serial_no", type: "int", aliases: SERIAL_NO_ALIASES },
+    { name: "date", type: "date", aliases: ["Sanction Date"] },
+    { name: "file_no", type: "text", maxLength: 255 },
+    { name: "sanction_code", type: "text", maxLength: 255 },
+    { name: "code", type: "text", maxLength: 255 },
+    { name: "np_proj", type: "text", maxLength: 255 },
+    { name: "power", type: "text", maxLength: 255 },
+    { name: "code_head", type: "text", maxLength: 255 },
+    { name: "rev_cap", type: "enum", values: REV_CAP_VALUES, aliases: ["Rev/Cap", "Revenue Capital"] },
+    { name: "amount", type: "decimal", aliases: ["Sanctioned Amount"] },
+    { name: "uo_no", type: "text", maxLength: 255, aliases: ["U.O. Number"] },
+    { name: "uo_date", type: "date" },
+    { name: "amendment", type: "text" },
+];
+
+const SANCTION_NATURAL_KEY = ["sanction_code", "uo_no"];
+
+// Sanction registers have no nomenclature/remarks; the amendment text is their free-text field
+const SANCTION_SEARCH_COLUMNS = ["amendment"];
+
+const SANCTION_GLOBAL_SEARCH = { identifiers: ["sanction_code", "uo_no", "file_no"], text: ["amendment"] };
+
+const REGISTERS = {
+    supply: {
+        table: "supply_orders",
+        path: "supply-orders",
+        backupKey: "supply",
+        permissions: DEFAULT_PERMISSIONS,
+        naturalKey: ["supply_order_no"],
+        searchColumns: ["nomenclature", "remarks"],
+        globalSearch: { identifiers: ["supply_order_no", "imms_demand_no"], text: ["firm_name", "nomenclature", "remarks"] },
+        label: "Supply Orders",
+        dateColumn: "so_date",
+        amountColumns: ["build_up", "maint", "misc", "project_less_2cr", "project_more_2cr"],
+        columns: [
+            { name: "serial_no", type: "int", aliases: SERIAL_NO_ALIASES },
+            { name: "supply_order_no", type: "text", maxLength: 255, unique: true, aliases: ["S.O. No", "Supply Order Number"] },
+            { name: "so_date", type: "date", aliases: ["S.O. Date", "Supply Order Date"] },
+            { name: "firm_name", type: "text", maxLength: 255, aliases: ["Firm", "Vendor", "Supplier"] },
+            { name: "nomenclature", type: "text", aliases: ["Item", "Description"] },
+            { name: "quantity", type: "text", maxLength: 100, aliases: ["Qty"] },
+            { name: "original_date", type: "date", aliases: ["Original DP", "Delivery Period", "DP"] },
+            { name: "revised_date1", type: "date", aliases: ["Revised DP 1", "Revised Date 1"] },
+            { name: "revised_date2", type: "date", aliases: ["Revised DP 2", "Revised Date 2"] },
+            { name: "revised_date3", type: "date", aliases: ["Revised DP 3", "Revised Date 3"] },
+            { name: "build_up", type: "decimal" },
+            { name: "maint", type: "decimal", aliases: ["Maintenance"] },
+            { name: "misc", type: "decimal" },
+            { name: "project_less_2cr", type: "decimal", aliases: ["Project < 2 Cr"] },
+            { name: "project_more_2cr", type: "decimal", aliases: ["Project > 2 Cr"] },
+            { name: "project_no_pdc", type: "text", maxLength: 255, aliases: ["Project No / PDC"] },
+            { name: "p_np", type: "enum", values: ["P", "NP"] },
+            { name: "expenditure_head", type: "text", maxLength: 255, aliases: ["Exp Head"] },
+            { name: "rev_cap", type: "enum", values: REV_CAP_VALUES },
+            { name: "imms_demand_no", type: "text", maxLength: 255, aliases: ["Demand No"] },
+            { name: "actual_delivery_date", type: "date", aliases: ["Date of Delivery"] },
+            { name: "procurement_mode", type: "text", maxLength: 100, aliases: ["Mode of Procurement"] },
+            { name: "delivery_done", type: "enum", values: DELIVERY_DONE_VALUES, aliases: ["Delivered", "Delivery Status"] },
+            { name: "remarks", type: "text" },
+        ],
+    },
+    demand: {
+        table: "demand_orders",
+        path: "demand-orders",
+        backupKey: "demand",
+        permissions: DEFAULT_PERMISSIONS,
+        naturalKey: ["imms_demand_no"],
+        searchColumns: ["nomenclature", "remarks"],
+        globalSearch: { identifiers: ["imms_demand_no", "mmg_control_no", "imms_control_no"], text: ["nomenclature", "remarks"] },
+        label: "Demand Orders",
+        dateColumn: "demand_date",
+        amountColumns: ["est_cost"],
+        columns: [
+            { name: "serial_no", type: "int", aliases: SERIAL_NO_ALIASES },
+            { name: "imms_demand_no", type: "text", maxLength: 255, aliases: ["Demand No"] },
+            { name: "demand_date", type: "date" },
+            { name: "mmg_control_no", type: "text", maxLength: 255 },
+            { name: "control_date", type: "date" },
+            { name: "nomenclature", type: "text" },
+            { name: "quantity", type: "text", maxLength: 100 },
+            { name: "expenditure_head", type: "text", maxLength: 255, aliases: ["Exp Head"] },
+            { name: "code_head", type: "text", maxLength: 255 },
+            { name: "rev_cap", type: "enum", values: REV_CAP_VALUES },
+            { name: "procurement_mode", type: "text", maxLength: 100 },
+            { name: "est_cost", type: "decimal", aliases: ["Estimated Cost"] },
+            { name: "imms_control_no", type: "text", maxLength: 255 },
+            { name: "supply_order_placed", type: "enum", values: ["Yes", "No"], default: "No", aliases: ["S.O. Placed"] },
+            { name: "remarks", type: "text" },
+        ],
+    },
+    bill: {
+        table: "bill_orders",
+        path: "bill-orders",
+        backupKey: "bill",
+        permissions: DEFAULT_PERMISSIONS,
+        naturalKey: ["supply_order_no", "bill_control_date"],
+        searchColumns: ["remarks"],
+        globalSearch: { identifiers: ["supply_order_no", "project_no"], text: ["firm_name", "remarks"] },
+        label: "Bill Orders",
+        dateColumn: "bill_control_date",
+        amountColumns: ["build_up", "maintenance", "project_less_2cr", "project_more_2cr"],
+        // LD is set through /api/ld/bills/:id, which records the reason for overriding the suggested amount
+        updateExcludes: ["ld_amount"],
+        columns: [
+            { name: "serial_no", type: "int", aliases: SERIAL_NO_ALIASES },
+            { name: "bill_control_date", type: "date", aliases: ["Bill Date"] },
+            { name: "firm_name", type: "text", maxLength: 255, aliases: ["Firm", "Vendor", "Supplier"] },
+            { name: "supply_order_no", type: "text", maxLength: 255, aliases: ["S.O. No", "Supply Order Number"] },
+            { name: "so_date", type: "date", aliases: ["S.O. Date", "Supply Order Date"] },
+            { name: "project_no", type: "text", maxLength: 255 },
+            { name: "build_up", type: "decimal" },
+            { name: "maintenance", type: "decimal", aliases: ["Maint"] },
+            { name: "project_less_2cr", type: "decimal" },
+            { name: "project_more_2cr", type: "decimal" },
+            { name: "procurement_mode", type: "text", maxLength: 100 },
+            { name: "rev_cap", type: "enum", values: REV_CAP_VALUES },
+            { name: "date_amount_passed", type: "text", maxLength: 255 },
+            { name: "ld_amount", type: "decimal", aliases: ["LD", "Liquidated Damages"] },
+            { name: "remarks", type: "text" },
+        ],
+    },
+    "gen-project": {
+        table: "sanction_gen_project",
+        path: "sanction-gen-project",
+        backupKey: "sanction-gen-project",
+        permissions: DEFAULT_PERMISSIONS,
+        naturalKey: SANCTION_NATURAL_KEY,
+        searchColumns: SANCTION_SEARCH_COLUMNS,
+        globalSearch: SANCTION_GLOBAL_SEARCH,
+        label: "Sanction Codes (Gen Project)",
+        amountColumns: ["amount"],
+        dateColumn: "date",
+        columns: SANCTION_COLUMNS,
+    },
+    misc: {
+        table: "sanction_misc",
+        path: "sanction-misc",
+        backupKey: "sanction-misc",
+        permissions: DEFAULT_PERMISSIONS,
+        naturalKey: SANCTION_NATURAL_KEY,
+        searchColumns: SANCTION_SEARCH_COLUMNS,
+        globalSearch: SANCTION_GLOBAL_SEARCH,
+        label: "Sanction Codes (Misc)",
+        amountColumns: ["amount"],
+        dateColumn: "date",
+        columns: SANCTION_COLUMNS,
+    },
+    training: {
+        table: "sanction_training",
+        path: "sanction-training",
+        backupKey: "sanction-training",
+        permissions: DEFAULT_PERMISSIONS,
+        naturalKey: SANCTION_NATURAL_KEY,
+        searchColumns: SANCTION_SEARCH_COLUMNS,
+        globalSearch: SANCTION_GLOBAL_SEARCH,
+        label: "Sanction Codes (Training)",
+        amountColumns: ["amount"],
+        dateColumn: "date",
+        columns: SANCTION_COLUMNS,
+    },
+};
+
+// Register type (as used in URLs and on the client) -> database table
+const REGISTER_TABLES = Object.fromEntries(
+    Object.entries(REGISTERS).map(([type, register]) => [type, register.table])
+);
+
+module.exports = {
+    REGISTERS,
+    REGISTER_TABLES,
+};
@@ -0,0 +1,353 @@
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const { PassThrough } = require("stream");
+const { scheduleDaily, getScheduledJob } = require("./scheduler");
+const { currentFinancialYear } = require("./financial-years");
+const { getReportTemplate, parseReportPeriods, buildReport, renderReportPdf } = require("./reports");
+
+/**
+ * Scheduled reports and the reports archive: the monthly and quarterly reports (templates of reports.js) are
+ * rendered to PDF once their month or quarter is over and kept in reports-archive/, each run beside a manifest
+ * with its period, the parameters it was generated with, who or what asked for it and a checksum.
+ * The daily job generates every scheduled report whose last completed period has no run yet, so a run missed while
+ * the server was down (or one that failed) is made up the next time the job runs.
+ */
+
+const ARCHIVE_DIR = path.join(__dirname, "reports-archive");
+const STATUS_FILE = path.join(ARCHIVE_DIR, "archive-status.json");
+const RUN_ID_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}_[0-9A-Za-z-]+_\d{8}-\d{6}$/;
+
+/**
+ * Configuration, read from the environment (.env)
+ * REPORT_SCHEDULE_TIME           - time of day the scheduled reports run, "HH:MM" server local time (default 01:00)
+ * REPORT_ARCHIVE_KEEP_MONTHLY    - number of most recent months whose monthly runs are kept (default 24)
+ * REPORT_ARCHIVE_KEEP_QUARTERLY  - number of most recent quarters whose quarterly runs are kept (default 12)
+ */
+const archiveConfig = {
+    time: process.env.REPORT_SCHEDULE_TIME || "01:00",
+    retention: {
+        monthly: parseInt(process.env.REPORT_ARCHIVE_KEEP_MONTHLY || "24", 10),
+        quarterly: parseInt(process.env.REPORT_ARCHIVE_KEEP_QUARTERLY || "12", 10),
+    },
+};
+
+// Reports generated on schedule; "range" reports cover the orders dated within the month or quarter (their
+// status as on the day they run), "as-on" reports every order as on the day they run (the period only names the
+// run), "year" reports the financial year the period ends in (for whole-year sources)
+const SCHEDULED_REPORTS = [
+    { template: "supply-status-mis", frequency: "monthly", scope: "range" },
+    { template: "overdue-deliveries", frequency: "monthly", scope: "as-on" },
+    { template: "budget-utilisation", frequency: "quarterly", scope: "year" },
+];
+
+const MONTH_NAMES = ["January", "February", "March", "April", "May", "June", "July", "August", "September",
+    "October", "November", "December"];
+
+// Last scheduled run outcome per template; persisted so it survives restarts
+let archiveStatus = {};
+
+function formatLocalDate(date) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Local date and time as YYYYMMDD-HHMMSS, the suffix that tells runs of the same period apart
+function formatStamp(date) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${formatLocalDate(date).replace(/-/g, "")}-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * The last month or quarter that is over on a given day
+ * Quarters are those of the financial year: April-June is Q1, January-March is Q4
+ * @param {string} frequency - "monthly" or "quarterly"
+ * @param {Date} today - Defaults to now
+ * @returns {Object} - { key, label, from, to }; key names the period in run ids, e.g. "2025-10" or "2025-2026-Q2"
+ * Used by: runDueReports()
+ */
+function getLastCompletedPeriod(frequency, today = new Date()) {
+    const month = today.getMonth();
+    if (frequency === "monthly") {
+        const start = new Date(today.getFullYear(), month - 1, 1);
+        const end = new Date(today.getFullYear(), month, 0);
+        return {
+            key: formatLocalDate(start).slice(0, 7),
+            label: `${MONTH_NAMES[start.getMonth()]} ${start.getFullYear()}`,
+            from: formatLocalDate(start),
+            to: formatLocalDate(end),
+        };
+    }
+    // Financial quarters start in January, April, July and October: the months divisible by three
+    const quarterStart = month - (month % 3);
+    const start = new Date(today.getFullYear(), quarterStart - 3, 1);
+    const end = new Date(today.getFullYear(), quarterStart, 0);
+    const year = currentFinancialYear(start);
+    const quarter = ((start.getMonth() + 9) % 12) / 3 + 1;
+    return {
+        key: `${year}-Q${quarter}`,
+        label: `Q${quarter} ${year}`,
+        from: formatLocalDate(start),
+        to: formatLocalDate(end),
+    };
+}
+
+async function loadArchiveStatus() {
+    try {
+        archiveStatus = JSON.parse(await fs.readFile(STATUS_FILE, "utf8"));
+    } catch (error) {
+        archiveStatus = {};
+    }
+}
+
+async function saveArchiveStatus() {
+    try {
+        await fs.writeFile(STATUS_FILE, JSON.stringify(archiveStatus, null, 2));
+    } catch (error) {
+        console.error("Error saving report archive status:", error);
+    }
+}
+
+function renderToBuffer(template, report) {
+    return new Promise((resolve, reject) => {
+        const stream = new PassThrough();
+        const chunks = [];
+        stream.on("data", (chunk) => chunks.push(chunk));
+        stream.on("end", () => resolve(Buffer.concat(chunks)));
+        stream.on("error", reject);
+        renderReportPdf(template, report, stream);
+    });
+}
+
+/**
+ * Manifests of the archived runs, newest first
+ * @param {Object} filter - { template } to list the runs of one template
+ * @returns {Array} - Run manifests
+ * Used by: server.js /api/reports/archive, runDueReports(), applyRetention()
+ */
+async function listArchivedRuns({ template = null } = {}) {
+    const runs = [];
+    for (const file of await fs.readdir(ARCHIVE_DIR)) {
+        const id = file.replace(/\.json$/, "");
+        if (id === file || !RUN_ID_PATTERN.test(id)) continue;
+        try {
+            const run = JSON.parse(await fs.readFile(path.join(ARCHIVE_DIR, file), "utf8"));
+            if (!template || run.template === template) {
+                runs.push(run);
+            }
+        } catch (error) {
+            console.error(`Error reading archived report ${file}:`, error);
+        }
+    }
+    return runs.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+}
+
+/**
+ * Deletes the runs of a template (PDF and manifest) whose period is older than the newest `monthly` or
+ * `quarterly` periods it has runs for; every run of a kept period stays, re-runs included
+ * @param {string} template - Template name
+ * @param {string} frequency - "monthly" or "quarterly"
+ * Used by: generateArchivedReport()
+ */
+async function applyRetention(template, frequency) {
+    const runs = (await listArchivedRuns({ template })).filter((run) => run.frequency === frequency);
+    const keep = new Set(
+        [...new Set(runs.map((run) => run.period.key))].sort().reverse().slice(0, archiveConfig.retention[frequency])
+    );
+    for (const run of runs) {
+        if (keep.has(run.period.key)) continue;
+        await fs.unlink(path.join(ARCHIVE_DIR, `${run.id}.pdf`)).catch(() => {});
+        await fs.unlink(path.join(ARCHIVE_DIR, `${run.id}.json`));
+    }
+}
+
+/**
+ * Renders a report into the archive
+ * @param {Object} options - { template, frequency, period: { key, label, from, to }, params, trigger, requestedBy }
+ *                           params are the report query (year, years or from/to); trigger is "schedule" or "rerun"
+ * @returns {Object} - The run manifest, or { error, status } when the template is gone or its parameters no longer fit it
+ * Used by: runDueReports(), rerunArchivedReport()
+ * Dependencies: reports.js (buildReport, renderReportPdf)
+ */
+async function generateArchivedReport({ template: name, frequency, period, params, trigger, requestedBy }) {
+    const template = await getReportTemplate(name);
+    if (!template) {
+        return { error: `Report template ${name} not found`, status: 404 };
+    }
+    const { periods, error } = parseReportPeriods(template, params);
+    if (error) {
+        return { error, status: 400 };
+    }
+
+    const report = await buildReport(template, periods, requestedBy || "system");
+    report.subtitle = `${period.label} - ${report.subtitle}`;
+    const content = await renderToBuffer(template, report);
+
+    const createdAt = new Date();
+    const id = `${template.name}_${period.key}_${formatStamp(createdAt)}`;
+    const run = {
+        id,
+        template: template.name,
+        title: template.title,
+        frequency,
+        period,
+        params,
+        trigger,
+        requestedBy: requestedBy || null,
+        createdAt: createdAt.toISOString(),
+        rowCount: report.rows.length,
+        file: `${id}.pdf`,
+        bytes: content.length,
+        sha256: crypto.createHash("sha256").update(content).digest("hex"),
+    };
+    await fs.writeFile(path.join(ARCHIVE_DIR, run.file), content);
+    await fs.writeFile(path.join(ARCHIVE_DIR, `${id}.json`), JSON.stringify(run, null, 2));
+
+    await applyRetention(template.name, frequency);
+    return run;
+}
+
+// Report parameters of a scheduled run for its period, by the report's scope
+function getScheduledParams(scheduled, period) {
+    if (scheduled.scope === "year") {
+        return { year: currentFinancialYear(new Date(`${period.to}T00:00:00`)) };
+    }
+    if (scheduled.scope === "range") {
+        return { from: period.from, to: period.to };
+    }
+    return {};
+}
+
+/**
+ * Generates every scheduled report whose last completed period has no run in the archive yet
+ * Used by: the daily schedule, startReportScheduler()
+ */
+async function runDueReports() {
+    const today = new Date();
+    for (const scheduled of SCHEDULED_REPORTS) {
+        const startedAt = new Date().toISOString();
+        try {
+            const period = getLastCompletedPeriod(scheduled.frequency, today);
+            const runs = await listArchivedRuns({ template: scheduled.template });
+            if (runs.some((run) => run.frequency === scheduled.frequency && run.period.key === period.key)) continue;
+
+            const run = await generateArchivedReport({
+                template: scheduled.template,
+                frequency: scheduled.frequency,
+                period,
+                params: getScheduledParams(scheduled, period),
+                trigger: "schedule",
+                requestedBy: null,
+            });
+            if (run.error) {
+                throw new Error(run.error);
+            }
+            archiveStatus[scheduled.template] = {
+                ...archiveStatus[scheduled.template],
+                lastRunAt: startedAt,
+                lastResult: "success",
+                lastSuccessAt: run.createdAt,
+                lastRunId: run.id,
+            };
+        } catch (error) {
+            console.error(`Error generating scheduled report ${scheduled.template}:`, error);
+            archiveStatus[scheduled.template] = {
+                ...archiveStatus[scheduled.template],
+                lastRunAt: startedAt,
+                lastResult: "failure",
+                lastFailureAt: new Date().toISOString(),
+                lastError: error.message,
+            };
+        }
+    }
+    await saveArchiveStatus();
+}
+
+/**
+ * Creates the archive directory, makes up runs that are due and schedules the daily check
+ * Used by: server.js on startup
+ */
+async function startReportScheduler() {
+    await fs.mkdir(ARCHIVE_DIR, { recursive: true });
+    await loadArchiveStatus();
+    await runDueReports();
+
+    scheduleDaily("scheduled-reports", archiveConfig.time, runDueReports);
+    const job = getScheduledJob("scheduled-reports");
+    console.log(`Scheduled reports checked daily at ${archiveConfig.time}, next run ${job.nextRunAt.toLocaleString()}`);
+}
+
+/**
+ * @returns {Object|null} - Manifest of an archived run, or null when there is none of that id
+ */
+async function getArchivedRun(id) {
+    if (!RUN_ID_PATTERN.test(id)) return null;
+    try {
+        return JSON.parse(await fs.readFile(path.join(ARCHIVE_DIR, `${id}.json`), "utf8"));
+    } catch (error) {
+        if (error.code === "ENOENT") return null;
+        throw error;
+    }
+}
+
+/**
+ * Path of an archived run's PDF
+ * Used by: server.js archive download
+ */
+function getArchivedRunPath(run) {
+    return path.join(ARCHIVE_DIR, run.file);
+}
+
+/**
+ * Generates an archived run again with its period and parameters, under the template's current layout; the new run
+ * is archived beside the old one. Reports that are a status as on a day show the status as on the re-run.
+ * @param {string} id - Run id
+ * @param {string} username - Who asked for the re-run
+ * @returns {Object} - The new run manifest, or { error, status }
+ * Used by: server.js /api/reports/archive/:id/rerun
+ */
+async function rerunArchivedReport(id, username) {
+    const run = await getArchivedRun(id);
+    if (!run) {
+        return { error: "Archived report not found", status: 404 };
+    }
+    return generateArchivedReport({
+        template: run.template,
+        frequency: run.frequency,
+        period: run.period,
+        params: run.params,
+        trigger: "rerun",
+        requestedBy: username,
+    });
+}
+
+/**
+ * Reports the schedule, retention policy and last outcome per scheduled report
+ * @returns {Object} - { schedule: { time, nextRunAt, retention }, reports: [{ template, frequency, ...last outcome }] }
+ * Used by: server.js /api/reports/archive
+ */
+function getReportScheduleStatus() {
+    const job = getScheduledJob("scheduled-reports");
+    return {
+        schedule: {
+            time: archiveConfig.time,
+            nextRunAt: job ? job.nextRunAt : null,
+            retention: archiveConfig.retention,
+        },
+        reports: SCHEDULED_REPORTS.map((scheduled) => ({
+            template: scheduled.template,
+            frequency: scheduled.frequency,
+            ...(archiveStatus[scheduled.template] || { lastResult: null }),
+        })),
+    };
+}
+
+module.exports = {
+    getLastCompletedPeriod,
+    listArchivedRuns,
+    startReportScheduler,
+    getArchivedRun,
+    getArchivedRunPath,
+    rerunArchivedReport,
+    getReportScheduleStatus,
+};
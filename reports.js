@@ -0,0 +1,977 @@
+const fs = require("fs");
+const path = require("path");
+const PDFDocument = require("pdfkit");
+const pool = require("./db");
+const { REGISTERS } = require("./registers");
+const { parsePeriodQuery, isEmptyPeriod, buildPeriodConditions, liveCondition, getSelectList } = require("./register-engine");
+const { DELIVERED_VALUES, getDueDate } = require("./lifecycle");
+const { getBudgetReport } = require("./budget");
+
+/**
+ * PDF reports rendered on the server: letterhead with the organisation logo, a table that breaks across pages with
+ * a total row per page, a signature block and page numbers.
+ * A report source (REPORT_SOURCES) decides which rows a report holds and the columns they offer; a template in
+ * report_templates decides how they are laid out - title, columns with their labels, widths and totals, page
+ * orientation, letterhead lines, signatories and footer note. Admins edit the templates; the built-in ones can be
+ * reset to their defaults.
+ */
+
+const LOGO_PATH = path.join(__dirname, "public", "logo-bg.png");
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9][a-z0-9-]{1,62}$/;
+const ORIENTATIONS = ["portrait", "landscape"];
+
+const MAX_COLUMNS = 20;
+const MAX_LETTERHEAD_LINES = 4;
+const MAX_SIGNATURES = 4;
+const MAX_CELL_LENGTH = 300;
+
+// Layout, in PDF points
+const PAGE_MARGIN = 36;
+const LOGO_SIZE = 48;
+const FONT_SIZE = 8;
+const CELL_PADDING = 3;
+const TOTAL_ROW_HEIGHT = FONT_SIZE + CELL_PADDING * 2 + 4;
+const SIGNATURE_BLOCK_HEIGHT = 70;
+
+const DEFAULT_LETTERHEAD = ["Material Management Group"];
+const DEFAULT_SIGNATURES = ["Prepared by", "Checked by", "Approved by"];
+
+// Register column types -> report column types; amount and int columns can be totalled
+const COLUMN_TYPES = { int: "int", decimal: "amount", date: "date" };
+const TOTAL_TYPES = ["amount", "int"];
+
+const SANCTION_TYPES = ["gen-project", "misc", "training"];
+
+function titleCase(name) {
+    return name.replace(/_/g, " ").replace(/\b\w/g, (letter) => letter.toUpperCase());
+}
+
+function formatLocalDate(date) {
+    const pad = (value) => String(value).padStart(2, "0");
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+// Sum of a register's amount columns, as SQL
+function amountSum(register) {
+    return register.amountColumns.map((column) => `COALESCE(${column}, 0)`).join(" + ");
+}
+
+function registerColumns(type) {
+    return [
+        { name: "financial_year", label: "Financial Year", type: "text" },
+        ...REGISTERS[type].columns.map((column) => ({
+            name: column.name,
+            label: (column.aliases && column.aliases[0]) || titleCase(column.name),
+            type: COLUMN_TYPES[column.type] || "text",
+        })),
+    ];
+}
+
+function deliveryColumns() {
+    return [
+        { name: "financial_year", label: "Financial Year", type: "text" },
+        { name: "serial_no", label: "S No", type: "int" },
+        { name: "supply_order_no", label: "S.O. No", type: "text" },
+        { name: "so_date", label: "S.O. Date", type: "date" },
+        { name: "firm_name", label: "Firm", type: "text" },
+        { name: "nomenclature", label: "Item", type: "text" },
+        { name: "quantity", label: "Qty", type: "text" },
+        { name: "due_date", label: "Due Date", type: "date" },
+        { name: "days_overdue", label: "Days Overdue", type: "int" },
+        { name: "value", label: "Value", type: "amount" },
+    ];
+}
+
+/**
+ * Undelivered supply orders of a period, earliest due date first; an order carried forward into a new year is
+ * reported through its copy
+ */
+async function fetchUndeliveredOrders(period) {
+    const register = REGISTERS.supply;
+    const { conditions, params } = buildPeriodConditions(period);
+    const [orders] = await pool.query(
+        `SELECT financial_year, serial_no, supply_order_no, DATE_FORMAT(so_date, '%Y-%m-%d') as so_date,
+                firm_name, nomenclature, quantity,
+                DATE_FORMAT(original_date, '%Y-%m-%d') as original_date, DATE_FORMAT(revised_date1, '%Y-%m-%d') as revised_date1,
+                DATE_FORMAT(revised_date2, '%Y-%m-%d') as revised_date2, DATE_FORMAT(revised_date3, '%Y-%m-%d') as revised_date3,
+                ${amountSum(register)} as value
+         FROM supply_orders
+         WHERE ${[...conditions, "deleted_at IS NULL", liveCondition()].join(" AND ")}
+           AND actual_delivery_date IS NULL
+           AND (delivery_done IS NULL OR delivery_done NOT IN (?))
+           AND NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = supply_orders.id AND c.deleted_at IS NULL)`,
+        [...params, DELIVERED_VALUES]
+    );
+    const today = Date.parse(formatLocalDate(new Date()));
+    return orders
+        .map((order) => {
+            const dueDate = getDueDate(order);
+            return {
+                ...order,
+                due_date: dueDate,
+                days_overdue: dueDate ? Math.round((today - Date.parse(dueDate)) / (24 * 60 * 60 * 1000)) : null,
+            };
+        })
+        .sort((a, b) =>
+            (a.due_date || "9999").localeCompare(b.due_date || "9999") ||
+            a.financial_year.localeCompare(b.financial_year) ||
+            a.serial_no - b.serial_no
+        );
+}
+
+/**
+ * Report sources: the rows a report holds
+ *   columns(registerType)       - columns a template can pick from
+ *   periodTypes(template)       - registers whose period the request is parsed for
+ *   periodRequired              - whether a year, years or from/to range must be given
+ *   yearsOnly                   - the period is whole financial years (no from/to range)
+ *   asOnToday                   - the rows are a status as on the day the report is generated
+ *   fetchRows(template, periods) - the rows, keyed by column name
+ */
+const REPORT_SOURCES = {
+    register: {
+        label: "Register",
+        needsRegister: true,
+        periodRequired: true,
+        columns: registerColumns,
+        periodTypes: (template) => [template.register_type],
+        async fetchRows(template, periods) {
+            const register = REGISTERS[template.register_type];
+            const { conditions, params } = buildPeriodConditions(periods[template.register_type]);
+            const [rows] = await pool.query(
+                `SELECT ${getSelectList(register)} FROM ${register.table}
+                 WHERE ${[...conditions, "deleted_at IS NULL", liveCondition()].join(" AND ")}
+                 ORDER BY financial_year, serial_no, id`,
+                params
+            );
+            return rows;
+        },
+    },
+    "pending-deliveries": {
+        label: "Pending deliveries",
+        periodRequired: false,
+        asOnToday: true,
+        columns: deliveryColumns,
+        periodTypes: () => ["supply"],
+        fetchRows: (template, periods) => fetchUndeliveredOrders(periods.supply),
+    },
+    "overdue-deliveries": {
+        label: "Overdue deliveries",
+        periodRequired: false,
+        asOnToday: true,
+        columns: deliveryColumns,
+        periodTypes: () => ["supply"],
+        async fetchRows(template, periods) {
+            const orders = await fetchUndeliveredOrders(periods.supply);
+            return orders.filter((order) => order.days_overdue > 0);
+        },
+    },
+    "supply-status": {
+        label: "Supply status MIS",
+        periodRequired: true,
+        asOnToday: true,
+        columns: () => [
+            { name: "procurement_mode", label: "Mode of Procurement", type: "text" },
+            { name: "orders", label: "Orders", type: "int" },
+            { name: "order_value", label: "Order Value", type: "amount" },
+            { name: "delivered", label: "Delivered", type: "int" },
+            { name: "delivered_value", label: "Delivered Value", type: "amount" },
+            { name: "pending", label: "Pending (Not Due)", type: "int" },
+            { name: "overdue", label: "Overdue", type: "int" },
+            { name: "overdue_value", label: "Overdue Value", type: "amount" },
+            { name: "delivered_percent", label: "Delivered %", type: "text" },
+        ],
+        periodTypes: () => ["supply"],
+        // Orders of the period per mode of procurement: delivered, not yet due and overdue
+        async fetchRows(template, periods) {
+            const register = REGISTERS.supply;
+            const { conditions, params } = buildPeriodConditions(periods.supply);
+            const [orders] = await pool.query(
+                `SELECT COALESCE(NULLIF(TRIM(procurement_mode), ''), 'Not recorded') as procurement_mode,
+                        (actual_delivery_date IS NOT NULL OR delivery_done IN (?)) as delivered,
+                        DATE_FORMAT(original_date, '%Y-%m-%d') as original_date, DATE_FORMAT(revised_date1, '%Y-%m-%d') as revised_date1,
+                        DATE_FORMAT(revised_date2, '%Y-%m-%d') as revised_date2, DATE_FORMAT(revised_date3, '%Y-%m-%d') as revised_date3,
+                        ${amountSum(register)} as value
+                 FROM supply_orders
+                 WHERE ${[...conditions, "deleted_at IS NULL", liveCondition()].join(" AND ")}
+                   AND NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = supply_orders.id AND c.deleted_at IS NULL)`,
+                [DELIVERED_VALUES, ...params]
+            );
+            const today = formatLocalDate(new Date());
+            const modes = new Map();
+            for (const order of orders) {
+                if (!modes.has(order.procurement_mode)) {
+                    modes.set(order.procurement_mode, {
+                        procurement_mode: order.procurement_mode,
+                        orders: 0, order_value: 0, delivered: 0, delivered_value: 0, pending: 0, overdue: 0, overdue_value: 0,
+                    });
+                }
+                const mode = modes.get(order.procurement_mode);
+                const value = Number(order.value || 0);
+                mode.orders++;
+                mode.order_value += value;
+                if (Number(order.delivered)) {
+                    mode.delivered++;
+                    mode.delivered_value += value;
+                } else if ((getDueDate(order) || "9999") < today) {
+                    mode.overdue++;
+                    mode.overdue_value += value;
+                } else {
+                    mode.pending++;
+                }
+            }
+            return [...modes.values()]
+                .sort((a, b) => b.order_value - a.order_value)
+                .map((mode) => ({
+                    ...mode,
+                    delivered_percent: `${((mode.delivered / mode.orders) * 100).toFixed(1)}%`,
+                }));
+        },
+    },
+    "budget-utilisation": {
+        label: "Budget utilisation statement",
+        periodRequired: true,
+        yearsOnly: true,
+        columns: () => [
+            { name: "financial_year", label: "Financial Year", type: "text" },
+            { name: "code_head", label: "Code Head", type: "text" },
+            { name: "expenditure_head", label: "Exp Head", type: "text" },
+            { name: "rev_cap", label: "Rev/Cap", type: "text" },
+            { name: "allotted", label: "Allotted", type: "amount" },
+            { name: "committed", label: "Committed", type: "amount" },
+            { name: "actual", label: "Expenditure", type: "amount" },
+            { name: "available", label: "Available", type: "amount" },
+            { name: "utilisation", label: "Utilisation", type: "text" },
+            { name: "remarks", label: "Remarks", type: "text" },
+        ],
+        periodTypes: () => ["supply"],
+        // Budget heads of each year (see budget.js getBudgetReport), then the spend under heads without an allotment
+        async fetchRows(template, periods) {
+            const rows = [];
+            for (const year of periods.supply.years) {
+                const report = await getBudgetReport(year);
+                for (const line of report.lines) {
+                    rows.push({
+                        financial_year: year,
+                        ...line,
+                        utilisation: line.utilisation === null ? "" : `${line.utilisation}%`,
+                        remarks: line.overCommitted ? "Over committed" : line.remarks,
+                    });
+                }
+                for (const line of report.unallotted) {
+                    rows.push({
+                        financial_year: year,
+                        ...line,
+                        allotted: 0,
+                        available: -line.committed,
+                        utilisation: "",
+                        remarks: "No allotment",
+                    });
+                }
+            }
+            return rows;
+        },
+    },
+    "bill-payments": {
+        label: "Bill payment statement",
+        periodRequired: true,
+        columns: () => [
+            { name: "financial_year", label: "Financial Year", type: "text" },
+            { name: "serial_no", label: "S No", type: "int" },
+            { name: "bill_control_date", label: "Bill Date", type: "date" },
+            { name: "supply_order_no", label: "S.O. No", type: "text" },
+            { name: "firm_name", label: "Firm", type: "text" },
+            { name: "project_no", label: "Project No", type: "text" },
+            { name: "bill_amount", label: "Bill Amount", type: "amount" },
+            { name: "ld_amount", label: "LD", type: "amount" },
+            { name: "net_amount", label: "Net Payable", type: "amount" },
+            { name: "date_amount_passed", label: "Date / Amount Passed", type: "text" },
+            { name: "status", label: "Status", type: "text" },
+        ],
+        periodTypes: () => ["bill"],
+        async fetchRows(template, periods) {
+            const register = REGISTERS.bill;
+            const { conditions, params } = buildPeriodConditions(periods.bill);
+            const [bills] = await pool.query(
+                `SELECT financial_year, serial_no, DATE_FORMAT(bill_control_date, '%Y-%m-%d') as bill_control_date,
+                        supply_order_no, firm_name, project_no, ${amountSum(register)} as bill_amount, ld_amount, date_amount_passed
+                 FROM bill_orders
+                 WHERE ${[...conditions, "deleted_at IS NULL", liveCondition()].join(" AND ")}
+                 ORDER BY bill_control_date, financial_year, serial_no`,
+                params
+            );
+            return bills.map((bill) => ({
+                ...bill,
+                net_amount: Number(bill.bill_amount || 0) - Number(bill.ld_amount || 0),
+                status: bill.date_amount_passed && bill.date_amount_passed.trim() ? "Passed" : "Pending",
+            }));
+        },
+    },
+    "sanction-abstract": {
+        label: "Sanction abstract",
+        periodRequired: true,
+        columns: () => [
+            { name: "register", label: "Register", type: "text" },
+            { name: "code_head", label: "Code Head", type: "text" },
+            { name: "rev_cap", label: "Rev/Cap", type: "text" },
+            { name: "sanctions", label: "Sanctions", type: "int" },
+            { name: "amount", label: "Amount", type: "amount" },
+        ],
+        periodTypes: () => SANCTION_TYPES,
+        // Number and amount of sanctions per register, code head and revenue/capital
+        async fetchRows(template, periods) {
+            const rows = [];
+            for (const type of SANCTION_TYPES) {
+                const register = REGISTERS[type];
+                const { conditions, params } = buildPeriodConditions(periods[type]);
+                const [groups] = await pool.query(
+                    `SELECT code_head, rev_cap, COUNT(*) as sanctions, SUM(COALESCE(amount, 0)) as amount
+                     FROM ${register.table}
+                     WHERE ${[...conditions, "deleted_at IS NULL", liveCondition()].join(" AND ")}
+                     GROUP BY code_head, rev_cap
+                     ORDER BY code_head, rev_cap`,
+                    params
+                );
+                rows.push(...groups.map((group) => ({ register: register.label, ...group })));
+            }
+            return rows;
+        },
+    },
+};
+
+const templateColumn = (name, width, total = false) => ({ name, width, total });
+
+// Templates created on first start; admins can change them and reset them to these
+const DEFAULT_TEMPLATES = [
+    {
+        name: "supply-register",
+        title: "Supply Order Register",
+        source: "register",
+        register_type: "supply",
+        config: {
+            orientation: "landscape",
+            columns: [
+                templateColumn("serial_no", 4), templateColumn("supply_order_no", 12), templateColumn("so_date", 7), templateColumn("firm_name", 14),
+                templateColumn("nomenclature", 18), templateColumn("quantity", 6), templateColumn("original_date", 7), templateColumn("build_up", 8, true),
+                templateColumn("maint", 8, true), templateColumn("misc", 8, true), templateColumn("project_less_2cr", 8, true),
+                templateColumn("project_more_2cr", 8, true), templateColumn("delivery_done", 6),
+            ],
+        },
+    },
+    {
+        name: "demand-register",
+        title: "Demand Register",
+        source: "register",
+        register_type: "demand",
+        config: {
+            orientation: "landscape",
+            columns: [
+                templateColumn("serial_no", 4), templateColumn("imms_demand_no", 12), templateColumn("demand_date", 7), templateColumn("nomenclature", 22),
+                templateColumn("quantity", 6), templateColumn("expenditure_head", 10), templateColumn("rev_cap", 4), templateColumn("est_cost", 9, true),
+                templateColumn("supply_order_placed", 6),
+            ],
+        },
+    },
+    {
+        name: "bill-register",
+        title: "Bill Register",
+        source: "register",
+        register_type: "bill",
+        config: {
+            orientation: "landscape",
+            columns: [
+                templateColumn("serial_no", 4), templateColumn("bill_control_date", 7), templateColumn("firm_name", 14), templateColumn("supply_order_no", 12),
+                templateColumn("build_up", 8, true), templateColumn("maintenance", 8, true), templateColumn("project_less_2cr", 8, true),
+                templateColumn("project_more_2cr", 8, true), templateColumn("ld_amount", 7, true), templateColumn("date_amount_passed", 10),
+            ],
+        },
+    },
+    {
+        name: "pending-deliveries",
+        title: "Pending Deliveries",
+        source: "pending-deliveries",
+        config: {
+            orientation: "landscape",
+            columns: [
+                templateColumn("financial_year", 7), templateColumn("serial_no", 4), templateColumn("supply_order_no", 12), templateColumn("so_date", 7),
+                templateColumn("firm_name", 14), templateColumn("nomenclature", 20), templateColumn("due_date", 7), templateColumn("days_overdue", 6),
+                templateColumn("value", 9, true),
+            ],
+        },
+    },
+    {
+        name: "overdue-deliveries",
+        title: "Overdue Deliveries",
+        source: "overdue-deliveries",
+        config: {
+            orientation: "landscape",
+            columns: [
+                templateColumn("financial_year", 7), templateColumn("serial_no", 4), templateColumn("supply_order_no", 12), templateColumn("so_date", 7),
+                templateColumn("firm_name", 14), templateColumn("nomenclature", 20), templateColumn("due_date", 7), templateColumn("days_overdue", 6),
+                templateColumn("value", 9, true),
+            ],
+        },
+    },
+    {
+        name: "supply-status-mis",
+        title: "Supply Status MIS",
+        source: "supply-status",
+        config: {
+            orientation: "landscape",
+            columns: [
+                templateColumn("procurement_mode", 14), templateColumn("orders", 6, true), templateColumn("order_value", 10, true),
+                templateColumn("delivered", 6, true), templateColumn("delivered_value", 10, true), templateColumn("pending", 7, true),
+                templateColumn("overdue", 6, true), templateColumn("overdue_value", 10, true), templateColumn("delivered_percent", 6),
+            ],
+        },
+    },
+    {
+        name: "budget-utilisation",
+        title: "Budget Utilisation Statement",
+        source: "budget-utilisation",
+        config: {
+            orientation: "landscape",
+            columns: [
+                templateColumn("code_head", 10), templateColumn("expenditure_head", 12), templateColumn("rev_cap", 4), templateColumn("allotted", 9, true),
+                templateColumn("committed", 9, true), templateColumn("actual", 9, true), templateColumn("available", 9, true),
+                templateColumn("utilisation", 6), templateColumn("remarks", 12),
+            ],
+        },
+    },
+    {
+        name: "bill-payments",
+        title: "Bill Payment Statement",
+        source: "bill-payments",
+        config: {
+            orientation: "landscape",
+            columns: [
+                templateColumn("serial_no", 4), templateColumn("bill_control_date", 7), templateColumn("supply_order_no", 12), templateColumn("firm_name", 14),
+                templateColumn("bill_amount", 9, true), templateColumn("ld_amount", 8, true), templateColumn("net_amount", 9, true),
+                templateColumn("date_amount_passed", 12), templateColumn("status", 6),
+            ],
+        },
+    },
+    {
+        name: "sanction-abstract",
+        title: "Sanction Abstract",
+        source: "sanction-abstract",
+        config: {
+            orientation: "portrait",
+            columns: [
+                templateColumn("register", 14), templateColumn("code_head", 14), templateColumn("rev_cap", 6), templateColumn("sanctions", 6, true),
+                templateColumn("amount", 10, true),
+            ],
+        },
+    },
+];
+
+/**
+ * Creates the report_templates table and adds the built-in templates that are missing
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeReportTemplates() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS report_templates (
+                name VARCHAR(64) PRIMARY KEY,
+                title VARCHAR(255) NOT NULL,
+                source VARCHAR(32) NOT NULL,
+                register_type VARCHAR(32) NULL,
+                config JSON NOT NULL,
+                builtin TINYINT(1) NOT NULL DEFAULT 0,
+                updated_by VARCHAR(50),
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+            )
+        `);
+        for (const template of DEFAULT_TEMPLATES) {
+            const { template: parsed } = parseReportTemplateInput(template);
+            await pool.query(
+                `INSERT IGNORE INTO report_templates (name, title, source, register_type, config, builtin)
+                 VALUES (?, ?, ?, ?, ?, 1)`,
+                [parsed.name, parsed.title, parsed.source, parsed.register_type, JSON.stringify(parsed.config)]
+            );
+        }
+        console.log("Report templates initialized");
+    } catch (error) {
+        console.error("Error initializing report templates:", error);
+    }
+}
+
+/**
+ * Columns a template can use: those of its source (and register)
+ * @returns {Array} - [{ name, label, type }]
+ */
+function getSourceColumns(source, registerType) {
+    return REPORT_SOURCES[source].columns(registerType);
+}
+
+/**
+ * Describes the report sources for the template editor
+ * @returns {Array} - [{ name, label, needsRegister, columns }]; columns is keyed by register type for the register source
+ * Used by: server.js /api/report-templates
+ */
+function describeReportSources() {
+    return Object.entries(REPORT_SOURCES).map(([name, source]) => ({
+        name,
+        label: source.label,
+        needsRegister: Boolean(source.needsRegister),
+        columns: source.needsRegister
+            ? Object.fromEntries(Object.keys(REGISTERS).map((type) => [type, getSourceColumns(name, type)]))
+            : getSourceColumns(name),
+    }));
+}
+
+const toLines = (value, max, maxLength) =>
+    (Array.isArray(value) ? value : String(value || "").split("\n"))
+        .map((line) => String(line).trim().slice(0, maxLength))
+        .filter(Boolean)
+        .slice(0, max);
+
+/**
+ * Validates a template sent by the template editor
+ * @param {Object} body - { name, title, source, register_type, config: { orientation, columns, letterhead, signatures, footer } }
+ * @returns {Object} - { template } or { error }
+ */
+function parseReportTemplateInput(body = {}) {
+    const name = String(body.name || "").trim().toLowerCase();
+    if (!TEMPLATE_NAME_PATTERN.test(name)) {
+        return { error: "Template name must be 2-63 lower-case letters, digits or dashes" };
+    }
+    const title = String(body.title || "").trim().slice(0, 255);
+    if (!title) {
+        return { error: "Title is required" };
+    }
+    const source = REPORT_SOURCES[body.source] ? body.source : null;
+    if (!source) {
+        return { error: `Source must be one of: ${Object.keys(REPORT_SOURCES).join(", ")}` };
+    }
+    let registerType = null;
+    if (REPORT_SOURCES[source].needsRegister) {
+        if (!REGISTERS[body.register_type]) {
+            return { error: "Register is required for a register report" };
+        }
+        registerType = body.register_type;
+    }
+
+    const config = body.config && typeof body.config === "object" ? body.config : {};
+    const available = new Map(getSourceColumns(source, registerType).map((item) => [item.name, item]));
+    const columns = [];
+    for (const item of Array.isArray(config.columns) ? config.columns : []) {
+        const sourceColumn = available.get(item && item.name);
+        if (!sourceColumn) {
+            return { error: `Unknown column for this report: ${item && item.name}` };
+        }
+        if (columns.some((existing) => existing.name === item.name)) continue;
+        const width = parseFloat(item.width);
+        columns.push({
+            name: item.name,
+            label: String(item.label || "").trim().slice(0, 100) || sourceColumn.label,
+            width: width > 0 ? Math.min(width, 100) : 10,
+            total: Boolean(item.total) && TOTAL_TYPES.includes(sourceColumn.type),
+        });
+    }
+    if (columns.length === 0) {
+        return { error: "Pick at least one column" };
+    }
+    if (columns.length > MAX_COLUMNS) {
+        return { error: `A report can have at most ${MAX_COLUMNS} columns` };
+    }
+
+    const letterhead = config.letterhead === undefined ? DEFAULT_LETTERHEAD : toLines(config.letterhead, MAX_LETTERHEAD_LINES, 200);
+    const signatures = config.signatures === undefined ? DEFAULT_SIGNATURES : toLines(config.signatures, MAX_SIGNATURES, 100);
+
+    return {
+        template: {
+            name,
+            title,
+            source,
+            register_type: registerType,
+            config: {
+                orientation: ORIENTATIONS.includes(config.orientation) ? config.orientation : "portrait",
+                columns,
+                letterhead,
+                signatures,
+                footer: String(config.footer || "").trim().slice(0, 500),
+            },
+        },
+    };
+}
+
+function toTemplate(row) {
+    return {
+        name: row.name,
+        title: row.title,
+        source: row.source,
+        register_type: row.register_type,
+        config: typeof row.config === "string" ? JSON.parse(row.config || "{}") : row.config || {},
+        builtin: Boolean(row.builtin),
+        updated_by: row.updated_by,
+        updated_at: row.updated_at,
+    };
+}
+
+/**
+ * Lists the report templates, built-in ones first
+ * Used by: server.js /api/report-templates
+ * Dependencies: db.js (pool)
+ */
+async function listReportTemplates() {
+    const [rows] = await pool.query("SELECT * FROM report_templates ORDER BY builtin DESC, title");
+    return rows.map(toTemplate);
+}
+
+/**
+ * @returns {Object|null} - The template, or null when there is none of that name
+ */
+async function getReportTemplate(name) {
+    const [rows] = await pool.query("SELECT * FROM report_templates WHERE name = ?", [name]);
+    return rows[0] ? toTemplate(rows[0]) : null;
+}
+
+/**
+ * Adds a template; a name already in use is an ER_DUP_ENTRY error
+ * Dependencies: db.js (pool)
+ */
+async function createReportTemplate(template, username) {
+    await pool.query(
+        `INSERT INTO report_templates (name, title, source, register_type, config, updated_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [template.name, template.title, template.source, template.register_type, JSON.stringify(template.config), username || null]
+    );
+}
+
+/**
+ * Changes a template
+ * @returns {boolean} - False if there is no such template
+ * Dependencies: db.js (pool)
+ */
+async function updateReportTemplate(name, template, username) {
+    const [result] = await pool.query(
+        `UPDATE report_templates SET title = ?, source = ?, register_type = ?, config = ?, updated_by = ? WHERE name = ?`,
+        [template.title, template.source, template.register_type, JSON.stringify(template.config), username || null, name]
+    );
+    return result.affectedRows > 0;
+}
+
+/**
+ * Deletes a template an admin added; built-in templates can only be reset
+ * @returns {Object} - { deleted: true } or { error, status }
+ * Dependencies: db.js (pool)
+ */
+async function deleteReportTemplate(name) {
+    const template = await getReportTemplate(name);
+    if (!template) {
+        return { error: "Report template not found", status: 404 };
+    }
+    if (template.builtin) {
+        return { error: "Built-in templates cannot be deleted; reset them instead", status: 400 };
+    }
+    await pool.query("DELETE FROM report_templates WHERE name = ?", [name]);
+    return { deleted: true };
+}
+
+/**
+ * Puts a built-in template back to its default layout
+ * @returns {Object} - { reset: true } or { error, status }
+ * Dependencies: db.js (pool)
+ */
+async function resetReportTemplate(name, username) {
+    const builtin = DEFAULT_TEMPLATES.find((template) => template.name === name);
+    if (!builtin) {
+        return { error: "Only built-in templates can be reset", status: 400 };
+    }
+    const { template } = parseReportTemplateInput(builtin);
+    await pool.query(
+        `INSERT INTO report_templates (name, title, source, register_type, config, builtin, updated_by)
+         VALUES (?, ?, ?, ?, ?, 1, ?)
+         ON DUPLICATE KEY UPDATE title = VALUES(title), source = VALUES(source), register_type = VALUES(register_type),
+             config = VALUES(config), updated_by = VALUES(updated_by)`,
+        [template.name, template.title, template.source, template.register_type, JSON.stringify(template.config), username || null]
+    );
+    return { reset: true };
+}
+
+/**
+ * What a report request needs: the registers whose period to parse and whether a period is required
+ * @returns {Object} - { types, required }
+ * Used by: parseReportPeriods(), getReportFileName(), buildReport()
+ */
+function getReportPeriodTypes(template) {
+    const source = REPORT_SOURCES[template.source];
+    return { types: source.periodTypes(template), required: source.periodRequired };
+}
+
+/**
+ * Parses the period of a report request (year, years or from/to, like the dashboard)
+ * @param {Object} template - Report template
+ * @param {Object} query - req.query, or the parameters an archived run was generated with
+ * @returns {Object} - { periods } keyed by register type, or { error }
+ * Used by: server.js /api/reports/:template.pdf, report-archive.js
+ */
+function parseReportPeriods(template, query = {}) {
+    const source = REPORT_SOURCES[template.source];
+    if (source.yearsOnly && (query.from || query.to)) {
+        return { error: "This report takes year or years, not a date range" };
+    }
+    const periods = {};
+    for (const type of source.periodTypes(template)) {
+        const { period, error } = parsePeriodQuery(REGISTERS[type], { ...query, dateColumn: undefined });
+        if (error) {
+            return { error };
+        }
+        if (source.periodRequired && isEmptyPeriod(period)) {
+            return { error: "year, years or a from/to date range is required" };
+        }
+        periods[type] = period;
+    }
+    return { periods };
+}
+
+/**
+ * File name of a rendered report: the template name, plus the year when the report covers one year
+ */
+function getReportFileName(template, periods) {
+    const period = periods[getReportPeriodTypes(template).types[0]];
+    return `${template.name}${period.years.length === 1 ? `-${period.years[0]}` : ""}.pdf`;
+}
+
+function formatValue(value, type) {
+    if (value === null || value === undefined || value === "") return "";
+    if (type === "amount") {
+        return Number(value).toLocaleString("en-IN", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+    }
+    if (type === "int") {
+        return Number(value).toLocaleString("en-IN");
+    }
+    if (type === "date") {
+        const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(String(value));
+        return match ? `${match[3]}/${match[2]}/${match[1]}` : String(value);
+    }
+    const text = String(value);
+    return text.length > MAX_CELL_LENGTH ? `${text.slice(0, MAX_CELL_LENGTH)}…` : text;
+}
+
+function describePeriod(period) {
+    const parts = [];
+    if (period.years.length === 1) {
+        parts.push(`Financial year ${period.years[0]}`);
+    } else if (period.years.length > 1) {
+        parts.push(`Financial years ${period.years.join(", ")}`);
+    }
+    if (period.from || period.to) {
+        parts.push(`${period.dateColumn.replace(/_/g, " ")} ${period.from ? formatValue(period.from, "date") : "…"} to ${period.to ? formatValue(period.to, "date") : "…"}`);
+    }
+    return parts.join(", ") || "All financial years";
+}
+
+/**
+ * Loads the rows of a report
+ * @param {Object} template - Report template
+ * @param {Object} periods - Period per register type (see getReportPeriodTypes)
+ * @param {string} username - Who the report is generated for (printed in the footer)
+ * @returns {Object} - { columns: [{ name, label, type, width, total }], rows, subtitle, generatedBy, generatedAt }
+ * Used by: server.js /api/reports/:template.pdf, report-archive.js
+ * Dependencies: db.js (pool)
+ */
+async function buildReport(template, periods, username) {
+    const source = REPORT_SOURCES[template.source];
+    const available = new Map(getSourceColumns(template.source, template.register_type).map((item) => [item.name, item]));
+    // A column the register no longer has is left out rather than failing the report
+    const columns = template.config.columns
+        .filter((item) => available.has(item.name))
+        .map((item) => ({ ...item, type: available.get(item.name).type }));
+
+    const rows = await source.fetchRows(template, periods);
+    const { types } = getReportPeriodTypes(template);
+    let subtitle = describePeriod(periods[types[0]]);
+    if (source.asOnToday) {
+        subtitle += `, as on ${formatValue(formatLocalDate(new Date()), "date")}`;
+    }
+    return { columns, rows, subtitle, generatedBy: username, generatedAt: new Date() };
+}
+
+/**
+ * Writes a report as a PDF
+ * Rows that do not fit on a page carry on on the next one under the letterhead and column headings; every page
+ * ends with the totals of its own rows, the last page with the grand total and the signature block.
+ * @param {Object} template - Report template
+ * @param {Object} report - buildReport() result
+ * @param {Object} stream - Writable stream (the HTTP response, or the buffer of an archived run)
+ * Used by: server.js /api/reports/:template.pdf, report-archive.js
+ * Dependencies: pdfkit
+ */
+function renderReportPdf(template, report, stream) {
+    const { config } = template;
+    const doc = new PDFDocument({
+        size: "A4",
+        layout: config.orientation,
+        margin: PAGE_MARGIN,
+        bufferPages: true,
+        info: { Title: template.title, Author: report.generatedBy || "" },
+    });
+    doc.pipe(stream);
+
+    const { columns } = report;
+    const left = PAGE_MARGIN;
+    const tableWidth = doc.page.width - PAGE_MARGIN * 2;
+    const totalWeight = columns.reduce((sum, item) => sum + item.width, 0);
+    const widths = columns.map((item) => (item.width / totalWeight) * tableWidth);
+    const hasTotals = columns.some((item) => item.total);
+    const hasLogo = fs.existsSync(LOGO_PATH);
+    // The foot of every page keeps room for the page total and, on the last page, the grand total
+    const pageBottom = () => doc.page.height - PAGE_MARGIN - (hasTotals ? TOTAL_ROW_HEIGHT * 2 : 0);
+
+    const drawPageHeader = () => {
+        const top = PAGE_MARGIN;
+        if (hasLogo) {
+            doc.image(LOGO_PATH, left, top, { fit: [LOGO_SIZE, LOGO_SIZE] });
+        }
+        const textLeft = left + LOGO_SIZE + 10;
+        const textWidth = tableWidth - (LOGO_SIZE + 10) * 2;
+        doc.fillColor("black");
+        doc.y = top;
+        config.letterhead.forEach((line, index) => {
+            doc.font(index === 0 ? "Helvetica-Bold" : "Helvetica").fontSize(index === 0 ? 14 : 9);
+            doc.text(line, textLeft, doc.y, { width: textWidth, align: "center" });
+        });
+        doc.font("Helvetica-Bold").fontSize(12).text(template.title, textLeft, doc.y + 4, { width: textWidth, align: "center" });
+        doc.font("Helvetica").fontSize(9).text(report.subtitle, textLeft, doc.y + 2, { width: textWidth, align: "center" });
+        const y = Math.max(doc.y, top + LOGO_SIZE) + 6;
+        doc.moveTo(left, y).lineTo(left + tableWidth, y).lineWidth(1).strokeColor("#333333").stroke();
+        return y + 8;
+    };
+
+    const measureRow = (cells, font) => {
+        doc.font(font).fontSize(FONT_SIZE);
+        return Math.max(...cells.map((text, index) => doc.heightOfString(text || " ", { width: widths[index] - CELL_PADDING * 2 }))) +
+            CELL_PADDING * 2;
+    };
+
+    const drawRow = (cells, y, { font = "Helvetica", fill = null } = {}) => {
+        const height = measureRow(cells, font);
+        if (fill) {
+            doc.rect(left, y, tableWidth, height).fill(fill);
+        }
+        doc.fillColor("black").font(font).fontSize(FONT_SIZE);
+        let x = left;
+        cells.forEach((text, index) => {
+            doc.text(text, x + CELL_PADDING, y + CELL_PADDING, {
+                width: widths[index] - CELL_PADDING * 2,
+                align: TOTAL_TYPES.includes(columns[index].type) ? "right" : "left",
+            });
+            if (index > 0) {
+                doc.moveTo(x, y).lineTo(x, y + height).lineWidth(0.5).strokeColor("#999999").stroke();
+            }
+            x += widths[index];
+        });
+        doc.rect(left, y, tableWidth, height).lineWidth(0.5).strokeColor("#999999").stroke();
+        return y + height;
+    };
+
+    const drawHeadings = (y) => drawRow(columns.map((item) => item.label), y, { font: "Helvetica-Bold", fill: "#e5e7eb" });
+
+    const emptyTotals = () => columns.map(() => 0);
+    const drawTotals = (label, totals, y) => {
+        const labelIndex = columns.findIndex((item) => !item.total);
+        const cells = columns.map((item, index) => {
+            if (item.total) return formatValue(totals[index], item.type);
+            return index === labelIndex ? label : "";
+        });
+        return drawRow(cells, y, { font: "Helvetica-Bold", fill: "#f3f4f6" });
+    };
+
+    let y = drawHeadings(drawPageHeader());
+    let pageTotals = emptyTotals();
+    const grandTotals = emptyTotals();
+    let rowsOnPage = 0;
+    let pages = 1;
+
+    for (const row of report.rows) {
+        const cells = columns.map((item) => formatValue(row[item.name], item.type));
+        if (rowsOnPage > 0 && y + measureRow(cells, "Helvetica") > pageBottom()) {
+            if (hasTotals) drawTotals("Page total", pageTotals, y);
+            doc.addPage();
+            pages++;
+            y = drawHeadings(drawPageHeader());
+            pageTotals = emptyTotals();
+            rowsOnPage = 0;
+        }
+        y = drawRow(cells, y);
+        columns.forEach((item, index) => {
+            if (!item.total) return;
+            const value = Number(row[item.name]) || 0;
+            pageTotals[index] += value;
+            grandTotals[index] += value;
+        });
+        rowsOnPage++;
+    }
+
+    if (report.rows.length === 0) {
+        doc.font("Helvetica-Oblique").fontSize(9).fillColor("#555555")
+            .text("No records for this period.", left, y + 8, { width: tableWidth, align: "center" });
+        y = doc.y;
+    } else if (hasTotals) {
+        if (pages > 1) {
+            y = drawTotals("Page total", pageTotals, y);
+            y = drawTotals("Grand total", grandTotals, y);
+        } else {
+            y = drawTotals("Total", grandTotals, y);
+        }
+    }
+
+    // Signatories side by side, each over a line; the block moves to a new page rather than splitting
+    const footerHeight = config.footer ? doc.font("Helvetica-Oblique").fontSize(8).heightOfString(config.footer, { width: tableWidth }) + 8 : 0;
+    const signatureHeight = config.signatures.length > 0 ? SIGNATURE_BLOCK_HEIGHT : 0;
+    if (y + signatureHeight + footerHeight > doc.page.height - PAGE_MARGIN) {
+        doc.addPage();
+        y = drawPageHeader();
+    }
+    if (config.signatures.length > 0) {
+        const slotWidth = tableWidth / config.signatures.length;
+        const lineY = y + SIGNATURE_BLOCK_HEIGHT - 24;
+        config.signatures.forEach((label, index) => {
+            const x = left + slotWidth * index;
+            doc.moveTo(x + slotWidth * 0.15, lineY).lineTo(x + slotWidth * 0.85, lineY).lineWidth(0.5).strokeColor("#333333").stroke();
+            doc.fillColor("black").font("Helvetica").fontSize(9).text(label, x, lineY + 4, { width: slotWidth, align: "center" });
+        });
+        y += SIGNATURE_BLOCK_HEIGHT;
+    }
+    if (config.footer) {
+        doc.font("Helvetica-Oblique").fontSize(8).fillColor("#555555").text(config.footer, left, y + 8, { width: tableWidth });
+    }
+
+    // Page numbers and the generation stamp go in the bottom margin of every page
+    const range = doc.bufferedPageRange();
+    const stamp = `Generated ${report.generatedAt.toLocaleString("en-IN")}${report.generatedBy ? ` by ${report.generatedBy}` : ""}`;
+    for (let index = range.start; index < range.start + range.count; index++) {
+        doc.switchToPage(index);
+        doc.page.margins.bottom = 0;
+        const footerY = doc.page.height - PAGE_MARGIN + 12;
+        doc.font("Helvetica").fontSize(7).fillColor("#555555");
+        doc.text(stamp, left, footerY, { width: tableWidth / 2, lineBreak: false });
+        doc.text(`Page ${index - range.start + 1} of ${range.count}`, left + tableWidth / 2, footerY, {
+            width: tableWidth / 2,
+            align: "right",
+            lineBreak: false,
+        });
+    }
+    doc.end();
+}
+
+module.exports = {
+    initializeReportTemplates,
+    describeReportSources,
+    parseReportTemplateInput,
+    listReportTemplates,
+    getReportTemplate,
+    createReportTemplate,
+    updateReportTemplate,
+    deleteReportTemplate,
+    resetReportTemplate,
+    getReportPeriodTypes,
+    parseReportPeriods,
+    getReportFileName,
+    buildReport,
+    renderReportPdf,
+};
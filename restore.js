@@ -0,0 +1,289 @@
+const fs = require("fs").promises;
+const path = require("path");
+const XLSX = require("xlsx");
+const pool = require("./db");
+const { diffRows, normalizeAuditValue, recordAudit } = require("./audit");
+const { REGISTERS, REGISTER_TABLES } = require("./registers");
+const { backupDirs } = require("./backup");
+
+// Only files written by createBackup() can be restored; this also rules out path traversal
+const BACKUP_FILE_PATTERN = /^backup_\d{4}-\d{2}-\d{2}\.xlsx$/;
+
+// Columns that are never written back from a backup; version moves forward on every write instead, and a restored
+// record goes through the approval rules like any other write rather than taking its approval from the backup
+const RESTORE_SKIPPED_COLUMNS = ["id", "created_at", "updated_at", "deleted_at", "deleted_by", "version", "approval_status"];
+
+/**
+ * Resolves the backups/ sub-directory that createBackup() uses for a register
+ * @param {string} type - Register type (supply, demand, bill, gen-project, misc, training)
+ * @returns {string} - Absolute directory path
+ * Used by: readBackupRows()
+ */
+function getBackupDir(type) {
+    return backupDirs[REGISTERS[type].backupKey];
+}
+
+/**
+ * Reads the rows of one financial year from a backup workbook
+ * @param {string} type - Register type
+ * @param {string} file - Backup file name (backup_YYYY-MM-DD.xlsx)
+ * @param {string} financialYear - Financial year to extract
+ * @returns {Object} - { rows: backup rows with values converted for MySQL, columns: the header row's columns }
+ * Used by: planRegisterRestore()
+ * Dependencies: xlsx
+ */
+async function readBackupRows(type, file, financialYear) {
+    const buffer = await fs.readFile(path.join(getBackupDir(type), file));
+    const workbook = XLSX.read(buffer, { type: "buffer", cellDates: true });
+    const sheet = workbook.Sheets[workbook.SheetNames[0]];
+    const rows = XLSX.utils.sheet_to_json(sheet, { defval: null });
+    const [header = []] = XLSX.utils.sheet_to_json(sheet, { header: 1 });
+
+    const yearRows = rows
+        .filter((row) => row.id && String(row.financial_year) === String(financialYear))
+        .map((row) => {
+            const converted = {};
+            for (const [column, value] of Object.entries(row)) {
+                converted[column] = value instanceof Date || value === "" ? normalizeAuditValue(value) : value;
+            }
+            return converted;
+        });
+    return { rows: yearRows, columns: header.map(String) };
+}
+
+/**
+ * Lists the columns of a register table that a restore may write: those the backup has a header for
+ * A column added after the backup was taken (e.g. carried_from_id, firm_id) is left as it is rather than cleared.
+ * @param {string} tableName - Register table
+ * @param {Array} backupColumns - Columns of the backup's header row
+ * @param {Object} connection - Connection to read through
+ * @returns {Array} - Column names
+ * Used by: planRegisterRestore()
+ */
+async function getRestorableColumns(tableName, backupColumns, connection) {
+    const [columns] = await connection.query(`SHOW COLUMNS FROM ${tableName}`);
+    return columns
+        .map((column) => column.Field)
+        .filter((column) => backupColumns.includes(column) && !RESTORE_SKIPPED_COLUMNS.includes(column));
+}
+
+/**
+ * Projects a row onto the given columns, treating missing values as null
+ * Used by: planRegisterRestore()
+ */
+function pickColumns(row, columns) {
+    const picked = {};
+    for (const column of columns) {
+        picked[column] = row[column] === undefined ? null : row[column];
+    }
+    return picked;
+}
+
+/**
+ * Compares a backup against the live register for one financial year
+ * Rows are matched by id. "added" rows are in the backup but not live (including trashed rows),
+ * "removed" rows are live but not in the backup, "changed" rows differ in at least one column
+ * @param {string} type - Register type
+ * @param {string} file - Backup file name
+ * @param {string} financialYear - Financial year to compare
+ * @param {Object} connection - Optional connection to read through (defaults to the pool)
+ * @returns {Object} - { type, table, file, financialYear, columns, added, removed, changed }
+ * Used by: previewRestore(), applyRestore()
+ * Dependencies: db.js (pool), audit.js (diffRows)
+ */
+async function planRegisterRestore(type, file, financialYear, connection = pool) {
+    const tableName = REGISTER_TABLES[type];
+    const { rows: backupRows, columns: backupColumns } = await readBackupRows(type, file, financialYear);
+    const columns = await getRestorableColumns(tableName, backupColumns, connection);
+
+    const [liveRows] = await connection.query(
+        `SELECT * FROM ${tableName} WHERE financial_year = ? AND deleted_at IS NULL`,
+        [financialYear]
+    );
+
+    // Backup ids may now be trashed or have been moved to another financial year
+    const backupIds = backupRows.map((row) => row.id);
+    const [existingRows] = backupIds.length
+        ? await connection.query(`SELECT * FROM ${tableName} WHERE id IN (?)`, [backupIds])
+        : [[]];
+    const existingById = new Map(existingRows.map((row) => [String(row.id), row]));
+    const backupIdSet = new Set(backupIds.map(String));
+
+    const added = [];
+    const changed = [];
+    for (const backupRow of backupRows) {
+        const values = pickColumns(backupRow, columns);
+        const existing = existingById.get(String(backupRow.id));
+
+        if (!existing || existing.deleted_at || String(existing.financial_year) !== String(financialYear)) {
+            added.push({ id: backupRow.id, serial_no: backupRow.serial_no, values, existing: existing || null });
+            continue;
+        }
+
+        const changes = diffRows(pickColumns(existing, columns), values);
+        if (Object.keys(changes).length > 0) {
+            changed.push({ id: existing.id, serial_no: existing.serial_no, values, changes, existing });
+        }
+    }
+
+    const removed = liveRows
+        .filter((row) => !backupIdSet.has(String(row.id)))
+        .map((row) => ({ id: row.id, serial_no: row.serial_no, existing: row }));
+
+    return { type, table: tableName, file, financialYear, columns, added, removed, changed };
+}
+
+/**
+ * Strips the live-row snapshots from a plan so it can be sent to the client
+ * @param {Object} plan - Result of planRegisterRestore()
+ * @returns {Object} - Plan with counts and serialisable entries
+ * Used by: previewRestore(), applyRestore()
+ */
+function summarizePlan(plan) {
+    return {
+        type: plan.type,
+        table: plan.table,
+        file: plan.file,
+        financialYear: plan.financialYear,
+        counts: {
+            added: plan.added.length,
+            removed: plan.removed.length,
+            changed: plan.changed.length,
+        },
+        added: plan.added.map(({ id, serial_no, values }) => ({ id, serial_no, values })),
+        removed: plan.removed.map(({ id, serial_no, existing }) => ({ id, serial_no, values: existing })),
+        changed: plan.changed.map(({ id, serial_no, changes }) => ({ id, serial_no, changes })),
+    };
+}
+
+/**
+ * Dry run: shows what restoring a backup would add, remove and change
+ * @param {Object} options - { types, file, financialYear }
+ * @returns {Array} - One summarised plan per register
+ * Used by: server.js restore preview endpoint (/api/backups/restore/preview)
+ */
+async function previewRestore({ types, file, financialYear }) {
+    const plans = [];
+    for (const type of types) {
+        plans.push(summarizePlan(await planRegisterRestore(type, file, financialYear)));
+    }
+    return plans;
+}
+
+/**
+ * Writes one register plan through a transaction connection
+ * Rows missing from the backup are soft deleted, so the restore itself can be undone from the recycle bin
+ * Used by: applyRestore()
+ * Dependencies: audit.js (recordAudit)
+ */
+async function applyRegisterPlan(plan, connection, username) {
+    const { table, columns } = plan;
+    const setClause = columns.map((column) => `${column} = ?`).join(", ");
+
+    for (const entry of plan.added) {
+        const values = columns.map((column) => entry.values[column]);
+        if (entry.existing) {
+            await connection.query(
+                `UPDATE ${table} SET ${setClause}, deleted_at = NULL, deleted_by = NULL, version = version + 1 WHERE id = ?`,
+                [...values, entry.id]
+            );
+        } else {
+            await connection.query(
+                `INSERT INTO ${table} (id, ${columns.join(", ")}) VALUES (?, ${columns.map(() => "?").join(", ")})`,
+                [entry.id, ...values]
+            );
+        }
+        await recordAudit({
+            tableName: table,
+            recordId: entry.id,
+            action: "backup_restore",
+            before: entry.existing,
+            after: { ...(entry.existing || {}), ...entry.values, deleted_at: null, deleted_by: null },
+            username,
+        }, connection);
+    }
+
+    for (const entry of plan.changed) {
+        await connection.query(
+            `UPDATE ${table} SET ${setClause}, version = version + 1 WHERE id = ?`,
+            [...columns.map((column) => entry.values[column]), entry.id]
+        );
+        await recordAudit({
+            tableName: table,
+            recordId: entry.id,
+            action: "backup_restore",
+            before: entry.existing,
+            after: { ...entry.existing, ...entry.values },
+            username,
+        }, connection);
+    }
+
+    for (const entry of plan.removed) {
+        const deletedAt = new Date();
+        await connection.query(
+            `UPDATE ${table} SET deleted_at = ?, deleted_by = ?, version = version + 1 WHERE id = ?`,
+            [deletedAt, username || null, entry.id]
+        );
+        await recordAudit({
+            tableName: table,
+            recordId: entry.id,
+            action: "backup_restore",
+            before: entry.existing,
+            after: { ...entry.existing, deleted_at: deletedAt, deleted_by: username || null },
+            username,
+        }, connection);
+    }
+}
+
+/**
+ * The writes of an applied plan as [{ after, before }], the shape the register write hooks and approval take
+ * Used by: applyRestore()
+ */
+function getPlanChanges(plan) {
+    return [
+        ...[...plan.added, ...plan.changed].map((entry) => ({
+            after: { ...(entry.existing || {}), ...entry.values, id: entry.id, deleted_at: null },
+            before: entry.existing,
+        })),
+        ...plan.removed.map((entry) => ({ after: null, before: entry.existing })),
+    ];
+}
+
+/**
+ * Restores one or more registers from a backup in a single transaction
+ * Either every register is restored or, on any error, none is
+ * @param {Object} options - { types, file, financialYear, username }
+ * @returns {Object} - { plans: one summarised plan per register, describing what was applied,
+ *                     changes: { type: [{ after, before }] } of the written records }
+ * Used by: server.js restore endpoint (/api/backups/restore)
+ * Dependencies: db.js (pool)
+ */
+async function applyRestore({ types, file, financialYear, username }) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+
+        const plans = [];
+        const changes = {};
+        for (const type of types) {
+            const plan = await planRegisterRestore(type, file, financialYear, connection);
+            await applyRegisterPlan(plan, connection, username);
+            plans.push(summarizePlan(plan));
+            changes[type] = getPlanChanges(plan);
+        }
+
+        await connection.commit();
+        return { plans, changes };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+module.exports = {
+    BACKUP_FILE_PATTERN,
+    previewRestore,
+    applyRestore,
+};
@@ -0,0 +1,189 @@
+const pool = require("./db");
+const { REGISTERS } = require("./registers");
+const { parsePeriodQuery, isEmptyPeriod } = require("./register-engine");
+
+// Roles a view can be shared with; "all" shares it with every logged-in user
+const SHARE_ROLES = ["viewer", "admin", "gamer", "super_admin"];
+const SHARE_ALL = "all";
+
+const FILTER_OPERATORS = ["eq", "from", "to", "contains"];
+const MAX_PAGE_SIZE = 500;
+
+/**
+ * Creates the saved_views table
+ * A saved view is a named register layout of one user: financial year, filters, sort, search,
+ * visible columns and their order. The owner can share it with a role so it shows in their view lists too.
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeSavedViewTables() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS saved_views (
+                id INT AUTO_INCREMENT PRIMARY KEY,
+                register_type VARCHAR(32) NOT NULL,
+                name VARCHAR(100) NOT NULL,
+                owner VARCHAR(50) NOT NULL,
+                shared_role VARCHAR(20),
+                config JSON NOT NULL,
+                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+                UNIQUE KEY uniq_saved_view (register_type, owner, name),
+                INDEX idx_saved_views_shared (register_type, shared_role)
+            )
+        `);
+        console.log("Saved views table initialized");
+    } catch (error) {
+        console.error("Error initializing saved views table:", error);
+    }
+}
+
+/**
+ * Keeps only the parts of a view config the register tables understand
+ * Filters and columns naming columns the register does not have are dropped, and so is a malformed period
+ * @param {string} type - Register type (key of REGISTERS)
+ * @param {Object} config - Config sent by the client
+ * @returns {Object} - { financialYear, period, sort, search, filters, columns, pageSize }
+ */
+function sanitizeViewConfig(type, config = {}) {
+    const columnNames = new Set(REGISTERS[type].columns.map((column) => column.name));
+
+    const filters = {};
+    for (const [name, condition] of Object.entries(config.filters || {})) {
+        if (!columnNames.has(name) || !condition || typeof condition !== "object") continue;
+        const kept = {};
+        for (const operator of FILTER_OPERATORS) {
+            if (condition[operator] !== undefined && condition[operator] !== "") {
+                kept[operator] = String(condition[operator]).slice(0, 255);
+            }
+        }
+        if (Object.keys(kept).length > 0) {
+            filters[name] = kept;
+        }
+    }
+
+    const columns = Array.isArray(config.columns)
+        ? [...new Set(config.columns.filter((name) => columnNames.has(name)))]
+        : null;
+    const pageSize = parseInt(config.pageSize, 10);
+
+    // Several years and/or a date range, shown instead of the financial year
+    let period = null;
+    if (config.period && typeof config.period === "object") {
+        const parsed = parsePeriodQuery(REGISTERS[type], {
+            years: Array.isArray(config.period.years) ? config.period.years.map((year) => String(year).slice(0, 20)) : [],
+            dateColumn: config.period.dateColumn || undefined,
+            from: config.period.from || undefined,
+            to: config.period.to || undefined,
+        });
+        if (parsed.period && !isEmptyPeriod(parsed.period)) {
+            period = parsed.period;
+        }
+    }
+
+    return {
+        financialYear: config.financialYear ? String(config.financialYear).slice(0, 20) : null,
+        period,
+        sort: config.sort ? String(config.sort).slice(0, 100) : "",
+        search: config.search ? String(config.search).slice(0, 200) : "",
+        filters,
+        columns: columns && columns.length > 0 ? columns : null,
+        pageSize: pageSize > 0 ? Math.min(pageSize, MAX_PAGE_SIZE) : null,
+    };
+}
+
+function toView(row, user) {
+    return {
+        id: row.id,
+        registerType: row.register_type,
+        name: row.name,
+        owner: row.owner,
+        sharedRole: row.shared_role,
+        config: typeof row.config === "string" ? JSON.parse(row.config || "{}") : row.config || {},
+        isOwner: row.owner === user.username,
+        updatedAt: row.updated_at,
+    };
+}
+
+/**
+ * Lists the views of a register a user can open: their own and those shared with their role or everyone
+ * @param {string} type - Register type
+ * @param {Object} user - Session user ({ username, role })
+ * @returns {Array} - Views, own first, then by name
+ * Used by: server.js saved view endpoints
+ * Dependencies: db.js (pool)
+ */
+async function getSavedViews(type, user) {
+    const [rows] = await pool.query(
+        `SELECT * FROM saved_views
+         WHERE register_type = ? AND (owner = ? OR shared_role = ? OR shared_role = ?)
+         ORDER BY owner = ? DESC, name`,
+        [type, user.username, user.role, SHARE_ALL, user.username]
+    );
+    return rows.map((row) => toView(row, user));
+}
+
+/**
+ * Loads one view, if the user can open it
+ * @param {string} type - Register type
+ * @param {number|string} id - View id
+ * @param {Object} user - Session user
+ * @returns {Object|null} - View, or null when it does not exist or is not shared with the user
+ * Used by: server.js saved view endpoints (linked views)
+ */
+async function getSavedView(type, id, user) {
+    const [rows] = await pool.query(
+        `SELECT * FROM saved_views
+         WHERE register_type = ? AND id = ? AND (owner = ? OR shared_role = ? OR shared_role = ?)`,
+        [type, id, user.username, user.role, SHARE_ALL]
+    );
+    return rows[0] ? toView(rows[0], user) : null;
+}
+
+/**
+ * Saves a view of the user; saving under one of their existing names replaces that view
+ * @param {string} type - Register type
+ * @param {Object} view - { name, sharedRole, config }
+ * @param {Object} user - Session user
+ * @returns {Object} - The saved view
+ * Used by: server.js saved view endpoints
+ * Dependencies: db.js (pool)
+ */
+async function saveSavedView(type, { name, sharedRole, config }, user) {
+    await pool.query(
+        `INSERT INTO saved_views (register_type, name, owner, shared_role, config)
+         VALUES (?, ?, ?, ?, ?)
+         ON DUPLICATE KEY UPDATE shared_role = VALUES(shared_role), config = VALUES(config)`,
+        [type, name, user.username, sharedRole || null, JSON.stringify(sanitizeViewConfig(type, config))]
+    );
+    const [rows] = await pool.query(
+        "SELECT * FROM saved_views WHERE register_type = ? AND owner = ? AND name = ?",
+        [type, user.username, name]
+    );
+    return toView(rows[0], user);
+}
+
+/**
+ * Deletes a view; only its owner (or a super admin) can
+ * @param {string} type - Register type
+ * @param {number|string} id - View id
+ * @param {Object} user - Session user
+ * @returns {boolean} - True if a view was deleted
+ */
+async function deleteSavedView(type, id, user) {
+    const [result] = await pool.query(
+        "DELETE FROM saved_views WHERE register_type = ? AND id = ? AND (owner = ? OR ? = 'super_admin')",
+        [type, id, user.username, user.role]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    SHARE_ROLES,
+    SHARE_ALL,
+    initializeSavedViewTables,
+    getSavedViews,
+    getSavedView,
+    saveSavedView,
+    deleteSavedView,
+};
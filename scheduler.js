@@ -0,0 +1,96 @@
+// Jobs armed by scheduleDaily(), keyed by name, so their next run can be reported
+const scheduledJobs = new Map();
+
+/**
+ * Parses a "HH:MM" time of day (24-hour clock, server local time)
+ * @param {string} value - Time of day, e.g. "00:00" or "23:30"
+ * @param {string} fallback - Used when value is missing or malformed
+ * @returns {Object} - { hours, minutes }
+ * Used by: getNextRunTime()
+ */
+function parseTimeOfDay(value, fallback = "00:00") {
+    const match = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(String(value || "").trim());
+    if (!match) {
+        if (value) {
+            console.warn(`Invalid time of day "${value}", using ${fallback}`);
+        }
+        return parseTimeOfDay(fallback);
+    }
+    return { hours: Number(match[1]), minutes: Number(match[2]) };
+}
+
+/**
+ * Computes the next occurrence of a time of day strictly after a given moment
+ * @param {string} timeOfDay - "HH:MM"
+ * @param {Date} from - Reference moment (defaults to now)
+ * @returns {Date} - Next run time
+ * Used by: scheduleDaily()
+ */
+function getNextRunTime(timeOfDay, from = new Date()) {
+    const { hours, minutes } = parseTimeOfDay(timeOfDay);
+    const next = new Date(from);
+    next.setHours(hours, minutes, 0, 0);
+    if (next <= from) {
+        next.setDate(next.getDate() + 1);
+    }
+    return next;
+}
+
+/**
+ * Runs a task every day at a fixed time of day
+ * The timer is re-armed after each run, so runs stay aligned to the wall clock across DST and restarts
+ * @param {string} name - Job name, used for status reporting and to replace an existing schedule
+ * @param {string} timeOfDay - "HH:MM" in server local time
+ * @param {Function} task - Async function to run; errors are logged and do not stop the schedule
+ * Used by: backup.js (daily backups)
+ */
+function scheduleDaily(name, timeOfDay, task) {
+    cancelSchedule(name);
+
+    const arm = () => {
+        const nextRunAt = getNextRunTime(timeOfDay);
+        const timer = setTimeout(async () => {
+            try {
+                await task();
+            } catch (error) {
+                console.error(`Scheduled job ${name} failed:`, error);
+            }
+            arm();
+        }, nextRunAt.getTime() - Date.now());
+
+        scheduledJobs.set(name, { name, timeOfDay, nextRunAt, timer });
+    };
+    arm();
+}
+
+/**
+ * Stops a job armed by scheduleDaily()
+ * @param {string} name - Job name
+ */
+function cancelSchedule(name) {
+    const job = scheduledJobs.get(name);
+    if (job) {
+        clearTimeout(job.timer);
+        scheduledJobs.delete(name);
+    }
+}
+
+/**
+ * Describes a scheduled job
+ * @param {string} name - Job name
+ * @returns {Object|null} - { name, timeOfDay, nextRunAt } or null if not scheduled
+ * Used by: status endpoints
+ */
+function getScheduledJob(name) {
+    const job = scheduledJobs.get(name);
+    if (!job) return null;
+    return { name: job.name, timeOfDay: job.timeOfDay, nextRunAt: job.nextRunAt };
+}
+
+module.exports = {
+    parseTimeOfDay,
+    getNextRunTime,
+    scheduleDaily,
+    cancelSchedule,
+    getScheduledJob,
+};
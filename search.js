@@ -0,0 +1,293 @@
+const pool = require("./db");
+const { buildPeriodConditions } = require("./register-engine");
+
+/**
+ * Cross-register search: one query looked up in the order, demand and sanction numbers, firm names, nomenclature,
+ * remarks and amendments of every register (the globalSearch columns in registers.js).
+ * Within a register, an identifier equal to the query ranks above one that starts with it, which ranks above one
+ * that contains it; the FULLTEXT relevance of the text columns orders the rest.
+ */
+
+const MIN_QUERY_LENGTH = 2;
+const MAX_QUERY_LENGTH = 200;
+const DEFAULT_HIT_LIMIT = 10;
+const MAX_HIT_LIMIT = 50;
+
+// Long text values are cut down to this many characters either side of the first match
+const SNIPPET_RADIUS = 60;
+const SUMMARY_LENGTH = 120;
+
+// Score added when an identifier equals / starts with / contains the query
+const IDENTIFIER_BOOST = { exact: 100, prefix: 50, contains: 20 };
+
+/**
+ * Adds the FULLTEXT index the cross-register search runs against, over each register's globalSearch columns
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection), registers.js
+ */
+async function initializeGlobalSearch(registers) {
+    for (const register of Object.values(registers)) {
+        if (!register.globalSearch) continue;
+        const columns = [...register.globalSearch.identifiers, ...register.globalSearch.text];
+        try {
+            await pool.query(
+                `ALTER TABLE ${register.table} ADD FULLTEXT INDEX ft_${register.table}_global (${columns.join(", ")})`
+            );
+        } catch (error) {
+            // Index already exists
+            if (error.code !== "ER_DUP_KEYNAME") {
+                console.error(`Error adding global search index to ${register.table}:`, error);
+            }
+        }
+    }
+    console.log("Global search indexes initialized");
+}
+
+/**
+ * Words of a query, split where the FULLTEXT parser splits them ("SO/2025/001" -> SO, 2025, 001)
+ */
+function splitWords(query) {
+    return query.split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function escapeLike(value) {
+    return value.replace(/[\\%_]/g, "\\$&");
+}
+
+function escapeRegExp(value) {
+    return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Pattern of the text a hit is highlighted on: the whole query, or any word starting with one of its words
+ */
+function buildHighlightPattern(query) {
+    const words = splitWords(query)
+        .filter((word) => word.length >= MIN_QUERY_LENGTH)
+        .map(escapeRegExp);
+    const alternatives = [escapeRegExp(query)];
+    if (words.length > 0) {
+        alternatives.push(`(?<![\\p{L}\\p{N}])(?:${words.join("|")})[\\p{L}\\p{N}]*`);
+    }
+    return new RegExp(alternatives.join("|"), "giu");
+}
+
+/**
+ * Splits a value into highlighted and plain segments
+ * @param {*} value - Column value
+ * @param {RegExp} pattern - buildHighlightPattern() result
+ * @returns {Array|null} - [{ text, match }], or null when nothing in the value matches
+ */
+function highlightValue(value, pattern) {
+    const text = String(value);
+    const ranges = [];
+    pattern.lastIndex = 0;
+    let found;
+    while ((found = pattern.exec(text)) !== null) {
+        if (found[0].length === 0) {
+            pattern.lastIndex++;
+            continue;
+        }
+        ranges.push([found.index, found.index + found[0].length]);
+    }
+    if (ranges.length === 0) return null;
+
+    let start = 0;
+    let end = text.length;
+    if (text.length > SNIPPET_RADIUS * 2) {
+        start = Math.max(ranges[0][0] - SNIPPET_RADIUS, 0);
+        end = Math.min(ranges[0][1] + SNIPPET_RADIUS, text.length);
+    }
+
+    const segments = [];
+    if (start > 0) segments.push({ text: "…", match: false });
+    let position = start;
+    for (const [from, to] of ranges) {
+        if (from >= end) break;
+        if (from > position) segments.push({ text: text.slice(position, from), match: false });
+        segments.push({ text: text.slice(from, Math.min(to, end)), match: true });
+        position = Math.min(to, end);
+    }
+    if (position < end) segments.push({ text: text.slice(position, end), match: false });
+    if (end < text.length) segments.push({ text: "…", match: false });
+    return segments;
+}
+
+/**
+ * Parses the search query string
+ *   q=SO/2025/001     - at least two characters
+ *   types=supply,bill - registers to search (default: every register the caller passes in)
+ *   limit=10          - hits per register, up to 50
+ * @param {Object} query - req.query
+ * @param {Array} allowedTypes - Register types the user may view
+ * @returns {Object} - { options: { query, types, limit } } or { error }
+ */
+function parseSearchQuery(query, allowedTypes) {
+    const text = String(query.q || "").trim();
+    if (text.length < MIN_QUERY_LENGTH) {
+        return { error: `Search text must be at least ${MIN_QUERY_LENGTH} characters` };
+    }
+    if (text.length > MAX_QUERY_LENGTH) {
+        return { error: `Search text must be at most ${MAX_QUERY_LENGTH} characters` };
+    }
+
+    let types = allowedTypes;
+    if (query.types) {
+        const requested = String(query.types).split(",").map((type) => type.trim()).filter(Boolean);
+        const unknown = requested.filter((type) => !allowedTypes.includes(type));
+        if (unknown.length > 0) {
+            return { error: `Unknown register type: ${unknown.join(", ")}` };
+        }
+        types = requested;
+    }
+
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_HIT_LIMIT, 1), MAX_HIT_LIMIT);
+    return { options: { query: text, types, limit } };
+}
+
+/**
+ * WHERE clause and score expression of one register's search
+ * Words of three or more characters use the FULLTEXT index (prefix match); identifiers also match on LIKE so
+ * "SO/2025/001" finds its order even though the index splits it into short words. Without a usable word the text
+ * columns fall back to LIKE as well.
+ */
+function buildSearchQuery(register, query, period) {
+    const { identifiers, text } = register.globalSearch;
+    const indexed = [...identifiers, ...text];
+    const words = splitWords(query).filter((word) => word.length >= 3);
+    const contains = `%${escapeLike(query)}%`;
+    const prefix = `${escapeLike(query)}%`;
+
+    const scoreParts = [];
+    const scoreParams = [];
+    const boosts = [
+        [IDENTIFIER_BOOST.exact, "= ?", query],
+        [IDENTIFIER_BOOST.prefix, "LIKE ?", prefix],
+        [IDENTIFIER_BOOST.contains, "LIKE ?", contains],
+    ];
+    scoreParts.push(
+        `(CASE ${boosts
+            .map(([boost, comparison]) => `WHEN ${identifiers.map((column) => `${column} ${comparison}`).join(" OR ")} THEN ${boost}`)
+            .join(" ")} ELSE 0 END)`
+    );
+    for (const [, , value] of boosts) {
+        scoreParams.push(...identifiers.map(() => value));
+    }
+
+    const { conditions, params } = buildPeriodConditions(period);
+    const matchClauses = [];
+    const matchParams = [];
+    if (words.length > 0) {
+        const against = words.map((word) => `+${word}*`).join(" ");
+        scoreParts.push(`MATCH(${indexed.join(", ")}) AGAINST (? IN BOOLEAN MODE)`);
+        scoreParams.push(against);
+        matchClauses.push(`MATCH(${indexed.join(", ")}) AGAINST (? IN BOOLEAN MODE)`);
+        matchParams.push(against);
+    }
+    const likeColumns = words.length > 0 ? identifiers : indexed;
+    for (const column of likeColumns) {
+        matchClauses.push(`${column} LIKE ?`);
+        matchParams.push(contains);
+    }
+
+    return {
+        score: scoreParts.join(" + "),
+        scoreParams,
+        where: [...conditions, "deleted_at IS NULL", `(${matchClauses.join(" OR ")})`].join(" AND "),
+        params: [...params, ...matchParams],
+    };
+}
+
+/**
+ * Turns a matching row into a hit: its title (first identifier with a value), its natural key, a short summary and
+ * the highlighted columns that matched
+ */
+function buildHit(register, row, pattern) {
+    const { identifiers, text } = register.globalSearch;
+    const matches = [];
+    for (const column of [...identifiers, ...text]) {
+        if (row[column] === null || row[column] === undefined || row[column] === "") continue;
+        const segments = highlightValue(row[column], pattern);
+        if (segments) {
+            matches.push({ column, segments });
+        }
+    }
+
+    const titleColumn = identifiers.find((column) => row[column]);
+    // The register list search matches natural key columns on their prefix, so the client can open the row by it
+    const keyColumn = register.naturalKey.find((column) => row[column] && identifiers.includes(column));
+    const summaryColumn = text.find((column) => row[column]);
+    const summary = summaryColumn ? String(row[summaryColumn]) : "";
+    return {
+        id: row.id,
+        financial_year: row.financial_year,
+        serial_no: row.serial_no,
+        approval_status: row.approval_status,
+        title: titleColumn ? String(row[titleColumn]) : `#${row.serial_no}`,
+        key: keyColumn ? String(row[keyColumn]) : null,
+        summary: summary.length > SUMMARY_LENGTH ? `${summary.slice(0, SUMMARY_LENGTH)}…` : summary,
+        score: Number(row.score) || 0,
+        matches,
+    };
+}
+
+/**
+ * Searches every requested register and groups the ranked hits by register
+ * @param {Object} registers - REGISTERS
+ * @param {Object} options - parseSearchQuery() options
+ * @param {Object} periods - Optional period per register type (see parsePeriodQuery); registers without one search every year
+ * @returns {Object} - { query, total, groups: [{ type, label, count, hits }] }; groups with hits come first, best top hit first
+ * Used by: server.js /api/search
+ * Dependencies: db.js (pool), register-engine.js (buildPeriodConditions)
+ */
+async function searchRegisters(registers, { query, types, limit }, periods = {}) {
+    const pattern = buildHighlightPattern(query);
+    const groups = [];
+
+    for (const type of types) {
+        const register = registers[type];
+        if (!register || !register.globalSearch) continue;
+        const period = periods[type] || { years: [] };
+        const search = buildSearchQuery(register, query, period);
+        const columns = [...new Set([...register.globalSearch.identifiers, ...register.globalSearch.text])];
+
+        const [rows] = await pool.query(
+            `SELECT id, financial_year, serial_no, approval_status, ${columns.join(", ")}, ${search.score} AS score
+             FROM ${register.table}
+             WHERE ${search.where}
+             ORDER BY score DESC, financial_year DESC, serial_no ASC
+             LIMIT ?`,
+            [...search.scoreParams, ...search.params, limit]
+        );
+        let count = rows.length;
+        if (rows.length === limit) {
+            const [countRows] = await pool.query(
+                `SELECT COUNT(*) as total FROM ${register.table} WHERE ${search.where}`,
+                search.params
+            );
+            count = Number(countRows[0].total);
+        }
+
+        groups.push({
+            type,
+            label: register.label,
+            count,
+            hits: rows.map((row) => buildHit(register, row, pattern)),
+        });
+    }
+
+    const topScore = (group) => (group.hits.length > 0 ? group.hits[0].score : -1);
+    groups.sort((a, b) => topScore(b) - topScore(a));
+
+    return {
+        query,
+        total: groups.reduce((sum, group) => sum + group.count, 0),
+        groups,
+    };
+}
+
+module.exports = {
+    initializeGlobalSearch,
+    parseSearchQuery,
+    searchRegisters,
+};
@@ -0,0 +1,264 @@
+const pool = require("./db");
+const { recordAudit } = require("./audit");
+
+/**
+ * Serial numbers: allocation on insert and reordering of a register year
+ * Serial numbers are per register table and financial year. Every write that hands out or rearranges
+ * serial numbers first locks the (table, year) row of serial_locks inside its transaction, so concurrent
+ * inserts, moves and renumbers of the same year run one after another and never hand out a number twice.
+ * The next number is always MAX(serial_no) + 1 of the live rows, read under that lock, so deletions,
+ * restores and imports cannot leave a stored counter out of step.
+ */
+
+/**
+ * Creates the serial_locks table
+ * Used by: server.js on startup
+ * Dependencies: db.js (pool connection)
+ */
+async function initializeSerialLocks() {
+    try {
+        await pool.query(`
+            CREATE TABLE IF NOT EXISTS serial_locks (
+                table_name VARCHAR(64) NOT NULL,
+                financial_year VARCHAR(20) NOT NULL,
+                PRIMARY KEY (table_name, financial_year)
+            )
+        `);
+        console.log("Serial locks table initialized");
+    } catch (error) {
+        console.error("Error initializing serial locks table:", error);
+    }
+}
+
+/**
+ * Takes the serial number lock of a register year for the rest of the connection's transaction
+ * @param {Object} connection - Connection with an open transaction
+ * @param {string} tableName - Register table
+ * @param {string} financialYear - Financial year
+ * @returns {number} - Highest serial number of the year's live records, 0 for an empty year
+ * Used by: insertWithSerial(), updateWithSerial(), rewriteSerials(), importer.js commitImport(), recycle.js restoreRecord()
+ */
+async function lockSerials(connection, tableName, financialYear) {
+    await connection.query(
+        "INSERT IGNORE INTO serial_locks (table_name, financial_year) VALUES (?, ?)",
+        [tableName, financialYear]
+    );
+    await connection.query(
+        "SELECT table_name FROM serial_locks WHERE table_name = ? AND financial_year = ? FOR UPDATE",
+        [tableName, financialYear]
+    );
+    const [rows] = await connection.query(
+        `SELECT MAX(serial_no) as maxSerialNo FROM ${tableName} WHERE financial_year = ? AND deleted_at IS NULL`,
+        [financialYear]
+    );
+    return rows[0].maxSerialNo || 0;
+}
+
+/**
+ * Inserts a record with the next serial number of its year, in one transaction
+ * beforeCommit gets the transaction's connection and the write as [{ after, before }]; if it throws, nothing is written.
+ * @param {string} tableName - Register table
+ * @param {Object} record - Column values including financial_year; serial_no is overwritten
+ * @param {Function|null} beforeCommit - (connection, changes) => Promise, e.g. the approval step
+ * @returns {Object} - { id, serial_no }
+ * Used by: register-engine.js createRecord()
+ * Dependencies: db.js (pool)
+ */
+async function insertWithSerial(tableName, record, beforeCommit = null) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const values = { ...record, serial_no: (await lockSerials(connection, tableName, record.financial_year)) + 1 };
+        const columns = Object.keys(values);
+        const [result] = await connection.query(
+            `INSERT INTO ${tableName} (${columns.join(", ")}) VALUES (?)`,
+            [columns.map((column) => values[column])]
+        );
+        if (beforeCommit) {
+            await beforeCommit(connection, [{ after: { ...values, id: result.insertId }, before: null }]);
+        }
+        await connection.commit();
+        return { id: result.insertId, serial_no: values.serial_no };
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Updates a live record in one transaction, giving it the next serial number of its new year if it changes year
+ * A serial number in record is ignored: within a year serials only change through a move, reorder or renumber.
+ * beforeCommit runs as for insertWithSerial(), with the row as it stood before the update.
+ * @param {string} tableName - Register table
+ * @param {number|string} id - Record id
+ * @param {Object} record - Column values including financial_year
+ * @param {number|null} expectedVersion - Version the edit was made against; null skips the check
+ * @param {Function|null} beforeCommit - (connection, changes) => Promise, e.g. the approval step
+ * @returns {boolean} - Whether the record was updated (false if it is not live or its version moved on)
+ * Used by: register-engine.js updateRecord()
+ * Dependencies: db.js (pool)
+ */
+async function updateWithSerial(tableName, id, record, expectedVersion = null, beforeCommit = null) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const [current] = await connection.query(
+            `SELECT * FROM ${tableName} WHERE id = ? AND deleted_at IS NULL FOR UPDATE`,
+            [id]
+        );
+        const values = { ...record };
+        delete values.serial_no;
+        if (current.length > 0 && current[0].financial_year !== values.financial_year) {
+            values.serial_no = (await lockSerials(connection, tableName, values.financial_year)) + 1;
+        }
+        const columns = Object.keys(values);
+        const params = [...columns.map((column) => values[column]), id];
+        let versionCondition = "";
+        if (expectedVersion !== null) {
+            versionCondition = " AND version = ?";
+            params.push(expectedVersion);
+        }
+        const [result] = await connection.query(
+            `UPDATE ${tableName} SET ${columns.map((column) => `${column} = ?`).join(", ")}, version = version + 1
+             WHERE id = ? AND deleted_at IS NULL${versionCondition}`,
+            params
+        );
+        if (result.affectedRows > 0 && beforeCommit) {
+            await beforeCommit(connection, [{ after: { ...current[0], ...values, id: current[0].id }, before: current[0] }]);
+        }
+        await connection.commit();
+        return result.affectedRows > 0;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Rewrites the serial numbers of a register year in one transaction
+ * arrange receives the live rows ({ id, serial_no }) in serial order and returns them in their new order,
+ * or null when the change is not possible. Unless sequential is set the rows keep the year's existing
+ * serial numbers, handed out in the new order, so only the rows between the old and new position change.
+ * Every changed row moves to its next version and gets an audit entry.
+ * @param {string} tableName - Register table
+ * @param {string} financialYear - Financial year
+ * @param {Function} arrange - (rows) => rows in their new order, or null
+ * @param {Object} options - { sequential, action, username }
+ * @returns {Array|null} - Changed rows as { id, from, to }, or null if arrange refused
+ */
+async function rewriteSerials(tableName, financialYear, arrange, { sequential = false, action, username = null }) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        await lockSerials(connection, tableName, financialYear);
+        const [rows] = await connection.query(
+            `SELECT id, serial_no FROM ${tableName} WHERE financial_year = ? AND deleted_at IS NULL ORDER BY serial_no, id`,
+            [financialYear]
+        );
+        const ordered = arrange(rows);
+        if (!ordered) {
+            await connection.rollback();
+            return null;
+        }
+
+        const changes = [];
+        ordered.forEach((row, index) => {
+            const serialNo = sequential ? index + 1 : rows[index].serial_no;
+            if (row.serial_no !== serialNo) {
+                changes.push({ id: row.id, from: row.serial_no, to: serialNo });
+            }
+        });
+        for (const change of changes) {
+            await connection.query(
+                `UPDATE ${tableName} SET serial_no = ?, version = version + 1 WHERE id = ?`,
+                [change.to, change.id]
+            );
+            await recordAudit({
+                tableName,
+                recordId: change.id,
+                action,
+                before: { serial_no: change.from },
+                after: { serial_no: change.to },
+                username,
+            }, connection);
+        }
+
+        await connection.commit();
+        return changes;
+    } catch (error) {
+        await connection.rollback();
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+/**
+ * Moves a record one place up or down, swapping serial numbers with its neighbour
+ * @param {string} tableName - Register table
+ * @param {string} financialYear - Financial year
+ * @param {number|string} id - Record id
+ * @param {string} direction - "up" or "down"
+ * @param {string} username - Session username
+ * @returns {Array|null} - Changed rows, or null if the record is not in the year or already at that end
+ * Used by: server.js move endpoints for all registers
+ */
+async function moveRecord(tableName, financialYear, id, direction, username) {
+    if (!["up", "down"].includes(direction)) return null;
+    return rewriteSerials(tableName, financialYear, (rows) => {
+        const index = rows.findIndex((row) => row.id == id);
+        const target = direction === "up" ? index - 1 : index + 1;
+        if (index === -1 || target < 0 || target >= rows.length) return null;
+        const ordered = [...rows];
+        [ordered[index], ordered[target]] = [ordered[target], ordered[index]];
+        return ordered;
+    }, { action: "move", username });
+}
+
+/**
+ * Moves a record to the place of another (drag and drop); the rows in between shift by one
+ * @param {string} tableName - Register table
+ * @param {string} financialYear - Financial year
+ * @param {number|string} id - Record being moved
+ * @param {number|string} targetId - Record whose place it takes
+ * @param {string} username - Session username
+ * @returns {Array|null} - Changed rows, or null if either record is not a live record of the year
+ * Used by: server.js reorder endpoints for all registers
+ */
+async function reorderRecord(tableName, financialYear, id, targetId, username) {
+    return rewriteSerials(tableName, financialYear, (rows) => {
+        const index = rows.findIndex((row) => row.id == id);
+        const target = rows.findIndex((row) => row.id == targetId);
+        if (index === -1 || target === -1) return null;
+        const ordered = [...rows];
+        const [moved] = ordered.splice(index, 1);
+        ordered.splice(target, 0, moved);
+        return ordered;
+    }, { action: "move", username });
+}
+
+/**
+ * Renumbers a register year 1..n in its current order, closing the gaps deletions left
+ * @param {string} tableName - Register table
+ * @param {string} financialYear - Financial year
+ * @param {string} username - Session username
+ * @returns {Array} - Changed rows
+ * Used by: server.js renumber endpoints for all registers
+ */
+async function renumberRecords(tableName, financialYear, username) {
+    return rewriteSerials(tableName, financialYear, (rows) => rows, { sequential: true, action: "renumber", username });
+}
+
+module.exports = {
+    initializeSerialLocks,
+    lockSerials,
+    insertWithSerial,
+    updateWithSerial,
+    moveRecord,
+    reorderRecord,
+    renumberRecords,
+};
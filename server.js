@@ -17,6 +17,174 @@ const {
     updatePermission,
     getAllPermissions,
 } = require("./auth");
+const {
+    AUDITED_TABLES,
+    initializeAuditTables,
+    recordAudit,
+    fetchAuditSnapshot,
+    getAuditTrail,
+} = require("./audit");
+const { REGISTERS, REGISTER_TABLES } = require("./registers");
+const { validateImport, commitImport, toClientReport } = require("./importer");
+const {
+    initializeImportMappingTables,
+    suggestColumnMapping,
+    getMappingProfiles,
+    getMappingProfile,
+    saveMappingProfile,
+    deleteMappingProfile,
+} = require("./import-mappings");
+const {
+    SHARE_ROLES,
+    SHARE_ALL,
+    initializeSavedViewTables,
+    getSavedViews,
+    getSavedView,
+    saveSavedView,
+    deleteSavedView,
+} = require("./saved-views");
+const {
+    initializeRecycleBin,
+    softDeleteRecord,
+    getTrashedRecords,
+    restoreRecord,
+    purgeRecord,
+} = require("./recycle");
+const { BACKUP_FILE_PATTERN, previewRestore, applyRestore } = require("./restore");
+const { acquireEditLock, releaseEditLock, releaseSocketLocks, getEditLocks } = require("./record-locks");
+const { backupDirs, startBackupScheduler, getBackupStatus } = require("./backup");
+const {
+    initializeRegisterSearch,
+    initializeRecordVersions,
+    parseRecordInput,
+    parseListQuery,
+    parsePeriodQuery,
+    isEmptyPeriod,
+    buildPeriodConditions,
+    liveCondition,
+    listRecords,
+    getFilterOptions,
+    getRecord,
+    getMaxSerial,
+    createRecord,
+    updateRecord,
+} = require("./register-engine");
+const { syncDemandSupplyStatus, getLifecycle, getBrokenLinks } = require("./lifecycle");
+const {
+    initializeBudgetTables,
+    parseAllotmentInput,
+    getAllotments,
+    saveAllotment,
+    updateAllotment,
+    deleteAllotment,
+    getBudgetReport,
+    getBudgetWarnings,
+} = require("./budget");
+const { initializeSerialLocks, moveRecord, reorderRecord, renumberRecords } = require("./serials");
+const {
+    initializeLdTables,
+    getLdRules,
+    parseLdRulesInput,
+    saveLdRules,
+    calculateBillLd,
+    calculateYearLd,
+    setBillLd,
+} = require("./ld");
+const {
+    initializeDeliveryAlerts,
+    evaluateDeliveryAlerts,
+    listDeliveryAlerts,
+    acknowledgeDeliveryAlert,
+    sendDeliveryDigest,
+    startDeliveryAlertScheduler,
+    getDeliveryAlertStatus,
+} = require("./delivery-alerts");
+const {
+    NOTIFICATION_EVENTS,
+    initializeNotifications,
+    parseSubscriptionInput,
+    getSubscriptions,
+    addSubscription,
+    deleteSubscription,
+    createRegisterNotifications,
+    listNotifications,
+    getUnreadCount,
+    markNotificationsRead,
+} = require("./notifications");
+const {
+    RULE_KINDS,
+    initializeApprovals,
+    parseRuleInput,
+    getApprovalRules,
+    addApprovalRule,
+    deleteApprovalRule,
+    submitForApproval,
+    decideApproval,
+    getApprovalQueue,
+    getApprovalHistory,
+} = require("./approvals");
+const {
+    initializeFirms,
+    parseFirmInput,
+    listFirms,
+    createFirm,
+    updateFirm,
+    deleteFirm,
+    addFirmAlias,
+    deleteFirmAlias,
+    mergeFirms,
+    linkRegisterFirms,
+    getFirmClusters,
+    applyFirmClusters,
+    getFirmScorecards,
+} = require("./firms");
+const {
+    COMMON_UNITS,
+    initializeItems,
+    parseItemInput,
+    listItems,
+    createItem,
+    updateItem,
+    deleteItem,
+    linkRegisterItems,
+    getUncataloguedNomenclatures,
+    getItemPriceHistory,
+    getPriceHint,
+} = require("./items");
+const {
+    initializeFinancialYears,
+    isValidFinancialYear,
+    listFinancialYears,
+    getClosedYears,
+    setFinancialYearStatus,
+    rolloverFinancialYear,
+    startFinancialYearScheduler,
+    getFinancialYearStatus,
+} = require("./financial-years");
+const { initializeGlobalSearch, parseSearchQuery, searchRegisters } = require("./search");
+const {
+    initializeReportTemplates,
+    describeReportSources,
+    parseReportTemplateInput,
+    listReportTemplates,
+    getReportTemplate,
+    createReportTemplate,
+    updateReportTemplate,
+    deleteReportTemplate,
+    resetReportTemplate,
+    parseReportPeriods,
+    getReportFileName,
+    buildReport,
+    renderReportPdf,
+} = require("./reports");
+const {
+    listArchivedRuns,
+    startReportScheduler,
+    getArchivedRun,
+    getArchivedRunPath,
+    rerunArchivedReport,
+    getReportScheduleStatus,
+} = require("./report-archive");
 
 const app = express();
 const port = process.env.PORT || 5000;
@@ -29,7 +197,7 @@ const io = new Server(server, {
 });
 
 // Session configuration optimized for high concurrency and shared logins
-app.use(session({
+const sessionMiddleware = session({
     secret: process.env.SESSION_SECRET || 'your-secret-key-change-in-production',
     resave: false,
     saveUninitialized: false,
@@ -52,9 +220,13 @@ app.use(session({
             console.log('Session disposed:', key);
         }
     })
-}));
+});
+app.use(sessionMiddleware);
+// Socket.IO reads the same session, so socket handlers know which user is connected
+io.engine.use(sessionMiddleware);
 
-app.use(bodyParser.json());
+// Excel imports post the whole sheet as JSON
+app.use(bodyParser.json({ limit: "10mb" }));
 // Serve static files
 app.use(express.static('public'));
 
@@ -122,10 +294,14 @@ app.get("/api/public/visitor-count-display", async (req, res) => {
     }
 });
 
-// Public endpoints for homepage analytics with caching
+// Public endpoints for homepage analytics with caching; each takes year, years or a from/to date range
 app.get("/api/public/supply-orders", async (req, res) => {
-    const { year } = req.query;
-    const cacheKey = `public-supply-${year}`;
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["supply"]);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+    const { where, params } = periodWhere(periods.supply);
+    const cacheKey = `public-supply-${JSON.stringify(periods.supply)}`;
 
     try {
         // Check cache first
@@ -139,14 +315,14 @@ app.get("/api/public/supply-orders", async (req, res) => {
                     firm_name, nomenclature, quantity, 
                     DATE_FORMAT(original_date, '%Y-%m-%d') as original_date, 
                     build_up, maint, misc, delivery_done, financial_year 
-             FROM supply_orders WHERE financial_year = ? ORDER BY serial_no`,
-            [year],
+             FROM supply_orders WHERE ${where} ORDER BY financial_year, serial_no`,
+            params,
         );
 
         // Cache the result
         setHomepageCachedData(cacheKey, rows);
 
-        console.log(`Public API: Found ${rows.length} supply orders for year ${year}`);
+        console.log(`Public API: Found ${rows.length} supply orders for ${periods.supply.years.join(", ") || "the date range"}`);
         res.json(rows);
     } catch (error) {
         console.error("Public supply orders fetch error:", error);
@@ -155,8 +331,12 @@ app.get("/api/public/supply-orders", async (req, res) => {
 });
 
 app.get("/api/public/demand-orders", async (req, res) => {
-    const { year } = req.query;
-    const cacheKey = `public-demand-${year}`;
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["demand"]);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+    const { where, params } = periodWhere(periods.demand);
+    const cacheKey = `public-demand-${JSON.stringify(periods.demand)}`;
 
     try {
         // Check cache first
@@ -168,14 +348,14 @@ app.get("/api/public/demand-orders", async (req, res) => {
         const [rows] = await pool.query(
             `SELECT id, serial_no, DATE_FORMAT(demand_date, '%Y-%m-%d') as demand_date,
                     imms_demand_no, nomenclature, quantity, est_cost, supply_order_placed, financial_year 
-             FROM demand_orders WHERE financial_year = ? ORDER BY serial_no`,
-            [year],
+             FROM demand_orders WHERE ${where} ORDER BY financial_year, serial_no`,
+            params,
         );
 
         // Cache the result
         setHomepageCachedData(cacheKey, rows);
 
-        console.log(`Public API: Found ${rows.length} demand orders for year ${year}`);
+        console.log(`Public API: Found ${rows.length} demand orders for ${periods.demand.years.join(", ") || "the date range"}`);
         res.json(rows);
     } catch (error) {
         console.error("Public demand orders fetch error:", error);
@@ -184,8 +364,12 @@ app.get("/api/public/demand-orders", async (req, res) => {
 });
 
 app.get("/api/public/bill-orders", async (req, res) => {
-    const { year } = req.query;
-    const cacheKey = `public-bill-${year}`;
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["bill"]);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+    const { where, params } = periodWhere(periods.bill);
+    const cacheKey = `public-bill-${JSON.stringify(periods.bill)}`;
 
     try {
         // Check cache first
@@ -197,14 +381,14 @@ app.get("/api/public/bill-orders", async (req, res) => {
         const [rows] = await pool.query(
             `SELECT id, serial_no, DATE_FORMAT(bill_control_date, '%Y-%m-%d') as bill_control_date,
                     supply_order_no, build_up, maintenance, project_less_2cr, project_more_2cr, financial_year 
-             FROM bill_orders WHERE financial_year = ? ORDER BY serial_no`,
-            [year],
+             FROM bill_orders WHERE ${where} ORDER BY financial_year, serial_no`,
+            params,
         );
 
         // Cache the result
         setHomepageCachedData(cacheKey, rows);
 
-        console.log(`Public API: Found ${rows.length} bill orders for year ${year}`);
+        console.log(`Public API: Found ${rows.length} bill orders for ${periods.bill.years.join(", ") || "the date range"}`);
         res.json(rows);
     } catch (error) {
         console.error("Public bill orders fetch error:", error);
@@ -215,24 +399,8 @@ app.get("/api/public/bill-orders", async (req, res) => {
 // Add endpoint to get all financial years
 app.get("/api/public/financial-years", async (req, res) => {
     try {
-        const [supplyYears] = await pool.query(
-            "SELECT DISTINCT financial_year FROM supply_orders WHERE financial_year IS NOT NULL ORDER BY financial_year DESC"
-        );
-        const [demandYears] = await pool.query(
-            "SELECT DISTINCT financial_year FROM demand_orders WHERE financial_year IS NOT NULL ORDER BY financial_year DESC"
-        );
-        const [billYears] = await pool.query(
-            "SELECT DISTINCT financial_year FROM bill_orders WHERE financial_year IS NOT NULL ORDER BY financial_year DESC"
-        );
-
-        // Combine and deduplicate years
-        const allYears = new Set([
-            ...supplyYears.map(r => r.financial_year),
-            ...demandYears.map(r => r.financial_year),
-            ...billYears.map(r => r.financial_year)
-        ]);
-
-        const sortedYears = Array.from(allYears).sort((a, b) => b.localeCompare(a));
+        // The financial_years table plus any year the registers use, newest first
+        const sortedYears = (await listFinancialYears()).map((year) => year.year);
         console.log('Available financial years:', sortedYears);
         res.json(sortedYears);
     } catch (error) {
@@ -241,11 +409,17 @@ app.get("/api/public/financial-years", async (req, res) => {
     }
 });
 
-// Add endpoint to get all data for yearly trends
+// Every year's rows for the yearly trends; years, year or a from/to date range narrows them
 app.get("/api/public/supply-orders-all", async (req, res) => {
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["supply"], false);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+    const { where, params } = periodWhere(periods.supply);
     try {
         const [rows] = await pool.query(
-            "SELECT * FROM supply_orders ORDER BY financial_year DESC, serial_no ASC"
+            `SELECT * FROM supply_orders WHERE ${where} ORDER BY financial_year DESC, serial_no ASC`,
+            params
         );
         res.json(rows);
     } catch (error) {
@@ -255,9 +429,15 @@ app.get("/api/public/supply-orders-all", async (req, res) => {
 });
 
 app.get("/api/public/demand-orders-all", async (req, res) => {
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["demand"], false);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+    const { where, params } = periodWhere(periods.demand);
     try {
         const [rows] = await pool.query(
-            "SELECT * FROM demand_orders ORDER BY financial_year DESC, serial_no ASC"
+            `SELECT * FROM demand_orders WHERE ${where} ORDER BY financial_year DESC, serial_no ASC`,
+            params
         );
         res.json(rows);
     } catch (error) {
@@ -267,9 +447,15 @@ app.get("/api/public/demand-orders-all", async (req, res) => {
 });
 
 app.get("/api/public/bill-orders-all", async (req, res) => {
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["bill"], false);
+    if (periodError) {
+        return res.status(400).json({ error: periodError });
+    }
+    const { where, params } = periodWhere(periods.bill);
     try {
         const [rows] = await pool.query(
-            "SELECT * FROM bill_orders ORDER BY financial_year DESC, serial_no ASC"
+            `SELECT * FROM bill_orders WHERE ${where} ORDER BY financial_year DESC, serial_no ASC`,
+            params
         );
         res.json(rows);
     } catch (error) {
@@ -278,22 +464,64 @@ app.get("/api/public/bill-orders-all", async (req, res) => {
     }
 });
 
-app.use("/backups/supply", express.static("backups/supply"));
-app.use("/backups/demand", express.static("backups/demand"));
-app.use("/backups/bill", express.static("backups/bill"));
-app.use(
-    "/backups/sanction-gen-project",
-    express.static("backups/sanction-gen-project"),
-);
-app.use("/backups/sanction-misc", express.static("backups/sanction-misc"));
-app.use(
-    "/backups/sanction-training",
-    express.static("backups/sanction-training"),
-);
+for (const [backupType, dir] of Object.entries(backupDirs)) {
+    app.use(`/backups/${backupType}`, express.static(dir));
+}
 
 // Initialize authentication system
 initializeAuth();
 
+// Initialize audit trail for register mutations
+initializeAuditTables();
+
+// Add soft delete columns so deleted register rows go to the recycle bin
+initializeRecycleBin();
+
+// Saved spreadsheet -> register column mappings for the import wizard
+initializeImportMappingTables();
+
+// Named register views (filters, sort, columns) per user
+initializeSavedViewTables();
+
+// FULLTEXT indexes for the register list search
+initializeRegisterSearch(REGISTERS);
+
+// FULLTEXT indexes for the cross-register search
+initializeGlobalSearch(REGISTERS);
+
+// Row versions for optimistic locking of register edits
+initializeRecordVersions(REGISTERS);
+
+// Per register year lock that serial number allocation and reordering run under
+initializeSerialLocks();
+
+// Budget allotments per code head / expenditure head / R-C
+initializeBudgetTables();
+
+// Liquidated damages rules and the override reason of bills
+initializeLdTables();
+
+// Per-user notifications and the register events users subscribe to
+initializeNotifications();
+
+// Approval status of register records, approval rules and approval history
+initializeApprovals();
+
+// Firms master, the spellings of each firm and the firm links of supply and bill orders
+initializeFirms();
+
+// Item catalogue and the item links and numeric quantities of demands and supply orders
+initializeItems();
+
+// Open and closed financial years and the carried_from_id link of carried forward supply orders
+initializeFinancialYears();
+
+// Layouts of the PDF reports, with the built-in templates, then the scheduled monthly and quarterly reports that
+// are due; schedule and archive retention are configured in report-archive.js
+initializeReportTemplates()
+    .then(() => startReportScheduler())
+    .catch((error) => console.error("Error starting the report scheduler:", error));
+
 // WebSocket authentication middleware
 io.use((socket, next) => {
     const sessionId = socket.handshake.auth.sessionId;
@@ -337,9 +565,44 @@ io.on("connection", (socket) => {
 
     console.log(`Client connected: ${socket.id} (Active: ${activeConnections}, Homepage: ${homepageConnections}, Auth: ${authenticatedConnections})`);
 
+    // Each signed-in user has a room of their own that their notifications are pushed to
+    const sessionUser = socket.request.session && socket.request.session.user;
+    if (sessionUser) {
+        socket.join(`user:${sessionUser.username}`);
+    }
+
     socket.on("join-room", (room) => {
+        // Notification rooms are joined above for the session's own user only
+        if (String(room).startsWith("user:")) {
+            console.warn(`Client ${socket.id} refused notification room: ${room}`);
+            return;
+        }
         socket.join(room);
         console.log(`Client ${socket.id} joined room: ${room}`);
+
+        // Register rooms are "<type>-<financialYear>"; tell the newcomer which rows are open for editing
+        const type = Object.keys(REGISTERS)
+            .filter((registerType) => String(room).startsWith(`${registerType}-`))
+            .sort((a, b) => b.length - a.length)[0];
+        if (type) {
+            const financialYear = String(room).slice(type.length + 1);
+            socket.emit("record-locks", { type, financialYear, locks: getEditLocks(type, financialYear) });
+        }
+    });
+
+    // Soft locks: "row is being edited by X" for the other users in the register room
+    socket.on("record-edit-start", ({ type, financialYear, id } = {}) => {
+        const user = socket.request.session && socket.request.session.user;
+        if (!user || !REGISTERS[type] || !financialYear || !id) return;
+        const lock = acquireEditLock({ type, financialYear, id }, socket.id, user.username);
+        io.to(`${type}-${financialYear}`).emit("record-lock", lock);
+    });
+
+    socket.on("record-edit-end", ({ type, financialYear, id } = {}) => {
+        const lock = releaseEditLock({ type, financialYear, id }, socket.id);
+        if (lock) {
+            io.to(`${type}-${financialYear}`).emit("record-lock", lock);
+        }
     });
 
     socket.on("leave-room", (room) => {
@@ -404,6 +667,10 @@ io.on("connection", (socket) => {
 
         console.log(`Client disconnected: ${socket.id} (Active: ${activeConnections}, Homepage: ${homepageConnections}, Auth: ${authenticatedConnections})`);
 
+        releaseSocketLocks(socket.id).forEach((lock) => {
+            io.to(`${lock.type}-${lock.financialYear}`).emit("record-lock", lock);
+        });
+
         // Only clean up game references for authenticated users
         if (!isHomepageUser) {
             for (let [gameId, game] of chessGames.entries()) {
@@ -510,26 +777,6 @@ function broadcastDataChange(type, action, data, financialYear) {
     });
 }
 
-/**
- * Updates demand order status when supply order is linked via IMMS demand number
- * @param {string} imms_demand_no - The IMMS demand number to update
- * @param {string} financial_year - Financial year for the update
- * Used by: Supply order creation and update endpoints
- * Dependencies: db.js (pool) for database operations
- */
-async function updateSupplyOrderPlacedStatus(imms_demand_no, financial_year) {
-    if (imms_demand_no) {
-        try {
-            await pool.query(
-                "UPDATE demand_orders SET supply_order_placed = 'Yes' WHERE imms_demand_no = ? AND financial_year = ?",
-                [imms_demand_no, financial_year]
-            );
-        } catch (error) {
-            console.error("Error updating supply order placed status:", error);
-        }
-    }
-}
-
 /**
  * Authentication middleware - checks if user has valid session
  * @param {Object} req - Express request object
@@ -546,6 +793,44 @@ function requireAuth(req, res, next) {
     }
 }
 
+/**
+ * Returns the username of the logged-in user for audit purposes
+ * @param {Object} req - Express request object
+ * @returns {string|null} - Session username, or null for unauthenticated requests
+ * Used by: auditMutation() and import endpoints
+ * Dependencies: express-session for session management
+ */
+function getSessionUsername(req) {
+    return req.session && req.session.user ? req.session.user.username : null;
+}
+
+/**
+ * Records an audit entry for a single register mutation
+ * Re-reads the row after the write so the stored diff reflects what the database actually holds
+ * @param {Object} req - Express request object (source of the session username)
+ * @param {string} tableName - Register table that was changed
+ * @param {number|string} recordId - Id of the changed row
+ * @param {string} action - create, update, delete or move
+ * @param {Object|null} before - Snapshot of the row taken before the write (null for create)
+ * Used by: Create, update, delete and move endpoints of all registers
+ * Dependencies: audit.js (fetchAuditSnapshot, recordAudit)
+ */
+async function auditMutation(req, tableName, recordId, action, before) {
+    try {
+        const after = action === "purge" ? null : await fetchAuditSnapshot(tableName, recordId);
+        await recordAudit({
+            tableName,
+            recordId,
+            action,
+            before,
+            after,
+            username: getSessionUsername(req),
+        });
+    } catch (error) {
+        console.error(`Error auditing ${action} on ${tableName} #${recordId}:`, error);
+    }
+}
+
 /**
  * Admin role middleware - checks if user has admin privileges
  * @param {Object} req - Express request object
@@ -608,123 +893,36 @@ function requirePermission(permissionName) {
     };
 }
 
-// Create backup directories if they don't exist
-const backupDirs = {
-    supply: path.join(__dirname, "backups", "supply"),
-    demand: path.join(__dirname, "backups", "demand"),
-    bill: path.join(__dirname, "backups", "bill"),
-    "sanction-gen-project": path.join(
-        __dirname,
-        "backups",
-        "sanction-gen-project",
-    ),
-    "sanction-misc": path.join(__dirname, "backups", "sanction-misc"),
-    "sanction-training": path.join(__dirname, "backups", "sanction-training"),
-};
-Object.values(backupDirs).forEach((dir) => fs.mkdir(dir, { recursive: true }));
+// Daily backups of every register; schedule, formats and retention are configured in backup.js
+startBackupScheduler().catch((error) => console.error("Error starting the backup scheduler:", error));
 
-// Auto-generate backup daily
-async function createBackup(type) {
-    const date = new Date().toISOString().split("T")[0];
-    const backupFile = path.join(backupDirs[type], `backup_${date}.xlsx`);
-    try {
-        let tableName, sheetName;
-        if (type.startsWith("sanction-")) {
-            tableName = type.replace(/-/g, "_");
-            sheetName = `${type.charAt(0).toUpperCase() + type.slice(1)} Codes`;
-        } else {
-            tableName = `${type}_orders`;
-            sheetName = `${type.charAt(0).toUpperCase() + type.slice(1)} Orders`;
-        }
-
-        const [rows] = await pool.query(`SELECT * FROM ${tableName}`);
-        const formattedRows = rows.map((row) => ({
-            ...row,
-            ...(type === "supply"
-                ? {
-                      original_date: row.original_date
-                          ? row.original_date.toISOString().split("T")[0]
-                          : "",
-                      revised_date1: row.revised_date1
-                          ? row.revised_date1.toISOString().split("T")[0]
-                          : "",
-                      revised_date2: row.revised_date2
-                          ? row.revised_date2.toISOString().split("T")[0]
-                          : "",
-                      revised_date3: row.revised_date3
-                          ? row.revised_date3.toISOString().split("T")[0]
-                          : "",
-                      actual_delivery_date: row.actual_delivery_date
-                          ? row.actual_delivery_date.toISOString().split("T")[0]
-                          : "",
-                  }
-                : type === "demand"
-                  ? {
-                        demand_date: row.demand_date
-                            ? row.demand_date.toISOString().split("T")[0]
-                            : "",
-                        control_date: row.control_date
-                            ? row.control_date.toISOString().split("T")[0]
-                            : "",
-                    }
-                  : type === "bill"
-                    ? {
-                          bill_control_date: row.bill_control_date
-                              ? row.bill_control_date
-                                    .toISOString()
-                                    .split("T")[0]
-                              : "",
-                          so_date: row.so_date
-                              ? row.so_date.toISOString().split("T")[0]
-                              : "",
-                      }
-                    : type.startsWith("sanction-")
-                      ? {
-                            date: row.date
-                                ? row.date.toISOString().split("T")[0]
-                                : "",
-                            uo_date: row.uo_date
-                                ? row.uo_date.toISOString().split("T")[0]
-                                : "",
-                        }
-                      : {}),
-        }));
-        const worksheet = XLSX.utils.json_to_sheet(formattedRows);
-        const workbook = XLSX.utils.book_new();
-        XLSX.utils.book_append_sheet(workbook, worksheet, sheetName);
-        await fs.writeFile(
-            backupFile,
-            XLSX.write(workbook, { bookType: "xlsx", type: "buffer" }),
-        );
+/**
+ * Pushes the outcome of a delivery alert evaluation to every connected client when anything changed
+ * @param {Object} result - evaluateDeliveryAlerts() result
+ * Used by: the delivery alert schedule, refreshDeliveryAlerts()
+ */
+function pushDeliveryAlerts(result) {
+    if (result.raised.length > 0 || result.resolved > 0) {
+        io.emit("delivery-alerts", { action: "evaluated", raised: result.raised, resolved: result.resolved });
+    }
+}
 
-        // Delete backups older than 20 days
-        const files = await fs.readdir(backupDirs[type]);
-        const twentyDaysAgo = new Date(Date.now() - 20 * 24 * 60 * 60 * 1000);
-        for (const file of files) {
-            const filePath = path.join(backupDirs[type], file);
-            const stats = await fs.stat(filePath);
-            if (stats.mtime < twentyDaysAgo) {
-                await fs.unlink(filePath);
-            }
-        }
+/**
+ * Re-evaluates delivery alerts after supply orders changed; failures are logged, never passed to the write
+ * Used by: REGISTER_WRITE_HOOKS.supply
+ */
+async function refreshDeliveryAlerts() {
+    try {
+        pushDeliveryAlerts(await evaluateDeliveryAlerts());
     } catch (error) {
-        console.error(`Error creating ${type} backup:`, error);
+        console.error("Error evaluating delivery alerts:", error);
     }
 }
 
-// Schedule backups every day at midnight
-setInterval(() => createBackup("supply"), 24 * 60 * 60 * 1000);
-setInterval(() => createBackup("demand"), 24 * 60 * 60 * 1000);
-setInterval(() => createBackup("bill"), 24 * 60 * 60 * 1000);
-setInterval(() => createBackup("sanction-gen-project"), 24 * 60 * 60 * 1000);
-setInterval(() => createBackup("sanction-misc"), 24 * 60 * 60 * 1000);
-setInterval(() => createBackup("sanction-training"), 24 * 60 * 60 * 1000);
-createBackup("supply"); // Run immediately on startup
-createBackup("demand");
-createBackup("bill");
-createBackup("sanction-gen-project");
-createBackup("sanction-misc");
-createBackup("sanction-training");
+// Due and overdue supply order alerts, evaluated now and daily with a digest; configured in delivery-alerts.js
+initializeDeliveryAlerts()
+    .then(() => startDeliveryAlertScheduler(pushDeliveryAlerts))
+    .catch((error) => console.error("Error starting the delivery alerts:", error));
 
 // Authentication endpoints
 app.post("/api/login", async (req, res) => {
@@ -1858,1528 +2056,1782 @@ app.get("/api/user-permissions", requireAuth, async (req, res) => {
     }
 });
 
-app.get("/api/supply-orders", requireAuth, async (req, res) => {
-    const { year, sort = "serial_no" } = req.query;
-
-    // Whitelist allowed sort columns to prevent SQL injection
-    const allowedSortColumns = [
-        "serial_no", "supply_order_no", "so_date", "firm_name", "nomenclature", 
-        "quantity", "original_date", "revised_date1", "revised_date2", 
-        "revised_date3", "build_up", "maint", "misc", "project_less_2cr", "project_more_2cr", "project_no_pdc", 
-        "imms_demand_no", "actual_delivery_date", "procurement_mode", "delivery_done", "remarks"
-    ];
-
-    const safeSort = allowedSortColumns.includes(sort) ? sort : "serial_no";
+// Audit trail for a single register record
+app.get("/api/audit", requireAuth, requirePermission('view_audit_trail'), async (req, res) => {
+    const { table, recordId, column } = req.query;
 
-    try {
-        const [rows] = await pool.query(
-            `SELECT id, serial_no, supply_order_no, DATE_FORMAT(so_date, '%Y-%m-%d') as so_date, 
-                    firm_name, nomenclature, quantity, 
-                    DATE_FORMAT(original_date, '%Y-%m-%d') as original_date, 
-                    DATE_FORMAT(revised_date1, '%Y-%m-%d') as revised_date1, 
-                    DATE_FORMAT(revised_date2, '%Y-%m-%d') as revised_date2, 
-                    DATE_FORMAT(revised_date3, '%Y-%m-%d') as revised_date3, 
-                    build_up, maint, misc, project_less_2cr, project_more_2cr, project_no_pdc, p_np, expenditure_head, rev_cap,
-                    imms_demand_no, DATE_FORMAT(actual_delivery_date, '%Y-%m-%d') as actual_delivery_date,
-                    procurement_mode, delivery_done, remarks, financial_year 
-             FROM supply_orders WHERE financial_year = ? ORDER BY ${safeSort}`,
-            [year],
-        );
-        console.log(`Found ${rows.length} supply orders for year ${year}`);
-        res.json(rows);
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: "Failed to fetch supply orders" });
+    if (!AUDITED_TABLES.includes(table)) {
+        return res.status(400).json({ success: false, message: 'Unknown register table' });
     }
-});
-
-// New endpoint to get available supply orders for bill register dropdown
-app.get("/api/available-supply-orders", requireAuth, async (req, res) => {
-    try {
-        const [rows] = await pool.query(
-            `SELECT DISTINCT s.supply_order_no, DATE_FORMAT(s.so_date, '%Y-%m-%d') as so_date, s.financial_year, s.firm_name
-             FROM supply_orders s
-             LEFT JOIN bill_orders b ON s.supply_order_no = b.supply_order_no
-             WHERE s.supply_order_no IS NOT NULL 
-             AND s.supply_order_no != ''
-             AND b.supply_order_no IS NULL
-             ORDER BY s.financial_year DESC, s.supply_order_no`,
-        );
-        res.json(rows.map(row => ({
-            value: row.supply_order_no,
-            label: `${row.supply_order_no} (${row.financial_year}) - ${row.firm_name}`,
-            so_date: row.so_date,
-            financial_year: row.financial_year
-        })));
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: "Failed to fetch available supply orders" });
+    if (!recordId) {
+        return res.status(400).json({ success: false, message: 'recordId is required' });
     }
-});
-
-app.get("/api/demand-orders", requireAuth, async (req, res) => {
-    const { year, sort = "serial_no" } = req.query;
-
-    const allowedSortColumns = [
-        "serial_no", "demand_date", "imms_demand_no", "mmg_control_no", 
-        "nomenclature", "quantity", "expenditure_head", "rev_cap", 
-        "procurement_mode", "est_cost", "imms_control_no", "supply_order_placed", "remarks"
-    ];
-
-    const safeSort = allowedSortColumns.includes(sort) ? sort : "serial_no";
 
     try {
-        const [rows] = await pool.query(
-            `SELECT id, serial_no, imms_demand_no, DATE_FORMAT(demand_date, '%Y-%m-%d') as demand_date, 
-                    mmg_control_no, DATE_FORMAT(control_date, '%Y-%m-%d') as control_date, nomenclature, quantity, 
-                    expenditure_head, code_head, rev_cap, procurement_mode, est_cost, imms_control_no, 
-                    supply_order_placed, remarks, financial_year 
-             FROM demand_orders WHERE financial_year = ? ORDER BY ${safeSort}`,
-            [year],
-        );
-        res.json(rows);
+        const entries = await getAuditTrail(table, recordId, column || null);
+        res.json(entries);
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: "Failed to fetch demand orders" });
+        console.error("Audit trail fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch audit trail" });
     }
 });
 
-app.get("/api/bill-orders", requireAuth, async (req, res) => {
-    const { year, sort = "serial_no" } = req.query;
-
-    const allowedSortColumns = [
-        "serial_no", "bill_control_date", "firm_name", "supply_order_no", 
-        "so_date", "project_no", "build_up", "maintenance", "project_less_2cr", 
-        "project_more_2cr", "procurement_mode", "rev_cap", "date_amount_passed", 
-        "ld_amount", "remarks"
-    ];
-
-    const safeSort = allowedSortColumns.includes(sort) ? sort : "serial_no";
+// Recycle bin: trashed records of a register
+app.get("/api/recycle-bin/:type", requireAuth, requirePermission('manage_recycle_bin'), async (req, res) => {
+    const tableName = REGISTER_TABLES[req.params.type];
+    if (!tableName) {
+        return res.status(400).json({ success: false, message: 'Unknown register type' });
+    }
 
     try {
-        const [rows] = await pool.query(
-            `SELECT id, serial_no, DATE_FORMAT(bill_control_date, '%Y-%m-%d') as bill_control_date, 
-                    firm_name, supply_order_no, DATE_FORMAT(so_date, '%Y-%m-%d') as so_date, 
-                    project_no, build_up, maintenance, project_less_2cr, project_more_2cr, 
-                    procurement_mode, rev_cap, date_amount_passed, ld_amount, remarks, financial_year 
-             FROM bill_orders WHERE financial_year = ? ORDER BY ${safeSort}`,
-            [year],
-        );
+        const rows = await getTrashedRecords(tableName, req.query.year || null);
         res.json(rows);
     } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: "Failed to fetch bill orders" });
+        console.error("Recycle bin fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch recycle bin" });
     }
 });
 
-app.get("/api/supply-orders/max-serial", async (req, res) => {
-    const { year } = req.query;
-    try {
-        const [rows] = await pool.query(
-            "SELECT MAX(serial_no) as maxSerialNo FROM supply_orders WHERE financial_year = ?",
-            [year],
-        );
-        res.json({ maxSerialNo: rows[0].maxSerialNo || 0 });
-    } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+app.post("/api/recycle-bin/:type/:id/restore", requireAuth, requirePermission('manage_recycle_bin'), async (req, res) => {
+    const { type, id } = req.params;
+    const tableName = REGISTER_TABLES[type];
+    if (!tableName) {
+        return res.status(400).json({ success: false, message: 'Unknown register type' });
     }
-});
 
-app.get("/api/demand-orders/max-serial", async (req, res) => {
-    const { year } = req.query;
     try {
-        const [rows] = await pool.query(
-            "SELECT MAX(serial_no) as maxSerialNo FROM demand_orders WHERE financial_year = ?",
-            [year],
+        const before = await fetchAuditSnapshot(tableName, id);
+        if (before) {
+            const closedYear = await checkClosedYears(req, [before.financial_year]);
+            if (closedYear) {
+                return res.status(403).json({ success: false, message: closedYear });
+            }
+        }
+        const restored = await restoreRecord(tableName, id, (connection, changes) =>
+            submitForApproval(type, changes, getSessionUsername(req), connection)
         );
-        res.json({ maxSerialNo: rows[0].maxSerialNo || 0 });
-    } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
-    }
-});
+        if (!restored) {
+            return res.status(404).json({ success: false, message: 'Record not found in recycle bin' });
+        }
+        await auditMutation(req, tableName, id, "restore", before);
+        await runRegisterWriteHook(type, [{ after: restored, before: null }], getSessionUsername(req));
+        broadcastDataChange(type, 'restore', { id: restored.id }, restored.financial_year);
 
-app.get("/api/bill-orders/max-serial", async (req, res) => {
-    const { year } = req.query;
-    try {
-        const [rows] = await pool.query(
-            "SELECT MAX(serial_no) as maxSerialNo FROM bill_orders WHERE financial_year = ?",
-            [year],
-        );
-        res.json({ maxSerialNo: rows[0].maxSerialNo || 0 });
+        res.json({ success: true, serial_no: restored.serial_no });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Recycle bin restore error:", error);
+        res.status(500).json({ error: "Failed to restore record" });
     }
 });
 
-app.get("/api/imms-demand-numbers", requireAuth, async (req, res) => {
-    try {
-        const [rows] = await pool.query(
-            "SELECT DISTINCT imms_demand_no, financial_year FROM demand_orders WHERE supply_order_placed = 'No' AND imms_demand_no IS NOT NULL AND imms_demand_no != '' ORDER BY financial_year DESC, imms_demand_no",
-        );
-        res.json(rows.map(row => ({
-            value: row.imms_demand_no,
-            label: `${row.imms_demand_no} (${row.financial_year})`
-        })));
-    } catch (error) {
-        console.error(error);
-        res.status(500).json({ error: "Failed to fetch IMMS demand numbers" });
+app.delete("/api/recycle-bin/:type/:id", requireAuth, requirePermission('manage_recycle_bin'), async (req, res) => {
+    const { type, id } = req.params;
+    const tableName = REGISTER_TABLES[type];
+    if (!tableName) {
+        return res.status(400).json({ success: false, message: 'Unknown register type' });
     }
-});
 
-app.get("/api/supply-orders/:id", async (req, res) => {
-    const { id } = req.params;
     try {
-        const [rows] = await pool.query(
-            "SELECT * FROM supply_orders WHERE id = ?",
-            [id],
-        );
-        if (rows.length > 0) {
-            res.json(rows[0]);
-        } else {
-            res.status(404).send("Not found");
+        const before = await fetchAuditSnapshot(tableName, id);
+        if (before) {
+            const closedYear = await checkClosedYears(req, [before.financial_year]);
+            if (closedYear) {
+                return res.status(403).json({ success: false, message: closedYear });
+            }
         }
-    } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
-    }
-});
-
-app.get("/api/demand-orders/:id", async (req, res) => {
-    const { id } = req.params;
-    try {
-        const [rows] = await pool.query(
-            "SELECT * FROM demand_orders WHERE id = ?",
-            [id],
-        );
-        if (rows.length > 0) {
-            res.json(rows[0]);
-        } else {
-            res.status(404).send("Not found");
+        const purged = await purgeRecord(tableName, id);
+        if (!purged) {
+            return res.status(404).json({ success: false, message: 'Record not found in recycle bin' });
         }
-    } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
-    }
-});
+        await auditMutation(req, tableName, id, "purge", before);
 
-app.get("/api/bill-orders/:id", async (req, res) => {
-    const { id } = req.params;
-    try {
-        const [rows] = await pool.query(
-            "SELECT * FROM bill_orders WHERE id = ?",
-            [id],
-        );
-        if (rows.length > 0) {
-            res.json(rows[0]);
-        } else {
-            res.status(404).send("Not found");
-        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Recycle bin purge error:", error);
+        res.status(500).json({ error: "Failed to purge record" });
     }
 });
 
-app.post("/api/supply-orders", requireAuth, async (req, res) => {
-    // Check if user has permission to add
-    if (req.session.user.role === 'viewer') {
-        return res.status(403).json({ success: false, message: 'Permission denied' });
-    }
-    const data = req.body;
-    try {
-        const [result] = await pool.query(
-            `INSERT INTO supply_orders (serial_no, supply_order_no, so_date, firm_name, nomenclature, quantity, 
-                original_date, revised_date1, revised_date2, revised_date3, 
-                build_up, maint, misc, project_less_2cr, project_more_2cr, project_no_pdc, p_np, expenditure_head, rev_cap, imms_demand_no, actual_delivery_date,
-                procurement_mode, delivery_done, remarks, financial_year) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                data.serial_no || null,
-                data.supply_order_no || null,
-                data.so_date || null,
-                (data.firm_name && data.firm_name !== 'null') ? data.firm_name : null,
-                (data.nomenclature && data.nomenclature !== 'null') ? data.nomenclature : null,
-                (data.quantity && data.quantity !== 'null') ? data.quantity : null,
-                data.original_date || null,
-                data.revised_date1 || null,
-                data.revised_date2 || null,
-                data.revised_date3 || null,
-                (data.build_up && data.build_up !== 'null') ? data.build_up : null,
-                (data.maint && data.maint !== 'null') ? data.maint : null,
-                (data.misc && data.misc !== 'null') ? data.misc : null,
-                data.project_less_2cr || null,
-                data.project_more_2cr || null,
-                (data.project_no_pdc && data.project_no_pdc !== 'null') ? data.project_no_pdc : null,
-                data.p_np || null,
-                data.expenditure_head || null,
-                data.rev_cap || null,
-                data.imms_demand_no || null,
-                data.actual_delivery_date || null,
-                (data.procurement_mode && data.procurement_mode !== 'null') ? data.procurement_mode : null,
-                data.delivery_done || null,
-                (data.remarks && data.remarks !== 'null') ? data.remarks : null,
-                data.financial_year || null,
-            ],
-        );
-
-        // Update supply order placed status if IMMS demand number is provided
-        await updateSupplyOrderPlacedStatus(data.imms_demand_no, data.financial_year);
-
-        // Broadcast the change to all connected clients
-        broadcastDataChange('supply', 'create', { ...data, id: result.insertId }, data.financial_year);
+/**
+ * Middleware for the permission a register declares for an operation (registers.js `permissions`)
+ * @param {string|null} permissionName - Permission to require; null lets any logged-in user through
+ * @returns {Function} - Express middleware
+ * Used by: the register API and import endpoints
+ */
+function requireRegisterPermission(permissionName) {
+    return permissionName ? requirePermission(permissionName) : (req, res, next) => next();
+}
 
-        // Also emit a general data update event for homepage
-        io.emit('homepage-data-update', {
-            type: 'supply',
-            action: 'create',
-            financial_year: data.financial_year,
-            timestamp: new Date().toISOString()
-        });
+/**
+ * Refuses writes to the rows of a closed financial year unless the user may edit closed years
+ * @param {Object} req - Express request (session user)
+ * @param {Array} financialYears - Years the write touches, e.g. the old and new year of an update
+ * @returns {string|null} - Message to send with a 403, or null when the write may go ahead
+ * Used by: the register API, import, recycle bin, LD and backup restore endpoints
+ * Dependencies: financial-years.js (getClosedYears), auth.js (getUserPermissions)
+ */
+async function checkClosedYears(req, financialYears) {
+    const closed = await getClosedYears(financialYears);
+    if (closed.length === 0) return null;
 
-        res.status(201).send();
-    } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+    const userRole = req.session.user.role;
+    if (userRole === 'super_admin' || (await getUserPermissions(userRole)).includes('edit_closed_year')) {
+        return null;
     }
-});
-
-app.post("/api/demand-orders", async (req, res) => {
-    const data = req.body;
-    try {
-        await pool.query(
-            `INSERT INTO demand_orders (serial_no, imms_demand_no, demand_date, mmg_control_no, control_date, nomenclature, quantity, 
-                expenditure_head, code_head, rev_cap, procurement_mode, est_cost, imms_control_no, supply_order_placed, remarks, financial_year) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                data.serial_no || null,
-                data.imms_demand_no || null,
-                data.demand_date || null,
-                data.mmg_control_no || null,
-                data.control_date || null,
-                data.nomenclature || null,
-                data.quantity || null,
-                data.expenditure_head || null,
-                data.code_head || null,
-                data.rev_cap || null,
-                data.procurement_mode || null,
-                data.est_cost || null,
-                data.imms_control_no || null,
-                data.supply_order_placed || 'No',
-                data.remarks || null,
-                data.financial_year || null,
-            ],
-        );
+    return `Financial year ${closed.join(", ")} is closed; its records are read-only`;
+}
 
-        // Emit homepage data update event
-        io.emit('homepage-data-update', {
-            type: 'demand',
-            action: 'create',
-            financial_year: data.financial_year,
-            timestamp: new Date().toISOString()
-        });
+// Side effects that belong to one register, run after records of that register are written.
+// Each hook gets the written records as [{ after, before }]: before is null for new records, after is null for deleted ones
+const REGISTER_WRITE_HOOKS = {
+    // A demand is marked as having a supply order while any live supply order references its IMMS demand number,
+    // so re-pointing or deleting a supply order flips its old demand back. Changed dates or deliveries raise or
+    // resolve delivery alerts. The firm name is linked to the firms master and the nomenclature to the item catalogue.
+    supply: async (changes) => {
+        await syncDemandSupplyStatus(
+            changes.flatMap(({ after, before }) => [after && after.imms_demand_no, before && before.imms_demand_no])
+        );
+        await refreshDeliveryAlerts();
+        await linkRegisterFirms("supply", changes);
+        await linkRegisterItems("supply", changes);
+    },
+    demand: async (changes) => {
+        await linkRegisterItems("demand", changes);
+    },
+    bill: async (changes) => {
+        await linkRegisterFirms("bill", changes);
+    },
+};
 
-        res.status(201).send();
+/**
+ * Runs the write hook of the register, if it has one, and notifies the users subscribed to the change
+ * Approval is not a step here: the write submits its records through its own transaction (submitForApproval()),
+ * so the hook already sees whether each record counts as live (e.g. for its demand's status).
+ * The write has committed by now, so a failing step is logged instead of failing the request: an error response
+ * would have the client send the write again and create a duplicate record.
+ * @param {string} type - Register type
+ * @param {Array} changes - [{ after, before }] of the written records
+ * @param {string} username - Who wrote them; they are not notified of their own changes
+ * Used by: the register API, import, recycle bin and backup restore endpoints, and the rollover
+ */
+async function runRegisterWriteHook(type, changes, username) {
+    try {
+        if (REGISTER_WRITE_HOOKS[type] && changes.length > 0) {
+            await REGISTER_WRITE_HOOKS[type](changes);
+        }
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error(`Error running the ${type} write hook:`, error);
     }
-});
-
-app.post("/api/bill-orders", async (req, res) => {
-    const data = req.body;
     try {
-        await pool.query(
-            `INSERT INTO bill_orders (serial_no, bill_control_date, firm_name, supply_order_no, so_date, 
-                project_no, build_up, maintenance, project_less_2cr, project_more_2cr, 
-                procurement_mode, rev_cap, date_amount_passed, ld_amount, remarks, financial_year) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                data.serial_no || null,
-                data.bill_control_date || null,
-                (data.firm_name && data.firm_name !== 'null') ? data.firm_name : null,
-                data.supply_order_no || null,
-                data.so_date || null,
-                (data.project_no && data.project_no !== 'null') ? data.project_no : null,
-                (data.build_up && data.build_up !== 'null') ? data.build_up : null,
-                (data.maintenance && data.maintenance !== 'null') ? data.maintenance : null,
-                (data.project_less_2cr && data.project_less_2cr !== 'null') ? data.project_less_2cr : null,
-                (data.project_more_2cr && data.project_more_2cr !== 'null') ? data.project_more_2cr : null,
-                (data.procurement_mode && data.procurement_mode !== 'null') ? data.procurement_mode : null,
-                data.rev_cap || null,
-                (data.date_amount_passed && data.date_amount_passed !== 'null') ? data.date_amount_passed : null,
-                (data.ld_amount && data.ld_amount !== 'null') ? data.ld_amount : null,
-                (data.remarks && data.remarks !== 'null') ? data.remarks : null,
-                data.financial_year || null,
-            ],
-        );
-
-        // Emit homepage data update event
-        io.emit('homepage-data-update', {
-            type: 'bill',
-            action: 'create',
-            financial_year: data.financial_year,
-            timestamp: new Date().toISOString()
-        });
-
-        res.status(201).send();
+        const notifications = await createRegisterNotifications(type, changes, username);
+        notifications.forEach((notification) => io.to(`user:${notification.username}`).emit("notification", notification));
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
-    }
-});
-
-app.put("/api/supply-orders/:id", requireAuth, async (req, res) => {
-    // Check if user has permission to edit
-    if (req.session.user.role === 'viewer') {
-        return res.status(403).json({ success: false, message: 'Permission denied' });
+        console.error(`Error creating ${type} notifications:`, error);
     }
-    const { id } = req.params;
-    const data = req.body;
-    try {
-        await pool.query(
-            `UPDATE supply_orders SET serial_no = ?, supply_order_no = ?, so_date = ?, firm_name = ?, nomenclature = ?, quantity = ?, 
-                original_date = ?, revised_date1 = ?, revised_date2 = ?, revised_date3 = ?, 
-                build_up = ?, maint = ?, misc = ?, project_less_2cr = ?, project_more_2cr = ?, project_no_pdc = ?, p_np = ?, expenditure_head = ?, rev_cap = ?, imms_demand_no = ?, 
-                actual_delivery_date = ?, procurement_mode = ?, delivery_done = ?, remarks = ?, financial_year = ? 
-             WHERE id = ?`,
-            [
-                data.serial_no || null,
-                data.supply_order_no || null,
-                data.so_date || null,
-                (data.firm_name && data.firm_name !== 'null') ? data.firm_name : null,
-                (data.nomenclature && data.nomenclature !== 'null') ? data.nomenclature : null,
-                (data.quantity && data.quantity !== 'null') ? data.quantity : null,
-                data.original_date || null,
-                data.revised_date1 || null,
-                data.revised_date2 || null,
-                data.revised_date3 || null,
-                (data.build_up && data.build_up !== 'null') ? data.build_up : null,
-                (data.maint && data.maint !== 'null') ? data.maint : null,
-                (data.misc && data.misc !== 'null') ? data.misc : null,
-                data.project_less_2cr || null,
-                data.project_more_2cr || null,
-                (data.project_no_pdc && data.project_no_pdc !== 'null') ? data.project_no_pdc : null,
-                data.p_np || null,
-                data.expenditure_head || null,
-                data.rev_cap || null,
-                data.imms_demand_no || null,
-                data.actual_delivery_date || null,
-                (data.procurement_mode && data.procurement_mode !== 'null') ? data.procurement_mode : null,
-                data.delivery_done || null,
-                (data.remarks && data.remarks !== 'null') ? data.remarks : null,
-                data.financial_year || null,
-                id,
-            ],
-        );
+}
 
-        // Update supply order placed status if IMMS demand number is provided
-        await updateSupplyOrderPlacedStatus(data.imms_demand_no, data.financial_year);
+/**
+ * Tells the register's room and the homepage that a register changed
+ * @param {string} type - Register type
+ * @param {string} action - create, update, delete or move
+ * @param {Object} data - Changed record (or { id })
+ * @param {string} financialYear - Financial year of the record
+ */
+function notifyRegisterChange(type, action, data, financialYear) {
+    if (!financialYear) return;
+    broadcastDataChange(type, action, data, financialYear);
+    io.emit('homepage-data-update', {
+        type,
+        action,
+        financial_year: financialYear,
+        timestamp: new Date().toISOString()
+    });
+}
+
+// Register API for every register in registers.js: list, filter options, max serial, read, create, update,
+// delete (to the recycle bin), move, reorder, renumber and backup listing, each behind the permission the register declares
+Object.entries(REGISTERS).forEach(([type, register]) => {
+    const { permissions } = register;
+    const basePath = `/api/${register.path}`;
+
+    // The period is year, years or a from/to date range (parseListQuery). Without `page` the list is a plain
+    // array of every matching row, as the exports and reports expect; with it the response is
+    // { rows, total, page, pageSize, totalPages }
+    app.get(basePath, requireAuth, requireRegisterPermission(permissions.view), async (req, res) => {
+        const { options, error: queryError } = parseListQuery(register, req.query);
+        if (queryError) {
+            return res.status(400).json({ success: false, message: queryError });
+        }
+        try {
+            const { rows, total } = await listRecords(register, options);
+            if (!options.page) {
+                return res.json(rows);
+            }
+            res.json({
+                rows,
+                total,
+                page: options.page,
+                pageSize: options.pageSize,
+                totalPages: Math.max(Math.ceil(total / options.pageSize), 1),
+            });
+        } catch (error) {
+            console.error(`${register.label} list error:`, error);
+            res.status(500).json({ error: `Failed to fetch ${register.label.toLowerCase()}` });
+        }
+    });
+
+    app.get(`${basePath}/filter-options`, requireAuth, requireRegisterPermission(permissions.view), async (req, res) => {
+        const { period, error: periodError } = parsePeriodQuery(register, req.query);
+        if (periodError || isEmptyPeriod(period)) {
+            return res.status(400).json({ success: false, message: periodError || 'year, years or a from/to date range is required' });
+        }
+        try {
+            res.json(await getFilterOptions(register, period));
+        } catch (error) {
+            console.error(`${register.label} filter options error:`, error);
+            res.status(500).json({ error: "Failed to fetch filter options" });
+        }
+    });
+
+    // Saved views: GET lists the user's own views and those shared with their role, along with the
+    // register columns the column picker offers and the date column a period picker range defaults to;
+    // GET /views/:viewId opens a linked view
+    app.get(`${basePath}/views`, requireAuth, requireRegisterPermission(permissions.view), async (req, res) => {
+        try {
+            res.json({
+                columns: register.columns.map((column) => ({ name: column.name, type: column.type })),
+                dateColumn: register.dateColumn,
+                views: await getSavedViews(type, req.session.user),
+            });
+        } catch (error) {
+            console.error(`${register.label} saved views error:`, error);
+            res.status(500).json({ error: "Failed to load saved views" });
+        }
+    });
+
+    app.get(`${basePath}/views/:viewId`, requireAuth, requireRegisterPermission(permissions.view), async (req, res) => {
+        try {
+            const view = await getSavedView(type, req.params.viewId, req.session.user);
+            if (!view) {
+                return res.status(404).json({ success: false, message: 'View not found or not shared with you' });
+            }
+            res.json(view);
+        } catch (error) {
+            console.error(`${register.label} saved view error:`, error);
+            res.status(500).json({ error: "Failed to load saved view" });
+        }
+    });
+
+    app.post(`${basePath}/views`, requireAuth, requireRegisterPermission(permissions.view), async (req, res) => {
+        const { name, sharedRole, config } = req.body;
+        if (!name || !String(name).trim() || String(name).trim().length > 100) {
+            return res.status(400).json({ success: false, message: 'View name is required (up to 100 characters)' });
+        }
+        if (sharedRole && sharedRole !== SHARE_ALL && !SHARE_ROLES.includes(sharedRole)) {
+            return res.status(400).json({ success: false, message: `Unknown role: ${sharedRole}` });
+        }
+        if (!config || typeof config !== "object" || Array.isArray(config)) {
+            return res.status(400).json({ success: false, message: 'config must describe the view' });
+        }
+
+        try {
+            const view = await saveSavedView(
+                type,
+                { name: String(name).trim(), sharedRole: sharedRole || null, config },
+                req.session.user,
+            );
+            res.status(201).json({ success: true, view });
+        } catch (error) {
+            console.error(`${register.label} saved view save error:`, error);
+            res.status(500).json({ error: "Failed to save view" });
+        }
+    });
+
+    app.delete(`${basePath}/views/:viewId`, requireAuth, requireRegisterPermission(permissions.view), async (req, res) => {
+        try {
+            if (!(await deleteSavedView(type, req.params.viewId, req.session.user))) {
+                return res.status(404).json({ success: false, message: 'View not found or not yours to delete' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error(`${register.label} saved view delete error:`, error);
+            res.status(500).json({ error: "Failed to delete view" });
+        }
+    });
+
+    app.get(`${basePath}/max-serial`, requireAuth, requireRegisterPermission(permissions.view), async (req, res) => {
+        try {
+            res.json({ maxSerialNo: await getMaxSerial(register, req.query.year) });
+        } catch (error) {
+            console.error(error);
+            res.status(500).send("Server error");
+        }
+    });
+
+    app.get(`${basePath}/:id`, requireAuth, requireRegisterPermission(permissions.view), async (req, res) => {
+        try {
+            const record = await getRecord(register, req.params.id);
+            if (!record) {
+                return res.status(404).send("Not found");
+            }
+            res.json(record);
+        } catch (error) {
+            console.error(error);
+            res.status(500).send("Server error");
+        }
+    });
+
+    app.post(basePath, requireAuth, requireRegisterPermission(permissions.create), async (req, res) => {
+        const financialYear = req.body.financial_year;
+        if (!financialYear) {
+            return res.status(400).json({ success: false, message: 'Financial year is required' });
+        }
+        const { values, errors } = parseRecordInput(register, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: errors.join("; "), errors });
+        }
+
+        try {
+            const closedYear = await checkClosedYears(req, [financialYear]);
+            if (closedYear) {
+                return res.status(403).json({ success: false, message: closedYear });
+            }
+            let pending = [];
+            const { id, serial_no } = await createRecord(register, values, financialYear, async (connection, changes) => {
+                pending = await submitForApproval(type, changes, getSessionUsername(req), connection);
+            });
+            await auditMutation(req, register.table, id, "create", null);
+            await runRegisterWriteHook(type, [{ after: { ...values, id, financial_year: financialYear }, before: null }], getSessionUsername(req));
+            notifyRegisterChange(type, 'create', { ...values, serial_no, id }, financialYear);
+            const warnings = await getBudgetWarnings(type, values, financialYear);
+            res.status(201).json({ success: true, id, serial_no, warnings, pending_approval: pending.length > 0 });
+        } catch (error) {
+            console.error(error);
+            res.status(500).send("Server error");
+        }
+    });
+
+    app.put(`${basePath}/:id`, requireAuth, requireRegisterPermission(permissions.update), async (req, res) => {
+        const { id } = req.params;
+        const financialYear = req.body.financial_year;
+        if (!financialYear) {
+            return res.status(400).json({ success: false, message: 'Financial year is required' });
+        }
+        const { values, errors } = parseRecordInput(register, req.body);
+        if (errors.length > 0) {
+            return res.status(400).json({ success: false, message: errors.join("; "), errors });
+        }
+        (register.updateExcludes || []).forEach((column) => delete values[column]);
+        // Serial numbers only change through move, reorder and renumber, or a change of year (updateRecord)
+        delete values.serial_no;
+        // The version the edit form loaded; without it the write is last-write-wins as before
+        let expectedVersion = null;
+        if (req.body.version !== undefined && req.body.version !== null && req.body.version !== "") {
+            expectedVersion = Number(req.body.version);
+            if (!Number.isInteger(expectedVersion)) {
+                return res.status(400).json({ success: false, message: 'version must be a whole number' });
+            }
+        }
+
+        try {
+            const before = await fetchAuditSnapshot(register.table, id);
+            if (!before || before.deleted_at) {
+                return res.status(404).send("Not found");
+            }
+            const closedYear = await checkClosedYears(req, [before.financial_year, financialYear]);
+            if (closedYear) {
+                return res.status(403).json({ success: false, message: closedYear });
+            }
+            let pending = [];
+            const result = await updateRecord(register, id, values, financialYear, expectedVersion, async (connection, changes) => {
+                pending = await submitForApproval(type, changes, getSessionUsername(req), connection);
+            });
+            if (!result.updated) {
+                if (!result.current) {
+                    return res.status(404).send("Not found");
+                }
+                return res.status(409).json({
+                    success: false,
+                    message: 'This record was changed by someone else after you opened it',
+                    current: result.current,
+                });
+            }
+            await auditMutation(req, register.table, id, "update", before);
+            // The hooks link the written row by its id, which the edit form does not send in the values
+            const after = { ...values, id: Number(id), financial_year: financialYear };
+            await runRegisterWriteHook(type, [{ after, before }], getSessionUsername(req));
+            notifyRegisterChange(type, 'update', { ...values, id }, financialYear);
+            res.json({
+                success: true,
+                warnings: await getBudgetWarnings(type, values, financialYear),
+                pending_approval: pending.length > 0,
+            });
+        } catch (error) {
+            console.error(error);
+            res.status(500).send("Server error");
+        }
+    });
+
+    app.delete(`${basePath}/:id`, requireAuth, requireRegisterPermission(permissions.delete), async (req, res) => {
+        const { id } = req.params;
+        try {
+            const before = await fetchAuditSnapshot(register.table, id);
+            if (before) {
+                const closedYear = await checkClosedYears(req, [before.financial_year]);
+                if (closedYear) {
+                    return res.status(403).json({ success: false, message: closedYear });
+                }
+            }
+            const trashed = await softDeleteRecord(register.table, id, getSessionUsername(req));
+            if (!trashed) {
+                return res.status(404).send("Not found");
+            }
+            await auditMutation(req, register.table, id, "delete", before);
+            await runRegisterWriteHook(type, [{ after: null, before }], getSessionUsername(req));
+            notifyRegisterChange(type, 'delete', { id }, before.financial_year);
+            res.status(200).send();
+        } catch (error) {
+            console.error(error);
+            res.status(500).send("Server error");
+        }
+    });
+
+    app.post(`${basePath}/move/:id`, requireAuth, requireRegisterPermission(permissions.move), async (req, res) => {
+        const { direction, financial_year } = req.body;
+        if (!isValidFinancialYear(financial_year)) {
+            return res.status(400).json({ success: false, message: 'financial_year must be written as e.g. 2025-2026' });
+        }
+        try {
+            const closedYear = await checkClosedYears(req, [financial_year]);
+            if (closedYear) {
+                return res.status(403).json({ success: false, message: closedYear });
+            }
+            const changes = await moveRecord(register.table, financial_year, req.params.id, direction, getSessionUsername(req));
+            if (!changes) {
+                return res.status(400).send("Cannot move row");
+            }
+            notifyRegisterChange(type, 'move', { id: req.params.id }, financial_year);
+            res.status(200).send();
+        } catch (error) {
+            console.error(error);
+            res.status(500).send("Server error");
+        }
+    });
+
+    // Drag and drop: the row takes the place of target_id, the rows in between shift by one
+    app.post(`${basePath}/reorder`, requireAuth, requireRegisterPermission(permissions.move), async (req, res) => {
+        const { id, target_id, financial_year } = req.body;
+        if (!financial_year || !id || !target_id) {
+            return res.status(400).json({ success: false, message: 'financial_year, id and target_id are required' });
+        }
+        if (!isValidFinancialYear(financial_year)) {
+            return res.status(400).json({ success: false, message: 'financial_year must be written as e.g. 2025-2026' });
+        }
+        try {
+            const closedYear = await checkClosedYears(req, [financial_year]);
+            if (closedYear) {
+                return res.status(403).json({ success: false, message: closedYear });
+            }
+            const changes = await reorderRecord(register.table, financial_year, id, target_id, getSessionUsername(req));
+            if (!changes) {
+                return res.status(400).json({ success: false, message: 'Both rows must be live records of the financial year' });
+            }
+            if (changes.length > 0) {
+                notifyRegisterChange(type, 'move', { id }, financial_year);
+            }
+            res.json({ success: true, changed: changes.length });
+        } catch (error) {
+            console.error(`${register.label} reorder error:`, error);
+            res.status(500).json({ success: false, message: 'Failed to reorder rows' });
+        }
+    });
 
-        // Broadcast the change to all connected clients
-        broadcastDataChange('supply', 'update', { ...data, id }, data.financial_year);
+    app.post(`${basePath}/renumber`, requireAuth, requireRegisterPermission(permissions.renumber), async (req, res) => {
+        const { financial_year } = req.body;
+        if (!financial_year) {
+            return res.status(400).json({ success: false, message: 'Financial year is required' });
+        }
+        if (!isValidFinancialYear(financial_year)) {
+            return res.status(400).json({ success: false, message: 'financial_year must be written as e.g. 2025-2026' });
+        }
+        try {
+            const closedYear = await checkClosedYears(req, [financial_year]);
+            if (closedYear) {
+                return res.status(403).json({ success: false, message: closedYear });
+            }
+            const changes = await renumberRecords(register.table, financial_year, getSessionUsername(req));
+            if (changes.length > 0) {
+                notifyRegisterChange(type, 'renumber', { changed: changes.length }, financial_year);
+            }
+            res.json({ success: true, changed: changes.length });
+        } catch (error) {
+            console.error(`${register.label} renumber error:`, error);
+            res.status(500).json({ success: false, message: 'Failed to renumber register' });
+        }
+    });
 
-        // Also emit a general data update event for homepage
-        io.emit('homepage-data-update', {
-            type: 'supply',
-            action: 'update',
-            financial_year: data.financial_year,
-            timestamp: new Date().toISOString()
+    app.get(`/api/${register.backupKey}-backups`, requireAuth, requireRegisterPermission(permissions.backups), async (req, res) => {
+        try {
+            res.json(await fs.readdir(backupDirs[register.backupKey]));
+        } catch (error) {
+            console.error(error);
+            res.status(500).send("Server error");
+        }
+    });
+});
+
+// Search across every register the user may view: ranked hits grouped by register, with the matching text highlighted.
+// Takes q, optional types and limit (hits per register) and an optional period (year, years or from/to)
+app.get("/api/search", requireAuth, async (req, res) => {
+    try {
+        const userRole = req.session.user.role;
+        const permissions = userRole === 'super_admin' ? null : await getUserPermissions(userRole);
+        const allowedTypes = Object.keys(REGISTERS).filter((type) => {
+            const viewPermission = REGISTERS[type].permissions.view;
+            return !viewPermission || !permissions || permissions.includes(viewPermission);
         });
 
-        res.status(200).send();
+        const { options, error } = parseSearchQuery(req.query, allowedTypes);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        const { periods, error: periodError } = parseRegisterPeriods(req.query, options.types, false);
+        if (periodError) {
+            return res.status(400).json({ success: false, message: periodError });
+        }
+
+        res.json(await searchRegisters(REGISTERS, options, periods));
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Global search error:", error);
+        res.status(500).json({ success: false, message: "Search failed" });
     }
 });
 
-app.put("/api/demand-orders/:id", async (req, res) => {
-    const { id } = req.params;
-    const data = req.body;
+// New endpoint to get available supply orders for bill register dropdown
+app.get("/api/available-supply-orders", requireAuth, async (req, res) => {
     try {
-        await pool.query(
-            `UPDATE demand_orders SET serial_no = ?, imms_demand_no = ?, demand_date = ?, mmg_control_no = ?, control_date = ?, 
-                nomenclature = ?, quantity = ?, expenditure_head = ?, code_head = ?, rev_cap = ?, 
-                procurement_mode = ?, est_cost = ?, imms_control_no = ?, supply_order_placed = ?, remarks = ?, financial_year = ? 
-             WHERE id = ?`,
-            [
-                data.serial_no || null,
-                data.imms_demand_no || null,
-                data.demand_date || null,
-                data.mmg_control_no || null,
-                data.control_date || null,
-                data.nomenclature || null,
-                data.quantity || null,
-                data.expenditure_head || null,
-                data.code_head || null,
-                data.rev_cap || null,
-                data.procurement_mode || null,
-                data.est_cost || null,
-                data.imms_control_no || null,
-                data.supply_order_placed || null,
-                data.remarks || null,
-                data.financial_year || null,
-                id,
-            ],
+        const [rows] = await pool.query(
+            `SELECT DISTINCT s.supply_order_no, DATE_FORMAT(s.so_date, '%Y-%m-%d') as so_date, s.financial_year, s.firm_name
+             FROM supply_orders s
+             LEFT JOIN bill_orders b ON s.supply_order_no = b.supply_order_no AND b.deleted_at IS NULL
+             WHERE s.supply_order_no IS NOT NULL
+             AND s.deleted_at IS NULL
+             AND s.supply_order_no != ''
+             AND b.supply_order_no IS NULL
+             AND NOT EXISTS (SELECT 1 FROM supply_orders c WHERE c.carried_from_id = s.id AND c.deleted_at IS NULL)
+             ORDER BY s.financial_year DESC, s.supply_order_no`,
         );
-        res.status(200).send();
+        res.json(rows.map(row => ({
+            value: row.supply_order_no,
+            label: `${row.supply_order_no} (${row.financial_year}) - ${row.firm_name}`,
+            so_date: row.so_date,
+            financial_year: row.financial_year
+        })));
     } catch (error) {
         console.error(error);
-        res.status(500).send("Server error");
+        res.status(500).json({ error: "Failed to fetch available supply orders" });
     }
 });
 
-app.put("/api/bill-orders/:id", async (req, res) => {
-    const { id } = req.params;
-    const data = req.body;
+// Budget allotments and budget against commitment (supply orders) and expenditure (bills)
+app.get("/api/budget/allotments", requireAuth, requirePermission('view_budget'), async (req, res) => {
+    if (!req.query.year) {
+        return res.status(400).json({ success: false, message: 'year is required' });
+    }
     try {
-        await pool.query(
-            `UPDATE bill_orders SET serial_no = ?, bill_control_date = ?, firm_name = ?, supply_order_no = ?, so_date = ?, 
-                project_no = ?, build_up = ?, maintenance = ?, project_less_2cr = ?, project_more_2cr = ?, 
-                procurement_mode = ?, rev_cap = ?, date_amount_passed = ?, ld_amount = ?, remarks = ?, financial_year = ? 
-             WHERE id = ?`,
-            [
-                data.serial_no || null,
-                data.bill_control_date || null,
-                (data.firm_name && data.firm_name !== 'null') ? data.firm_name : null,
-                data.supply_order_no || null,
-                data.so_date || null,
-                (data.project_no && data.project_no !== 'null') ? data.project_no : null,
-                (data.build_up && data.build_up !== 'null') ? data.build_up : null,
-                (data.maintenance && data.maintenance !== 'null') ? data.maintenance : null,
-                (data.project_less_2cr && data.project_less_2cr !== 'null') ? data.project_less_2cr : null,
-                (data.project_more_2cr && data.project_more_2cr !== 'null') ? data.project_more_2cr : null,
-                (data.procurement_mode && data.procurement_mode !== 'null') ? data.procurement_mode : null,
-                data.rev_cap || null,
-                (data.date_amount_passed && data.date_amount_passed !== 'null') ? data.date_amount_passed : null,
-                (data.ld_amount && data.ld_amount !== 'null') ? data.ld_amount : null,
-                (data.remarks && data.remarks !== 'null') ? data.remarks : null,
-                data.financial_year || null,
-                id,
-            ],
-        );
-        res.status(200).send();
+        res.json(await getAllotments(req.query.year));
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Budget allotments fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch budget allotments" });
     }
 });
 
-app.delete("/api/supply-orders/:id", requireAuth, async (req, res) => {
-    // Check if user has permission to delete
-    if (req.session.user.role === 'viewer') {
-        return res.status(403).json({ success: false, message: 'Permission denied' });
+app.post("/api/budget/allotments", requireAuth, requirePermission('manage_budget'), async (req, res) => {
+    const { allotment, error } = parseAllotmentInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
     }
-    const { id } = req.params;
     try {
-        // Get the financial year before deletion for broadcasting
-        const [rows] = await pool.query("SELECT financial_year FROM supply_orders WHERE id = ?", [id]);
-        const financialYear = rows[0]?.financial_year;
-
-        await pool.query("DELETE FROM supply_orders WHERE id = ?", [id]);
-
-        // Broadcast the change to all connected clients
-        if (financialYear) {
-            broadcastDataChange('supply', 'delete', { id }, financialYear);
+        const saved = await saveAllotment(allotment, getSessionUsername(req));
+        const warnings = await getBudgetWarnings("allotment", allotment, allotment.financial_year);
+        res.status(201).json({ success: true, allotment: saved, warnings });
+    } catch (error) {
+        console.error("Budget allotment save error:", error);
+        res.status(500).json({ success: false, message: 'Failed to save budget allotment' });
+    }
+});
 
-            // Also emit a general data update event for homepage
-            io.emit('homepage-data-update', {
-                type: 'supply',
-                action: 'delete',
-                financial_year: financialYear,
-                timestamp: new Date().toISOString()
-            });
+app.put("/api/budget/allotments/:id", requireAuth, requirePermission('manage_budget'), async (req, res) => {
+    const { allotment, error } = parseAllotmentInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    try {
+        if (!(await updateAllotment(req.params.id, allotment, getSessionUsername(req)))) {
+            return res.status(404).json({ success: false, message: 'Allotment not found' });
+        }
+        const warnings = await getBudgetWarnings("allotment", allotment, allotment.financial_year);
+        res.json({ success: true, warnings });
+    } catch (error) {
+        if (error.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ success: false, message: 'These heads already have an allotment for the year' });
         }
+        console.error("Budget allotment update error:", error);
+        res.status(500).json({ success: false, message: 'Failed to update budget allotment' });
+    }
+});
 
-        res.status(200).send();
+app.delete("/api/budget/allotments/:id", requireAuth, requirePermission('manage_budget'), async (req, res) => {
+    try {
+        if (!(await deleteAllotment(req.params.id))) {
+            return res.status(404).json({ success: false, message: 'Allotment not found' });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Budget allotment delete error:", error);
+        res.status(500).json({ success: false, message: 'Failed to delete budget allotment' });
     }
 });
 
-app.delete("/api/demand-orders/:id", async (req, res) => {
-    const { id } = req.params;
+app.get("/api/budget/report", requireAuth, requirePermission('view_budget'), async (req, res) => {
+    if (!req.query.year) {
+        return res.status(400).json({ success: false, message: 'year is required' });
+    }
     try {
-        await pool.query("DELETE FROM demand_orders WHERE id = ?", [id]);
-        res.status(200).send();
+        res.json(await getBudgetReport(req.query.year));
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Budget report error:", error);
+        res.status(500).json({ error: "Failed to build budget report" });
     }
 });
 
-app.delete("/api/bill-orders/:id", async (req, res) => {
-    const { id } = req.params;
+// Liquidated damages: rules, suggested LD of bills from their supply order's delivery delay, and applying or overriding it
+app.get("/api/ld/rules", requireAuth, async (req, res) => {
     try {
-        await pool.query("DELETE FROM bill_orders WHERE id = ?", [id]);
-        res.status(200).send();
+        res.json(await getLdRules());
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("LD rules fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch LD rules" });
     }
 });
 
-app.post("/api/supply-orders/move/:id", requireAuth, async (req, res) => {
-    // Check if user has permission to move rows
-    if (req.session.user.role === 'viewer') {
-        return res.status(403).json({ success: false, message: 'Permission denied' });
+app.put("/api/ld/rules", requireAuth, requirePermission('manage_ld_rules'), async (req, res) => {
+    const { rules, error } = parseLdRulesInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
     }
-    const { id } = req.params;
-    const { direction, financial_year } = req.body;
     try {
-        const [rows] = await pool.query(
-            "SELECT id, serial_no FROM supply_orders WHERE financial_year = ? ORDER BY serial_no",
-            [financial_year],
-        );
-        const currentIndex = rows.findIndex((row) => row.id == id);
-        if (
-            currentIndex === -1 ||
-            (direction === "up" && currentIndex === 0) ||
-            (direction === "down" && currentIndex === rows.length - 1)
-        ) {
-            return res.status(400).send("Cannot move row");
-        }
-        const swapIndex =
-            direction === "up" ? currentIndex - 1 : currentIndex + 1;
-        await pool.query(
-            "UPDATE supply_orders SET serial_no = ? WHERE id = ?",
-            [rows[swapIndex].serial_no, rows[currentIndex].id],
-        );
-        await pool.query(
-            "UPDATE supply_orders SET serial_no = ? WHERE id = ?",
-            [rows[currentIndex].serial_no, rows[swapIndex].id],
-        );
-        res.status(200).send();
+        await saveLdRules(rules, getSessionUsername(req));
+        res.json({ success: true, rules: await getLdRules() });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("LD rules save error:", error);
+        res.status(500).json({ success: false, message: 'Failed to save LD rules' });
     }
 });
 
-app.post("/api/demand-orders/move/:id", requireAuth, async (req, res) => {
-    // Check if user has permission to move rows
-    if (req.session.user.role === 'viewer') {
-        return res.status(403).json({ success: false, message: 'Permission denied' });
+app.get("/api/ld/bills", requireAuth, requireRegisterPermission(REGISTERS.bill.permissions.view), async (req, res) => {
+    if (!req.query.year) {
+        return res.status(400).json({ success: false, message: 'year is required' });
     }
-    const { id } = req.params;
-    const { direction, financial_year } = req.body;
     try {
-        const [rows] = await pool.query(
-            "SELECT id, serial_no FROM demand_orders WHERE financial_year = ? ORDER BY serial_no",
-            [financial_year],
-        );
-        const currentIndex = rows.findIndex((row) => row.id == id);
-        if (
-            currentIndex === -1 ||
-            (direction === "up" && currentIndex === 0) ||
-            (direction === "down" && currentIndex === rows.length - 1)
-        ) {
-            return res.status(400).send("Cannot move row");
-        }
-        const swapIndex =
-            direction === "up" ? currentIndex - 1 : currentIndex + 1;
-        await pool.query(
-            "UPDATE demand_orders SET serial_no = ? WHERE id = ?",
-            [rows[swapIndex].serial_no, rows[currentIndex].id],
-        );
-        await pool.query(
-            "UPDATE demand_orders SET serial_no = ? WHERE id = ?",
-            [rows[currentIndex].serial_no, rows[swapIndex].id],
-        );
-        res.status(200).send();
+        res.json(await calculateYearLd(req.query.year));
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("LD calculation error:", error);
+        res.status(500).json({ error: "Failed to calculate LD" });
     }
 });
 
-app.post("/api/bill-orders/move/:id", requireAuth, async (req, res) => {
-    // Check if user has permission to move rows
-    if (req.session.user.role === 'viewer') {
-        return res.status(403).json({ success: false, message: 'Permission denied' });
+app.get("/api/ld/bills/:id", requireAuth, requireRegisterPermission(REGISTERS.bill.permissions.view), async (req, res) => {
+    try {
+        const result = await calculateBillLd(req.params.id);
+        if (!result) {
+            return res.status(404).json({ error: "Bill not found" });
+        }
+        res.json(result);
+    } catch (error) {
+        console.error("LD calculation error:", error);
+        res.status(500).json({ error: "Failed to calculate LD" });
     }
+});
+
+// Without ld_amount the suggested LD is applied; any other amount needs a reason
+app.post("/api/ld/bills/:id", requireAuth, requireRegisterPermission(REGISTERS.bill.permissions.update), async (req, res) => {
     const { id } = req.params;
-    const { direction, financial_year } = req.body;
     try {
-        const [rows] = await pool.query(
-            "SELECT id, serial_no FROM bill_orders WHERE financial_year = ? ORDER BY serial_no",
-            [financial_year],
-        );
-        const currentIndex = rows.findIndex((row) => row.id == id);
-        if (
-            currentIndex === -1 ||
-            (direction === "up" && currentIndex === 0) ||
-            (direction === "down" && currentIndex === rows.length - 1)
-        ) {
-            return res.status(400).send("Cannot move row");
-        }
-        const swapIndex =
-            direction === "up" ? currentIndex - 1 : currentIndex + 1;
-        await pool.query("UPDATE bill_orders SET serial_no = ? WHERE id = ?", [
-            rows[swapIndex].serial_no,
-            rows[currentIndex].id,
-        ]);
-        await pool.query("UPDATE bill_orders SET serial_no = ? WHERE id = ?", [
-            rows[currentIndex].serial_no,
-            rows[swapIndex].id,
-        ]);
-        res.status(200).send();
+        const before = await fetchAuditSnapshot(REGISTERS.bill.table, id);
+        if (before) {
+            const closedYear = await checkClosedYears(req, [before.financial_year]);
+            if (closedYear) {
+                return res.status(403).json({ success: false, message: closedYear });
+            }
+        }
+        let version = null;
+        if (req.body.version !== undefined && req.body.version !== null && req.body.version !== "") {
+            version = Number(req.body.version);
+            if (!Number.isInteger(version)) {
+                return res.status(400).json({ success: false, message: 'version must be a whole number' });
+            }
+        }
+        const result = await setBillLd(id, { ld_amount: req.body.ld_amount, reason: req.body.reason, version });
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        await auditMutation(req, REGISTERS.bill.table, id, "update", before);
+        notifyRegisterChange("bill", 'update', { id, ld_amount: result.ld_amount }, result.financial_year);
+        res.json({ success: true, ld_amount: result.ld_amount, overridden: result.overridden });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("LD update error:", error);
+        res.status(500).json({ success: false, message: 'Failed to update LD' });
     }
 });
 
-app.post("/api/supply-orders/import", requireAuth, requirePermission('import_excel'), async (req, res) => {
+// Delivery alerts: open alerts of a year, acknowledging them, and running the evaluation or digest now
+app.get("/api/delivery-alerts", requireAuth, async (req, res) => {
+    const status = req.query.status || "open";
+    if (!["open", "unacknowledged", "all"].includes(status)) {
+        return res.status(400).json({ success: false, message: 'status must be open, unacknowledged or all' });
+    }
     try {
-        const { data, financialYear } = req.body;
+        res.json(await listDeliveryAlerts({ year: req.query.year || null, status }));
+    } catch (error) {
+        console.error("Delivery alerts fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch delivery alerts" });
+    }
+});
 
-        if (!data || !Array.isArray(data) || data.length === 0) {
-            return res.status(400).json({ success: false, message: 'No data provided' });
+app.get("/api/delivery-alerts/status", requireAuth, requirePermission('manage_alerts'), (req, res) => {
+    res.json(getDeliveryAlertStatus());
+});
+
+app.post("/api/delivery-alerts/:id/acknowledge", requireAuth, requireRegisterPermission(REGISTERS.supply.permissions.update), async (req, res) => {
+    try {
+        const username = getSessionUsername(req);
+        if (!(await acknowledgeDeliveryAlert(req.params.id, username, req.body.note))) {
+            return res.status(404).json({ success: false, message: 'Alert not found, resolved or already acknowledged' });
         }
+        io.emit("delivery-alerts", { action: "acknowledged", id: Number(req.params.id), acknowledged_by: username });
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Delivery alert acknowledge error:", error);
+        res.status(500).json({ success: false, message: 'Failed to acknowledge alert' });
+    }
+});
 
-        const values = data.map(row => [
-            row.serial_no,
-            row.supply_order_no,
-            row.so_date,
-            row.firm_name,
-            row.nomenclature,
-            row.quantity,
-            row.original_date,
-            row.revised_date1,
-            row.revised_date2,
-            row.revised_date3,
-            row.build_up,
-            row.maint,
-            row.misc,
-            row.project_less_2cr,
-            row.project_more_2cr,
-            row.project_no_pdc,
-            row.p_np,
-            row.expenditure_head,
-            row.rev_cap,
-            row.imms_demand_no,
-            row.actual_delivery_date,
-            row.procurement_mode,
-            row.delivery_done,
-            row.remarks,
-            financialYear
-        ]);
+app.post("/api/delivery-alerts/evaluate", requireAuth, requirePermission('manage_alerts'), async (req, res) => {
+    try {
+        const result = await evaluateDeliveryAlerts();
+        pushDeliveryAlerts(result);
+        res.json({ success: true, raised: result.raised.length, resolved: result.resolved, open: result.open });
+    } catch (error) {
+        console.error("Delivery alert evaluation error:", error);
+        res.status(500).json({ success: false, message: 'Failed to evaluate delivery alerts' });
+    }
+});
 
-        await pool.query(
-            `INSERT INTO supply_orders (
-                serial_no, supply_order_no, so_date, firm_name, nomenclature, quantity,
-                original_date, revised_date1, revised_date2, revised_date3,
-                build_up, maint, misc, project_less_2cr, project_more_2cr,
-                project_no_pdc, p_np, expenditure_head, rev_cap, imms_demand_no,
-                actual_delivery_date, procurement_mode, delivery_done, remarks, financial_year
-            ) VALUES ?`,
-            [values]
-        );
-        res.status(201).send();
+app.post("/api/delivery-alerts/digest", requireAuth, requirePermission('manage_alerts'), async (req, res) => {
+    try {
+        res.json({ success: true, ...(await sendDeliveryDigest()) });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Delivery digest error:", error);
+        res.status(500).json({ success: false, message: `Failed to send digest: ${error.message}` });
     }
 });
 
-app.post("/api/demand-orders/import", requireAuth, requirePermission('import_excel'), async (req, res) => {
+// Notification center: the signed-in user's notifications and event subscriptions
+app.get("/api/notifications", requireAuth, async (req, res) => {
     try {
-        const { data, financialYear } = req.body;
+        res.json(await listNotifications(getSessionUsername(req), {
+            unreadOnly: req.query.unread === "1" || req.query.unread === "true",
+            limit: req.query.limit,
+        }));
+    } catch (error) {
+        console.error("Notifications fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch notifications" });
+    }
+});
 
-        if (!data || !Array.isArray(data) || data.length === 0) {
-            return res.status(400).json({ success: false, message: 'No data provided' });
+// Polled by clients whose socket is not connected
+app.get("/api/notifications/unread-count", requireAuth, async (req, res) => {
+    try {
+        res.json({ unread: await getUnreadCount(getSessionUsername(req)) });
+    } catch (error) {
+        console.error("Notification count error:", error);
+        res.status(500).json({ error: "Failed to count notifications" });
+    }
+});
+
+app.post("/api/notifications/read-all", requireAuth, async (req, res) => {
+    try {
+        res.json({ success: true, marked: await markNotificationsRead(getSessionUsername(req)) });
+    } catch (error) {
+        console.error("Notification read error:", error);
+        res.status(500).json({ success: false, message: 'Failed to mark notifications as read' });
+    }
+});
+
+app.post("/api/notifications/:id/read", requireAuth, async (req, res) => {
+    try {
+        if (!(await markNotificationsRead(getSessionUsername(req), req.params.id))) {
+            return res.status(404).json({ success: false, message: 'Notification not found or already read' });
         }
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Notification read error:", error);
+        res.status(500).json({ success: false, message: 'Failed to mark notification as read' });
+    }
+});
 
-        const values = data.filter(row => {
-            // Filter out rows where all values are null
-            return Object.values(row).some(val => val !== null && val !== undefined && val !== '');
-        }).map(row => [
-            row.serial_no || null,
-            row.imms_demand_no || null,
-            row.demand_date || null,
-            row.mmg_control_no || null,
-            row.control_date || null,
-            row.nomenclature || null,
-            row.quantity || null,
-            row.expenditure_head || null,
-            row.code_head || null,
-            row.rev_cap || null,
-            row.procurement_mode || null,
-            row.est_cost || null,
-            row.imms_control_no || null,
-            row.supply_order_placed || 'No',
-            row.remarks || null,
-            financialYear
-        ]);
+app.get("/api/notifications/subscriptions", requireAuth, async (req, res) => {
+    try {
+        res.json({ events: NOTIFICATION_EVENTS, subscriptions: await getSubscriptions(getSessionUsername(req)) });
+    } catch (error) {
+        console.error("Notification subscriptions fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch subscriptions" });
+    }
+});
+
+app.post("/api/notifications/subscriptions", requireAuth, async (req, res) => {
+    const { subscription, error } = parseSubscriptionInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    try {
+        await addSubscription(getSessionUsername(req), subscription);
+        res.status(201).json({ success: true });
+    } catch (error) {
+        console.error("Notification subscription error:", error);
+        res.status(500).json({ success: false, message: 'Failed to subscribe' });
+    }
+});
 
-        if (values.length === 0) {
-            return res.status(400).json({ success: false, message: 'No valid data to import' });
+app.delete("/api/notifications/subscriptions/:id", requireAuth, async (req, res) => {
+    try {
+        if (!(await deleteSubscription(getSessionUsername(req), req.params.id))) {
+            return res.status(404).json({ success: false, message: 'Subscription not found' });
         }
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Notification unsubscribe error:", error);
+        res.status(500).json({ success: false, message: 'Failed to unsubscribe' });
+    }
+});
 
-        await pool.query(
-            `INSERT INTO demand_orders (
-                serial_no, imms_demand_no, demand_date, mmg_control_no, control_date,
-                nomenclature, quantity, expenditure_head, code_head, rev_cap,
-                procurement_mode, est_cost, imms_control_no, supply_order_placed,
-                remarks, financial_year
-            ) VALUES ?`,
-            [values]
-        );
-        res.status(201).send();
+// Maker-checker approvals: the queue of pending records, decisions, a record's approval history and the rules
+app.get("/api/approvals", requireAuth, requirePermission('approve_records'), async (req, res) => {
+    if (req.query.type && !REGISTERS[req.query.type]) {
+        return res.status(400).json({ success: false, message: 'Unknown register type' });
+    }
+    try {
+        res.json(await getApprovalQueue(req.query.type || null));
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Approval queue error:", error);
+        res.status(500).json({ error: "Failed to fetch the approval queue" });
     }
 });
 
-app.post("/api/bill-orders/import", requireAuth, requirePermission('import_excel'), async (req, res) => {
+app.get("/api/approvals/rules", requireAuth, async (req, res) => {
     try {
-        const { data, financialYear } = req.body;
+        res.json({ kinds: RULE_KINDS, rules: await getApprovalRules() });
+    } catch (error) {
+        console.error("Approval rules fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch approval rules" });
+    }
+});
 
-        if (!data || !Array.isArray(data) || data.length === 0) {
-            return res.status(400).json({ success: false, message: 'No data provided' });
+app.post("/api/approvals/rules", requireAuth, requirePermission('manage_approval_rules'), async (req, res) => {
+    const { rule, error } = parseRuleInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    try {
+        res.status(201).json({ success: true, id: await addApprovalRule(rule, getSessionUsername(req)) });
+    } catch (error) {
+        console.error("Approval rule save error:", error);
+        res.status(500).json({ success: false, message: 'Failed to save approval rule' });
+    }
+});
+
+app.delete("/api/approvals/rules/:id", requireAuth, requirePermission('manage_approval_rules'), async (req, res) => {
+    try {
+        if (!(await deleteApprovalRule(req.params.id))) {
+            return res.status(404).json({ success: false, message: 'Approval rule not found' });
         }
+        res.json({ success: true });
+    } catch (error) {
+        console.error("Approval rule delete error:", error);
+        res.status(500).json({ success: false, message: 'Failed to delete approval rule' });
+    }
+});
 
-        const values = data.filter(row => {
-            // Filter out rows where all values are null
-            return Object.values(row).some(val => val !== null && val !== undefined && val !== '');
-        }).map(row => [
-            row.serial_no || null,
-            row.bill_control_date || null,
-            row.firm_name || null,
-            row.supply_order_no || null,
-            row.so_date || null,
-            row.project_no || null,
-            row.build_up || null,
-            row.maintenance || null,
-            row.project_less_2cr || null,
-            row.project_more_2cr || null,
-            row.procurement_mode || null,
-            row.rev_cap || null,
-            row.date_amount_passed || null,
-            row.ld_amount || null,
-            row.remarks || null,
-            financialYear
-        ]);
+app.get("/api/approvals/:type/:id/history", requireAuth, async (req, res) => {
+    if (!REGISTERS[req.params.type]) {
+        return res.status(400).json({ success: false, message: 'Unknown register type' });
+    }
+    try {
+        res.json(await getApprovalHistory(req.params.type, req.params.id));
+    } catch (error) {
+        console.error("Approval history error:", error);
+        res.status(500).json({ error: "Failed to fetch approval history" });
+    }
+});
 
-        if (values.length === 0) {
-            return res.status(400).json({ success: false, message: 'No valid data to import' });
+["approve", "reject"].forEach((action) => {
+    app.post(`/api/approvals/:type/:id/${action}`, requireAuth, requirePermission('approve_records'), async (req, res) => {
+        const { type, id } = req.params;
+        const register = REGISTERS[type];
+        if (!register) {
+            return res.status(400).json({ success: false, message: 'Unknown register type' });
+        }
+        try {
+            const before = await fetchAuditSnapshot(register.table, id);
+            const username = getSessionUsername(req);
+            const result = await decideApproval(type, id, action === "approve" ? "approved" : "rejected", req.body.comments, username);
+            if (result.error) {
+                return res.status(result.status).json({ success: false, message: result.error });
+            }
+            await auditMutation(req, register.table, id, action, before);
+            // The decision changes whether the record counts as live, e.g. for the demand a supply order was placed against
+            if (REGISTER_WRITE_HOOKS[type]) {
+                try {
+                    await REGISTER_WRITE_HOOKS[type]([{ after: await fetchAuditSnapshot(register.table, id), before }]);
+                } catch (error) {
+                    console.error(`Error running the ${type} write hook:`, error);
+                }
+            }
+            notifyRegisterChange(type, 'update', result.record, result.record.financial_year);
+            res.json({ success: true, approval_status: result.record.approval_status });
+        } catch (error) {
+            console.error(`Approval ${action} error:`, error);
+            res.status(500).json({ success: false, message: `Failed to ${action} record` });
         }
+    });
+});
 
-        await pool.query(
-            `INSERT INTO bill_orders (
-                serial_no, bill_control_date, firm_name, supply_order_no, so_date,
-                project_no, build_up, maintenance, project_less_2cr, project_more_2cr,
-                procurement_mode, rev_cap, date_amount_passed, ld_amount, remarks, financial_year
-            ) VALUES ?`,
-            [values]
-        );
-        res.status(201).send();
+// Firms master: firm details and spellings, merging, the clean-up of spellings typed in the registers and scorecards
+app.get("/api/firms", requireAuth, async (req, res) => {
+    try {
+        res.json(await listFirms());
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Firms fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch firms" });
     }
 });
 
-app.get("/api/supply-backups", async (req, res) => {
+app.post("/api/firms", requireAuth, requirePermission('manage_firms'), async (req, res) => {
+    const { firm, error } = parseFirmInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
     try {
-        const files = await fs.readdir(backupDirs.supply);
-        res.json(files);
+        const result = await createFirm(firm, getSessionUsername(req));
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        res.status(201).json({ success: true, id: result.id });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        if (error.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ success: false, message: 'Another firm already has this name or GSTIN' });
+        }
+        console.error("Firm save error:", error);
+        res.status(500).json({ success: false, message: 'Failed to save firm' });
     }
 });
 
-app.get("/api/demand-backups", async (req, res) => {
+app.put("/api/firms/:id", requireAuth, requirePermission('manage_firms'), async (req, res) => {
+    const { firm, error } = parseFirmInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
     try {
-        const files = await fs.readdir(backupDirs.demand);
-        res.json(files);
+        const result = await updateFirm(req.params.id, firm, getSessionUsername(req));
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        if (error.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ success: false, message: 'Another firm already has this name or GSTIN' });
+        }
+        console.error("Firm update error:", error);
+        res.status(500).json({ success: false, message: 'Failed to update firm' });
     }
 });
 
-app.get("/api/bill-backups", async (req, res) => {
+app.delete("/api/firms/:id", requireAuth, requirePermission('manage_firms'), async (req, res) => {
     try {
-        const files = await fs.readdir(backupDirs.bill);
-        res.json(files);
+        const result = await deleteFirm(req.params.id);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Firm delete error:", error);
+        res.status(500).json({ success: false, message: 'Failed to delete firm' });
     }
 });
 
-app.get("/api/sanction-gen-project-backups", async (req, res) => {
+app.post("/api/firms/:id/aliases", requireAuth, requirePermission('manage_firms'), async (req, res) => {
     try {
-        const files = await fs.readdir(backupDirs["sanction-gen-project"]);
-        res.json(files);
+        const result = await addFirmAlias(req.params.id, req.body.alias);
+        if (result.error) {
+            return res.status(result.status || 400).json({ success: false, message: result.error });
+        }
+        res.status(201).json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Firm alias save error:", error);
+        res.status(500).json({ success: false, message: 'Failed to add alias' });
     }
 });
 
-app.get("/api/sanction-misc-backups", async (req, res) => {
+app.delete("/api/firms/:id/aliases/:aliasId", requireAuth, requirePermission('manage_firms'), async (req, res) => {
     try {
-        const files = await fs.readdir(backupDirs["sanction-misc"]);
-        res.json(files);
+        const result = await deleteFirmAlias(req.params.id, req.params.aliasId);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Firm alias delete error:", error);
+        res.status(500).json({ success: false, message: 'Failed to remove alias' });
     }
 });
 
-app.get("/api/sanction-training-backups", async (req, res) => {
+app.post("/api/firms/:id/merge", requireAuth, requirePermission('manage_firms'), async (req, res) => {
+    if (!req.body.from_id) {
+        return res.status(400).json({ success: false, message: 'from_id is required' });
+    }
     try {
-        const files = await fs.readdir(backupDirs["sanction-training"]);
-        res.json(files);
+        const result = await mergeFirms(req.params.id, req.body.from_id, getSessionUsername(req));
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Firm merge error:", error);
+        res.status(500).json({ success: false, message: 'Failed to merge firms' });
     }
 });
 
-// Sanction Code Register API endpoints
-app.get("/api/sanction-gen-project", async (req, res) => {
-    const { year, sort = "serial_no" } = req.query;
+app.get("/api/firms/clusters", requireAuth, requirePermission('manage_firms'), async (req, res) => {
     try {
-        const [rows] = await pool.query(
-            `SELECT id, serial_no, DATE_FORMAT(date, '%Y-%m-%d') as date, file_no, sanction_code, code, 
-                    np_proj, power, code_head, rev_cap, amount, uo_no, 
-                    DATE_FORMAT(uo_date, '%Y-%m-%d') as uo_date, amendment, financial_year 
-             FROM sanction_gen_project WHERE financial_year = ? ORDER BY ${sort}`,
-            [year],
-        );
-        res.json(rows);
+        res.json(await getFirmClusters());
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Firm clusters error:", error);
+        res.status(500).json({ error: "Failed to group firm names" });
     }
 });
 
-app.get("/api/sanction-misc", async (req, res) => {
-    const { year, sort = "serial_no" } = req.query;
+app.post("/api/firms/clusters", requireAuth, requirePermission('manage_firms'), async (req, res) => {
+    if (!Array.isArray(req.body.clusters) || req.body.clusters.length === 0) {
+        return res.status(400).json({ success: false, message: 'clusters must be a non-empty list' });
+    }
     try {
-        const [rows] = await pool.query(
-            `SELECT id, serial_no, DATE_FORMAT(date, '%Y-%m-%d') as date, file_no, sanction_code, code, 
-                    np_proj, power, code_head, rev_cap, amount, uo_no, 
-                    DATE_FORMAT(uo_date, '%Y-%m-%d') as uo_date, amendment, financial_year 
-             FROM sanction_misc WHERE financial_year = ? ORDER BY ${sort}`,
-            [year],
-        );
-        res.json(rows);
+        res.json({ success: true, ...(await applyFirmClusters(req.body.clusters, getSessionUsername(req))) });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Firm clusters apply error:", error);
+        res.status(500).json({ success: false, message: 'Failed to create firms from the registers' });
+    }
+});
+
+app.get("/api/firms/scorecards", requireAuth, async (req, res) => {
+    try {
+        res.json(await getFirmScorecards({ financialYear: req.query.year || null }));
+    } catch (error) {
+        console.error("Firm scorecards error:", error);
+        res.status(500).json({ error: "Failed to build firm scorecards" });
+    }
+});
+
+app.get("/api/firms/:id/scorecard", requireAuth, async (req, res) => {
+    try {
+        const [scorecard] = await getFirmScorecards({ financialYear: req.query.year || null, firmId: req.params.id });
+        if (!scorecard) {
+            return res.status(404).json({ success: false, message: 'Firm not found' });
+        }
+        res.json(scorecard);
+    } catch (error) {
+        console.error("Firm scorecard error:", error);
+        res.status(500).json({ error: "Failed to build firm scorecard" });
+    }
+});
+
+// Item catalogue: items with their unit and category, nomenclatures not yet catalogued and purchase price history
+app.get("/api/items", requireAuth, async (req, res) => {
+    try {
+        res.json({ units: COMMON_UNITS, items: await listItems({ q: req.query.q || "", category: req.query.category || "" }) });
+    } catch (error) {
+        console.error("Items fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch items" });
+    }
+});
+
+app.post("/api/items", requireAuth, requirePermission('manage_items'), async (req, res) => {
+    const { item, error } = parseItemInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
+    try {
+        res.status(201).json({ success: true, id: await createItem(item, getSessionUsername(req)) });
+    } catch (error) {
+        if (error.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ success: false, message: 'The catalogue already has an item with this name' });
+        }
+        console.error("Item save error:", error);
+        res.status(500).json({ success: false, message: 'Failed to save item' });
     }
 });
 
-app.get("/api/sanction-training", async (req, res) => {
-    const { year, sort = "serial_no" } = req.query;
+app.put("/api/items/:id", requireAuth, requirePermission('manage_items'), async (req, res) => {
+    const { item, error } = parseItemInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
     try {
-        const [rows] = await pool.query(
-            `SELECT id, serial_no, DATE_FORMAT(date, '%Y-%m-%d') as date, file_no, sanction_code, code, 
-                    np_proj, power, code_head, rev_cap, amount, uo_no, 
-                    DATE_FORMAT(uo_date, '%Y-%m-%d') as uo_date, amendment, financial_year 
-             FROM sanction_training WHERE financial_year = ? ORDER BY ${sort}`,
-            [year],
-        );
-        res.json(rows);
+        if (!(await updateItem(req.params.id, item, getSessionUsername(req)))) {
+            return res.status(404).json({ success: false, message: 'Item not found' });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        if (error.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ success: false, message: 'The catalogue already has an item with this name' });
+        }
+        console.error("Item update error:", error);
+        res.status(500).json({ success: false, message: 'Failed to update item' });
     }
 });
 
-app.get("/api/sanction-gen-project/max-serial", async (req, res) => {
-    const { year } = req.query;
+app.delete("/api/items/:id", requireAuth, requirePermission('manage_items'), async (req, res) => {
     try {
-        const [rows] = await pool.query(
-            "SELECT MAX(serial_no) as maxSerialNo FROM sanction_gen_project WHERE financial_year = ?",
-            [year],
-        );
-        res.json({ maxSerialNo: rows[0].maxSerialNo || 0 });
+        if (!(await deleteItem(req.params.id))) {
+            return res.status(404).json({ success: false, message: 'Item not found' });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Item delete error:", error);
+        res.status(500).json({ success: false, message: 'Failed to delete item' });
     }
 });
 
-app.get("/api/sanction-misc/max-serial", async (req, res) => {
-    const { year } = req.query;
+app.get("/api/items/uncatalogued", requireAuth, async (req, res) => {
     try {
-        const [rows] = await pool.query(
-            "SELECT MAX(serial_no) as maxSerialNo FROM sanction_misc WHERE financial_year = ?",
-            [year],
-        );
-        res.json({ maxSerialNo: rows[0].maxSerialNo || 0 });
+        res.json(await getUncataloguedNomenclatures());
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Uncatalogued nomenclatures error:", error);
+        res.status(500).json({ error: "Failed to list uncatalogued nomenclatures" });
     }
 });
 
-app.get("/api/sanction-training/max-serial", async (req, res) => {
-    const { year } = req.query;
+app.get("/api/items/price-hint", requireAuth, async (req, res) => {
     try {
-        const [rows] = await pool.query(
-            "SELECT MAX(serial_no) as maxSerialNo FROM sanction_training WHERE financial_year = ?",
-            [year],
-        );
-        res.json({ maxSerialNo: rows[0].maxSerialNo || 0 });
+        const hint = await getPriceHint(req.query.nomenclature, req.query.quantity);
+        if (!hint) {
+            return res.status(404).json({ success: false, message: 'No catalogue item has this name' });
+        }
+        res.json(hint);
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Price hint error:", error);
+        res.status(500).json({ error: "Failed to look up the last purchase price" });
     }
 });
 
-app.get("/api/sanction-gen-project/:id", async (req, res) => {
-    const { id } = req.params;
+app.get("/api/items/:id/prices", requireAuth, async (req, res) => {
     try {
-        const [rows] = await pool.query(
-            "SELECT * FROM sanction_gen_project WHERE id = ?",
-            [id],
-        );
-        if (rows.length > 0) {
-            res.json(rows[0]);
-        } else {
-            res.status(404).send("Not found");
+        const history = await getItemPriceHistory(req.params.id);
+        if (!history) {
+            return res.status(404).json({ success: false, message: 'Item not found' });
         }
+        res.json(history);
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Item price history error:", error);
+        res.status(500).json({ error: "Failed to fetch price history" });
     }
 });
 
-app.get("/api/sanction-misc/:id", async (req, res) => {
-    const { id } = req.params;
+/**
+ * Runs the supply write hook for the orders a rollover carried forward and tells the clients of the new year
+ * @param {Object} summary - rolloverFinancialYear() result
+ * @param {string} username - Who ran the rollover
+ * Used by: the rollover endpoint and the financial year schedule
+ */
+async function afterRollover(summary, username) {
+    if (summary.carried.length === 0) return;
+    await runRegisterWriteHook("supply", summary.carried.map((entry) => ({
+        after: { ...entry.values, id: entry.id },
+        before: null,
+    })), username);
+    notifyRegisterChange("supply", 'rollover', { from_year: summary.from_year, carried: summary.carried.length }, summary.to_year);
+}
+
+// Financial years: status of every year, closing and reopening a year, and the year-end rollover
+app.get("/api/financial-years", requireAuth, async (req, res) => {
     try {
-        const [rows] = await pool.query(
-            "SELECT * FROM sanction_misc WHERE id = ?",
-            [id],
-        );
-        if (rows.length > 0) {
-            res.json(rows[0]);
-        } else {
-            res.status(404).send("Not found");
-        }
+        res.json({ years: await listFinancialYears(), ...getFinancialYearStatus() });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Financial years fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch financial years" });
     }
 });
 
-app.get("/api/sanction-training/:id", async (req, res) => {
-    const { id } = req.params;
+["close", "reopen"].forEach((operation) => {
+    app.post(`/api/financial-years/:year/${operation}`, requireAuth, requirePermission('manage_financial_years'), async (req, res) => {
+        try {
+            const result = await setFinancialYearStatus(req.params.year, operation === "close" ? "closed" : "open", getSessionUsername(req));
+            if (result.error) {
+                return res.status(result.status).json({ success: false, message: result.error });
+            }
+            io.emit('financial-year-update', result);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            console.error(`Financial year ${operation} error:`, error);
+            res.status(500).json({ success: false, message: `Failed to ${operation} financial year` });
+        }
+    });
+});
+
+// Carries the undelivered and unbilled supply orders of a year into the next year (or body.to_year)
+app.post("/api/financial-years/:year/rollover", requireAuth, requirePermission('manage_financial_years'), async (req, res) => {
+    const toYear = req.body.to_year || null;
+    if (toYear && !isValidFinancialYear(toYear)) {
+        return res.status(400).json({ success: false, message: 'to_year must be written as e.g. 2025-2026' });
+    }
     try {
-        const [rows] = await pool.query(
-            "SELECT * FROM sanction_training WHERE id = ?",
-            [id],
-        );
-        if (rows.length > 0) {
-            res.json(rows[0]);
-        } else {
-            res.status(404).send("Not found");
+        const username = getSessionUsername(req);
+        const summary = await rolloverFinancialYear(req.params.year, toYear, username);
+        if (summary.error) {
+            return res.status(summary.status).json({ success: false, message: summary.error });
         }
+        await afterRollover(summary, username);
+        res.json({
+            success: true,
+            from_year: summary.from_year,
+            to_year: summary.to_year,
+            carried: summary.carried.map(({ id, carried_from_id, serial_no, reason, values }) => ({
+                id, carried_from_id, serial_no, reason, supply_order_no: values.supply_order_no,
+            })),
+            undelivered: summary.undelivered,
+            unbilled: summary.unbilled,
+        });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Financial year rollover error:", error);
+        res.status(500).json({ success: false, message: 'Failed to roll over financial year' });
     }
 });
 
-app.post("/api/sanction-gen-project", async (req, res) => {
-    const data = req.body;
+// Adds the current year daily and, when enabled, rolls the previous year over; configured in financial-years.js
+startFinancialYearScheduler((summary) => afterRollover(summary, "system"));
+
+// PDF reports: templates (layout of each report) that admins edit, and the rendered report of a template for a period
+app.get("/api/report-templates", requireAuth, requirePermission('generate_reports'), async (req, res) => {
     try {
-        await pool.query(
-            `INSERT INTO sanction_gen_project (serial_no, date, file_no, sanction_code, code, np_proj, power, 
-                code_head, rev_cap, amount, uo_no, uo_date, amendment, financial_year) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                data.serial_no || null,
-                data.date || null,
-                data.file_no || null,
-                data.sanction_code || null,
-                data.code || null,
-                data.np_proj || null,
-                data.power || null,
-                data.code_head || null,
-                data.rev_cap || null,
-                data.amount || null,
-                data.uo_no || null,
-                data.uo_date || null,
-                data.amendment || null,
-                data.financial_year || null,
-            ],
-        );
-        res.status(201).send();
+        res.json({ sources: describeReportSources(), templates: await listReportTemplates() });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Report templates fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch report templates" });
     }
 });
 
-app.post("/api/sanction-misc", async (req, res) => {
-    const data = req.body;
+app.post("/api/report-templates", requireAuth, requirePermission('manage_report_templates'), async (req, res) => {
+    const { template, error } = parseReportTemplateInput(req.body);
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
     try {
-        await pool.query(
-            `INSERT INTO sanction_misc (serial_no, date, file_no, sanction_code, code, np_proj, power, 
-                code_head, rev_cap, amount, uo_no, uo_date, amendment, financial_year) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                data.serial_no || null,
-                data.date || null,
-                data.file_no || null,
-                data.sanction_code || null,
-                data.code || null,
-                data.np_proj || null,
-                data.power || null,
-                data.code_head || null,
-                data.rev_cap || null,
-                data.amount || null,
-                data.uo_no || null,
-                data.uo_date || null,
-                data.amendment || null,
-                data.financial_year || null,
-            ],
-        );
-        res.status(201).send();
+        await createReportTemplate(template, getSessionUsername(req));
+        res.status(201).json({ success: true, name: template.name });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        if (error.code === "ER_DUP_ENTRY") {
+            return res.status(409).json({ success: false, message: 'A report template with this name already exists' });
+        }
+        console.error("Report template save error:", error);
+        res.status(500).json({ success: false, message: 'Failed to save report template' });
     }
 });
 
-app.post("/api/sanction-training", async (req, res) => {
-    const data = req.body;
+app.put("/api/report-templates/:name", requireAuth, requirePermission('manage_report_templates'), async (req, res) => {
+    const { template, error } = parseReportTemplateInput({ ...req.body, name: req.params.name });
+    if (error) {
+        return res.status(400).json({ success: false, message: error });
+    }
     try {
-        await pool.query(
-            `INSERT INTO sanction_training (serial_no, date, file_no, sanction_code, code, np_proj, power, 
-                code_head, rev_cap, amount, uo_no, uo_date, amendment, financial_year) 
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-            [
-                data.serial_no || null,
-                data.date || null,
-                data.file_no || null,
-                data.sanction_code || null,
-                data.code || null,
-                data.np_proj || null,
-                data.power || null,
-                data.code_head || null,
-                data.rev_cap || null,
-                data.amount || null,
-                data.uo_no || null,
-                data.uo_date || null,
-                data.amendment || null,
-                data.financial_year || null,
-            ],
-        );
-        res.status(201).send();
+        if (!(await updateReportTemplate(req.params.name, template, getSessionUsername(req)))) {
+            return res.status(404).json({ success: false, message: 'Report template not found' });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Report template update error:", error);
+        res.status(500).json({ success: false, message: 'Failed to update report template' });
     }
 });
 
-app.put("/api/sanction-gen-project/:id", async (req, res) => {
-    const { id } = req.params;
-    const data = req.body;
+app.delete("/api/report-templates/:name", requireAuth, requirePermission('manage_report_templates'), async (req, res) => {
     try {
-        await pool.query(
-            `UPDATE sanction_gen_project SET serial_no = ?, date = ?, file_no = ?, sanction_code = ?, 
-                code = ?, np_proj = ?, power = ?, code_head = ?, rev_cap = ?, amount = ?, 
-                uo_no = ?, uo_date = ?, amendment = ?, financial_year = ? WHERE id = ?`,
-            [
-                data.serial_no || null,
-                data.date || null,
-                data.file_no || null,
-                data.sanction_code || null,
-                data.code || null,
-                data.np_proj || null,
-                data.power || null,
-                data.code_head || null,
-                data.rev_cap || null,
-                data.amount || null,
-                data.uo_no || null,
-                data.uo_date || null,
-                data.amendment || null,
-                data.financial_year || null,
-                id,
-            ],
-        );
-        res.status(200).send();
+        const result = await deleteReportTemplate(req.params.name);
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Report template delete error:", error);
+        res.status(500).json({ success: false, message: 'Failed to delete report template' });
     }
 });
 
-app.put("/api/sanction-misc/:id", async (req, res) => {
-    const { id } = req.params;
-    const data = req.body;
+app.post("/api/report-templates/:name/reset", requireAuth, requirePermission('manage_report_templates'), async (req, res) => {
     try {
-        await pool.query(
-            `UPDATE sanction_misc SET serial_no = ?, date = ?, file_no = ?, sanction_code = ?, 
-                code = ?, np_proj = ?, power = ?, code_head = ?, rev_cap = ?, amount = ?, 
-                uo_no = ?, uo_date = ?, amendment = ?, financial_year = ? WHERE id = ?`,
-            [
-                data.serial_no || null,
-                data.date || null,
-                data.file_no || null,
-                data.sanction_code || null,
-                data.code || null,
-                data.np_proj || null,
-                data.power || null,
-                data.code_head || null,
-                data.rev_cap || null,
-                data.amount || null,
-                data.uo_no || null,
-                data.uo_date || null,
-                data.amendment || null,
-                data.financial_year || null,
-                id,
-            ],
-        );
-        res.status(200).send();
+        const result = await resetReportTemplate(req.params.name, getSessionUsername(req));
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        res.json({ success: true });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Report template reset error:", error);
+        res.status(500).json({ success: false, message: 'Failed to reset report template' });
     }
 });
 
-app.put("/api/sanction-training/:id", async (req, res) => {
-    const { id } = req.params;
-    const data = req.body;
+// Takes year, years or from/to like the dashboard; download=1 saves the file instead of opening it
+app.get("/api/reports/:template.pdf", requireAuth, requirePermission('generate_reports'), async (req, res) => {
     try {
-        await pool.query(
-            `UPDATE sanction_training SET serial_no = ?, date = ?, file_no = ?, sanction_code = ?, 
-                code = ?, np_proj = ?, power = ?, code_head = ?, rev_cap = ?, amount = ?, 
-                uo_no = ?, uo_date = ?, amendment = ?, financial_year = ? WHERE id = ?`,
-            [
-                data.serial_no || null,
-                data.date || null,
-                data.file_no || null,
-                data.sanction_code || null,
-                data.code || null,
-                data.np_proj || null,
-                data.power || null,
-                data.code_head || null,
-                data.rev_cap || null,
-                data.amount || null,
-                data.uo_no || null,
-                data.uo_date || null,
-                data.amendment || null,
-                data.financial_year || null,
-                id,
-            ],
-        );
-        res.status(200).send();
+        const template = await getReportTemplate(req.params.template);
+        if (!template) {
+            return res.status(404).json({ success: false, message: 'Report template not found' });
+        }
+        const { periods, error: periodError } = parseReportPeriods(template, req.query);
+        if (periodError) {
+            return res.status(400).json({ success: false, message: periodError });
+        }
+
+        const report = await buildReport(template, periods, getSessionUsername(req));
+        res.setHeader("Content-Type", "application/pdf");
+        res.setHeader("Content-Disposition", `${req.query.download ? "attachment" : "inline"}; filename="${getReportFileName(template, periods)}"`);
+        renderReportPdf(template, report, res);
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Report generation error:", error);
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.status(500).json({ success: false, message: 'Failed to generate report' });
     }
 });
 
-app.delete("/api/sanction-gen-project/:id", async (req, res) => {
-    const { id } = req.params;
+// Reports archive: the runs of the scheduled reports, each downloadable and re-runnable with the same period and
+// parameters. Takes an optional template to list the runs of one report
+app.get("/api/reports/archive", requireAuth, requirePermission('generate_reports'), async (req, res) => {
     try {
-        await pool.query("DELETE FROM sanction_gen_project WHERE id = ?", [id]);
-        res.status(200).send();
+        res.json({
+            ...getReportScheduleStatus(),
+            runs: await listArchivedRuns({ template: req.query.template || null }),
+        });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Report archive fetch error:", error);
+        res.status(500).json({ error: "Failed to fetch report archive" });
     }
 });
 
-app.delete("/api/sanction-misc/:id", async (req, res) => {
-    const { id } = req.params;
+app.get("/api/reports/archive/:id.pdf", requireAuth, requirePermission('generate_reports'), async (req, res) => {
     try {
-        await pool.query("DELETE FROM sanction_misc WHERE id = ?", [id]);
-        res.status(200).send();
+        const run = await getArchivedRun(req.params.id);
+        if (!run) {
+            return res.status(404).json({ success: false, message: 'Archived report not found' });
+        }
+        res.download(getArchivedRunPath(run), `${run.template}-${run.period.key}.pdf`);
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Archived report download error:", error);
+        res.status(500).json({ success: false, message: 'Failed to download archived report' });
     }
 });
 
-app.delete("/api/sanction-training/:id", async (req, res) => {
-    const { id } = req.params;
+app.post("/api/reports/archive/:id/rerun", requireAuth, requirePermission('generate_reports'), async (req, res) => {
     try {
-        await pool.query("DELETE FROM sanction_training WHERE id = ?", [id]);
-        res.status(200).send();
+        const result = await rerunArchivedReport(req.params.id, getSessionUsername(req));
+        if (result.error) {
+            return res.status(result.status).json({ success: false, message: result.error });
+        }
+        res.status(201).json({ success: true, run: result });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Archived report re-run error:", error);
+        res.status(500).json({ success: false, message: 'Failed to re-run report' });
     }
 });
 
-app.post("/api/sanction-gen-project/move/:id", requireAuth, async (req, res) => {
-    // Check if user has permission to move rows
-    if (req.session.user.role === 'viewer') {
-        return res.status(403).json({ success: false, message: 'Permission denied' });
+// Demand -> supply order -> bill chain of one IMMS demand number (or of one supply order via ?supply_order_no=)
+app.get("/api/lifecycle/broken-links", requireAuth, async (req, res) => {
+    if (!req.query.year) {
+        return res.status(400).json({ success: false, message: 'year is required' });
     }
-    const { id } = req.params;
-    const { direction, financial_year } = req.body;
     try {
-        const [rows] = await pool.query(
-            "SELECT id, serial_no FROM sanction_gen_project WHERE financial_year = ? ORDER BY serial_no",
-            [financial_year],
-        );
-        const currentIndex = rows.findIndex((row) => row.id == id);
-        if (
-            currentIndex === -1 ||
-            (direction === "up" && currentIndex === 0) ||
-            (direction === "down" && currentIndex === rows.length - 1)
-        ) {
-            return res.status(400).send("Cannot move row");
-        }
-        const swapIndex =
-            direction === "up" ? currentIndex - 1 : currentIndex + 1;
-        await pool.query(
-            "UPDATE sanction_gen_project SET serial_no = ? WHERE id = ?",
-            [rows[swapIndex].serial_no, rows[currentIndex].id],
-        );
-        await pool.query(
-            "UPDATE sanction_gen_project SET serial_no = ? WHERE id = ?",
-            [rows[currentIndex].serial_no, rows[swapIndex].id],
-        );
-        res.status(200).send();
+        res.json(await getBrokenLinks(req.query.year));
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Lifecycle broken links error:", error);
+        res.status(500).json({ error: "Failed to check register links" });
     }
 });
 
-app.post("/api/sanction-misc/move/:id", requireAuth, async (req, res) => {
-    // Check if user has permission to move rows
-    if (req.session.user.role === 'viewer') {
-        return res.status(403).json({ success: false, message: 'Permission denied' });
+app.get("/api/lifecycle", requireAuth, async (req, res) => {
+    if (!req.query.supply_order_no) {
+        return res.status(400).json({ success: false, message: 'supply_order_no is required' });
     }
-    const { id } = req.params;
-    const { direction, financial_year } = req.body;
     try {
-        const [rows] = await pool.query(
-            "SELECT id, serial_no FROM sanction_misc WHERE financial_year = ? ORDER BY serial_no",
-            [financial_year],
-        );
-        const currentIndex = rows.findIndex((row) => row.id == id);
-        if (
-            currentIndex === -1 ||
-            (direction === "up" && currentIndex === 0) ||
-            (direction === "down" && currentIndex === rows.length - 1)
-        ) {
-            return res.status(400).send("Cannot move row");
-        }
-        const swapIndex =
-            direction === "up" ? currentIndex - 1 : currentIndex + 1;
-        await pool.query(
-            "UPDATE sanction_misc SET serial_no = ? WHERE id = ?",
-            [rows[swapIndex].serial_no, rows[currentIndex].id],
-        );
-        await pool.query(
-            "UPDATE sanction_misc SET serial_no = ? WHERE id = ?",
-            [rows[currentIndex].serial_no, rows[swapIndex].id],
-        );
-        res.status(200).send();
+        const lifecycle = await getLifecycle({ supplyOrderNo: req.query.supply_order_no });
+        if (!lifecycle) {
+            return res.status(404).json({ success: false, message: 'No records carry this supply order number' });
+        }
+        res.json(lifecycle);
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Lifecycle fetch error:", error);
+        res.status(500).json({ error: "Failed to load lifecycle" });
     }
 });
 
-app.post("/api/sanction-training/move/:id", requireAuth, async (req, res) => {
-    // Check if user has permission to move rows
-    if (req.session.user.role === 'viewer') {
-        return res.status(403).json({ success: false, message: 'Permission denied' });
+app.get("/api/lifecycle/:immsDemandNo", requireAuth, async (req, res) => {
+    try {
+        const lifecycle = await getLifecycle({ immsDemandNo: req.params.immsDemandNo });
+        if (!lifecycle) {
+            return res.status(404).json({ success: false, message: 'No records carry this IMMS demand number' });
+        }
+        res.json(lifecycle);
+    } catch (error) {
+        console.error("Lifecycle fetch error:", error);
+        res.status(500).json({ error: "Failed to load lifecycle" });
     }
-    const { id } = req.params;
-    const { direction, financial_year } = req.body;
+});
+
+app.get("/api/imms-demand-numbers", requireAuth, async (req, res) => {
     try {
         const [rows] = await pool.query(
-            "SELECT id, serial_no FROM sanction_training WHERE financial_year = ? ORDER BY serial_no",
-            [financial_year],
-        );
-        const currentIndex = rows.findIndex((row) => row.id == id);
-        if (
-            currentIndex === -1 ||
-            (direction === "up" && currentIndex === 0) ||
-            (direction === "down" && currentIndex === rows.length - 1)
-        ) {
-            return res.status(400).send("Cannot move row");
-        }
-        const swapIndex =
-            direction === "up" ? currentIndex - 1 : currentIndex + 1;
-        await pool.query(
-            "UPDATE sanction_training SET serial_no = ? WHERE id = ?",
-            [rows[swapIndex].serial_no, rows[currentIndex].id],
+            "SELECT DISTINCT imms_demand_no, financial_year FROM demand_orders WHERE supply_order_placed = 'No' AND deleted_at IS NULL AND imms_demand_no IS NOT NULL AND imms_demand_no != '' ORDER BY financial_year DESC, imms_demand_no",
         );
-        await pool.query(
-            "UPDATE sanction_training SET serial_no = ? WHERE id = ?",
-            [rows[currentIndex].serial_no, rows[swapIndex].id],
-        );
-        res.status(200).send();
+        res.json(rows.map(row => ({
+            value: row.imms_demand_no,
+            label: `${row.imms_demand_no} (${row.financial_year})`
+        })));
     } catch (error) {
         console.error(error);
-        res.status(500).send("Server error");
+        res.status(500).json({ error: "Failed to fetch IMMS demand numbers" });
     }
 });
 
-app.post("/api/sanction-gen-project/import", async (req, res) => {
-    const { data, financial_year } = req.body;
-    try {
+// Reads the sheet row the import wizard found the headers on (rows before it are titles, not data)
+function parseHeaderRow(value) {
+    const headerRow = parseInt(value, 10);
+    return Number.isInteger(headerRow) && headerRow > 0 ? headerRow : 1;
+}
+
+// Two-phase Excel import for every register: validate (dry run with a per-row report), then commit in one transaction
+// mode "insert" adds every row; mode "merge" matches rows on the register's natural key and updates them
+Object.entries(REGISTERS).forEach(([type, register]) => {
+    // Import wizard: suggest register columns for the spreadsheet's headers, optionally starting from a saved profile
+    app.post(`/api/${register.path}/import/mapping/suggest`, requireAuth, requireRegisterPermission(register.permissions.import), async (req, res) => {
+        const { headers, profileId } = req.body;
+        if (!Array.isArray(headers)) {
+            return res.status(400).json({ success: false, message: 'headers must be an array' });
+        }
+
+        try {
+            let profile = null;
+            if (profileId) {
+                profile = await getMappingProfile(type, profileId);
+                if (!profile) {
+                    return res.status(404).json({ success: false, message: 'Mapping profile not found' });
+                }
+            }
+            res.json({
+                success: true,
+                columns: register.columns.map((column) => ({ name: column.name, type: column.type })),
+                suggestions: suggestColumnMapping(type, headers.map((header) => String(header ?? "")), profile && profile.mapping),
+            });
+        } catch (error) {
+            console.error(`${register.label} mapping suggestion error:`, error);
+            res.status(500).json({ error: "Failed to suggest column mapping" });
+        }
+    });
+
+    app.get(`/api/${register.path}/import/mapping-profiles`, requireAuth, requireRegisterPermission(register.permissions.import), async (req, res) => {
+        try {
+            res.json(await getMappingProfiles(type));
+        } catch (error) {
+            console.error(`${register.label} mapping profiles error:`, error);
+            res.status(500).json({ error: "Failed to load mapping profiles" });
+        }
+    });
+
+    app.post(`/api/${register.path}/import/mapping-profiles`, requireAuth, requireRegisterPermission(register.permissions.import), async (req, res) => {
+        const { name, sheetName, headerRow, mapping } = req.body;
+        if (!name || !String(name).trim() || String(name).trim().length > 100) {
+            return res.status(400).json({ success: false, message: 'Profile name is required (up to 100 characters)' });
+        }
+        if (!mapping || typeof mapping !== "object" || Array.isArray(mapping)) {
+            return res.status(400).json({ success: false, message: 'mapping must map header text to column names' });
+        }
+
+        try {
+            const profile = await saveMappingProfile(
+                type,
+                { name: String(name).trim(), sheetName, headerRow: parseHeaderRow(headerRow), mapping },
+                getSessionUsername(req),
+            );
+            res.status(201).json({ success: true, profile });
+        } catch (error) {
+            console.error(`${register.label} mapping profile save error:`, error);
+            res.status(500).json({ error: "Failed to save mapping profile" });
+        }
+    });
+
+    app.delete(`/api/${register.path}/import/mapping-profiles/:id`, requireAuth, requireRegisterPermission(register.permissions.import), async (req, res) => {
+        try {
+            if (!(await deleteMappingProfile(type, req.params.id))) {
+                return res.status(404).json({ success: false, message: 'Mapping profile not found' });
+            }
+            res.json({ success: true });
+        } catch (error) {
+            console.error(`${register.label} mapping profile delete error:`, error);
+            res.status(500).json({ error: "Failed to delete mapping profile" });
+        }
+    });
+
+    app.post(`/api/${register.path}/import/validate`, requireAuth, requireRegisterPermission(register.permissions.import), async (req, res) => {
+        const { data, mode = "insert", reportMissing } = req.body;
+        const financialYear = req.body.financial_year || req.body.financialYear;
+
         if (!data || !Array.isArray(data) || data.length === 0) {
             return res.status(400).json({ success: false, message: 'No data provided' });
         }
+        if (!financialYear) {
+            return res.status(400).json({ success: false, message: 'Financial year is required' });
+        }
+        if (!["insert", "merge"].includes(mode)) {
+            return res.status(400).json({ success: false, message: 'Import mode must be insert or merge' });
+        }
 
-        const values = data.filter(row => {
-            // Filter out rows where all values are null
-            return Object.values(row).some(val => val !== null && val !== undefined && val !== '');
-        }).map(row => [
-            row.serial_no || null,
-            row.date || null,
-            row.file_no || null,
-            row.sanction_code || null,
-            row.code || null,
-            row.np_proj || null,
-            row.power || null,
-            row.code_head || null,
-            row.rev_cap || null,
-            row.amount || null,
-            row.uo_no || null,
-            row.uo_date || null,
-            row.amendment || null,
-            financial_year
-        ]);
-
-        if (values.length === 0) {
-            return res.status(400).json({ success: false, message: 'No valid data to import' });
+        try {
+            const report = await validateImport(type, data, financialYear, {
+                mode,
+                reportMissing: reportMissing === true,
+                headerRow: parseHeaderRow(req.body.headerRow),
+            });
+            res.json({ success: true, report: toClientReport(report) });
+        } catch (error) {
+            console.error(`${register.label} import validation error:`, error);
+            res.status(500).json({ error: "Failed to validate import" });
         }
+    });
 
-        await pool.query(
-            `INSERT INTO sanction_gen_project (serial_no, date, file_no, sanction_code, code, np_proj, power, 
-                code_head, rev_cap, amount, uo_no, uo_date, amendment, financial_year) 
-             VALUES ?`,
-            [values]
-        );
-        res.status(201).send();
-    } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
-    }
-});
+    app.post(`/api/${register.path}/import`, requireAuth, requireRegisterPermission(register.permissions.import), async (req, res) => {
+        const { data, mode = "insert", reportMissing, skipInvalid } = req.body;
+        const financialYear = req.body.financial_year || req.body.financialYear;
 
-app.post("/api/sanction-misc/import", async (req, res) => {
-    const { data, financial_year } = req.body;
-    try {
         if (!data || !Array.isArray(data) || data.length === 0) {
             return res.status(400).json({ success: false, message: 'No data provided' });
         }
+        if (!financialYear) {
+            return res.status(400).json({ success: false, message: 'Financial year is required' });
+        }
+        if (!["insert", "merge"].includes(mode)) {
+            return res.status(400).json({ success: false, message: 'Import mode must be insert or merge' });
+        }
 
-        const values = data.filter(row => {
-            // Filter out rows where all values are null
-            return Object.values(row).some(val => val !== null && val !== undefined && val !== '');
-        }).map(row => [
-            row.serial_no || null,
-            row.date || null,
-            row.file_no || null,
-            row.sanction_code || null,
-            row.code || null,
-            row.np_proj || null,
-            row.power || null,
-            row.code_head || null,
-            row.rev_cap || null,
-            row.amount || null,
-            row.uo_no || null,
-            row.uo_date || null,
-            row.amendment || null,
-            financial_year
-        ]);
+        try {
+            const closedYear = await checkClosedYears(req, [financialYear]);
+            if (closedYear) {
+                return res.status(403).json({ success: false, message: closedYear });
+            }
+            const result = await commitImport(type, data, financialYear, {
+                mode,
+                reportMissing: reportMissing === true,
+                headerRow: parseHeaderRow(req.body.headerRow),
+                skipInvalid: skipInvalid === true,
+                username: getSessionUsername(req),
+                beforeCommit: (connection, changes) => submitForApproval(type, changes, getSessionUsername(req), connection),
+            });
 
-        if (values.length === 0) {
-            return res.status(400).json({ success: false, message: 'No valid data to import' });
+            if (!result.committed) {
+                return res.status(422).json({
+                    success: false,
+                    message: `${result.report.summary.invalid} row(s) have errors; fix them or import with invalid rows skipped`,
+                    report: toClientReport(result.report),
+                });
+            }
+            if (result.inserted === 0 && result.updated === 0 && result.report.summary.unchanged === 0) {
+                return res.status(400).json({ success: false, message: 'No valid data to import', report: toClientReport(result.report) });
+            }
+
+            await runRegisterWriteHook(type, result.report.rows
+                .filter((entry) => entry.status === "valid" && (entry.action === "insert" || entry.action === "update"))
+                .map((entry) => ({
+                    after: { ...entry.values, id: entry.existing ? entry.existing.id : entry.id, financial_year: financialYear },
+                    before: entry.existing || null,
+                })), getSessionUsername(req));
+            broadcastDataChange(type, 'import', { inserted: result.inserted, updated: result.updated }, financialYear);
+            res.status(201).json({
+                success: true,
+                inserted: result.inserted,
+                updated: result.updated,
+                skipped: result.skipped,
+                report: toClientReport(result.report),
+            });
+        } catch (error) {
+            console.error(`${register.label} import error:`, error);
+            if (error.importRow) {
+                return res.status(422).json({
+                    success: false,
+                    message: `Row ${error.importRow} could not be saved: ${error.sqlMessage || error.message}. Nothing was imported.`,
+                });
+            }
+            res.status(500).json({ error: "Failed to import data" });
         }
+    });
+});
 
-        await pool.query(
-            `INSERT INTO sanction_misc (serial_no, date, file_no, sanction_code, code, np_proj, power, 
-                code_head, rev_cap, amount, uo_no, uo_date, amendment, financial_year) 
-             VALUES ?`,
-            [values]
-        );
-        res.status(201).send();
+// Last backup outcome per register, plus the schedule and retention policy
+app.get("/api/backups/status", requireAuth, requirePermission('view_backups'), (req, res) => {
+    try {
+        res.json(getBackupStatus());
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        console.error("Backup status error:", error);
+        res.status(500).json({ error: "Failed to fetch backup status" });
     }
 });
 
-app.post("/api/sanction-training/import", async (req, res) => {
-    const { data, financial_year } = req.body;
+/**
+ * Validates the body of a backup restore request
+ * @param {Object} body - { type, file, financialYear }; type is a register type or "all"
+ * @returns {Object} - { types, file, financialYear } or { error } with a message for the client
+ * Used by: backup restore preview and apply endpoints
+ */
+function parseRestoreRequest(body) {
+    const { type, file, financialYear } = body || {};
+
+    const types = type === "all" ? Object.keys(REGISTER_TABLES) : [type];
+    if (!types.every((t) => REGISTER_TABLES[t])) {
+        return { error: "Unknown register type" };
+    }
+    if (!file || !BACKUP_FILE_PATTERN.test(file)) {
+        return { error: "Invalid backup file name" };
+    }
+    if (!financialYear) {
+        return { error: "Financial year is required" };
+    }
+    return { types, file, financialYear };
+}
+
+// Dry run: diff a backup against the live register(s) for one financial year
+app.post("/api/backups/restore/preview", requireAuth, requirePermission('restore_backups'), async (req, res) => {
+    const request = parseRestoreRequest(req.body);
+    if (request.error) {
+        return res.status(400).json({ success: false, message: request.error });
+    }
+
     try {
-        if (!data || !Array.isArray(data) || data.length === 0) {
-            return res.status(400).json({ success: false, message: 'No data provided' });
+        const plans = await previewRestore(request);
+        res.json({ success: true, dryRun: true, plans });
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return res.status(404).json({ success: false, message: `Backup ${request.file} not found` });
         }
+        console.error("Backup restore preview error:", error);
+        res.status(500).json({ error: "Failed to preview backup restore" });
+    }
+});
 
-        const values = data.filter(row => {
-            // Filter out rows where all values are null
-            return Object.values(row).some(val => val !== null && val !== undefined && val !== '');
-        }).map(row => [
-            row.serial_no || null,
-            row.date || null,
-            row.file_no || null,
-            row.sanction_code || null,
-            row.code || null,
-            row.np_proj || null,
-            row.power || null,
-            row.code_head || null,
-            row.rev_cap || null,
-            row.amount || null,
-            row.uo_no || null,
-            row.uo_date || null,
-            row.amendment || null,
-            financial_year
-        ]);
+// Apply a backup restore in a single transaction
+app.post("/api/backups/restore", requireAuth, requirePermission('restore_backups'), async (req, res) => {
+    const request = parseRestoreRequest(req.body);
+    if (request.error) {
+        return res.status(400).json({ success: false, message: request.error });
+    }
 
-        if (values.length === 0) {
-            return res.status(400).json({ success: false, message: 'No valid data to import' });
+    try {
+        const closedYear = await checkClosedYears(req, [request.financialYear]);
+        if (closedYear) {
+            return res.status(403).json({ success: false, message: closedYear });
+        }
+        const username = getSessionUsername(req);
+        const { plans, changes } = await applyRestore({ ...request, username });
+        // The restore keeps the records' approval status, so the restored values go through the approval rules
+        // like any other write; it has committed, so a failure is logged as in runRegisterWriteHook()
+        for (const [type, typeChanges] of Object.entries(changes)) {
+            try {
+                await submitForApproval(type, typeChanges, username);
+            } catch (error) {
+                console.error(`Error submitting restored ${type} records for approval:`, error);
+            }
+            await runRegisterWriteHook(type, typeChanges, username);
         }
 
-        await pool.query(
-            `INSERT INTO sanction_training (serial_no, date, file_no, sanction_code, code, np_proj, power, 
-                code_head, rev_cap, amount, uo_no, uo_date, amendment, financial_year) 
-             VALUES ?`,
-            [values]
-        );
-        res.status(201).send();
+        plans.forEach((plan) => {
+            broadcastDataChange(plan.type, 'restore', { file: plan.file, counts: plan.counts }, plan.financialYear);
+        });
+
+        res.json({ success: true, dryRun: false, plans });
     } catch (error) {
-        console.error(error);
-        res.status(500).send("Server error");
+        if (error.code === "ENOENT") {
+            return res.status(404).json({ success: false, message: `Backup ${request.file} not found` });
+        }
+        console.error("Backup restore error:", error);
+        res.status(500).json({ error: "Failed to restore backup" });
     }
 });
 
-// Dashboard analytics endpoints
+/**
+ * Parses the period of a dashboard or public request once per register it reads
+ * A from/to range runs on each register's own dateColumn (so_date, demand_date, bill_control_date)
+ * @param {Object} query - req.query: year, years, from, to
+ * @param {Array} types - Register types the endpoint reads
+ * @param {boolean} required - Whether an empty period is an error rather than "every year"
+ * @returns {Object} - { periods: { type: period } } or { error }
+ * Used by: dashboard and public register endpoints
+ * Dependencies: register-engine.js (parsePeriodQuery)
+ */
+function parseRegisterPeriods(query, types, required = true) {
+    const periods = {};
+    for (const type of types) {
+        const { period, error } = parsePeriodQuery(REGISTERS[type], { ...query, dateColumn: undefined });
+        if (error) {
+            return { error };
+        }
+        if (required && isEmptyPeriod(period)) {
+            return { error: "year, years or a from/to date range is required" };
+        }
+        periods[type] = period;
+    }
+    return { periods };
+}
+
+/**
+ * WHERE clause of the live rows of a period (not trashed, not pending or rejected approval)
+ * @param {Object} period - parsePeriodQuery() result
+ * @param {string} prefix - Table alias and dot, for queries that join other tables
+ * @returns {Object} - { where, params }
+ */
+function periodWhere(period, prefix = "") {
+    const { conditions, params } = buildPeriodConditions(period, prefix);
+    return { where: [...conditions, `${prefix}deleted_at IS NULL`, liveCondition(prefix)].join(" AND "), params };
+}
+
+// Dashboard analytics endpoints; each takes year, years or a from/to date range
 app.get("/api/dashboard/overview", requireAuth, async (req, res) => {
-    const { year } = req.query;
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["supply", "demand", "bill"]);
+    if (periodError) {
+        return res.status(400).json({ success: false, message: periodError });
+    }
+    const supply = periodWhere(periods.supply);
+    const demand = periodWhere(periods.demand);
+    const bill = periodWhere(periods.bill);
     try {
         const [supplyResult, demandResult, billResult] = await Promise.all([
-            pool.query("SELECT COUNT(*) as count FROM supply_orders WHERE financial_year = ?", [year]),
-            pool.query("SELECT COUNT(*) as count FROM demand_orders WHERE financial_year = ?", [year]),
-            pool.query("SELECT COUNT(*) as count FROM bill_orders WHERE financial_year = ?", [year])
+            pool.query(`SELECT COUNT(*) as count FROM supply_orders WHERE ${supply.where}`, supply.params),
+            pool.query(`SELECT COUNT(*) as count FROM demand_orders WHERE ${demand.where}`, demand.params),
+            pool.query(`SELECT COUNT(*) as count FROM bill_orders WHERE ${bill.where}`, bill.params)
         ]);
 
         const [deliveredResult] = await pool.query(
-            "SELECT COUNT(*) as count FROM supply_orders WHERE financial_year = ? AND delivery_done = 'Yes'", 
-            [year]
+            `SELECT COUNT(*) as count FROM supply_orders WHERE ${supply.where} AND delivery_done = 'Yes'`,
+            supply.params
         );
 
         const [totalValueResult] = await pool.query(
-            "SELECT SUM(build_up + maintenance + project_less_2cr + project_more_2cr) as total FROM bill_orders WHERE financial_year = ?", 
-            [year]
+            `SELECT SUM(build_up + maintenance + project_less_2cr + project_more_2cr) as total FROM bill_orders WHERE ${bill.where}`,
+            bill.params
         );
 
         res.json({
@@ -3396,33 +3848,39 @@ app.get("/api/dashboard/overview", requireAuth, async (req, res) => {
 });
 
 app.get("/api/dashboard/trends", requireAuth, async (req, res) => {
-    const { year } = req.query;
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["supply", "demand", "bill"]);
+    if (periodError) {
+        return res.status(400).json({ success: false, message: periodError });
+    }
+    const supply = periodWhere(periods.supply);
+    const demand = periodWhere(periods.demand);
+    const bill = periodWhere(periods.bill);
     try {
         const [monthlySupply] = await pool.query(
             `SELECT DATE_FORMAT(original_date, '%Y-%m') as month, COUNT(*) as count 
              FROM supply_orders 
-             WHERE financial_year = ? AND original_date IS NOT NULL 
+             WHERE ${supply.where} AND original_date IS NOT NULL 
              GROUP BY DATE_FORMAT(original_date, '%Y-%m') 
              ORDER BY month`, 
-            [year]
+            supply.params
         );
 
         const [monthlyDemand] = await pool.query(
             `SELECT DATE_FORMAT(demand_date, '%Y-%m') as month, COUNT(*) as count 
              FROM demand_orders 
-             WHERE financial_year = ? AND demand_date IS NOT NULL 
+             WHERE ${demand.where} AND demand_date IS NOT NULL 
              GROUP BY DATE_FORMAT(demand_date, '%Y-%m') 
              ORDER BY month`, 
-            [year]
+            demand.params
         );
 
         const [monthlyBill] = await pool.query(
             `SELECT DATE_FORMAT(bill_control_date, '%Y-%m') as month, COUNT(*) as count 
              FROM bill_orders 
-             WHERE financial_year = ? AND bill_control_date IS NOT NULL 
+             WHERE ${bill.where} AND bill_control_date IS NOT NULL 
              GROUP BY DATE_FORMAT(bill_control_date, '%Y-%m') 
              ORDER BY month`, 
-            [year]
+            bill.params
         );
 
         res.json({
@@ -3437,14 +3895,18 @@ app.get("/api/dashboard/trends", requireAuth, async (req, res) => {
 });
 
 app.get("/api/dashboard/procurement-analysis", requireAuth, async (req, res) => {
-    const { year } = req.query;
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["supply"]);
+    if (periodError) {
+        return res.status(400).json({ success: false, message: periodError });
+    }
+    const supply = periodWhere(periods.supply);
     try {
         const [procurementData] = await pool.query(
             `SELECT procurement_mode, COUNT(*) as count 
              FROM supply_orders 
-             WHERE financial_year = ? 
+             WHERE ${supply.where} 
              GROUP BY procurement_mode`, 
-            [year]
+            supply.params
         );
 
         res.json(procurementData[0]);
@@ -3455,19 +3917,24 @@ app.get("/api/dashboard/procurement-analysis", requireAuth, async (req, res) =>
 });
 
 app.get("/api/dashboard/firm-analysis", requireAuth, async (req, res) => {
-    const { year } = req.query;
+    const { periods, error: periodError } = parseRegisterPeriods(req.query, ["supply"]);
+    if (periodError) {
+        return res.status(400).json({ success: false, message: periodError });
+    }
+    const supply = periodWhere(periods.supply, "s.");
     try {
         const [firmData] = await pool.query(
-            `SELECT firm_name, COUNT(*) as count 
-             FROM supply_orders 
-             WHERE financial_year = ? 
-             GROUP BY firm_name 
-             ORDER BY count DESC 
-             LIMIT 10`, 
-            [year]
+            `SELECT COALESCE(f.name, s.firm_name) as firm_name, COUNT(*) as count
+             FROM supply_orders s
+             LEFT JOIN firms f ON f.id = s.firm_id
+             WHERE ${supply.where}
+             GROUP BY COALESCE(f.name, s.firm_name)
+             ORDER BY count DESC
+             LIMIT 10`,
+            supply.params
         );
 
-        res.json(firmData[0]);
+        res.json(firmData);
     } catch (error) {
         console.error("Firm analysis error:", error);
         res.status(500).json({ error: "Failed to fetch firm analysis" });